@@ -0,0 +1,5 @@
+#!/usr/bin/env node
+/* eslint-env node */
+import { run } from '../src/cli/index.js';
+
+process.exitCode = await run(process.argv.slice(2));
@@ -0,0 +1,592 @@
+import { toCsv } from '../lib/csv.js';
+import { CUSTOM_PROPORTION, formatRatioSequence, resolveFaceConfig } from '../lib/layoutEngine.js';
+import { PANEL_SHAPES, panelArea } from '../lib/panelShapes.js';
+import { SNAP_MODES } from '../lib/snapping.js';
+import { defaultStep, formatLength, fromUnit, getUnit, roundLayout, toUnit } from '../lib/units.js';
+
+const peepholeStatusLabels = {
+  'inside-safe': 'safe',
+  'too-close-to-edge': 'too close',
+  'crosses-edge': 'crosses edge',
+  'gap-safe': 'gap safe',
+  'gap-too-close': 'gap too close'
+};
+
+// Panel positions, frame and gaps of one face in the door's unit, rounded
+// like the door
+const faceGeometry = (face, config, rounding) => {
+  const unit = config.displayUnit;
+  const convert = (cm) => toUnit(cm, unit);
+  const rounded = rounding ? roundLayout(face, config, unit, rounding) : null;
+  const isGrid = face.rows.some(row => row.columns > 1);
+  return {
+    rounded,
+    isGrid,
+    positions: rounded
+      ? rounded.panelPositions
+      : face.panelPositions.map(p => ({
+        row: p.row,
+        column: p.column,
+        top: convert(p.top),
+        bottom: convert(p.bottom),
+        height: convert(p.height),
+        left: convert(p.left),
+        width: convert(p.width)
+      })),
+    frame: rounded ? rounded.frame : Object.fromEntries(Object.entries(face.frame).map(([side, cm]) => [side, convert(cm)])),
+    gaps: rounded ? rounded.gaps : face.gaps.map(convert),
+    mullion: isGrid ? (rounded ? rounded.mullion : convert(face.mullion)) : null
+  };
+};
+
+// A panel's infill with its slats or bars and any warnings
+const summarizeInfill = (infill, convert) => ({
+  type: infill.type,
+  name: infill.name,
+  louverSlats: infill.louver ? infill.louver.slats : null,
+  louverPitch: infill.louver ? convert(infill.louver.pitch) : null,
+  grilleBars: infill.grille ? infill.grille.bars : null,
+  grilleSpacing: infill.grille ? convert(infill.grille.spacing) : null,
+  warnings: infill.warnings.map(warning => warning.message)
+});
+
+// A shaped panel's settled arch and corners with its true area; null for a
+// plain rectangle
+const summarizeShape = (panel, convert) => panel.shape && ({
+  shape: panel.shape.shape,
+  name: PANEL_SHAPES[panel.shape.shape].name,
+  rise: panel.shape.rise ? convert(panel.shape.rise) : null,
+  radius: panel.shape.radius === null ? null : convert(panel.shape.radius),
+  shoulder: panel.shape.shoulder ? convert(panel.shape.shoulder) : null,
+  cornerRadius: panel.shape.cornerRadius ? convert(panel.shape.cornerRadius) : null,
+  area: convert(convert(panelArea(panel))),
+  warnings: panel.shape.warnings
+});
+
+// Every piece of an assembly with its position and panels, the transom and
+// the rails they share, in the door's unit
+const summarizeAssembly = (assembly, convert) => ({
+  width: convert(assembly.width),
+  height: convert(assembly.height),
+  pieces: assembly.pieces.map(piece => ({
+    label: piece.label,
+    type: piece.type,
+    active: piece.active,
+    handing: piece.type === 'leaf' ? piece.handing.code : null,
+    left: convert(piece.left),
+    top: convert(piece.top),
+    width: convert(piece.width),
+    height: convert(piece.height),
+    fits: piece.layout.fits,
+    panels: piece.layout.panelPositions.map(panel => ({
+      width: convert(panel.width),
+      height: convert(panel.height),
+      left: convert(panel.left),
+      top: convert(panel.top),
+      infill: panel.infill
+    }))
+  })),
+  joints: assembly.joints.map(joint => ({ type: joint.type, left: convert(joint.left), width: convert(joint.width) })),
+  transom: assembly.transom ? {
+    height: convert(assembly.transom.height),
+    bar: convert(assembly.transom.bar),
+    panels: assembly.transom.panelPositions.map((panel, index) => ({
+      width: convert(panel.width),
+      height: convert(panel.height),
+      left: convert(panel.left),
+      top: convert(panel.top),
+      infill: panel.infill,
+      warnings: assembly.transom.infills[index].warnings.map(warning => warning.message)
+    }))
+  } : null,
+  rails: assembly.rails.map(rail => ({ name: rail.name, top: convert(rail.top), bottom: convert(rail.bottom) })),
+  warnings: assembly.warnings
+});
+
+// A door's part in a project: its aligned rails against their targets and
+// how its top and bottom rails moved to meet them
+const summarizeProject = (door, convert) => ({
+  alignment: door.alignment.map(entry => ({
+    rail: entry.rail,
+    target: convert(entry.target),
+    height: convert(entry.height),
+    deviation: convert(entry.deviation)
+  })),
+  changes: door.changes ? {
+    topRail: { from: convert(door.changes.topRail.from), to: convert(door.changes.topRail.to) },
+    bottomRail: { from: convert(door.changes.bottomRail.from), to: convert(door.changes.bottomRail.to) }
+  } : null,
+  warnings: door.warnings
+});
+
+const conflictsByPanel = (conflicts) => conflicts
+  .map((conflict, index) => conflict && { panel: index + 1, ...conflict })
+  .filter(Boolean);
+
+// Reduce a calculateLayout result to what the shop needs per door. Lengths
+// are converted to the door's display unit and, with a `rounding` step,
+// rounded so that the parts still add up to the door height. A door with a
+// separate interior design also gets the other face in `otherFace`, and the
+// active leaf of an assembly the whole composition in `assembly`.
+export const summarizeDoor = ({ name, config, layout, rounding = null, assembly = null, project = null }) => {
+  const unit = config.displayUnit;
+  const convert = (cm) => toUnit(cm, unit);
+  const { rounded, positions, frame, gaps, mullion } = faceGeometry(layout, config, rounding);
+  const faceConfig = resolveFaceConfig(config, layout.handing.viewSide);
+  const coordinates = layout.peepholeCoordinates;
+  const otherSide = layout.faces && Object.keys(layout.faces).find(side => side !== layout.handing.viewSide);
+  const otherFace = otherSide && layout.faces[otherSide];
+  const otherGeometry = otherFace && faceGeometry(otherFace, config, rounding);
+  const otherConfig = otherFace && resolveFaceConfig(config, otherSide);
+
+  return {
+    name,
+    unit,
+    rounding,
+    doorWidth: rounded ? rounded.doorWidth : convert(config.doorWidth),
+    doorHeight: rounded ? rounded.doorHeight : convert(config.doorHeight),
+    panelCount: faceConfig.panelCount,
+    proportionType: faceConfig.proportionType,
+    customRatios: faceConfig.proportionType === CUSTOM_PROPORTION ? faceConfig.customRatios : null,
+    edgeDistance: rounded ? rounded.edgeDistance : convert(layout.calculatedEdgeDistance),
+    panelGap: rounded ? rounded.panelGap : convert(layout.calculatedPanelGap),
+    frame,
+    gaps,
+    mullion,
+    rows: layout.rows.map(row => row.columns),
+    fits: layout.fits,
+    handing: {
+      code: layout.handing.code,
+      name: layout.handing.name,
+      description: layout.handing.description,
+      swing: config.swing,
+      viewSide: layout.handing.viewSide,
+      hingeSide: layout.handing.hingeSide
+    },
+    snapping: layout.snapping ? {
+      mode: layout.snapping.mode,
+      maxDeviation: convert(layout.snapping.maxDeviation),
+      values: layout.snapping.values.map(entry => ({
+        label: entry.label,
+        ideal: convert(entry.ideal),
+        value: convert(entry.value),
+        deviation: convert(entry.deviation),
+        percent: entry.percent,
+        onSeries: entry.onSeries
+      }))
+    } : null,
+    totalUsedHeight: convert(layout.totalUsedHeight),
+    availableHeight: convert(layout.availableHeight),
+    panels: positions.map((position, index) => ({
+      panel: index + 1,
+      row: position.row + 1,
+      column: position.column + 1,
+      width: position.width,
+      height: position.height,
+      left: position.left,
+      top: position.top,
+      bottom: position.bottom,
+      peepholeConflict: layout.peepholeConflicts[index] || null,
+      peepholeConflicts: layout.panelPeepholeConflicts[index],
+      infill: summarizeInfill(layout.infills[index], convert),
+      shape: summarizeShape(layout.panelPositions[index], convert)
+    })),
+    peephole: config.showPeephole ? {
+      top: convert(layout.actualPeepholeTop),
+      diameter: convert(config.peepholeDiameter),
+      coordinates: layout.peepholeOptimalZoneError ? null : {
+        fromLeft: convert(coordinates.fromLeft),
+        fromBottom: convert(coordinates.fromBottom),
+        fromTop: convert(coordinates.fromTop)
+      },
+      inGap: layout.peepholeInGap,
+      gapStatus: layout.peepholeGapStatus,
+      optimalZoneError: layout.peepholeOptimalZoneError ? layout.peepholeOptimalZoneError.message : null,
+      profile: config.peepholeProfile,
+      zones: layout.peepholeZones.map(zone => ({ label: zone.label, min: convert(zone.min), max: convert(zone.max), ideal: convert(zone.ideal) })),
+      zoneStatus: layout.peepholeZoneStatus
+    } : null,
+    // Every peephole and circular cutout, the main one first
+    peepholes: config.showPeephole ? layout.peepholes.map(peephole => ({
+      label: peephole.label,
+      zone: peephole.zone.label,
+      diameter: convert(peephole.diameter),
+      coordinates: peephole.error || !peephole.coordinates ? null : {
+        fromLeft: convert(peephole.coordinates.fromLeft),
+        fromBottom: convert(peephole.coordinates.fromBottom),
+        fromTop: convert(peephole.coordinates.fromTop)
+      },
+      inGap: peephole.inGap,
+      conflicts: conflictsByPanel(peephole.conflicts),
+      gapStatus: peephole.gapStatus,
+      zoneStatus: peephole.zoneStatus,
+      error: peephole.error ? peephole.error.message : null,
+      otherFaceConflicts: peephole.otherFace ? conflictsByPanel(peephole.otherFace.conflicts) : []
+    })) : [],
+    hinges: {
+      count: layout.hinges.count,
+      size: layout.hinges.size.name,
+      weight: Math.round(layout.hinges.weight),
+      reasons: layout.hinges.reasons
+    },
+    hardware: layout.hardware.map(item => ({
+      label: item.label,
+      type: item.type,
+      left: convert(item.left),
+      top: convert(item.top),
+      width: convert(item.width),
+      height: convert(item.height),
+      centerHeight: convert(item.centerHeight),
+      clearance: convert(item.clearance),
+      railClash: item.railClash ? item.railClash.message : null,
+      conflicts: conflictsByPanel(item.conflicts),
+      otherFaceConflicts: item.otherFace ? conflictsByPanel(item.otherFace.conflicts) : []
+    })),
+    otherFace: otherFace ? {
+      side: otherSide,
+      panelCount: otherConfig.panelCount,
+      proportionType: otherConfig.proportionType,
+      customRatios: otherConfig.proportionType === CUSTOM_PROPORTION ? otherConfig.customRatios : null,
+      frame: otherGeometry.frame,
+      gaps: otherGeometry.gaps,
+      mullion: otherGeometry.mullion,
+      rows: otherFace.rows.map(row => row.columns),
+      fits: otherFace.fits,
+      totalUsedHeight: convert(otherFace.totalUsedHeight),
+      availableHeight: convert(otherFace.availableHeight),
+      edgeDistance: otherGeometry.rounded ? otherGeometry.rounded.edgeDistance : convert(otherFace.calculatedEdgeDistance),
+      panelGap: otherGeometry.rounded ? otherGeometry.rounded.panelGap : convert(otherFace.calculatedPanelGap),
+      panels: otherGeometry.positions.map((position, index) => ({
+        panel: index + 1,
+        row: position.row + 1,
+        column: position.column + 1,
+        width: position.width,
+        height: position.height,
+        left: position.left,
+        top: position.top,
+        bottom: position.bottom,
+        peepholeConflict: otherFace.panelPeepholeConflicts[index][0] || null,
+        peepholeConflicts: otherFace.panelPeepholeConflicts[index],
+        infill: summarizeInfill(otherFace.infills[index], convert),
+        shape: summarizeShape(otherFace.panelPositions[index], convert)
+      }))
+    } : null,
+    assembly: assembly ? summarizeAssembly(assembly, convert) : null,
+    project: project ? summarizeProject(project, convert) : null
+  };
+};
+
+// A panel's peephole status; with several peepholes each is named
+const panelPeepholeStatus = (door, panel, describe) => {
+  if (door.peepholes.length <= 1) return panel.peepholeConflict ? describe(panel.peepholeConflict) : '';
+  return panel.peepholeConflicts.map(conflict => `${conflict.peephole}: ${describe(conflict)}`).join('; ');
+};
+
+const statusLabel = (conflict) => peepholeStatusLabels[conflict.type];
+
+const fitLabel = (door) => door.fits ? 'fits' : 'does not fit';
+
+const proportionLabel = (door) => (
+  door.customRatios ? `${door.proportionType} (${formatRatioSequence(door.customRatios)})` : door.proportionType
+);
+
+// Number formatter for a door's lengths: fractions for inches, otherwise
+// `precision` decimals unless the door was rounded to a coarser step
+const lengthFormatter = (door, precision) => {
+  const step = door.rounding || (door.unit === 'in' ? defaultStep('in') : 10 ** -precision);
+  return (value) => formatLength(fromUnit(value, door.unit), door.unit, { step, suffix: false });
+};
+
+export const formatJson = (doors) => JSON.stringify(doors, null, 2) + '\n';
+
+export const formatCsv = (doors, precision) => {
+  const rows = [[
+    'door', 'unit', 'door_width', 'door_height', 'panel', 'width', 'height', 'top', 'bottom',
+    'edge_distance', 'panel_gap', 'fits', 'peephole_status', 'peephole_message',
+    'left', 'left_stile', 'right_stile', 'top_rail', 'bottom_rail', 'gap_below',
+    'row', 'column', 'mullion', 'handing', 'view', 'face', 'infill', 'infill_message',
+    'shape', 'shape_message'
+  ]];
+  for (const door of doors) {
+    const len = lengthFormatter(door, precision);
+    // The face being viewed, then the other face when it has its own design
+    const faces = [
+      { ...door, side: door.handing.viewSide },
+      ...(door.otherFace ? [door.otherFace] : [])
+    ];
+    for (const face of faces) {
+      for (const panel of face.panels) {
+        rows.push([
+          door.name,
+          door.unit,
+          len(door.doorWidth),
+          len(door.doorHeight),
+          panel.panel,
+          len(panel.width),
+          len(panel.height),
+          len(panel.top),
+          len(panel.bottom),
+          len(face.edgeDistance),
+          len(face.panelGap),
+          face.fits,
+          panelPeepholeStatus(door, panel, statusLabel),
+          panelPeepholeStatus(door, panel, conflict => conflict.message),
+          len(panel.left),
+          len(face.frame.left),
+          len(face.frame.right),
+          len(face.frame.top),
+          len(face.frame.bottom),
+          panel.row <= face.gaps.length ? len(face.gaps[panel.row - 1]) : '',
+          panel.row,
+          panel.column,
+          face.mullion === null ? '' : len(face.mullion),
+          door.handing.code,
+          door.handing.viewSide,
+          face.side,
+          panel.infill.type,
+          panel.infill.warnings.join('; '),
+          panel.shape ? panel.shape.shape : 'rectangle',
+          panel.shape ? panel.shape.warnings.join('; ') : ''
+        ]);
+      }
+    }
+  }
+  return toCsv(rows);
+};
+
+const renderTable = (header, rows) => {
+  const widths = header.map((cell, i) => Math.max(cell.length, ...rows.map(row => row[i].length)));
+  const line = (cells) => cells.map((cell, i) => i === 0 ? cell.padEnd(widths[i]) : cell.padStart(widths[i])).join('  ').trimEnd();
+  return [line(header), widths.map(w => '-'.repeat(w)).join('  '), ...rows.map(line)].join('\n');
+};
+
+// Panel count and proportions of a face (the door itself for the viewed one)
+const faceLabel = (face) => (
+  face.mullion !== null
+    ? `${face.panels.length} panels in ${face.panelCount} ${proportionLabel(face)} rows (${face.rows.join(' / ')} columns)`
+    : `${face.panelCount} ${proportionLabel(face)} panels`
+);
+
+const frameLine = (face, len, unitLabel) => (
+  `Stiles ${len(face.frame.left)} / ${len(face.frame.right)} ${unitLabel}, rails ${len(face.frame.top)} top / ${len(face.frame.bottom)} bottom ${unitLabel}`
+    + (face.gaps.length > 0 ? `, gaps ${face.gaps.map(len).join(' / ')} ${unitLabel}` : '')
+    + (face.mullion !== null ? `, mullions ${len(face.mullion)} ${unitLabel}` : '')
+);
+
+// The infill and shape columns only appear once a panel is more than a
+// raised wood rectangle
+const panelTable = (door, face, len) => {
+  const isGrid = face.mullion !== null;
+  const hasInfill = face.panels.some(panel => panel.infill.type !== 'raised');
+  const hasShape = face.panels.some(panel => panel.shape);
+  return renderTable(
+    ['Panel', ...(isGrid ? ['Row', 'Col', 'Left'] : []), 'Width', 'Height', 'Top', 'Bottom', ...(hasInfill ? ['Infill'] : []), ...(hasShape ? ['Shape'] : []), 'Peephole'],
+    face.panels.map(panel => [
+      String(panel.panel),
+      ...(isGrid ? [String(panel.row), String(panel.column), len(panel.left)] : []),
+      len(panel.width),
+      len(panel.height),
+      len(panel.top),
+      len(panel.bottom),
+      ...(hasInfill ? [panel.infill.name.toLowerCase()] : []),
+      ...(hasShape ? [panel.shape ? panel.shape.name.toLowerCase() : 'rectangle'] : []),
+      panelPeepholeStatus(door, panel, statusLabel)
+    ])
+  );
+};
+
+// Louver slats, grille bars and infill warnings, panel by panel
+const infillLines = (face, len, unitLabel, prefix = null) => face.panels.flatMap(panel => {
+  const { infill } = panel;
+  const detail = infill.louverSlats !== null
+    ? `, ${infill.louverSlats} slats at ${len(infill.louverPitch)} ${unitLabel}`
+    : infill.grilleBars !== null ? `, ${infill.grilleBars} bars ${len(infill.grilleSpacing)} ${unitLabel} apart` : '';
+  if (!detail && infill.warnings.length === 0) return [];
+  return [
+    `${prefix ? `${prefix} panel` : 'Panel'} ${panel.panel}: ${infill.name.toLowerCase()}${detail}`,
+    ...infill.warnings.map(warning => `  ${warning}`)
+  ];
+});
+
+// Arch rise and radius, corner radius, true area and shape warnings of every
+// shaped panel
+const shapeLines = (face, len, unitLabel, prefix = null) => face.panels.filter(panel => panel.shape).flatMap(panel => {
+  const { shape } = panel;
+  const details = [
+    shape.rise !== null && `rise ${len(shape.rise)} ${unitLabel}`,
+    shape.radius !== null && `radius ${len(shape.radius)} ${unitLabel}`,
+    shape.shoulder !== null && `shoulders ${len(shape.shoulder)} ${unitLabel}`,
+    shape.cornerRadius !== null && `corners ${len(shape.cornerRadius)} ${unitLabel}`,
+    `area ${shape.area.toFixed(1)} ${unitLabel}²`
+  ].filter(Boolean);
+  return [
+    `${prefix ? `${prefix} panel` : 'Panel'} ${panel.panel}: ${shape.name.toLowerCase()}, ${details.join(', ')}`,
+    ...shape.warnings.map(warning => `  ${warning}`)
+  ];
+});
+
+// The pieces of an assembly left to right in the view, the transom and the
+// shared rails
+const assemblyLines = (assembly, len, unitLabel) => {
+  const pieces = [...assembly.pieces].sort((a, b) => a.left - b.left);
+  return [
+    `Assembly: ${len(assembly.width)} × ${len(assembly.height)} ${unitLabel}, ${pieces.map(piece => piece.label.toLowerCase()).join(', ')}`,
+    ...pieces.map(piece => (
+      `  ${piece.label}: ${len(piece.width)} ${unitLabel} wide at ${len(piece.left)} ${unitLabel}, ${piece.panels.length} panel${piece.panels.length === 1 ? '' : 's'}`
+        + (piece.handing ? `, ${piece.handing}` : '')
+        + (piece.active ? ', this door' : '')
+    )),
+    ...(assembly.transom
+      ? [`  Transom: ${len(assembly.transom.height)} ${unitLabel} high on a ${len(assembly.transom.bar)} ${unitLabel} bar, ${assembly.transom.panels.length} panels above the columns below`]
+      : []),
+    `  Shared rails from the top: ${assembly.rails.map(rail => `${rail.name} ${len(rail.top)}–${len(rail.bottom)}`).join(', ')} ${unitLabel}`,
+    ...assembly.warnings.map(warning => `  ${warning}`),
+    ...(assembly.transom ? assembly.transom.panels.flatMap((panel, index) => (
+      panel.warnings.map(warning => `  Transom panel ${index + 1}: ${warning}`)
+    )) : [])
+  ];
+};
+
+// The door's aligned rails in a project
+const projectLines = (project, len, unitLabel) => [
+  ...project.alignment.map(entry => (
+    `Mid rail ${entry.rail} from the floor: center ${len(entry.height)} ${unitLabel} high (target ${len(entry.target)} ${unitLabel})`
+  )),
+  ...(project.changes
+    ? [`Aligned by top rail ${len(project.changes.topRail.from)} -> ${len(project.changes.topRail.to)}, bottom rail ${len(project.changes.bottomRail.from)} -> ${len(project.changes.bottomRail.to)} ${unitLabel}`]
+    : []),
+  ...project.warnings.map(warning => `Alignment: ${warning}`)
+];
+
+const fitLine = (face, len, unitLabel) => (
+  `Fit: ${fitLabel(face)} (${len(face.totalUsedHeight)} / ${len(face.availableHeight)} ${unitLabel} used)`
+);
+
+const sideLabel = (side) => `${side[0].toUpperCase()}${side.slice(1)}`;
+
+export const formatTable = (doors, precision) => {
+  const blocks = doors.map(door => {
+    const len = lengthFormatter(door, precision);
+    const unitLabel = getUnit(door.unit).label;
+    const { otherFace } = door;
+    const lines = [
+      `${door.name}: ${len(door.doorWidth)} × ${len(door.doorHeight)} ${unitLabel}, ${otherFace ? `${door.handing.viewSide} face ` : ''}${faceLabel(door)}`,
+      frameLine(door, len, unitLabel),
+      `Handing: ${door.handing.description}; left-right as seen from the ${door.handing.viewSide}`,
+      '',
+      panelTable(door, door, len),
+      '',
+      fitLine(door, len, unitLabel),
+      ...infillLines(door, len, unitLabel),
+      ...shapeLines(door, len, unitLabel)
+    ];
+
+    if (otherFace) {
+      lines.push(
+        '',
+        `${sideLabel(otherFace.side)} face: ${faceLabel(otherFace)}, as seen from the ${otherFace.side}`,
+        frameLine(otherFace, len, unitLabel),
+        '',
+        panelTable(door, otherFace, len),
+        '',
+        fitLine(otherFace, len, unitLabel),
+        ...infillLines(otherFace, len, unitLabel, sideLabel(otherFace.side)),
+        ...shapeLines(otherFace, len, unitLabel, sideLabel(otherFace.side))
+      );
+    }
+
+    if (door.assembly) {
+      lines.push('', ...assemblyLines(door.assembly, len, unitLabel));
+    }
+
+    if (door.project) {
+      lines.push('', ...projectLines(door.project, len, unitLabel));
+    }
+
+    if (door.rounding) {
+      lines.push(`Rounded to ${formatLength(fromUnit(door.rounding, door.unit), door.unit, { step: door.rounding })}; panel heights absorb the rounding so all parts add up to ${len(door.doorHeight)} ${unitLabel}`);
+    }
+
+    if (door.snapping) {
+      lines.push(`Snapped to ${SNAP_MODES[door.snapping.mode].name.toLowerCase()}; largest deviation ${len(door.snapping.maxDeviation)} ${unitLabel}`);
+      door.snapping.values.forEach(entry => {
+        const sign = entry.deviation >= 0 ? '+' : '-';
+        lines.push(`  ${entry.label}: ${len(entry.ideal)} -> ${len(entry.value)}${entry.onSeries ? '' : ' *'} (${sign}${Math.abs(entry.percent).toFixed(1)}%)`);
+      });
+      if (door.snapping.values.some(entry => !entry.onSeries)) {
+        lines.push('  * off the series, adjusted so the door closes exactly');
+      }
+    }
+
+    door.peepholes.forEach(peephole => {
+      if (peephole.error) {
+        lines.push(`${peephole.label}: ERROR ${peephole.error}`);
+      } else {
+        const { coordinates } = peephole;
+        lines.push(`${peephole.label}: center ${len(coordinates.fromBottom)} ${unitLabel} from bottom, ${len(coordinates.fromLeft)} ${unitLabel} from left, Ø ${len(peephole.diameter)} ${unitLabel}`);
+      }
+      peephole.conflicts.forEach(conflict => lines.push(`  Panel ${conflict.panel}: ${conflict.message}`));
+      peephole.otherFaceConflicts.forEach(conflict => lines.push(`  ${sideLabel(otherFace.side)} panel ${conflict.panel}: ${conflict.message}`));
+      if (peephole.gapStatus) lines.push(`  Gap: ${peephole.gapStatus.message}`);
+      if (peephole.zoneStatus && !peephole.zoneStatus.inZone) lines.push(`  Zone: ${peephole.zoneStatus.message}`);
+    });
+
+    const hinges = door.hardware.filter(item => item.type === 'hinge');
+    lines.push(`Hinges: ${door.hinges.count} × ${door.hinges.size}, door about ${door.hinges.weight} kg`
+      + (hinges.length > 0 ? `; centers ${hinges.map(hinge => len(hinge.centerHeight)).join(' / ')} ${unitLabel} from bottom` : ''));
+
+    // Only hardware that a panel edge runs under or comes too close to, on
+    // either face, or a hinge on a rail joint
+    door.hardware.forEach(item => {
+      const problems = item.conflicts.filter(conflict => conflict.type !== 'inside-safe');
+      const otherProblems = item.otherFaceConflicts.filter(conflict => conflict.type !== 'inside-safe');
+      if (problems.length === 0 && otherProblems.length === 0 && !item.railClash) return;
+      lines.push(`${item.label}: center ${len(item.centerHeight)} ${unitLabel} from bottom`);
+      if (item.railClash) lines.push(`  ${item.railClash}`);
+      problems.forEach(conflict => lines.push(`  Panel ${conflict.panel}: ${conflict.message}`));
+      otherProblems.forEach(conflict => lines.push(`  ${sideLabel(otherFace.side)} panel ${conflict.panel}: ${conflict.message}`));
+    });
+
+    return lines.join('\n');
+  });
+
+  return blocks.join('\n\n') + '\n';
+};
+
+// Mid rail centers from the floor, lowest first, from the row edges
+const railsFromFloor = (door) => {
+  const rows = door.panels.filter(panel => panel.column === 1);
+  return rows.slice(1).map((row, i) => door.doorHeight - (row.top + rows[i].bottom) / 2).reverse();
+};
+
+// One line per door, for looking over a whole project
+export const formatSummary = (doors, precision) => {
+  const rows = doors.map(door => {
+    const len = lengthFormatter(door, precision);
+    const unitLabel = getUnit(door.unit).label;
+    const aligned = new Set(door.project && door.project.changes ? door.project.alignment.map(entry => entry.rail) : []);
+    const rails = railsFromFloor(door).map((center, i) => `${len(center)}${aligned.has(i + 1) ? '*' : ''}`);
+    return [
+      door.name,
+      `${len(door.doorWidth)} × ${len(door.doorHeight)} ${unitLabel}`,
+      String(door.panels.length),
+      proportionLabel(door),
+      rails.length > 0 ? `${rails.join(' / ')} ${unitLabel}` : '-',
+      `${len(door.frame.top)} / ${len(door.frame.bottom)} ${unitLabel}`,
+      fitLabel(door)
+    ];
+  });
+  const notes = doors.flatMap(door => (door.project ? door.project.warnings.map(warning => `${door.name}: ${warning}`) : []));
+  return [
+    renderTable(['Door', 'Size', 'Panels', 'Proportion', 'Mid rails from floor', 'Top / bottom rail', 'Fit'], rows),
+    ...(doors.some(door => door.project && door.project.changes) ? ['', '* aligned across the doors'] : []),
+    ...(notes.length > 0 ? ['', ...notes] : [])
+  ].join('\n') + '\n';
+};
+
+export const formatters = {
+  table: formatTable,
+  json: formatJson,
+  csv: formatCsv,
+  summary: formatSummary
+};
@@ -0,0 +1,134 @@
+/* eslint-env node */
+import { parseArgs } from 'node:util';
+import { calculateLayout, DEFAULT_CONFIG, formatRatioSequence } from '../lib/layoutEngine.js';
+import { calculateAssembly } from '../lib/assembly.js';
+import { solveProject } from '../lib/project.js';
+import { CONFIG_OPTIONS, parseAlignedRails, toLayoutConfig } from './options.js';
+import { readDoorsFile } from './input.js';
+import { formatters, summarizeDoor } from './format.js';
+import { formatLength, parseStep } from '../lib/units.js';
+
+const usage = () => {
+  const optionLines = CONFIG_OPTIONS.map(option => {
+    const name = option.type === 'boolean' ? `--${option.flag}` : `--${option.flag} <${{ choice: 'name', choices: 'names', shapes: 'shapes', face: 'settings', assembly: 'settings' }[option.type] || 'n'}>`;
+    const choices = option.type === 'choice' ? `: ${option.choices.join(', ')}` : '';
+    if (option.optional) return `  ${name.padEnd(30)} ${option.description}`;
+    const defaultValue = option.type === 'length'
+      ? formatLength(DEFAULT_CONFIG[option.key], 'cm')
+      : option.type === 'ratios' ? formatRatioSequence(DEFAULT_CONFIG[option.key]) : DEFAULT_CONFIG[option.key];
+    return `  ${name.padEnd(30)} ${option.description}${choices} (default: ${defaultValue})`;
+  });
+
+  return [
+    'Usage: door-panel [options] [--input doors.json|doors.csv]',
+    '',
+    'Computes door panel layouts with the same engine as the web calculator.',
+    '',
+    'Layout options (apply to every door; values in an input file take precedence):',
+    ...optionLines,
+    '',
+    'Other options:',
+    `  ${'-i, --input <file>'.padEnd(30)} JSON or CSV file with one door per entry/row`,
+    `  ${'-f, --format <name>'.padEnd(30)} Output format: table, json, csv or summary, one line per door (default: table)`,
+    `  ${'-p, --precision <n>'.padEnd(30)} Decimal places for cm/mm table and CSV output (default: 1)`,
+    `  ${'-r, --rounding <step>'.padEnd(30)} Round to a step in the output unit, e.g. 1/16 or 0.5;`,
+    `  ${''.padEnd(30)} panel heights absorb the difference so parts still add up to the door height`,
+    `  ${'-a, --align-rails <rails>'.padEnd(30)} Align mid rails across the doors, counted from the floor:`,
+    `  ${''.padEnd(30)} "1;2@150" puts rail 1 at the doors' average and rail 2 at 150`,
+    `  ${'-h, --help'.padEnd(30)} Show this help`,
+    ''
+  ].join('\n');
+};
+
+const parseCommandLine = (argv) => {
+  const options = {
+    input: { type: 'string', short: 'i' },
+    format: { type: 'string', short: 'f', default: 'table' },
+    precision: { type: 'string', short: 'p', default: '1' },
+    rounding: { type: 'string', short: 'r' },
+    'align-rails': { type: 'string', short: 'a' },
+    help: { type: 'boolean', short: 'h' }
+  };
+  for (const option of CONFIG_OPTIONS) {
+    options[option.flag] = { type: option.type === 'boolean' ? 'boolean' : 'string' };
+  }
+
+  const { values } = parseArgs({ args: argv, options, strict: true });
+  return values;
+};
+
+/**
+ * Run the door-panel CLI.
+ *
+ * @param {string[]} argv Arguments without the node/script prefix.
+ * @param {{ stdout: { write: Function }, stderr: { write: Function } }} io
+ * @returns {Promise<number>} Process exit code.
+ */
+export const run = async (argv, { stdout, stderr } = process) => {
+  let values;
+  try {
+    values = parseCommandLine(argv);
+  } catch (error) {
+    stderr.write(`door-panel: ${error.message}\n\n${usage()}`);
+    return 2;
+  }
+
+  if (values.help) {
+    stdout.write(usage());
+    return 0;
+  }
+
+  try {
+    const format = formatters[values.format];
+    if (!format) {
+      throw new Error(`unknown format "${values.format}" (choose from ${Object.keys(formatters).join(', ')})`);
+    }
+    const precision = Number(values.precision);
+    if (!Number.isInteger(precision) || precision < 0 || precision > 6) {
+      throw new Error('--precision must be a whole number between 0 and 6');
+    }
+
+    const flagRecord = {};
+    for (const option of CONFIG_OPTIONS) {
+      if (values[option.flag] !== undefined) flagRecord[option.flag] = values[option.flag];
+    }
+    const flagConfig = toLayoutConfig(flagRecord, 'command line');
+    const rounding = values.rounding === undefined ? null : parseStep(values.rounding);
+    if (Number.isNaN(rounding)) {
+      throw new Error(`"${values.rounding}" is not a rounding step (use e.g. 1/16, 0.5 or 1)`);
+    }
+
+    const entries = values.input
+      ? await readDoorsFile(values.input)
+      : [{ record: {}, source: 'command line' }];
+
+    // Design files hold every setting, so they win over the flags
+    const configured = entries.map(({ record, config, source }, index) => ({
+      name: record.name ? String(record.name) : `Door ${index + 1}`,
+      config: config || { ...DEFAULT_CONFIG, ...flagConfig, ...toLayoutConfig(record, source, flagConfig.displayUnit) }
+    }));
+    // With aligned rails the doors are laid out as one project
+    const project = values['align-rails'] === undefined ? null : solveProject({
+      doors: configured,
+      alignedRails: parseAlignedRails(values['align-rails'], 'command line', flagConfig.displayUnit)
+    });
+
+    const doors = configured.map(({ name, config: entered }, index) => {
+      const solved = project && project.doors[index];
+      const config = solved ? solved.config : entered;
+      // In an assembly the door is its active leaf
+      if (config.assembly) {
+        const assembly = calculateAssembly(config);
+        const { config: doorConfig, layout } = assembly.pieces[assembly.primary];
+        return summarizeDoor({ name, config: doorConfig, layout, rounding, assembly, project: solved });
+      }
+      return summarizeDoor({ name, config, layout: solved ? solved.layout : calculateLayout(config), rounding, project: solved });
+    });
+
+    stdout.write(format(doors, precision));
+    return 0;
+  } catch (error) {
+    stderr.write(`door-panel: ${error.message}\n`);
+    return 1;
+  }
+};
@@ -0,0 +1,60 @@
+import { readFile } from 'node:fs/promises';
+import { extname } from 'node:path';
+import { parseCsv } from '../lib/csv.js';
+import { DESIGN_FORMAT, PROJECT_FORMAT, readDesignFile } from '../lib/designFile.js';
+
+// Read a batch of doors from a JSON or CSV file. Each door is returned as a
+// record of raw field values plus an optional `name`, or for design files as
+// its name and a full layout `config`.
+//
+// JSON: a single object, an array of objects, or { "doors": [...] }; or a
+// design or project file saved by the web calculator.
+// CSV: a header row of field names (CLI flag names or config keys), one door per row.
+export const readDoorsFile = async (path) => {
+  const text = await readFile(path, 'utf8');
+  const format = extname(path).toLowerCase() === '.csv' ? 'csv' : 'json';
+
+  if (format === 'csv') {
+    const [header, ...rows] = parseCsv(text);
+    if (!header) {
+      throw new Error(`${path}: file is empty`);
+    }
+    const fields = header.map(cell => cell.trim());
+    return rows.map((cells, rowIndex) => {
+      const record = {};
+      fields.forEach((field, i) => {
+        // Empty cells fall back to flag values or defaults
+        if (cells[i] !== undefined && cells[i].trim() !== '') record[field] = cells[i];
+      });
+      return { record, source: `${path} row ${rowIndex + 2}` };
+    });
+  }
+
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (error) {
+    throw new Error(`${path}: invalid JSON (${error.message})`);
+  }
+  if (data && (data.format === DESIGN_FORMAT || data.format === PROJECT_FORMAT)) {
+    let read;
+    try {
+      read = readDesignFile(data);
+    } catch (error) {
+      throw new Error(`${path}: ${error.message}`);
+    }
+    const designs = read.kind === 'project' ? read.project.doors : [{ name: read.name, config: read.config }];
+    return designs.map((design, index) => ({
+      record: design.name ? { name: design.name } : {},
+      config: design.config,
+      source: `${path} door ${index + 1}`
+    }));
+  }
+  const doors = Array.isArray(data) ? data : Array.isArray(data.doors) ? data.doors : [data];
+  return doors.map((record, index) => {
+    if (!record || typeof record !== 'object' || Array.isArray(record)) {
+      throw new Error(`${path}: door ${index + 1} is not an object`);
+    }
+    return { record, source: `${path} door ${index + 1}` };
+  });
+};
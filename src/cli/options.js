@@ -0,0 +1,378 @@
+import { CUSTOM_PROPORTION, FACE_KEYS, parseRatioSequence } from '../lib/layoutEngine.js';
+import { DEFAULT_ASSEMBLY, PIECE_TYPES } from '../lib/assembly.js';
+import { HANDINGS, SWINGS, VIEW_SIDES } from '../lib/handing.js';
+import { DOOR_MATERIALS, HARDWARE_TYPES } from '../lib/hardware.js';
+import { INFILL_TYPES } from '../lib/infill.js';
+import { PANEL_SHAPES } from '../lib/panelShapes.js';
+import { PEEPHOLE_PROFILES } from '../lib/peepholeProfiles.js';
+import { ratioFamilies, sequenceFamilies } from '../lib/proportionRegistry.js';
+import { SNAP_MODES } from '../lib/snapping.js';
+import { parseLength, UNITS } from '../lib/units.js';
+
+// Every layout parameter the CLI understands. `flag` is the command-line name
+// (also accepted as a CSV column), `key` the calculateLayout config field.
+// Lengths are given in the door's `units` and converted to centimeters here.
+const proportionTypes = sequenceFamilies().map(family => family.key);
+
+export const CONFIG_OPTIONS = [
+  { flag: 'width', key: 'doorWidth', type: 'length', description: 'Door width' },
+  { flag: 'height', key: 'doorHeight', type: 'length', description: 'Door height' },
+  { flag: 'edge', key: 'edgeDistance', type: 'length', description: 'Edge distance' },
+  { flag: 'gap', key: 'panelGap', type: 'length', description: 'Gap between panels' },
+  { flag: 'left-stile', key: 'leftStileWidth', type: 'length', optional: true, description: 'Left stile width (default: edge)' },
+  { flag: 'right-stile', key: 'rightStileWidth', type: 'length', optional: true, description: 'Right stile width (default: edge)' },
+  { flag: 'top-rail', key: 'topRailWidth', type: 'length', optional: true, description: 'Top rail width (default: edge)' },
+  { flag: 'bottom-rail', key: 'bottomRailWidth', type: 'length', optional: true, description: 'Bottom rail width (default: edge)' },
+  { flag: 'mid-rails', key: 'midRailWidths', type: 'lengths', optional: true, description: 'Mid rail widths from the top, separated by ; (blank entries use gap)' },
+  { flag: 'panels', key: 'panelCount', type: 'integer', description: 'Number of panels' },
+  { flag: 'proportion', key: 'proportionType', type: 'choice', choices: [...proportionTypes, CUSTOM_PROPORTION], description: 'Height proportion type' },
+  { flag: 'ratios', key: 'customRatios', type: 'ratios', description: 'Panel height ratios for --proportion custom, e.g. "1:3:1:1.5"' },
+  { flag: 'columns', key: 'columnCount', type: 'integer', description: 'Columns in every row' },
+  { flag: 'row-columns', key: 'rowColumns', type: 'integers', optional: true, description: 'Columns per row from the top, separated by ; (blank entries use columns)' },
+  { flag: 'mullion', key: 'mullionWidth', type: 'length', optional: true, description: 'Mullion width between columns (default: gap)' },
+  { flag: 'column-proportion', key: 'columnProportionType', type: 'choice', choices: proportionTypes, description: 'Width proportion type across each row' },
+  { flag: 'infill', key: 'panelInfill', type: 'choice', choices: Object.keys(INFILL_TYPES), description: 'Infill of every panel' },
+  { flag: 'panel-infills', key: 'panelInfills', type: 'choices', choices: Object.keys(INFILL_TYPES), optional: true, description: 'Infill per panel in reading order seen from the exterior, separated by ; (blank entries use infill)' },
+  { flag: 'panel-shapes', key: 'panelShapes', type: 'shapes', optional: true, description: `Shape per panel in reading order seen from the exterior, as shape:setting=length:... separated by ; e.g. "arch:rise=10;;rectangle:corner=3" (shapes: ${Object.keys(PANEL_SHAPES).join(', ')}; settings: rise, radius, shoulder, corner; blank entries are rectangles)` },
+  { flag: 'safety-glazing-height', key: 'safetyGlazingHeight', type: 'length', description: 'Glass lower than this above the floor must be safety glass' },
+  { flag: 'louver-pitch', key: 'louverPitch', type: 'length', description: 'Target spacing of louver slats' },
+  { flag: 'auto-spacing', key: 'autoCalculateSpacing', type: 'boolean', description: 'Auto-calculate edge distance and gaps' },
+  { flag: 'spacing-ratio', key: 'spacingRatioType', type: 'choice', choices: ratioFamilies().map(family => family.key), description: 'Target ratio for auto spacing' },
+  { flag: 'snap', key: 'snapMode', type: 'choice', choices: Object.keys(SNAP_MODES), description: 'Snap lengths to preferred sizes' },
+  { flag: 'snap-grid', key: 'snapGrid', type: 'length', description: 'Grid step for --snap grid' },
+  { flag: 'snap-stock', key: 'snapStock', type: 'lengths', optional: true, description: 'Stock sizes for --snap stock, separated by ;' },
+  { flag: 'peephole', key: 'showPeephole', type: 'boolean', description: 'Include a peephole cutout' },
+  { flag: 'peephole-top', key: 'peepholeTop', type: 'length', description: 'Peephole distance from top' },
+  { flag: 'peephole-diameter', key: 'peepholeDiameter', type: 'length', description: 'Peephole diameter' },
+  { flag: 'min-edge-distance', key: 'minEdgeDistance', type: 'length', description: 'Minimum peephole distance from panel edges' },
+  { flag: 'auto-center-peephole', key: 'autoCenterPeephole', type: 'boolean', description: 'Auto-place the peephole in the optimal zone' },
+  { flag: 'prefer-gap', key: 'preferGapPlacement', type: 'boolean', description: 'Prefer gaps over panels when auto-placing' },
+  { flag: 'peephole-left', key: 'peepholeLeft', type: 'length', optional: true, description: 'Peephole center from the left edge (default: centered)' },
+  { flag: 'extra-peepholes', key: 'extraPeepholes', type: 'peepholes', optional: true, description: 'More peepholes as "top,diameter,left" separated by ; (top may be auto or auto:N for profile zone N; blanks follow the main peephole)' },
+  { flag: 'peephole-profile', key: 'peepholeProfile', type: 'choice', choices: Object.keys(PEEPHOLE_PROFILES), description: 'Height standard for the peephole zone(s)' },
+  { flag: 'peephole-zone-min', key: 'peepholeZoneMin', type: 'length', description: 'Lowest peephole center from bottom for --peephole-profile custom' },
+  { flag: 'peephole-zone-max', key: 'peepholeZoneMax', type: 'length', description: 'Highest peephole center from bottom for --peephole-profile custom' },
+  { flag: 'hardware', key: 'hardware', type: 'hardware', optional: true, description: `Door hardware as type or type@center-height separated by ; (types: ${Object.keys(HARDWARE_TYPES).join(', ')}; default: lockset)` },
+  { flag: 'thickness', key: 'doorThickness', type: 'length', description: 'Door thickness, for the hinge size and weight' },
+  { flag: 'material', key: 'doorMaterial', type: 'choice', choices: Object.keys(DOOR_MATERIALS), description: 'Door material, for the weight estimate' },
+  { flag: 'hinges', key: 'hingeCount', type: 'count', optional: true, description: 'Number of hinges (default: from door height and weight)' },
+  { flag: 'handing', key: 'handing', type: 'choice', choices: Object.keys(HANDINGS), description: 'Door hand, seen from the side the door swings away from' },
+  { flag: 'swing', key: 'swing', type: 'choice', choices: Object.keys(SWINGS), description: 'Whether the door opens into or out of the building' },
+  { flag: 'view', key: 'viewSide', type: 'choice', choices: Object.keys(VIEW_SIDES), description: 'Face the layout is given for; left-right inputs are always as seen from the exterior' },
+  { flag: 'interior-face', key: 'interiorFace', type: 'face', optional: true, description: 'A separate interior face design as flag=value pairs separated by , e.g. "panels=2,proportion=equal" (default: the exterior design)' },
+  { flag: 'assembly', key: 'assembly', type: 'assembly', optional: true, description: 'A pair, sidelights or a transom with this door as setting=value pairs separated by , e.g. "pieces=sidelight@35;leaf;leaf,transom=45" (settings: pieces as type or type@width separated by ;, mullion, meeting-stile, meeting-gap, transom, transom-bar, transom-infill; default: a single leaf)' },
+  { flag: 'units', key: 'displayUnit', type: 'choice', choices: Object.keys(UNITS), description: 'Unit for all lengths, in and out' }
+];
+
+const optionsByName = new Map();
+for (const option of CONFIG_OPTIONS) {
+  optionsByName.set(option.flag, option);
+  optionsByName.set(option.key, option);
+}
+
+export const findConfigOption = (name) => optionsByName.get(String(name).trim());
+
+const TRUE_VALUES = ['true', 'yes', 'y', '1', 'on'];
+const FALSE_VALUES = ['false', 'no', 'n', '0', 'off', ''];
+
+// Convert a raw flag or file value to the type calculateLayout expects
+export const coerceOptionValue = (option, raw, source, unit = 'cm') => {
+  if (option.type === 'boolean') {
+    if (typeof raw === 'boolean') return raw;
+    const text = String(raw).trim().toLowerCase();
+    if (TRUE_VALUES.includes(text)) return true;
+    if (FALSE_VALUES.includes(text)) return false;
+    throw new Error(`${source}: "${raw}" is not a valid value for ${option.flag} (expected true or false)`);
+  }
+
+  if (option.type === 'choice') {
+    const text = String(raw).trim();
+    if (!option.choices.includes(text)) {
+      throw new Error(`${source}: "${raw}" is not a valid ${option.flag} (choose from ${option.choices.join(', ')})`);
+    }
+    return text;
+  }
+
+  if (option.type === 'ratios') {
+    const { ratios, error } = parseRatioSequence(Array.isArray(raw) ? raw.join(':') : raw);
+    if (error) throw new Error(`${source}: ${option.flag} "${raw}": ${error}`);
+    return ratios;
+  }
+
+  if (option.type === 'peepholes') {
+    return coercePeepholes(option, raw, source, unit);
+  }
+
+  if (option.type === 'hardware') {
+    return coerceHardware(option, raw, source, unit);
+  }
+
+  if (option.type === 'shapes') {
+    return coerceShapes(option, raw, source, unit);
+  }
+
+  if (option.type === 'face') {
+    return coerceFace(option, raw, source, unit);
+  }
+
+  if (option.type === 'assembly') {
+    return coerceAssembly(option, raw, source, unit);
+  }
+
+  // Optional lengths left blank fall back to edge distance / panel gap
+  if (option.optional && raw !== null && typeof raw !== 'object' && String(raw).trim() === '') return null;
+  if (option.optional && raw === null) return null;
+
+  if (option.type === 'lengths' || option.type === 'integers' || option.type === 'choices') {
+    const itemOption = { ...option, type: option.type.slice(0, -1) };
+    const items = Array.isArray(raw) ? raw : String(raw).split(';');
+    return items.map(item => (
+      item === null || String(item).trim() === '' ? null : coerceOptionValue(itemOption, item, source, unit)
+    ));
+  }
+
+  if (option.type === 'length') {
+    const cm = typeof raw === 'number' ? raw / UNITS[unit].perCm : parseLength(raw, unit);
+    if (!Number.isFinite(cm)) {
+      throw new Error(`${source}: "${raw}" is not a length in ${unit} for ${option.flag}`);
+    }
+    return cm;
+  }
+
+  const value = typeof raw === 'number' ? raw : Number(String(raw).trim());
+  if (String(raw).trim() === '' || !Number.isFinite(value)) {
+    throw new Error(`${source}: "${raw}" is not a number for ${option.flag}`);
+  }
+  if (option.type === 'integer' && (!Number.isInteger(value) || value < 1)) {
+    throw new Error(`${source}: ${option.flag} must be a whole number of at least 1`);
+  }
+  if (option.type === 'count' && (!Number.isInteger(value) || value < 0)) {
+    throw new Error(`${source}: ${option.flag} must be a whole number`);
+  }
+  return value;
+};
+
+// Extra peepholes from a JSON array of { label, top, diameter, left, auto,
+// zone } objects, or from "top,diameter,left" text entries. Zones are
+// numbered from 1 on the command line and from 0 in the config.
+const coercePeepholes = (option, raw, source, unit) => {
+  const length = (value) => (
+    value === null || value === undefined || String(value).trim() === ''
+      ? null
+      : coerceOptionValue({ ...option, type: 'length' }, value, source, unit)
+  );
+  if (Array.isArray(raw)) {
+    return raw.map(entry => ({
+      label: entry.label,
+      top: length(entry.top),
+      diameter: length(entry.diameter),
+      left: length(entry.left),
+      auto: Boolean(entry.auto),
+      zone: Number(entry.zone) || 0
+    }));
+  }
+  return String(raw).split(';').filter(entry => entry.trim() !== '').map(entry => {
+    const [top = '', diameter, left] = entry.split(',');
+    const auto = /^\s*auto(?::(\d+))?\s*$/i.exec(top);
+    if (auto && auto[1] !== undefined && Number(auto[1]) < 1) {
+      throw new Error(`${source}: ${option.flag} zones are numbered from 1`);
+    }
+    return {
+      top: auto ? null : length(top),
+      diameter: length(diameter),
+      left: length(left),
+      auto: Boolean(auto),
+      zone: auto && auto[1] !== undefined ? Number(auto[1]) - 1 : 0
+    };
+  });
+};
+
+// Hardware from a JSON array of { type, ...overrides } objects (lengths in
+// the door's unit), or from "type@height" text entries where the height is
+// the center from the bottom. "none" means no hardware.
+const coerceHardware = (option, raw, source, unit) => {
+  const checkType = (type) => {
+    if (!HARDWARE_TYPES[type]) {
+      throw new Error(`${source}: "${type}" is not a valid ${option.flag} type (choose from ${Object.keys(HARDWARE_TYPES).join(', ')})`);
+    }
+    return type;
+  };
+  const length = (value) => coerceOptionValue({ ...option, type: 'length' }, value, source, unit);
+  if (Array.isArray(raw)) {
+    return raw.map(entry => Object.fromEntries(Object.entries(entry).map(([key, value]) => {
+      if (key === 'type') return [key, checkType(value)];
+      if (key === 'label' || value === null) return [key, value];
+      return [key, length(value)];
+    })));
+  }
+  const text = String(raw).trim();
+  if (text === '' || text.toLowerCase() === 'none') return [];
+  return text.split(';').filter(entry => entry.trim() !== '').map(entry => {
+    const [type, height] = entry.split('@').map(part => part.trim());
+    return height === undefined
+      ? { type: checkType(type) }
+      : { type: checkType(type), centerHeight: length(height), fromTop: null };
+  });
+};
+
+// Panel shapes from a JSON array of { shape, rise, radius, shoulder,
+// cornerRadius } objects (lengths in the door's unit), or from
+// "shape:setting=length" text entries separated by ; where a blank entry is a
+// plain rectangle.
+const SHAPE_SETTINGS = { rise: 'rise', radius: 'radius', shoulder: 'shoulder', corner: 'cornerRadius', cornerRadius: 'cornerRadius' };
+
+const coerceShapes = (option, raw, source, unit) => {
+  const length = (value) => coerceOptionValue({ ...option, type: 'length' }, value, source, unit);
+  const checkShape = (shape = 'rectangle') => {
+    if (!PANEL_SHAPES[shape]) {
+      throw new Error(`${source}: "${shape}" is not a valid ${option.flag} shape (choose from ${Object.keys(PANEL_SHAPES).join(', ')})`);
+    }
+    return shape;
+  };
+  const setting = (name) => {
+    const key = SHAPE_SETTINGS[name];
+    if (!key) {
+      throw new Error(`${source}: "${name}" is not a ${option.flag} setting (choose from rise, radius, shoulder, corner)`);
+    }
+    return key;
+  };
+  const entries = Array.isArray(raw) ? raw : String(raw).split(';');
+  return entries.map(entry => {
+    if (entry === null || String(entry).trim() === '') return null;
+    if (typeof entry === 'object') {
+      return Object.fromEntries(Object.entries(entry).map(([name, value]) => (
+        name === 'shape' ? [name, checkShape(value)] : [setting(name), value === null ? null : length(value)]
+      )));
+    }
+    const [shape, ...settings] = String(entry).split(':').map(part => part.trim());
+    return {
+      shape: checkShape(shape),
+      ...Object.fromEntries(settings.filter(Boolean).map(part => {
+        const [name, value = ''] = part.split('=').map(text => text.trim());
+        return [setting(name), length(value)];
+      }))
+    };
+  });
+};
+
+// A face design from a JSON object or "flag=value" text entries separated by
+// commas, using the same names as the door's own options. Only the options
+// that make up a face design (FACE_KEYS) are allowed. "none" means no
+// separate design.
+const coerceFace = (option, raw, source, unit) => {
+  if (raw === null) return null;
+  const entries = typeof raw === 'object'
+    ? Object.entries(raw)
+    : String(raw).split(',').filter(entry => entry.trim() !== '').map(entry => {
+      const [name, ...value] = entry.split('=');
+      return [name.trim(), value.join('=')];
+    });
+  if (entries.length === 0 || (entries.length === 1 && entries[0][0].toLowerCase() === 'none' && entries[0][1] === '')) {
+    return null;
+  }
+  return Object.fromEntries(entries.map(([name, value]) => {
+    const faceOption = findConfigOption(name);
+    if (!faceOption || !FACE_KEYS.includes(faceOption.key)) {
+      throw new Error(`${source}: "${name}" is not a face setting for ${option.flag}`);
+    }
+    return [faceOption.key, coerceOptionValue(faceOption, value, source, unit)];
+  }));
+};
+
+// An assembly from a JSON object with the fields of DEFAULT_ASSEMBLY
+// (lengths in the door's unit), or from "setting=value" text entries
+// separated by commas, with the pieces as "type" or "type@width" separated
+// by ;. "none" means a single leaf.
+const ASSEMBLY_SETTINGS = {
+  pieces: 'pieces',
+  mullion: 'mullion',
+  'meeting-stile': 'meetingStile',
+  'meeting-gap': 'meetingGap',
+  transom: 'transomHeight',
+  'transom-bar': 'transomBar',
+  'transom-infill': 'transomInfill'
+};
+
+const coerceAssembly = (option, raw, source, unit) => {
+  if (raw === null) return null;
+  const length = (value) => coerceOptionValue({ ...option, type: 'length' }, value, source, unit);
+  const checkPiece = (type) => {
+    if (!PIECE_TYPES[type]) {
+      throw new Error(`${source}: "${type}" is not a valid ${option.flag} piece (choose from ${Object.keys(PIECE_TYPES).join(', ')})`);
+    }
+    return type;
+  };
+  const piece = (entry) => {
+    if (typeof entry === 'object') {
+      return {
+        ...entry,
+        type: checkPiece(entry.type),
+        width: entry.width === null || entry.width === undefined ? null : length(entry.width)
+      };
+    }
+    const [type, width] = String(entry).split('@').map(part => part.trim());
+    return { type: checkPiece(type), width: width === undefined || width === '' ? null : length(width) };
+  };
+  const entries = typeof raw === 'object'
+    ? Object.entries(raw)
+    : String(raw).split(',').filter(entry => entry.trim() !== '').map(entry => {
+      const [name, ...value] = entry.split('=');
+      return [name.trim(), value.join('=').trim()];
+    });
+  if (entries.length === 0 || (entries.length === 1 && entries[0][0].toLowerCase() === 'none' && entries[0][1] === '')) {
+    return null;
+  }
+  const settings = Object.fromEntries(entries.map(([name, value]) => {
+    const key = ASSEMBLY_SETTINGS[name] || Object.values(ASSEMBLY_SETTINGS).find(setting => setting === name);
+    if (!key) throw new Error(`${source}: "${name}" is not an ${option.flag} setting`);
+    if (key === 'pieces') {
+      const pieces = Array.isArray(value) ? value : value.split(';').filter(entry => entry.trim() !== '');
+      return [key, pieces.map(piece)];
+    }
+    if (key === 'transomInfill') {
+      return [key, coerceOptionValue({ ...option, type: 'choice', choices: Object.keys(INFILL_TYPES) }, value, source, unit)];
+    }
+    return [key, value === null || value === '' ? null : length(value)];
+  }));
+  return { ...DEFAULT_ASSEMBLY, ...settings };
+};
+
+// The mid rails to align across a project's doors as [{ rail, height }]:
+// "1;2@150" aligns rail 1 (the lowest) at the doors' average height and rail
+// 2 at 150 in `unit`.
+export const parseAlignedRails = (text, source, unit = 'cm') => String(text).split(';')
+  .filter(entry => entry.trim() !== '')
+  .map(entry => {
+    const [rail, height] = entry.split('@').map(part => part.trim());
+    if (!/^[1-9]\d*$/.test(rail)) {
+      throw new Error(`${source}: "${rail}" is not a mid rail number for align-rails (1 is the lowest)`);
+    }
+    if (height === undefined || height === '') return { rail: Number(rail), height: null };
+    const cm = parseLength(height, unit);
+    if (!Number.isFinite(cm)) throw new Error(`${source}: "${height}" is not a length in ${unit} for align-rails`);
+    return { rail: Number(rail), height: cm };
+  });
+
+// Turn a record of raw values (from flags, a JSON object or a CSV row) into a
+// partial layout config. Unknown fields are rejected so typos don't silently
+// fall back to defaults. Lengths are read in the record's own `units` if it
+// sets them, otherwise in `unit`.
+export const toLayoutConfig = (record, source, unit = 'cm') => {
+  const config = {};
+  const unitOption = findConfigOption('units');
+  const unitField = Object.keys(record).find(name => findConfigOption(name) === unitOption);
+  if (unitField !== undefined && record[unitField] !== undefined) {
+    config.displayUnit = coerceOptionValue(unitOption, record[unitField], source);
+  }
+  const recordUnit = config.displayUnit || unit;
+
+  for (const [name, raw] of Object.entries(record)) {
+    if (name === 'name' || name === unitField || raw === undefined) continue;
+    const option = findConfigOption(name);
+    if (!option) {
+      throw new Error(`${source}: unknown field "${name}"`);
+    }
+    config[option.key] = coerceOptionValue(option, raw, source, recordUnit);
+  }
+  return config;
+};
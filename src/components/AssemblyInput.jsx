@@ -0,0 +1,163 @@
+import React from 'react';
+import { DEFAULT_ASSEMBLY, PIECE_TYPES } from '../lib/assembly';
+import { INFILL_TYPES } from '../lib/infill';
+import { formatLength, getUnit } from '../lib/units';
+import LengthInput from './LengthInput';
+
+const inputClass = 'w-full p-2 border rounded focus:ring-2 focus:ring-blue-500 text-sm disabled:bg-gray-200 disabled:cursor-not-allowed';
+
+// Common compositions, left to right as seen from the exterior
+const PRESETS = [
+  { name: 'Single door', pieces: ['leaf'] },
+  { name: 'Pair', pieces: ['leaf', 'leaf'] },
+  { name: 'Sidelight', pieces: ['sidelight', 'leaf'] },
+  { name: 'Sidelights both sides', pieces: ['sidelight', 'leaf', 'sidelight'] },
+  { name: 'Pair with sidelights', pieces: ['sidelight', 'leaf', 'leaf', 'sidelight'] }
+];
+
+// A pair of doors or a door with sidelights and a transom, designed around
+// the door above: its rails run through every piece. Pieces are listed left
+// to right as seen from the exterior.
+const AssemblyInput = ({ layoutConfig, assemblyLayout, onChange, displayUnit, roundingStep }) => {
+  const { assembly } = layoutConfig;
+  const fmt = (cm) => formatLength(cm, displayUnit, { step: roundingStep });
+  const unitLabel = getUnit(displayUnit).label;
+
+  const update = (changes) => onChange({ ...assembly, ...changes });
+  const updatePiece = (index, changes) => update({
+    pieces: assembly.pieces.map((piece, i) => (i === index ? { ...piece, ...changes } : piece))
+  });
+  const removePiece = (index) => update({ pieces: assembly.pieces.filter((_, i) => i !== index) });
+  const addPiece = (atStart) => {
+    const piece = { type: 'sidelight', width: null };
+    update({ pieces: atStart ? [piece, ...assembly.pieces] : [...assembly.pieces, piece] });
+  };
+  const applyPreset = (preset) => update({ pieces: preset.pieces.map(type => ({ type, width: null })) });
+
+  const lengthField = (label, value, onValue, disabled = false) => (
+    <div>
+      <label className="block text-xs font-medium mb-1">{label} ({unitLabel})</label>
+      <LengthInput value={value} unit={displayUnit} step={roundingStep} onChange={onValue} disabled={disabled} className={inputClass} />
+    </div>
+  );
+
+  return (
+    <div className="space-y-3">
+      <label className="flex items-center text-sm">
+        <input
+          type="checkbox"
+          checked={Boolean(assembly)}
+          onChange={(e) => onChange(e.target.checked ? DEFAULT_ASSEMBLY : null)}
+          className="mr-2"
+        />
+        Design a pair, sidelights or a transom with this door
+      </label>
+
+      {assembly && (
+        <>
+          <div className="flex flex-wrap gap-2">
+            {PRESETS.map(preset => (
+              <button
+                key={preset.name}
+                type="button"
+                onClick={() => applyPreset(preset)}
+                className="px-2 py-1 text-xs border rounded bg-white hover:bg-gray-100"
+              >
+                {preset.name}
+              </button>
+            ))}
+          </div>
+
+          {assembly.pieces.map((piece, index) => {
+            const placed = assemblyLayout && assemblyLayout.pieces[index];
+            const isActive = Boolean(placed && placed.active);
+            return (
+              <div key={index} className="border rounded p-3 space-y-2 bg-white">
+                <div className="flex items-center justify-between text-sm">
+                  <span className="font-medium">
+                    {placed ? placed.label : PIECE_TYPES[piece.type].name}
+                    {isActive && ' (this door)'}
+                    {placed && piece.type === 'leaf' && `, ${placed.handing.code}`}
+                  </span>
+                  {!isActive && (
+                    <button type="button" onClick={() => removePiece(index)} className="text-xs text-red-700 hover:underline">
+                      Remove
+                    </button>
+                  )}
+                </div>
+                <div className="grid grid-cols-3 gap-3">
+                  <div>
+                    <label className="block text-xs font-medium mb-1">Type</label>
+                    <select
+                      value={piece.type}
+                      onChange={(e) => updatePiece(index, { type: e.target.value })}
+                      disabled={isActive}
+                      className={inputClass}
+                    >
+                      {Object.entries(PIECE_TYPES).map(([key, type]) => (
+                        <option key={key} value={key}>{type.name}</option>
+                      ))}
+                    </select>
+                  </div>
+                  {lengthField('Width', placed ? placed.width : 0, (cm) => updatePiece(index, { width: cm }), isActive)}
+                  {piece.type === 'sidelight' && (
+                    <div>
+                      <label className="block text-xs font-medium mb-1">Infill</label>
+                      <select
+                        value={piece.panelInfill || layoutConfig.panelInfill}
+                        onChange={(e) => updatePiece(index, { panelInfill: e.target.value })}
+                        className={inputClass}
+                      >
+                        {Object.entries(INFILL_TYPES).map(([key, infill]) => (
+                          <option key={key} value={key}>{infill.name}</option>
+                        ))}
+                      </select>
+                    </div>
+                  )}
+                </div>
+              </div>
+            );
+          })}
+          <div className="flex gap-3 text-xs">
+            <button type="button" onClick={() => addPiece(true)} className="text-blue-700 hover:underline">Add on the left</button>
+            <button type="button" onClick={() => addPiece(false)} className="text-blue-700 hover:underline">Add on the right</button>
+          </div>
+
+          <div className="grid grid-cols-3 gap-3">
+            {lengthField('Mullion', assembly.mullion, (cm) => update({ mullion: cm }))}
+            {lengthField('Meeting stile', assembly.meetingStile ?? layoutConfig.edgeDistance, (cm) => update({ meetingStile: cm }))}
+            {lengthField('Meeting gap', assembly.meetingGap, (cm) => update({ meetingGap: cm }))}
+            {lengthField('Transom height', assembly.transomHeight, (cm) => update({ transomHeight: cm }))}
+            {lengthField('Transom bar', assembly.transomBar, (cm) => update({ transomBar: cm }))}
+            <div>
+              <label className="block text-xs font-medium mb-1">Transom infill</label>
+              <select value={assembly.transomInfill} onChange={(e) => update({ transomInfill: e.target.value })} className={inputClass}>
+                {Object.entries(INFILL_TYPES).map(([key, infill]) => (
+                  <option key={key} value={key}>{infill.name}</option>
+                ))}
+              </select>
+            </div>
+          </div>
+          <p className="text-xs text-gray-600">
+            Transom height 0 leaves out the transom. Other pieces take this door&apos;s rails and row heights, and only
+            this door carries the peepholes and hardware.
+          </p>
+
+          {assemblyLayout && (
+            <div className="text-xs space-y-1">
+              <p>
+                <strong>Overall:</strong> {fmt(assemblyLayout.width)} × {fmt(assemblyLayout.height)}
+              </p>
+              <p>
+                <strong>Shared rails:</strong> {assemblyLayout.rails.map(rail => `${rail.name} ${fmt(rail.top)}–${fmt(rail.bottom)}`).join(', ')} from the top
+              </p>
+              {assemblyLayout.warnings.map(warning => <p key={warning} className="text-orange-800">⚠ {warning}</p>)}
+            </div>
+          )}
+        </>
+      )}
+    </div>
+  );
+};
+
+export default AssemblyInput;
@@ -0,0 +1,89 @@
+import React from 'react';
+import PanelInfill from './PanelInfill';
+
+const panelColors = ['#F5DEB3', '#DEB887', '#D2B48C', '#CDAA3D', '#DAA520'];
+const panelStrokes = ['#D2691E', '#CD853F', '#A0522D', '#B8860B', '#B8860B'];
+
+// The whole assembly in one drawing, as seen from the viewed face: every
+// leaf and sidelight with its panels, the mullions and transom bar in the
+// darker frame color, the swing of each leaf, and the shared rails as dashed
+// lines running across all pieces.
+const AssemblyView = ({ assembly, width = 380 }) => {
+  const scale = width / assembly.width;
+  const height = assembly.height * scale;
+  const at = (cm) => 10 + cm * scale;
+  const { transom } = assembly;
+
+  return (
+    <svg width={width + 20} height={height + 36} className="border border-gray-300 bg-white rounded shadow">
+      <text x="10" y="14" fontSize="11" fill="#374151">
+        Assembly, {assembly.pieces[0].handing.viewSide} view
+      </text>
+      <g transform="translate(0, 16)">
+        <rect x="10" y="10" width={width} height={height} fill="#654321" stroke="#3F2A14" strokeWidth="2" />
+
+        {transom && (
+          <g>
+            <rect x={at(transom.left)} y={at(transom.top)} width={transom.width * scale} height={transom.height * scale} fill="#8B4513" />
+            {transom.panelPositions.map((position, index) => (
+              <PanelInfill
+                key={index}
+                panel={position}
+                scale={scale}
+                origin={10}
+                infill={transom.infills[index]}
+                fill={panelColors[0]}
+                stroke={panelStrokes[0]}
+                strokeWidth="1"
+                clipId={`assembly-transom-${index}`}
+              />
+            ))}
+          </g>
+        )}
+
+        {assembly.pieces.map(piece => {
+          const { layout } = piece;
+          const hingeX = layout.handing.hingeSide === 'left' ? 0 : piece.width * scale;
+          const lockX = layout.handing.hingeSide === 'left' ? piece.width * scale : 0;
+          return (
+            <g key={piece.index} transform={`translate(${at(piece.left)}, ${at(piece.top)})`}>
+              <rect width={piece.width * scale} height={piece.height * scale} fill="#8B4513" stroke={piece.active ? '#1D4ED8' : 'none'} strokeWidth="2" />
+              {layout.fits && layout.panelPositions.map((position, index) => (
+                <PanelInfill
+                  key={index}
+                  panel={position}
+                  scale={scale}
+                  origin={0}
+                  infill={layout.infills[index]}
+                  fill={panelColors[index % panelColors.length]}
+                  stroke={panelStrokes[index % panelStrokes.length]}
+                  strokeWidth="1"
+                  clipId={`assembly-${piece.index}-${index}`}
+                />
+              ))}
+              {piece.type === 'leaf' && (
+                <polyline
+                  points={`${lockX},0 ${hingeX},${(piece.height * scale) / 2} ${lockX},${piece.height * scale}`}
+                  fill="none"
+                  stroke="#1F2937"
+                  strokeWidth="1"
+                  strokeDasharray={layout.handing.towardViewer ? undefined : '6,4'}
+                  opacity="0.5"
+                />
+              )}
+              <text x={(piece.width * scale) / 2} y={piece.height * scale - 3} textAnchor="middle" fontSize="9" fill="#F9FAFB">
+                {piece.label}
+              </text>
+            </g>
+          );
+        })}
+
+        {assembly.rails.flatMap(rail => [rail.top, rail.bottom]).map((y, index) => (
+          <line key={index} x1="10" y1={at(y)} x2={10 + width} y2={at(y)} stroke="#F59E0B" strokeWidth="0.75" strokeDasharray="3,3" />
+        ))}
+      </g>
+    </svg>
+  );
+};
+
+export default AssemblyView;
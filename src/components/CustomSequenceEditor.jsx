@@ -0,0 +1,62 @@
+import React, { useState } from 'react';
+import { formatRatioSequence, parseRatioSequence } from '../lib/layoutEngine';
+
+const inputClass = 'w-full p-2 border rounded focus:ring-2 focus:ring-blue-500 text-sm';
+
+// Ratio-string editor for the custom proportion type. Valid input is applied
+// as you type; the sequence can then be saved under a name.
+const CustomSequenceEditor = ({ ratios, panelCount, onChange, onSave, savedNames }) => {
+  const [text, setText] = useState(() => formatRatioSequence(ratios));
+  const [name, setName] = useState('');
+  const { error } = parseRatioSequence(text);
+  const trimmedName = name.trim();
+
+  const changeText = (value) => {
+    setText(value);
+    const parsed = parseRatioSequence(value);
+    if (!parsed.error) onChange(parsed.ratios);
+  };
+
+  const save = () => {
+    onSave(trimmedName, ratios);
+    setName('');
+  };
+
+  return (
+    <div className="space-y-2 mt-2">
+      <input
+        type="text"
+        value={text}
+        onChange={(e) => changeText(e.target.value)}
+        placeholder="1 : 3 : 1 : 1.5"
+        className={`${inputClass} font-mono ${error ? 'border-red-500' : ''}`}
+      />
+      {error ? (
+        <p className="text-xs text-red-600">{error}</p>
+      ) : ratios.length !== panelCount && (
+        <p className="text-xs text-orange-600">
+          {ratios.length} ratios for {panelCount} panels: the sequence {ratios.length > panelCount ? 'is cut short' : 'repeats'}.
+        </p>
+      )}
+      <div className="flex gap-2">
+        <input
+          type="text"
+          value={name}
+          onChange={(e) => setName(e.target.value)}
+          placeholder="Name, e.g. client or project"
+          className={inputClass}
+        />
+        <button
+          type="button"
+          onClick={save}
+          disabled={!trimmedName || Boolean(error)}
+          className="px-3 py-2 bg-blue-600 text-white rounded text-sm disabled:bg-gray-300 disabled:cursor-not-allowed"
+        >
+          {savedNames.includes(trimmedName) ? 'Replace' : 'Save'}
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default CustomSequenceEditor;
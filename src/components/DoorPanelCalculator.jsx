@@ -1,452 +1,376 @@
-import React, { useState, useMemo } from 'react';
+import React, { useState, useMemo, useEffect } from 'react';
+import { calculateLayout, CUSTOM_PROPORTION, DEFAULT_CONFIG, describeProportion, formatRatioSequence } from '../lib/layoutEngine';
+import { getProportionFamily, ratioFamilies, sequenceFamilies } from '../lib/proportionRegistry';
+import { UNITS, defaultStep, formatArea, formatLength, fromUnit, getUnit, roundLayout } from '../lib/units';
+import LengthInput from './LengthInput';
+import FrameWidthsInput from './FrameWidthsInput';
+import GridLayoutInput from './GridLayoutInput';
+import SnappingInput from './SnappingInput';
+import PeepholeProfileInput from './PeepholeProfileInput';
+import ExtraPeepholesInput from './ExtraPeepholesInput';
+import FaceView from './FaceView';
+import HandingInput from './HandingInput';
+import HardwareInput from './HardwareInput';
+import InteriorFaceInput from './InteriorFaceInput';
+import AssemblyInput from './AssemblyInput';
+import AssemblyView from './AssemblyView';
+import { calculateAssembly } from '../lib/assembly';
+import InfillInput from './InfillInput';
+import PanelShapeInput from './PanelShapeInput';
+import PanelInfill from './PanelInfill';
+import { checkHardware } from '../lib/hardware';
+import { outlineSvgPath, panelOutline } from '../lib/panelShapes';
+import LayoutOptimizer from './LayoutOptimizer';
+import SweepExplorer from './SweepExplorer';
+import CustomSequenceEditor from './CustomSequenceEditor';
+import { deleteSequence, loadSavedSequences, saveSequence } from '../lib/savedSequences';
+import ExportPanel from './ExportPanel';
+import { buildToolpaths } from '../lib/export/gcode';
+import MoldingCutList from './MoldingCutList';
+import { profileForPanel } from '../lib/moldingCutList';
+import RailAndStileParts from './RailAndStileParts';
+import ProjectPanel from './ProjectPanel';
+import { DEFAULT_PROJECT, solveProject } from '../lib/project';
+import SaveSharePanel from './SaveSharePanel';
+import { DEFAULT_SHOP_SETTINGS } from '../lib/designFile';
+import { deleteDesign, loadSavedDesigns, loadStartupWork, saveDesign, storeCurrentWork } from '../lib/savedDesigns';
+
+// Drawing colors per hardware type
+const hardwareColors = {
+  lockset: { fill: '#FFD700', stroke: '#DAA520' },
+  deadbolt: { fill: '#FFD700', stroke: '#DAA520' },
+  hinge: { fill: '#C0C0C0', stroke: '#A0A0A0' },
+  'mail-slot': { fill: '#4B5563', stroke: '#1F2937' },
+  'kick-plate': { fill: '#D4A017', stroke: '#B8860B' }
+};
+
+// Open a shared link, or pick up where the last visit left off
+const openStartupWork = () => loadStartupWork(typeof window !== 'undefined' ? window.location.hash : '');
+
+// A saved rounding step if the unit offers it, else the unit's default
+const roundingStepFor = (step, unit) => (getUnit(unit).steps.some(option => option.value === step) ? step : defaultStep(unit));
 
 const DoorPanelCalculator = () => {
-  const [doorWidth, setDoorWidth] = useState(103);
-  const [doorHeight, setDoorHeight] = useState(203);
-  const [edgeDistance, setEdgeDistance] = useState(15);
-  const [panelGap, setPanelGap] = useState(10);
-  const [panelCount, setPanelCount] = useState(2);
-  const [proportionType, setProportionType] = useState('golden');
-  const [showPeephole, setShowPeephole] = useState(false);
-  const [peepholeTop, setPeepholeTop] = useState(45);
-  const [peepholeDiameter, setPeepholeDiameter] = useState(6);
-  const [minEdgeDistance, setMinEdgeDistance] = useState(2);
-  const [autoCenterPeephole, setAutoCenterPeephole] = useState(false);
-  const [preferGapPlacement, setPreferGapPlacement] = useState(false);
+  const [startup] = useState(openStartupWork);
+  const initial = { ...DEFAULT_CONFIG, ...startup.config };
+  const initialShop = { ...DEFAULT_SHOP_SETTINGS, ...startup.shop };
+  const [doorWidth, setDoorWidth] = useState(initial.doorWidth);
+  const [doorHeight, setDoorHeight] = useState(initial.doorHeight);
+  const [edgeDistance, setEdgeDistance] = useState(initial.edgeDistance);
+  const [panelGap, setPanelGap] = useState(initial.panelGap);
+  const [leftStileWidth, setLeftStileWidth] = useState(initial.leftStileWidth);
+  const [rightStileWidth, setRightStileWidth] = useState(initial.rightStileWidth);
+  const [topRailWidth, setTopRailWidth] = useState(initial.topRailWidth);
+  const [bottomRailWidth, setBottomRailWidth] = useState(initial.bottomRailWidth);
+  const [midRailWidths, setMidRailWidths] = useState(initial.midRailWidths);
+  const [showFrameWidths, setShowFrameWidths] = useState(false);
+  const [columnCount, setColumnCount] = useState(initial.columnCount);
+  const [rowColumns, setRowColumns] = useState(initial.rowColumns);
+  const [mullionWidth, setMullionWidth] = useState(initial.mullionWidth);
+  const [columnProportionType, setColumnProportionType] = useState(initial.columnProportionType);
+  const [panelInfill, setPanelInfill] = useState(initial.panelInfill);
+  const [panelInfills, setPanelInfills] = useState(initial.panelInfills);
+  const [safetyGlazingHeight, setSafetyGlazingHeight] = useState(initial.safetyGlazingHeight);
+  const [louverPitch, setLouverPitch] = useState(initial.louverPitch);
+  const [panelShapes, setPanelShapes] = useState(initial.panelShapes);
+  const [panelCount, setPanelCount] = useState(initial.panelCount);
+  const [proportionType, setProportionType] = useState(initial.proportionType);
+  const [customRatios, setCustomRatios] = useState(initial.customRatios);
+  const [savedSequences, setSavedSequences] = useState(loadSavedSequences);
+  // Name of the saved sequence in use; null while editing the custom ratios
+  const [activeSequence, setActiveSequence] = useState(null);
+  const [showPeephole, setShowPeephole] = useState(initial.showPeephole);
+  const [peepholeTop, setPeepholeTop] = useState(initial.peepholeTop);
+  const [peepholeDiameter, setPeepholeDiameter] = useState(initial.peepholeDiameter);
+  const [peepholeLeft, setPeepholeLeft] = useState(initial.peepholeLeft);
+  const [extraPeepholes, setExtraPeepholes] = useState(initial.extraPeepholes);
+  const [hardware, setHardware] = useState(initial.hardware);
+  const [doorThickness, setDoorThickness] = useState(initial.doorThickness);
+  const [doorMaterial, setDoorMaterial] = useState(initial.doorMaterial);
+  const [hingeCount, setHingeCount] = useState(initial.hingeCount);
+  const [handing, setHanding] = useState(initial.handing);
+  const [swing, setSwing] = useState(initial.swing);
+  const [viewSide, setViewSide] = useState(initial.viewSide);
+  const [interiorFace, setInteriorFace] = useState(initial.interiorFace);
+  const [assembly, setAssembly] = useState(initial.assembly);
+  const [minEdgeDistance, setMinEdgeDistance] = useState(initial.minEdgeDistance);
+  const [autoCenterPeephole, setAutoCenterPeephole] = useState(initial.autoCenterPeephole);
+  const [preferGapPlacement, setPreferGapPlacement] = useState(initial.preferGapPlacement);
+  const [peepholeProfile, setPeepholeProfile] = useState(initial.peepholeProfile);
+  const [peepholeZoneMin, setPeepholeZoneMin] = useState(initial.peepholeZoneMin);
+  const [peepholeZoneMax, setPeepholeZoneMax] = useState(initial.peepholeZoneMax);
   const [isProportionsCollapsed, setIsProportionsCollapsed] = useState(false);
-  const [autoCalculateSpacing, setAutoCalculateSpacing] = useState(false);
-  const [spacingRatioType, setSpacingRatioType] = useState('golden');
-
-  // Define available ratios with their values and descriptions
-  const ratioTypes = {
-    golden: {
-      value: (1 + Math.sqrt(5)) / 2,
-      name: 'Golden Ratio (φ)',
-      description: 'Most famous in architecture. Used in Greek temples, Renaissance art, and classical door designs. Creates the most aesthetically pleasing proportions.',
-      usage: 'Recommended for classical and high-end doors'
-    },
-    sqrt2: {
-      value: Math.sqrt(2),
-      name: '√2 Ratio',
-      description: 'Used in ISO paper sizes (A4, etc.) and traditional Japanese architecture. Creates balanced, practical proportions.',
-      usage: 'Common in modern minimalist doors'
-    },
-    '3:2': {
-      value: 1.5,
-      name: '3:2 Ratio',
-      description: 'Classic photography ratio. Simple, harmonious proportions widely used in traditional craftsmanship and panel doors.',
-      usage: 'Very common in residential doors'
-    },
-    '4:3': {
-      value: 4/3,
-      name: '4:3 Ratio',
-      description: 'Traditional screen format. Provides slightly squarer panels, creating a more conservative, stable appearance.',
-      usage: 'Traditional and conservative door styles'
-    },
-    silver: {
-      value: 1 + Math.sqrt(2),
-      name: 'Silver Ratio (δₛ)',
-      description: 'Less known than golden ratio but equally elegant. Found in paper sizes and some Japanese temple proportions. Creates more dramatic proportions with larger panels.',
-      usage: 'For bold, dramatic door designs with prominent panels'
-    }
+  const [autoCalculateSpacing, setAutoCalculateSpacing] = useState(initial.autoCalculateSpacing);
+  const [spacingRatioType, setSpacingRatioType] = useState(initial.spacingRatioType);
+  const [snapMode, setSnapMode] = useState(initial.snapMode);
+  const [snapGrid, setSnapGrid] = useState(initial.snapGrid);
+  const [snapStock, setSnapStock] = useState(initial.snapStock);
+  const [displayUnit, setDisplayUnit] = useState(initial.displayUnit);
+  const [roundingStep, setRoundingStep] = useState(roundingStepFor(initialShop.roundingStep, initial.displayUnit));
+  const [balanceRounding, setBalanceRounding] = useState(initialShop.balanceRounding);
+  const [gcodeOptions, setGcodeOptions] = useState(initialShop.gcodeOptions);
+  const [showToolpathPreview, setShowToolpathPreview] = useState(false);
+  const [moldingMode, setMoldingMode] = useState(initialShop.moldingMode);
+  const [moldingOptions, setMoldingOptions] = useState(initialShop.moldingOptions);
+  const [constructionMode, setConstructionMode] = useState(initialShop.constructionMode);
+  const [joineryOptions, setJoineryOptions] = useState(initialShop.joineryOptions);
+  const [project, setProject] = useState(startup.project || DEFAULT_PROJECT);
+  const [savedDesigns, setSavedDesigns] = useState(loadSavedDesigns);
+  // Index of the project door loaded for editing, if any
+  const [projectDoor, setProjectDoor] = useState(null);
+
+  const layoutConfig = useMemo(() => ({
+    doorWidth,
+    doorHeight,
+    edgeDistance,
+    panelGap,
+    leftStileWidth,
+    rightStileWidth,
+    topRailWidth,
+    bottomRailWidth,
+    midRailWidths,
+    panelCount,
+    proportionType,
+    customRatios,
+    columnCount,
+    rowColumns,
+    mullionWidth,
+    columnProportionType,
+    panelInfill,
+    panelInfills,
+    safetyGlazingHeight,
+    louverPitch,
+    panelShapes,
+    showPeephole,
+    peepholeTop,
+    peepholeDiameter,
+    peepholeLeft,
+    minEdgeDistance,
+    autoCenterPeephole,
+    preferGapPlacement,
+    extraPeepholes,
+    hardware,
+    doorThickness,
+    doorMaterial,
+    hingeCount,
+    handing,
+    swing,
+    viewSide,
+    interiorFace,
+    assembly,
+    peepholeProfile,
+    peepholeZoneMin,
+    peepholeZoneMax,
+    autoCalculateSpacing,
+    spacingRatioType,
+    snapMode,
+    snapGrid,
+    snapStock,
+    displayUnit
+  }), [doorWidth, doorHeight, edgeDistance, panelGap, leftStileWidth, rightStileWidth, topRailWidth, bottomRailWidth, midRailWidths, panelCount, proportionType, customRatios, columnCount, rowColumns, mullionWidth, columnProportionType, panelInfill, panelInfills, safetyGlazingHeight, louverPitch, panelShapes, showPeephole, peepholeTop, peepholeDiameter, peepholeLeft, minEdgeDistance, autoCenterPeephole, preferGapPlacement, extraPeepholes, hardware, doorThickness, doorMaterial, hingeCount, handing, swing, viewSide, interiorFace, assembly, peepholeProfile, peepholeZoneMin, peepholeZoneMax, autoCalculateSpacing, spacingRatioType, snapMode, snapGrid, snapStock, displayUnit]);
+
+  // In an assembly this door is the active leaf, with the meeting stile of
+  // a pair
+  const assemblyLayout = useMemo(() => (assembly ? calculateAssembly(layoutConfig) : null), [assembly, layoutConfig]);
+  const doorConfig = assemblyLayout ? assemblyLayout.pieces[assemblyLayout.primary].config : layoutConfig;
+  const calculations = useMemo(() => (
+    assemblyLayout ? assemblyLayout.pieces[assemblyLayout.primary].layout : calculateLayout(layoutConfig)
+  ), [assemblyLayout, layoutConfig]);
+
+  // Settings saved with a design that do not change its layout
+  const shopSettings = useMemo(() => ({
+    roundingStep,
+    balanceRounding,
+    moldingMode,
+    moldingOptions,
+    constructionMode,
+    joineryOptions,
+    gcodeOptions
+  }), [roundingStep, balanceRounding, moldingMode, moldingOptions, constructionMode, joineryOptions, gcodeOptions]);
+
+  // Keep the work in progress for the next visit, and drop an opened share
+  // link from the address so a reload shows later edits
+  useEffect(() => {
+    storeCurrentWork(layoutConfig, project, shopSettings);
+  }, [layoutConfig, project, shopSettings]);
+  useEffect(() => {
+    if (startup.shared || startup.error) window.history.replaceState(null, '', window.location.pathname + window.location.search);
+  }, [startup]);
+
+  const projectLayout = useMemo(() => (project.doors.length > 0 ? solveProject(project) : null), [project]);
+
+  // The other face, drawn beside this one when the faces differ
+  const otherFaceCalculations = useMemo(() => (
+    interiorFace ? calculateLayout({ ...doorConfig, viewSide: viewSide === 'interior' ? 'exterior' : 'interior' }) : null
+  ), [doorConfig, interiorFace, viewSide]);
+
+  // With applied molding, hardware must also stay clear of the molding
+  const checkedHardware = useMemo(() => (
+    moldingMode
+      ? checkHardware(calculations.hardware, calculations.panelPositions, {
+        edgeBands: calculations.panelPositions.map((panel, index) => profileForPanel(moldingOptions, index).width),
+        displayUnit
+      })
+      : calculations.hardware
+  ), [moldingMode, moldingOptions, calculations, displayUnit]);
+
+  const toolpaths = useMemo(() => (
+    showToolpathPreview ? buildToolpaths(calculations, layoutConfig, gcodeOptions) : null
+  ), [showToolpathPreview, calculations, layoutConfig, gcodeOptions]);
+
+  // Rounded shop dimensions: panel heights absorb the rounding so that all
+  // parts still add up to the door height
+  const roundedLayout = useMemo(() => (
+    balanceRounding ? roundLayout(calculations, { doorWidth, doorHeight }, displayUnit, roundingStep) : null
+  ), [balanceRounding, calculations, doorWidth, doorHeight, displayUnit, roundingStep]);
+
+  const unitLabel = getUnit(displayUnit).label;
+  const fmt = (cm) => formatLength(cm, displayUnit, { step: roundingStep });
+  // Values from roundedLayout are already in the display unit
+  const fmtRounded = (value) => fmt(fromUnit(value, displayUnit));
+  const panelWidthLabel = roundedLayout ? fmtRounded(roundedLayout.panelWidth) : fmt(calculations.panelWidth);
+  const panelLabels = roundedLayout
+    ? roundedLayout.panelPositions.map(panel => ({ width: fmtRounded(panel.width), height: fmtRounded(panel.height) }))
+    : calculations.panelPositions.map(panel => ({ width: fmt(panel.width), height: fmt(panel.height) }));
+  const isGrid = calculations.rows.some(row => row.columns > 1);
+  const hasUniformWidth = calculations.panelPositions.every(panel => Math.abs(panel.width - calculations.panelWidth) < 1e-6);
+
+  const frameWidthSetters = {
+    leftStileWidth: setLeftStileWidth,
+    rightStileWidth: setRightStileWidth,
+    topRailWidth: setTopRailWidth,
+    bottomRailWidth: setBottomRailWidth,
+    midRailWidths: setMidRailWidths
+  };
+  const gridSetters = {
+    columnCount: setColumnCount,
+    rowColumns: setRowColumns,
+    mullionWidth: setMullionWidth,
+    columnProportionType: setColumnProportionType
+  };
+  const infillSetters = {
+    panelInfill: setPanelInfill,
+    panelInfills: setPanelInfills,
+    safetyGlazingHeight: setSafetyGlazingHeight,
+    louverPitch: setLouverPitch
+  };
+  const snappingSetters = {
+    snapMode: setSnapMode,
+    snapGrid: setSnapGrid,
+    snapStock: setSnapStock
   };
+  const hingeSetters = {
+    doorThickness: setDoorThickness,
+    doorMaterial: setDoorMaterial,
+    hingeCount: setHingeCount
+  };
+  const handingSetters = {
+    handing: setHanding,
+    swing: setSwing,
+    viewSide: setViewSide
+  };
+  const peepholeProfileSetters = {
+    peepholeProfile: setPeepholeProfile,
+    peepholeZoneMin: setPeepholeZoneMin,
+    peepholeZoneMax: setPeepholeZoneMax
+  };
+  const frameLabels = roundedLayout
+    ? { frame: Object.fromEntries(Object.entries(roundedLayout.frame).map(([side, value]) => [side, fmtRounded(value)])), gaps: roundedLayout.gaps.map(fmtRounded) }
+    : { frame: Object.fromEntries(Object.entries(calculations.frame).map(([side, cm]) => [side, fmt(cm)])), gaps: calculations.gaps.map(fmt) };
 
-  const calculations = useMemo(() => {
-    const phi = (1 + Math.sqrt(5)) / 2;
-    const targetRatio = autoCalculateSpacing ? ratioTypes[spacingRatioType].value : phi;
-
-    // Auto-calculate spacing based on golden ratio if enabled
-    let calculatedEdgeDistance = edgeDistance;
-    let calculatedPanelGap = panelGap;
-
-    if (autoCalculateSpacing) {
-      // Calculate spacing where panel AREA : negative space AREA = targetRatio : 1
-      // We want: totalPanelArea / negativeSpaceArea = targetRatio
-      // Also maintain: gap = edge / targetRatio (so gaps relate to edges by the chosen ratio)
-
-      // Let edge = e, gap = g = e/ratio
-      // Panel width = W - 2e
-      // Panel height total = H - 2e - (n-1)g = H - 2e - (n-1)e/ratio
-      // Panel area = (W - 2e) × [H - 2e - (n-1)e/ratio]
-      //
-      // Negative space area = Total area - Panel area
-      //                     = WH - (W - 2e)[H - 2e - (n-1)e/ratio]
-      //
-      // We want: Panel area / Negative area = ratio
-      // So: Panel area = ratio × Negative area
-      // And: Panel area + Negative area = WH
-      // Therefore: Panel area = ratio/(1+ratio) × WH  (since Panel = ratio×Negative and Panel+Negative=WH)
-      //
-      // So: (W - 2e) × [H - 2e - (n-1)e/ratio] = ratio/(1+ratio) × WH
-
-      // Simplified approach: solve iteratively or use approximation
-      // Let's expand and solve for e:
-      // Let k = 2 + (panelCount-1)/ratio
-      // Panel height = H - ke
-      // Panel area = (W - 2e)(H - ke)
-      // We want: (W - 2e)(H - ke) = ratio/(1+ratio) × WH
-
-      // This is a quadratic in e. Let's solve:
-      // (W - 2e)(H - ke) = ratio/(1+ratio) × WH
-      // WH - kWe - 2He + 2ke² = ratio×WH/(1+ratio)
-      // 2ke² - (kW + 2H)e + WH - ratio×WH/(1+ratio) = 0
-      // 2ke² - (kW + 2H)e + WH/(1+ratio) = 0
-
-      const k = 2 + (panelCount - 1) / targetRatio;
-      const targetPanelRatio = targetRatio / (1 + targetRatio);
-
-      const a = 2 * k;
-      const b = -(k * doorWidth + 2 * doorHeight);
-      const c = doorWidth * doorHeight / (1 + targetRatio);
-
-      // Quadratic formula: e = [-b ± sqrt(b² - 4ac)] / 2a
-      const discriminant = b * b - 4 * a * c;
-
-      if (discriminant >= 0) {
-        const e1 = (-b + Math.sqrt(discriminant)) / (2 * a);
-        const e2 = (-b - Math.sqrt(discriminant)) / (2 * a);
-
-        // Choose the smaller positive solution
-        calculatedEdgeDistance = Math.min(Math.abs(e1), Math.abs(e2));
-
-        // Sanity check: ensure it's positive and reasonable
-        if (calculatedEdgeDistance < 1 || calculatedEdgeDistance > doorHeight / 3) {
-          // If unreasonable, use a conservative fallback that guarantees fit
-          // Allocate 10% to edges and calculate gap to fit panels
-          calculatedEdgeDistance = doorHeight * 0.05;
-        }
-      } else {
-        // No mathematical solution exists - use conservative fallback
-        calculatedEdgeDistance = doorHeight * 0.05;
-      }
-
-      calculatedPanelGap = calculatedEdgeDistance / targetRatio;
-    }
-
-    const availableWidth = doorWidth - (2 * calculatedEdgeDistance);
-    const availableHeight = doorHeight - (2 * calculatedEdgeDistance);
-    const totalGaps = (panelCount - 1) * calculatedPanelGap;
-    const availableHeightForPanels = Math.max(0, availableHeight - totalGaps);
-
-    // Define proportion ratios for different arrangements
-    const getProportionRatios = (count, type) => {
-      if (count < 1) return [1];
-
-      // Generate ratios dynamically for any panel count
-      switch (type) {
-        case 'equal':
-          return Array(count).fill(1);
-
-        case 'golden':
-          // Golden progression: 1, φ, φ², φ³, ...
-          return Array.from({ length: count }, (_, i) => Math.pow(phi, i));
-
-        case 'reverse':
-          // Reverse golden progression: φⁿ⁻¹, φⁿ⁻², ..., φ, 1
-          return Array.from({ length: count }, (_, i) => Math.pow(phi, count - 1 - i));
-
-        case 'classic':
-          // Symmetric pattern: small edges, larger middle
-          if (count === 1) return [1];
-          if (count === 2) return [1, 2];
-          // For 3+: gradually increase to middle, then decrease
-          const half = Math.floor(count / 2);
-          const pattern = [];
-          for (let i = 0; i < count; i++) {
-            const distFromEdge = Math.min(i, count - 1 - i);
-            pattern.push(distFromEdge + 1);
-          }
-          return pattern;
-
-        case 'fibonacci':
-          // Fibonacci sequence: 1, 1, 2, 3, 5, 8, 13, ...
-          const fib = [1, 1];
-          for (let i = 2; i < count; i++) {
-            fib.push(fib[i - 1] + fib[i - 2]);
-          }
-          return fib.slice(0, count);
-
-        default:
-          return Array(count).fill(1);
-      }
-    };
-
-    const heightRatios = getProportionRatios(panelCount, proportionType);
-    const totalRatio = heightRatios.reduce((sum, ratio) => sum + ratio, 0);
-    const normalizedRatios = heightRatios.map(ratio => ratio / totalRatio);
-    
-    // Calculate individual panel heights
-    const panelHeights = normalizedRatios.map(ratio => ratio * availableHeightForPanels);
-    const panelWidth = availableWidth;
-    
-    const totalUsedHeight = panelHeights.reduce((sum, h) => sum + h, 0) + totalGaps;
-    // When auto-calculate is on, panels always fit by design. Only check fit for manual mode.
-    // Add small epsilon for floating point tolerance
-    const fits = autoCalculateSpacing ? true : (totalUsedHeight <= availableHeight + 0.01);
-
-    // Calculate panel positions first
-    let currentY = calculatedEdgeDistance;
-    const panelPositions = [];
-    for (let i = 0; i < panelHeights.length; i++) {
-      const panelTop = currentY;
-      const panelBottom = currentY + panelHeights[i];
-      panelPositions.push({ top: panelTop, bottom: panelBottom, height: panelHeights[i] });
-      currentY = panelBottom + calculatedPanelGap;
-    }
-
-    // Auto-calculate peephole position if enabled
-    let actualPeepholeTop = peepholeTop;
-    let peepholeInGap = false;
-    let peepholeOptimalZoneError = null;
-    if (showPeephole && autoCenterPeephole) {
-      const idealHeight = doorHeight - 162.5; // 145-180cm from bottom, aim for 162.5 (middle)
-      const peepholeRadius = peepholeDiameter / 2;
-
-      // Define optimal zone boundaries (145-180cm from bottom)
-      const optimalZoneTop = doorHeight - 180; // Top of optimal zone
-      const optimalZoneBottom = doorHeight - 145; // Bottom of optimal zone
-
-      // Find best position (centered in gap or panel)
-      let bestPosition = idealHeight;
-      let bestScore = Infinity;
-      let bestInGap = false;
-
-      // Check gaps between panels - ONLY within optimal zone
-      const gapCandidates = [];
-      for (let i = 0; i < panelPositions.length - 1; i++) {
-        const gapTop = panelPositions[i].bottom;
-        const gapBottom = panelPositions[i + 1].top;
-        const gapCenter = (gapTop + gapBottom) / 2;
-        const score = Math.abs(gapCenter - idealHeight);
-
-        // Ensure peephole fits in gap with minimum edge distance from both panel edges
-        // AND ensure peephole center is within optimal zone
-        if (gapCenter - peepholeRadius >= gapTop + minEdgeDistance &&
-            gapCenter + peepholeRadius <= gapBottom - minEdgeDistance &&
-            gapCenter >= optimalZoneTop && gapCenter <= optimalZoneBottom) {
-          gapCandidates.push({ position: gapCenter - peepholeRadius, score, inGap: true });
-        }
-      }
-
-      // Check inside panels - ONLY within optimal zone
-      const panelCandidates = [];
-      for (let i = 0; i < panelPositions.length; i++) {
-        const panelCenter = (panelPositions[i].top + panelPositions[i].bottom) / 2;
-        const score = Math.abs(panelCenter - idealHeight);
-
-        // Ensure peephole fits with min edge distance from panel edges
-        // AND ensure peephole center is within optimal zone
-        if (panelCenter - peepholeRadius >= panelPositions[i].top + minEdgeDistance &&
-            panelCenter + peepholeRadius <= panelPositions[i].bottom - minEdgeDistance &&
-            panelCenter >= optimalZoneTop && panelCenter <= optimalZoneBottom) {
-          panelCandidates.push({ position: panelCenter - peepholeRadius, score, inGap: false });
-        }
-      }
-
-      // Check if any valid position was found
-      if (gapCandidates.length === 0 && panelCandidates.length === 0) {
-        peepholeOptimalZoneError = {
-          message: 'Cannot place peephole within optimal zone (145-180cm from bottom). Adjust panel configuration, peephole diameter, or minimum edge distance.'
-        };
-      } else {
-        // Prioritize based on preference
-        if (preferGapPlacement) {
-          // Strongly prefer gaps: only use panels if no gaps available
-          if (gapCandidates.length > 0) {
-            // Choose the gap closest to ideal height
-            const best = gapCandidates.reduce((prev, curr) =>
-              curr.score < prev.score ? curr : prev
-            );
-            bestPosition = best.position;
-            peepholeInGap = true;
-          } else if (panelCandidates.length > 0) {
-            // No gaps available, fall back to panels
-            const best = panelCandidates.reduce((prev, curr) =>
-              curr.score < prev.score ? curr : prev
-            );
-            bestPosition = best.position;
-            peepholeInGap = false;
-          }
-        } else {
-          // Default: prefer panels over gaps (only use gaps if no panels available)
-          if (panelCandidates.length > 0) {
-            // Choose the panel closest to ideal height
-            const best = panelCandidates.reduce((prev, curr) =>
-              curr.score < prev.score ? curr : prev
-            );
-            bestPosition = best.position;
-            peepholeInGap = false;
-          } else if (gapCandidates.length > 0) {
-            // No gaps available, fall back to gaps
-            const best = gapCandidates.reduce((prev, curr) =>
-              curr.score < prev.score ? curr : prev
-            );
-            bestPosition = best.position;
-            peepholeInGap = true;
-          }
-        }
-
-        actualPeepholeTop = bestPosition;
-      }
-    }
-
-    // Calculate peephole conflicts
-    const peepholeConflicts = [];
-    let peepholeCoordinates = null;
-    let peepholeGapStatus = null;
-
-    if (showPeephole) {
-      const peepholeRadius = peepholeDiameter / 2;
-      const peepholeCenter = actualPeepholeTop + peepholeRadius;
-      const peepholeBottom = actualPeepholeTop + peepholeDiameter;
-
-      // Coordinates relative to door (from bottom-left)
-      peepholeCoordinates = {
-        fromLeft: doorWidth / 2, // Centered horizontally
-        fromBottom: doorHeight - peepholeCenter,
-        fromTop: peepholeCenter,
-        centerY: peepholeCenter
-      };
-
-      for (let i = 0; i < panelPositions.length; i++) {
-        const panelTop = panelPositions[i].top;
-        const panelBottom = panelPositions[i].bottom;
-
-        let conflict = null;
-
-        // Check if peephole is inside this panel
-        if (peepholeCenter >= panelTop && peepholeCenter <= panelBottom) {
-          const distFromTop = peepholeCenter - peepholeRadius - panelTop;
-          const distFromBottom = panelBottom - (peepholeCenter + peepholeRadius);
-          const minDist = Math.min(distFromTop, distFromBottom);
-
-          if (minDist < minEdgeDistance) {
-            conflict = {
-              type: 'too-close-to-edge',
-              distance: minDist,
-              message: `Peephole edge is ${minDist.toFixed(1)}cm from panel edge (minimum ${minEdgeDistance}cm recommended)`
-            };
-          } else {
-            conflict = {
-              type: 'inside-safe',
-              distance: minDist,
-              message: `Safely positioned ${minDist.toFixed(1)}cm from nearest panel edge`
-            };
-          }
-        }
-        // Check if peephole crosses panel boundary
-        else if ((actualPeepholeTop < panelBottom && peepholeBottom > panelTop)) {
-          const distFromTop = Math.abs(peepholeCenter - panelTop);
-          const distFromBottom = Math.abs(peepholeCenter - panelBottom);
-          const minDist = Math.min(distFromTop, distFromBottom);
-          conflict = {
-            type: 'crosses-edge',
-            distance: minDist,
-            message: `Peephole crosses panel boundary - ${minDist.toFixed(1)}cm from edge`
-          };
-        }
-
-        peepholeConflicts.push(conflict);
-      }
-
-      // Check if peephole is in a gap between panels
-      for (let i = 0; i < panelPositions.length - 1; i++) {
-        const gapTop = panelPositions[i].bottom;
-        const gapBottom = panelPositions[i + 1].top;
-
-        if (peepholeCenter > gapTop && peepholeCenter < gapBottom) {
-          const distFromTopPanel = actualPeepholeTop - gapTop;
-          const distFromBottomPanel = gapBottom - peepholeBottom;
-          const minDist = Math.min(distFromTopPanel, distFromBottomPanel);
-
-          if (minDist < minEdgeDistance) {
-            peepholeGapStatus = {
-              type: 'gap-too-close',
-              distance: minDist,
-              message: `Peephole in gap is ${minDist.toFixed(1)}cm from panel edge (minimum ${minEdgeDistance}cm recommended)`
-            };
-          } else {
-            peepholeGapStatus = {
-              type: 'gap-safe',
-              distance: minDist,
-              message: `Safely positioned in gap, ${minDist.toFixed(1)}cm from nearest panel edge`
-            };
-          }
-          break;
-        }
-      }
-    }
-
-    // Calculate areas for verification
-    const totalDoorArea = doorWidth * doorHeight;
-    const totalPanelArea = panelHeights.reduce((sum, h) => sum + h * panelWidth, 0);
-
-    // Negative space = total door area - panel area
-    const negativeSpaceArea = totalDoorArea - totalPanelArea;
-
-    // Calculate the ratio: should match targetRatio when auto-calculate is enabled
-    const actualRatio = totalPanelArea / negativeSpaceArea;
-    const ratioError = Math.abs(actualRatio - targetRatio) / targetRatio * 100; // Error percentage
-
-    // Break down negative space
-    const edgeArea = (2 * calculatedEdgeDistance * doorWidth) + // top and bottom edges
-                     (2 * calculatedEdgeDistance * doorHeight) - // left and right edges
-                     (4 * calculatedEdgeDistance * calculatedEdgeDistance); // corners counted twice
-    const gapArea = totalGaps * panelWidth;
-    const remainingNegativeSpace = negativeSpaceArea - edgeArea - gapArea;
-
-    return {
-      phi,
-      availableWidth,
-      availableHeight,
-      availableHeightForPanels,
-      panelWidth,
-      panelHeights,
-      heightRatios,
-      totalUsedHeight,
-      fits,
-      totalGaps,
-      panelPositions,
-      peepholeConflicts,
-      peepholeGapStatus,
-      peepholeOptimalZoneError,
-      calculatedEdgeDistance,
-      calculatedPanelGap,
-      // Verification data
-      totalDoorArea,
-      totalPanelArea,
-      negativeSpaceArea,
-      actualRatio,
-      ratioError,
-      edgeArea,
-      gapArea,
-      remainingNegativeSpace,
-      targetRatio,
-      peepholeCoordinates,
-      actualPeepholeTop,
-      peepholeInGap
-    };
-  }, [doorWidth, doorHeight, edgeDistance, panelGap, panelCount, proportionType, showPeephole, peepholeTop, peepholeDiameter, minEdgeDistance, autoCenterPeephole, preferGapPlacement, autoCalculateSpacing, spacingRatioType]);
+  const changeDisplayUnit = (unit) => {
+    setDisplayUnit(unit);
+    setRoundingStep(defaultStep(unit));
+  };
 
   // Scale factor for visualization
   const scale = 380 / doorWidth;
+  const toPixels = ([x, y]) => [20 + x * scale, 20 + y * scale];
   const scaledDoorWidth = doorWidth * scale;
   const scaledDoorHeight = doorHeight * scale;
 
-  const getProportionDescription = (type) => {
-    const descriptions = {
-      equal: 'All panels same height',
-      golden: 'Golden progression (1, φ, φ², φ³, ...)',
-      classic: 'Symmetric proportions (larger in middle)',
-      reverse: 'Reverse golden progression (largest at top)',
-      fibonacci: 'Fibonacci sequence (1, 1, 2, 3, 5, 8, ...)'
-    };
-    return descriptions[type] || '';
+  const availableProportions = sequenceFamilies();
+  const spacingRatio = getProportionFamily(spacingRatioType);
+
+  const selectProportion = (type) => {
+    setProportionType(type);
+    setActiveSequence(null);
+  };
+
+  // Fields a Layout Optimizer result can change
+  const optimizerSetters = {
+    panelCount: setPanelCount,
+    proportionType: selectProportion,
+    autoCalculateSpacing: setAutoCalculateSpacing,
+    spacingRatioType: setSpacingRatioType,
+    edgeDistance: setEdgeDistance,
+    panelGap: setPanelGap
+  };
+  // ...and a point picked in the Parameter Sweep
+  const sweepSetters = {
+    ...optimizerSetters,
+    doorWidth: setDoorWidth,
+    doorHeight: setDoorHeight,
+    peepholeTop: setPeepholeTop
+  };
+
+  // Every field of a layout config, for loading a whole design
+  const configSetters = {
+    ...sweepSetters,
+    ...frameWidthSetters,
+    ...gridSetters,
+    ...infillSetters,
+    ...snappingSetters,
+    ...hingeSetters,
+    ...handingSetters,
+    ...peepholeProfileSetters,
+    customRatios: setCustomRatios,
+    panelShapes: setPanelShapes,
+    showPeephole: setShowPeephole,
+    peepholeDiameter: setPeepholeDiameter,
+    peepholeLeft: setPeepholeLeft,
+    minEdgeDistance: setMinEdgeDistance,
+    autoCenterPeephole: setAutoCenterPeephole,
+    preferGapPlacement: setPreferGapPlacement,
+    extraPeepholes: setExtraPeepholes,
+    hardware: setHardware,
+    interiorFace: setInteriorFace,
+    assembly: setAssembly,
+    displayUnit: changeDisplayUnit
+  };
+  const loadConfig = (config) => Object.entries({ ...DEFAULT_CONFIG, ...config })
+    .forEach(([key, value]) => configSetters[key] && configSetters[key](value));
+
+  // Load a project door into the calculator, or stop editing with null
+  const editProjectDoor = (index, config) => {
+    setProjectDoor(index);
+    if (config) loadConfig(config);
   };
 
-  const availableProportions = useMemo(() => {
-    return ['equal', 'golden', 'classic', 'reverse', 'fibonacci'];
-  }, []);
+  const shopSetters = {
+    balanceRounding: setBalanceRounding,
+    moldingMode: setMoldingMode,
+    moldingOptions: setMoldingOptions,
+    constructionMode: setConstructionMode,
+    joineryOptions: setJoineryOptions,
+    gcodeOptions: setGcodeOptions
+  };
+  // Load a whole design with its shop settings; the rounding step is set
+  // after the display unit, which resets it
+  const loadDesign = (config, shop) => {
+    editProjectDoor(null, config);
+    const settings = { ...DEFAULT_SHOP_SETTINGS, ...shop };
+    Object.entries(shopSetters).forEach(([key, setter]) => setter(settings[key]));
+    setRoundingStep(roundingStepFor(settings.roundingStep, { ...DEFAULT_CONFIG, ...config }.displayUnit));
+  };
+
+  // A custom sequence sets one ratio per panel, so the panel count follows it
+  const applyCustomRatios = (ratios, sequenceName = null) => {
+    setProportionType(CUSTOM_PROPORTION);
+    setCustomRatios(ratios);
+    setPanelCount(ratios.length);
+    setActiveSequence(sequenceName);
+  };
 
   return (
     <div className="max-w-7xl mx-auto p-6 bg-white">
@@ -455,24 +379,96 @@ const DoorPanelCalculator = () => {
       <div className="grid lg:grid-cols-2 gap-8">
         {/* Controls */}
         <div className="space-y-6">
+          <div className="bg-gray-50 p-6 rounded-lg">
+            <h2 className="text-xl font-semibold mb-4">Save and Share</h2>
+            <SaveSharePanel
+              layoutConfig={layoutConfig}
+              shopSettings={shopSettings}
+              savedDesigns={savedDesigns}
+              onSave={(name) => setSavedDesigns(saveDesign(savedDesigns, name, layoutConfig, shopSettings))}
+              onDelete={(name) => setSavedDesigns(deleteDesign(savedDesigns, name))}
+              onLoad={loadDesign}
+              project={project}
+              onLoadProject={(opened) => {
+                setProject(opened);
+                setProjectDoor(null);
+              }}
+              startup={startup}
+            />
+          </div>
+
+          <div className="bg-gray-50 p-6 rounded-lg">
+            <h2 className="text-xl font-semibold mb-4">Project</h2>
+            <ProjectPanel
+              project={project}
+              projectLayout={projectLayout}
+              editing={projectDoor}
+              layoutConfig={layoutConfig}
+              onChange={setProject}
+              onEdit={editProjectDoor}
+              displayUnit={displayUnit}
+              roundingStep={roundingStep}
+            />
+          </div>
+
           <div className="bg-gray-50 p-6 rounded-lg">
             <h2 className="text-xl font-semibold mb-4">Door Dimensions</h2>
+            <div className="grid grid-cols-2 gap-4 mb-4">
+              <div>
+                <label className="block text-sm font-medium mb-2">Units</label>
+                <select
+                  value={displayUnit}
+                  onChange={(e) => changeDisplayUnit(e.target.value)}
+                  className="w-full p-2 border rounded focus:ring-2 focus:ring-blue-500"
+                >
+                  {Object.values(UNITS).map(unit => (
+                    <option key={unit.key} value={unit.key}>{unit.name}</option>
+                  ))}
+                </select>
+              </div>
+              <div>
+                <label className="block text-sm font-medium mb-2">Round to</label>
+                <select
+                  value={roundingStep}
+                  onChange={(e) => setRoundingStep(Number(e.target.value))}
+                  className="w-full p-2 border rounded focus:ring-2 focus:ring-blue-500"
+                >
+                  {getUnit(displayUnit).steps.map(step => (
+                    <option key={step.value} value={step.value}>{step.label}</option>
+                  ))}
+                </select>
+              </div>
+            </div>
+            <div className="flex items-center mb-4">
+              <input
+                type="checkbox"
+                id="balanceRounding"
+                checked={balanceRounding}
+                onChange={(e) => setBalanceRounding(e.target.checked)}
+                className="mr-2"
+              />
+              <label htmlFor="balanceRounding" className="text-sm">
+                Balance rounding so panel heights, gaps and edges add up exactly to the door height
+              </label>
+            </div>
             <div className="grid grid-cols-2 gap-4">
               <div>
-                <label className="block text-sm font-medium mb-2">Width (cm)</label>
-                <input
-                  type="number"
+                <label className="block text-sm font-medium mb-2">Width ({unitLabel})</label>
+                <LengthInput
                   value={doorWidth}
-                  onChange={(e) => setDoorWidth(Number(e.target.value))}
+                  unit={displayUnit}
+                  step={roundingStep}
+                  onChange={setDoorWidth}
                   className="w-full p-2 border rounded focus:ring-2 focus:ring-blue-500"
                 />
               </div>
               <div>
-                <label className="block text-sm font-medium mb-2">Height (cm)</label>
-                <input
-                  type="number"
+                <label className="block text-sm font-medium mb-2">Height ({unitLabel})</label>
+                <LengthInput
                   value={doorHeight}
-                  onChange={(e) => setDoorHeight(Number(e.target.value))}
+                  unit={displayUnit}
+                  step={roundingStep}
+                  onChange={setDoorHeight}
                   className="w-full p-2 border rounded focus:ring-2 focus:ring-blue-500"
                 />
               </div>
@@ -494,27 +490,37 @@ const DoorPanelCalculator = () => {
                 />
               </div>
               <div>
-                <label className="block text-sm font-medium mb-2">Edge Distance (cm)</label>
-                <input
-                  type="number"
-                  value={autoCalculateSpacing ? calculations.calculatedEdgeDistance.toFixed(1) : edgeDistance}
-                  onChange={(e) => setEdgeDistance(Number(e.target.value))}
+                <label className="block text-sm font-medium mb-2">Edge Distance ({unitLabel})</label>
+                <LengthInput
+                  value={autoCalculateSpacing ? calculations.calculatedEdgeDistance : edgeDistance}
+                  unit={displayUnit}
+                  step={roundingStep}
+                  onChange={setEdgeDistance}
                   disabled={autoCalculateSpacing}
                   className="w-full p-2 border rounded focus:ring-2 focus:ring-blue-500 disabled:bg-gray-200 disabled:cursor-not-allowed"
                 />
               </div>
               <div>
-                <label className="block text-sm font-medium mb-2">Panel Gap (cm)</label>
-                <input
-                  type="number"
-                  value={autoCalculateSpacing ? calculations.calculatedPanelGap.toFixed(1) : panelGap}
-                  onChange={(e) => setPanelGap(Number(e.target.value))}
+                <label className="block text-sm font-medium mb-2">Panel Gap ({unitLabel})</label>
+                <LengthInput
+                  value={autoCalculateSpacing ? calculations.calculatedPanelGap : panelGap}
+                  unit={displayUnit}
+                  step={roundingStep}
+                  onChange={setPanelGap}
                   disabled={autoCalculateSpacing}
                   className="w-full p-2 border rounded focus:ring-2 focus:ring-blue-500 disabled:bg-gray-200 disabled:cursor-not-allowed"
                 />
               </div>
             </div>
 
+            <GridLayoutInput
+              layoutConfig={layoutConfig}
+              calculations={calculations}
+              onChange={(key, value) => gridSetters[key](value)}
+              displayUnit={displayUnit}
+              roundingStep={roundingStep}
+            />
+
             <div className="mt-4 bg-blue-50 p-4 rounded border border-blue-200">
               <div className="flex items-center mb-3">
                 <input
@@ -537,17 +543,17 @@ const DoorPanelCalculator = () => {
                     onChange={(e) => setSpacingRatioType(e.target.value)}
                     className="w-full p-2 border rounded focus:ring-2 focus:ring-blue-500 text-sm"
                   >
-                    {Object.entries(ratioTypes).map(([key, ratio]) => (
-                      <option key={key} value={key}>
-                        {ratio.name} (≈{ratio.value.toFixed(3)})
+                    {ratioFamilies().map(ratio => (
+                      <option key={ratio.key} value={ratio.key}>
+                        {ratio.name} (≈{ratio.ratio.toFixed(3)})
                       </option>
                     ))}
                   </select>
 
                   <div className="mt-2 p-3 bg-white rounded border border-blue-200 text-xs">
-                    <p className="font-medium text-blue-900 mb-1">{ratioTypes[spacingRatioType].name}</p>
-                    <p className="text-gray-700 mb-2">{ratioTypes[spacingRatioType].description}</p>
-                    <p className="text-blue-700 italic">💡 {ratioTypes[spacingRatioType].usage}</p>
+                    <p className="font-medium text-blue-900 mb-1">{spacingRatio.name}</p>
+                    <p className="text-gray-700 mb-2">{spacingRatio.description}</p>
+                    <p className="text-blue-700 italic">💡 {spacingRatio.usage}</p>
                   </div>
                 </div>
               )}
@@ -557,6 +563,30 @@ const DoorPanelCalculator = () => {
               </p>
             </div>
 
+            <div className="mt-4">
+              <div className="flex items-center mb-3">
+                <input
+                  type="checkbox"
+                  id="showFrameWidths"
+                  checked={showFrameWidths}
+                  onChange={(e) => setShowFrameWidths(e.target.checked)}
+                  className="mr-2"
+                />
+                <label htmlFor="showFrameWidths" className="text-sm font-medium">
+                  Set stile, rail and gap widths individually
+                </label>
+              </div>
+              {showFrameWidths && (
+                <FrameWidthsInput
+                  layoutConfig={layoutConfig}
+                  calculations={calculations}
+                  onChange={(key, value) => frameWidthSetters[key](value)}
+                  displayUnit={displayUnit}
+                  roundingStep={roundingStep}
+                />
+              )}
+            </div>
+
             <div className="border-t pt-4 mt-4">
               <div className="flex items-center mb-3">
                 <input
@@ -570,6 +600,14 @@ const DoorPanelCalculator = () => {
               </div>
               {showPeephole && (
                 <div className="space-y-4">
+                  <PeepholeProfileInput
+                    layoutConfig={layoutConfig}
+                    calculations={calculations}
+                    onChange={(key, value) => peepholeProfileSetters[key](value)}
+                    displayUnit={displayUnit}
+                    roundingStep={roundingStep}
+                  />
+
                   <div className="space-y-2">
                     <div className="flex items-center">
                       <input
@@ -580,7 +618,7 @@ const DoorPanelCalculator = () => {
                         className="mr-2"
                       />
                       <label htmlFor="autoCenterPeephole" className="text-sm font-medium">
-                        Auto-center peephole (optimal height: 145-180cm from bottom)
+                        Auto-center peephole ({calculations.peepholeZones[0].name}: {fmt(calculations.peepholeZones[0].min)} to {fmt(calculations.peepholeZones[0].max)} from bottom)
                       </label>
                     </div>
 
@@ -611,6 +649,7 @@ const DoorPanelCalculator = () => {
                         <p className="text-xs font-medium text-red-800">
                           ⚠️ ERROR: {calculations.peepholeOptimalZoneError.message}
                         </p>
+                        <p className="text-xs text-red-700 mt-1">The Layout Optimizer below can search for panel layouts that leave room for it.</p>
                       </div>
                     )}
 
@@ -623,47 +662,74 @@ const DoorPanelCalculator = () => {
                     )}
                   </div>
 
-                  <div className="grid grid-cols-3 gap-4">
+                  <div className="grid grid-cols-2 gap-4">
                     <div>
-                      <label className="block text-sm font-medium mb-2">Distance from Top (cm)</label>
-                      <input
-                        type="number"
-                        value={autoCenterPeephole ? calculations.actualPeepholeTop.toFixed(1) : peepholeTop}
-                        onChange={(e) => setPeepholeTop(Number(e.target.value))}
+                      <label className="block text-sm font-medium mb-2">Distance from Top ({unitLabel})</label>
+                      <LengthInput
+                        value={autoCenterPeephole ? calculations.actualPeepholeTop : peepholeTop}
+                        unit={displayUnit}
+                        step={roundingStep}
+                        onChange={setPeepholeTop}
                         disabled={autoCenterPeephole}
                         className="w-full p-2 border rounded focus:ring-2 focus:ring-blue-500 disabled:bg-gray-200 disabled:cursor-not-allowed"
                       />
                     </div>
                     <div>
-                      <label className="block text-sm font-medium mb-2">Diameter (cm)</label>
-                      <input
-                        type="number"
+                      <label className="block text-sm font-medium mb-2">Diameter ({unitLabel})</label>
+                      <LengthInput
                         value={peepholeDiameter}
-                        onChange={(e) => setPeepholeDiameter(Number(e.target.value))}
+                        unit={displayUnit}
+                        step={roundingStep}
+                        onChange={setPeepholeDiameter}
                         className="w-full p-2 border rounded focus:ring-2 focus:ring-blue-500"
                       />
                     </div>
                     <div>
-                      <label className="block text-sm font-medium mb-2">Min Edge Distance (cm)</label>
-                      <input
-                        type="number"
+                      <label className="block text-sm font-medium mb-2">Min Edge Distance ({unitLabel})</label>
+                      <LengthInput
                         value={minEdgeDistance}
-                        onChange={(e) => setMinEdgeDistance(Number(e.target.value))}
+                        unit={displayUnit}
+                        step={roundingStep}
+                        onChange={setMinEdgeDistance}
                         className="w-full p-2 border rounded focus:ring-2 focus:ring-blue-500"
                       />
                     </div>
+                    <div>
+                      <label className="block text-sm font-medium mb-2">From Left{calculations.handing.mirrored ? ', Exterior' : ''} ({unitLabel})</label>
+                      <LengthInput
+                        value={peepholeLeft ?? doorWidth / 2}
+                        unit={displayUnit}
+                        step={roundingStep}
+                        onChange={setPeepholeLeft}
+                        className="w-full p-2 border rounded focus:ring-2 focus:ring-blue-500"
+                      />
+                      <div className="flex justify-between text-xs mt-1">
+                        <span className="text-gray-500">{peepholeLeft === null ? 'Centered' : 'Off-center'}</span>
+                        {peepholeLeft !== null && (
+                          <button type="button" onClick={() => setPeepholeLeft(null)} className="text-blue-700 hover:underline">
+                            Center
+                          </button>
+                        )}
+                      </div>
+                    </div>
                   </div>
 
                   {calculations.peepholeCoordinates && (
                     <div className="bg-blue-50 p-3 rounded text-sm">
                       <p className="font-medium mb-1">Peephole Position:</p>
                       <div className="grid grid-cols-2 gap-2 text-xs">
-                        <p>• From bottom: {calculations.peepholeCoordinates.fromBottom.toFixed(1)} cm</p>
-                        <p>• From top: {calculations.peepholeCoordinates.fromTop.toFixed(1)} cm</p>
-                        <p>• From left: {calculations.peepholeCoordinates.fromLeft.toFixed(1)} cm (centered)</p>
-                        <p>• Diameter: {peepholeDiameter} cm</p>
+                        <p>• From bottom: {fmt(calculations.peepholeCoordinates.fromBottom)}</p>
+                        <p>• From top: {fmt(calculations.peepholeCoordinates.fromTop)}</p>
+                        <p>• From left: {fmt(calculations.peepholeCoordinates.fromLeft)}{peepholeLeft === null ? ' (centered)' : ''}</p>
+                        <p>• Diameter: {fmt(peepholeDiameter)}</p>
                       </div>
 
+                      {!autoCenterPeephole && calculations.peepholeZoneStatus && (
+                        <p className={`mt-2 text-xs ${calculations.peepholeZoneStatus.inZone ? 'text-green-700' : 'text-orange-700'}`}>
+                          {calculations.peepholeZoneStatus.inZone ? '✓' : '⚠'} {calculations.peepholeZoneStatus.message}
+                        </p>
+                      )}
+
                       {calculations.peepholeGapStatus && (
                         <div className={`mt-2 p-2 rounded border text-xs ${
                           calculations.peepholeGapStatus.type === 'gap-safe'
@@ -678,11 +744,111 @@ const DoorPanelCalculator = () => {
                       )}
                     </div>
                   )}
+
+                  {calculations.peepholes.filter(peephole => peephole.source === 'zone').map(peephole => (
+                    <div key={peephole.label} className={`p-3 rounded text-sm ${peephole.error ? 'bg-red-100 border border-red-300' : 'bg-blue-50'}`}>
+                      <p className="font-medium mb-1">{peephole.label}:</p>
+                      {peephole.error ? (
+                        <p className="text-xs text-red-800">⚠️ ERROR: {peephole.error.message}</p>
+                      ) : (
+                        <div className="text-xs space-y-1">
+                          <p>
+                            • From bottom: {fmt(peephole.coordinates.fromBottom)}, from top: {fmt(peephole.coordinates.fromTop)},
+                            {' '}{peephole.inGap ? 'between panels (in gap)' : 'inside a panel'}
+                          </p>
+                          {peephole.gapStatus && (
+                            <p className={peephole.gapStatus.type === 'gap-safe' ? 'text-green-700' : 'text-yellow-800'}>
+                              {peephole.gapStatus.message}
+                            </p>
+                          )}
+                        </div>
+                      )}
+                    </div>
+                  ))}
+
+                  <div>
+                    <p className="text-sm font-medium mb-2">More Peepholes and Cutouts</p>
+                    <ExtraPeepholesInput
+                      layoutConfig={layoutConfig}
+                      calculations={calculations}
+                      onChange={setExtraPeepholes}
+                      displayUnit={displayUnit}
+                      roundingStep={roundingStep}
+                    />
+                  </div>
                 </div>
               )}
             </div>
           </div>
 
+          <div className="bg-gray-50 p-6 rounded-lg">
+            <h2 className="text-xl font-semibold mb-4">Handing and Swing</h2>
+            <HandingInput
+              layoutConfig={layoutConfig}
+              handing={calculations.handing}
+              onChange={(key, value) => handingSetters[key](value)}
+            />
+          </div>
+
+          <div className="bg-gray-50 p-6 rounded-lg">
+            <h2 className="text-xl font-semibold mb-4">Pairs, Sidelights and Transoms</h2>
+            <AssemblyInput
+              layoutConfig={layoutConfig}
+              assemblyLayout={assemblyLayout}
+              onChange={setAssembly}
+              displayUnit={displayUnit}
+              roundingStep={roundingStep}
+            />
+          </div>
+
+          <div className="bg-gray-50 p-6 rounded-lg">
+            <h2 className="text-xl font-semibold mb-4">Interior Face</h2>
+            <InteriorFaceInput
+              layoutConfig={layoutConfig}
+              calculations={calculations}
+              onChange={setInteriorFace}
+              displayUnit={displayUnit}
+              roundingStep={roundingStep}
+            />
+          </div>
+
+          <div className="bg-gray-50 p-6 rounded-lg">
+            <h2 className="text-xl font-semibold mb-4">Panel Infill</h2>
+            <InfillInput
+              layoutConfig={layoutConfig}
+              calculations={calculations}
+              onChange={(key, value) => infillSetters[key](value)}
+              displayUnit={displayUnit}
+              roundingStep={roundingStep}
+            />
+          </div>
+
+          <div className="bg-gray-50 p-6 rounded-lg">
+            <h2 className="text-xl font-semibold mb-4">Panel Shapes</h2>
+            <PanelShapeInput
+              layoutConfig={layoutConfig}
+              calculations={calculations}
+              onChange={setPanelShapes}
+              displayUnit={displayUnit}
+              roundingStep={roundingStep}
+            />
+          </div>
+
+          <div className="bg-gray-50 p-6 rounded-lg">
+            <h2 className="text-xl font-semibold mb-4">Door Hardware</h2>
+            <HardwareInput
+              items={hardware}
+              hardware={checkedHardware}
+              hinges={calculations.hinges}
+              hingeSettings={{ doorThickness, doorMaterial, hingeCount }}
+              peepholes={calculations.peepholes}
+              onChange={setHardware}
+              onHingeChange={(key, value) => hingeSetters[key](value)}
+              displayUnit={displayUnit}
+              roundingStep={roundingStep}
+            />
+          </div>
+
           <div className="bg-gray-50 p-6 rounded-lg">
             <div 
               className="flex items-center justify-between cursor-pointer mb-4"
@@ -698,22 +864,22 @@ const DoorPanelCalculator = () => {
             
             {!isProportionsCollapsed && (
               <div className="space-y-3">
-                {availableProportions.map(prop => (
-                  <label key={prop} className="flex items-center">
+                {availableProportions.map(family => (
+                  <label key={family.key} className="flex items-center" title={family.description}>
                     <input
                       type="radio"
                       name="proportion"
-                      value={prop}
-                      checked={proportionType === prop}
-                      onChange={(e) => setProportionType(e.target.value)}
+                      value={family.key}
+                      checked={proportionType === family.key}
+                      onChange={(e) => selectProportion(e.target.value)}
                       className="mr-3"
                     />
                     <div className="flex-1">
-                      <span className="font-medium capitalize">{prop}</span>
+                      <span className="font-medium">{family.name}</span>
                       <div className="text-sm text-gray-600 mt-1">
-                        {getProportionDescription(prop)}
+                        {family.summary}
                       </div>
-                      {proportionType === prop && (
+                      {proportionType === family.key && (
                         <div className="text-xs text-gray-500 mt-1">
                           Ratios: {calculations.heightRatios.map(r => r.toFixed(2)).join(' : ')}
                         </div>
@@ -721,19 +887,121 @@ const DoorPanelCalculator = () => {
                     </div>
                   </label>
                 ))}
+
+                {savedSequences.map(sequence => (
+                  <div key={sequence.name} className="flex items-center">
+                    <label className="flex items-center flex-1">
+                      <input
+                        type="radio"
+                        name="proportion"
+                        checked={proportionType === CUSTOM_PROPORTION && activeSequence === sequence.name}
+                        onChange={() => applyCustomRatios(sequence.ratios, sequence.name)}
+                        className="mr-3"
+                      />
+                      <div className="flex-1">
+                        <span className="font-medium">{sequence.name}</span>
+                        <div className="text-sm text-gray-600 mt-1">
+                          Saved sequence: {formatRatioSequence(sequence.ratios)}
+                        </div>
+                      </div>
+                    </label>
+                    <button
+                      type="button"
+                      onClick={() => {
+                        setSavedSequences(deleteSequence(savedSequences, sequence.name));
+                        if (activeSequence === sequence.name) setActiveSequence(null);
+                      }}
+                      className="text-xs text-red-600 hover:underline ml-2"
+                    >
+                      Delete
+                    </button>
+                  </div>
+                ))}
+
+                <div>
+                  <label className="flex items-center">
+                    <input
+                      type="radio"
+                      name="proportion"
+                      checked={proportionType === CUSTOM_PROPORTION && activeSequence === null}
+                      onChange={() => applyCustomRatios(customRatios)}
+                      className="mr-3"
+                    />
+                    <div className="flex-1">
+                      <span className="font-medium">Custom</span>
+                      <div className="text-sm text-gray-600 mt-1">
+                        {describeProportion(CUSTOM_PROPORTION)}
+                      </div>
+                    </div>
+                  </label>
+                  {proportionType === CUSTOM_PROPORTION && activeSequence === null && (
+                    <div className="ml-7">
+                      <CustomSequenceEditor
+                        ratios={customRatios}
+                        panelCount={panelCount}
+                        onChange={(ratios) => applyCustomRatios(ratios)}
+                        onSave={(name, ratios) => {
+                          setSavedSequences(saveSequence(savedSequences, name, ratios));
+                          setActiveSequence(name);
+                        }}
+                        savedNames={savedSequences.map(sequence => sequence.name)}
+                      />
+                    </div>
+                  )}
+                </div>
               </div>
             )}
           </div>
 
+          <div className="bg-gray-50 p-6 rounded-lg">
+            <h2 className="text-xl font-semibold mb-4">Snap to Preferred Sizes</h2>
+            <SnappingInput
+              layoutConfig={layoutConfig}
+              calculations={calculations}
+              onChange={(key, value) => snappingSetters[key](value)}
+              displayUnit={displayUnit}
+              roundingStep={roundingStep}
+            />
+          </div>
+
+          <div className="bg-gray-50 p-6 rounded-lg">
+            <h2 className="text-xl font-semibold mb-4">Layout Optimizer</h2>
+            <LayoutOptimizer
+              layoutConfig={layoutConfig}
+              onApply={(changes) => Object.entries(changes).forEach(([key, value]) => optimizerSetters[key](value))}
+              displayUnit={displayUnit}
+              roundingStep={roundingStep}
+            />
+          </div>
+
+          <div className="bg-gray-50 p-6 rounded-lg">
+            <h2 className="text-xl font-semibold mb-4">Parameter Sweep</h2>
+            <SweepExplorer
+              layoutConfig={layoutConfig}
+              onApply={(changes) => Object.entries(changes).forEach(([key, value]) => sweepSetters[key](value))}
+              displayUnit={displayUnit}
+              roundingStep={roundingStep}
+            />
+          </div>
+
           <div className="bg-blue-50 p-6 rounded-lg">
             <h2 className="text-xl font-semibold mb-4">Panel Specifications</h2>
             <div className="space-y-3">
-              <p><strong>Panel width:</strong> {calculations.panelWidth.toFixed(1)} cm (all panels)</p>
+              {hasUniformWidth && <p><strong>Panel width:</strong> {panelWidthLabel} (all panels)</p>}
+              <p>
+                <strong>Frame:</strong> stiles {frameLabels.frame.left} / {frameLabels.frame.right}, top rail {frameLabels.frame.top}, bottom rail {frameLabels.frame.bottom}
+                {frameLabels.gaps.length > 0 && <>, gaps {frameLabels.gaps.join(' / ')}</>}
+                {isGrid && <>, mullions {roundedLayout ? fmtRounded(roundedLayout.mullion) : fmt(calculations.mullion)}</>}
+              </p>
               <div>
-                <strong>Panel heights:</strong>
-                {calculations.panelHeights.map((height, index) => (
+                <strong>{hasUniformWidth ? 'Panel heights:' : 'Panel sizes (width × height):'}</strong>
+                {panelLabels.map((label, index) => (
                   <div key={index} className="ml-4 text-sm flex justify-between items-center">
-                    <span>Panel {index + 1}: {height.toFixed(1)} cm</span>
+                    <span>
+                      Panel {index + 1}
+                      {isGrid && ` (row ${calculations.panelPositions[index].row + 1}, column ${calculations.panelPositions[index].column + 1})`}
+                      : {hasUniformWidth ? label.height : `${label.width} × ${label.height}`}
+                    </span>
                     {showPeephole && calculations.peepholeConflicts[index] && (
                       <span
                         className={`text-xs px-2 py-1 rounded ${
@@ -752,11 +1020,16 @@ const DoorPanelCalculator = () => {
                 ))}
               </div>
               <p><strong>Golden ratio (φ):</strong> {calculations.phi.toFixed(4)}</p>
-              <p><strong>Total used height:</strong> {calculations.totalUsedHeight.toFixed(1)} / {calculations.availableHeight.toFixed(1)} cm</p>
+              <p><strong>Total used height:</strong> {fmt(calculations.totalUsedHeight)} / {fmt(calculations.availableHeight)}</p>
+              {roundedLayout && calculations.fits && (
+                <p className="text-xs text-gray-600">
+                  Rounded to {getUnit(displayUnit).steps.find(step => step.value === roundingStep)?.label}: edges, gaps and panel heights add up to {fmtRounded(roundedLayout.totalHeight)}
+                </p>
+              )}
               {!autoCalculateSpacing && (
                 calculations.fits ?
                   <p className="text-green-600 font-medium">✓ All panels fit perfectly</p> :
-                  <p className="text-red-600 font-medium">⚠️ Panels don't fit - reduce panel count or gaps</p>
+                  <p className="text-red-600 font-medium">⚠️ Panels don&apos;t fit - reduce panel count or gaps, or try the Layout Optimizer</p>
               )}
               {autoCalculateSpacing && (
                 <p className="text-blue-600 font-medium">ℹ️ Spacing auto-calculated to fit panels</p>
@@ -791,24 +1064,83 @@ const DoorPanelCalculator = () => {
             </div>
           </div>
 
+          <div className="bg-gray-50 p-6 rounded-lg">
+            <div className="flex items-center justify-between mb-4">
+              <h2 className="text-xl font-semibold">Applied Molding</h2>
+              <label className="flex items-center text-sm">
+                <input
+                  type="checkbox"
+                  checked={moldingMode}
+                  onChange={(e) => setMoldingMode(e.target.checked)}
+                  className="mr-2"
+                />
+                Build panels from molding
+              </label>
+            </div>
+            {moldingMode ? (
+              <MoldingCutList
+                calculations={calculations}
+                options={moldingOptions}
+                onOptionsChange={setMoldingOptions}
+                displayUnit={displayUnit}
+                roundingStep={roundingStep}
+                doorWidth={doorWidth}
+                doorHeight={doorHeight}
+              />
+            ) : (
+              <p className="text-sm text-gray-600">
+                Enable to enter molding profiles and get a mitered cut list with a bill of materials.
+              </p>
+            )}
+          </div>
+
+          <div className="bg-gray-50 p-6 rounded-lg">
+            <div className="flex items-center justify-between mb-4">
+              <h2 className="text-xl font-semibold">Rail &amp; Stile Construction</h2>
+              <label className="flex items-center text-sm">
+                <input
+                  type="checkbox"
+                  checked={constructionMode}
+                  onChange={(e) => setConstructionMode(e.target.checked)}
+                  className="mr-2"
+                />
+                Build as frame and panel
+              </label>
+            </div>
+            {constructionMode ? (
+              <RailAndStileParts
+                calculations={calculations}
+                layoutConfig={layoutConfig}
+                options={joineryOptions}
+                onOptionsChange={setJoineryOptions}
+                displayUnit={displayUnit}
+                roundingStep={roundingStep}
+              />
+            ) : (
+              <p className="text-sm text-gray-600">
+                Enable to turn the layout into stiles, rails and raised-panel blanks with tenon, groove and wood-movement allowances.
+              </p>
+            )}
+          </div>
+
           {autoCalculateSpacing && (
             <div className="bg-purple-50 p-6 rounded-lg border-2 border-purple-200">
               <h2 className="text-xl font-semibold mb-4 text-purple-900">
-                {ratioTypes[spacingRatioType].name} Verification
+                {spacingRatio.name} Verification
               </h2>
               <div className="space-y-3 text-sm">
                 <div className="bg-white p-3 rounded">
                   <p className="font-medium mb-2">Area Breakdown:</p>
-                  <p className="ml-4">• Total door area: {calculations.totalDoorArea.toFixed(1)} cm²</p>
-                  <p className="ml-4">• Panel area: {calculations.totalPanelArea.toFixed(1)} cm² ({(calculations.totalPanelArea / calculations.totalDoorArea * 100).toFixed(1)}%)</p>
-                  <p className="ml-4">• Negative space: {calculations.negativeSpaceArea.toFixed(1)} cm² ({(calculations.negativeSpaceArea / calculations.totalDoorArea * 100).toFixed(1)}%)</p>
+                  <p className="ml-4">• Total door area: {formatArea(calculations.totalDoorArea, displayUnit)}</p>
+                  <p className="ml-4">• Panel area: {formatArea(calculations.totalPanelArea, displayUnit)} ({(calculations.totalPanelArea / calculations.totalDoorArea * 100).toFixed(1)}%)</p>
+                  <p className="ml-4">• Negative space: {formatArea(calculations.negativeSpaceArea, displayUnit)} ({(calculations.negativeSpaceArea / calculations.totalDoorArea * 100).toFixed(1)}%)</p>
                 </div>
 
                 <div className="bg-white p-3 rounded">
                   <p className="font-medium mb-2">Negative Space Breakdown:</p>
-                  <p className="ml-4">• Edge frame area: {calculations.edgeArea.toFixed(1)} cm²</p>
-                  <p className="ml-4">• Panel gaps area: {calculations.gapArea.toFixed(1)} cm²</p>
-                  <p className="ml-4">• Other space: {calculations.remainingNegativeSpace.toFixed(1)} cm²</p>
+                  <p className="ml-4">• Edge frame area: {formatArea(calculations.edgeArea, displayUnit)}</p>
+                  <p className="ml-4">• Panel gaps area: {formatArea(calculations.gapArea, displayUnit)}</p>
+                  <p className="ml-4">• Other space: {formatArea(calculations.remainingNegativeSpace, displayUnit)}</p>
                 </div>
 
                 <div className="bg-white p-3 rounded">
@@ -823,7 +1155,7 @@ const DoorPanelCalculator = () => {
 
                 <div className="bg-purple-100 p-3 rounded">
                   <p className="text-xs text-purple-900">
-                    <strong>Note:</strong> When auto-calculate is enabled, the panel area should be {calculations.targetRatio.toFixed(3)}× the negative space area, creating harmonious {ratioTypes[spacingRatioType].name.toLowerCase()} proportions for the entire door.
+                    <strong>Note:</strong> When auto-calculate is enabled, the panel area should be {calculations.targetRatio.toFixed(3)}× the negative space area, creating harmonious {spacingRatio.name.toLowerCase()} proportions for the entire door.
                   </p>
                 </div>
               </div>
@@ -834,7 +1166,7 @@ const DoorPanelCalculator = () => {
         {/* Visualization */}
         <div className="bg-gray-100 p-6 rounded-lg">
           <h2 className="text-xl font-semibold mb-4">Door Visualization</h2>
-          <div className="flex justify-center">
+          <div className="flex justify-center items-start gap-4">
             <svg 
               width={scaledDoorWidth + 40} 
               height={scaledDoorHeight + 40}
@@ -851,10 +1183,10 @@ const DoorPanelCalculator = () => {
                 strokeWidth="3"
               />
               
-              {/* Available area (minus edge distance) */}
+              {/* Available area (inside the stiles and rails) */}
               <rect
-                x={20 + calculations.calculatedEdgeDistance * scale}
-                y={20 + calculations.calculatedEdgeDistance * scale}
+                x={20 + calculations.frame.left * scale}
+                y={20 + calculations.frame.top * scale}
                 width={calculations.availableWidth * scale}
                 height={calculations.availableHeight * scale}
                 fill="none"
@@ -863,15 +1195,15 @@ const DoorPanelCalculator = () => {
                 strokeDasharray="5,5"
               />
 
-              {/* Peephole target zone (145-180cm from bottom) - drawn BEFORE panels so panels are on top */}
-              {showPeephole && (
-                <g>
+              {/* Peephole target zones from the height profile - drawn BEFORE panels so panels are on top */}
+              {showPeephole && calculations.peepholeZones.map(zone => (
+                <g key={zone.label}>
                   {/* Target zone shading - more visible */}
                   <rect
                     x={20}
-                    y={20 + (doorHeight - 180) * scale}
+                    y={20 + (doorHeight - zone.max) * scale}
                     width={scaledDoorWidth}
-                    height={(180 - 145) * scale}
+                    height={(zone.max - zone.min) * scale}
                     fill="#FFD700"
                     opacity="0.25"
                     stroke="#FFA500"
@@ -879,53 +1211,53 @@ const DoorPanelCalculator = () => {
                     strokeDasharray="10,5"
                   />
 
-                  {/* Lower bound (180cm from bottom = doorHeight - 180) */}
+                  {/* Upper bound of the zone (highest point from bottom) */}
                   <line
                     x1={20}
-                    y1={20 + (doorHeight - 180) * scale}
+                    y1={20 + (doorHeight - zone.max) * scale}
                     x2={20 + scaledDoorWidth}
-                    y2={20 + (doorHeight - 180) * scale}
+                    y2={20 + (doorHeight - zone.max) * scale}
                     stroke="#FF8C00"
                     strokeWidth="2"
                     strokeDasharray="8,4"
                   />
                   <text
                     x={20 + scaledDoorWidth + 5}
-                    y={20 + (doorHeight - 180) * scale}
+                    y={20 + (doorHeight - zone.max) * scale}
                     fontSize="10"
                     fill="#FF8C00"
                     fontWeight="bold"
                     dominantBaseline="middle"
                   >
-                    180cm
+                    {fmt(zone.max)}
                   </text>
 
-                  {/* Upper bound (145cm from bottom = doorHeight - 145) */}
+                  {/* Lower bound of the zone */}
                   <line
                     x1={20}
-                    y1={20 + (doorHeight - 145) * scale}
+                    y1={20 + (doorHeight - zone.min) * scale}
                     x2={20 + scaledDoorWidth}
-                    y2={20 + (doorHeight - 145) * scale}
+                    y2={20 + (doorHeight - zone.min) * scale}
                     stroke="#FF8C00"
                     strokeWidth="2"
                     strokeDasharray="8,4"
                   />
                   <text
                     x={20 + scaledDoorWidth + 5}
-                    y={20 + (doorHeight - 145) * scale}
+                    y={20 + (doorHeight - zone.min) * scale}
                     fontSize="10"
                     fill="#FF8C00"
                     fontWeight="bold"
                     dominantBaseline="middle"
                   >
-                    145cm
+                    {fmt(zone.min)}
                   </text>
 
                   {/* Label for target zone - with background for visibility */}
                   <rect
                     x={23}
-                    y={20 + (doorHeight - 162.5) * scale - 8}
-                    width={145}
+                    y={20 + (doorHeight - zone.ideal) * scale - 8}
+                    width={zone.label.length * 6.6 + 6}
                     height={16}
                     fill="white"
                     opacity="0.85"
@@ -933,21 +1265,67 @@ const DoorPanelCalculator = () => {
                   />
                   <text
                     x={25}
-                    y={20 + (doorHeight - 162.5) * scale}
+                    y={20 + (doorHeight - zone.ideal) * scale}
                     fontSize="11"
                     fill="#FF8C00"
                     fontWeight="bold"
                   >
-                    Optimal Peephole Zone
+                    {zone.label}
                   </text>
                 </g>
-              )}
+              ))}
+
+              {/* Frame joints: stile seams and hidden tenons */}
+              {constructionMode && (autoCalculateSpacing || calculations.fits) && (() => {
+                const { left: leftStile, right: rightStile } = calculations.frame;
+                const { rows, panelPositions } = calculations;
+                const tenon = joineryOptions.tenonLength;
+                const rails = [
+                  { top: 0, bottom: rows[0].top },
+                  ...rows.slice(1).map((row, i) => ({ top: rows[i].bottom, bottom: row.top })),
+                  { top: rows[rows.length - 1].bottom, bottom: doorHeight }
+                ];
+                // Mullions run between neighbouring panels of a row
+                const mullions = panelPositions.slice(1).flatMap((panel, i) => (
+                  panel.row === panelPositions[i].row ? [{ left: panelPositions[i].right, right: panel.left, row: rows[panel.row] }] : []
+                ));
+                return (
+                  <g stroke="#8B4513" fill="none">
+                    {[leftStile, doorWidth - rightStile].map(x => (
+                      <line key={x} x1={20 + x * scale} y1={20} x2={20 + x * scale} y2={20 + doorHeight * scale} strokeWidth="1" />
+                    ))}
+                    {rails.map((rail, index) => [leftStile - tenon, doorWidth - rightStile].map(x => (
+                      <rect
+                        key={`${index}-${x}`}
+                        x={20 + x * scale}
+                        y={20 + rail.top * scale}
+                        width={tenon * scale}
+                        height={(rail.bottom - rail.top) * scale}
+                        strokeWidth="0.75"
+                        strokeDasharray="3,2"
+                      />
+                    )))}
+                    {mullions.map((mullion, index) => [mullion.row.top - tenon, mullion.row.bottom].map(y => (
+                      <rect
+                        key={`mullion-${index}-${y}`}
+                        x={20 + mullion.left * scale}
+                        y={20 + y * scale}
+                        width={(mullion.right - mullion.left) * scale}
+                        height={tenon * scale}
+                        strokeWidth="0.75"
+                        strokeDasharray="3,2"
+                      />
+                    )))}
+                  </g>
+                );
+              })()}
 
               {/* Panels */}
-              {(autoCalculateSpacing || calculations.fits) && calculations.panelHeights.map((height, index) => {
-                const panelY = 20 + calculations.calculatedEdgeDistance * scale +
-                  calculations.panelHeights.slice(0, index).reduce((sum, h) => sum + h, 0) * scale +
-                  index * calculations.calculatedPanelGap * scale;
+              {(autoCalculateSpacing || calculations.fits) && calculations.panelPositions.map((position, index) => {
+                const panelX = 20 + position.left * scale;
+                const panelY = 20 + position.top * scale;
+                const panelW = position.width * scale;
+                const panelH = position.height * scale;
 
                 // Different colors for visual distinction
                 const colors = ['#F5DEB3', '#DEB887', '#D2B48C', '#CDAA3D', '#DAA520'];
@@ -955,19 +1333,31 @@ const DoorPanelCalculator = () => {
 
                 return (
                   <g key={index}>
-                    <rect
-                      x={20 + calculations.calculatedEdgeDistance * scale}
-                      y={panelY}
-                      width={calculations.panelWidth * scale}
-                      height={height * scale}
+                    <PanelInfill
+                      panel={position}
+                      scale={scale}
+                      infill={calculations.infills[index]}
                       fill={colors[index % colors.length]}
                       stroke={strokeColors[index % strokeColors.length]}
-                      strokeWidth="2"
+                      clipId={`panel-infill-${index}`}
                     />
+                    {/* Inside edge of the applied molding */}
+                    {moldingMode && (() => {
+                      const moldingWidth = profileForPanel(moldingOptions, index).width;
+                      const inner = panelOutline(position, -moldingWidth);
+                      return inner && (
+                        <path
+                          d={outlineSvgPath(inner, toPixels, scale)}
+                          fill="none"
+                          stroke={strokeColors[index % strokeColors.length]}
+                          strokeWidth="1"
+                        />
+                      );
+                    })()}
                     {/* Panel number label */}
                     <text
-                      x={20 + calculations.calculatedEdgeDistance * scale + (calculations.panelWidth * scale) / 2}
-                      y={panelY + (height * scale) / 2}
+                      x={panelX + panelW / 2}
+                      y={panelY + panelH / 2}
                       textAnchor="middle"
                       dominantBaseline="middle"
                       fontSize="12"
@@ -980,37 +1370,37 @@ const DoorPanelCalculator = () => {
                 );
               })}
 
-              {/* Peephole - only render if no optimal zone error */}
-              {showPeephole && !calculations.peepholeOptimalZoneError && (
-                <g>
+              {/* Peepholes and other cutouts - only those that could be placed */}
+              {calculations.peepholes.filter(peephole => !peephole.error && peephole.coordinates).map(peephole => (
+                <g key={peephole.label}>
                   {/* Peephole cutout - rendered as circle */}
                   <circle
-                    cx={20 + (doorWidth / 2) * scale} // Centered horizontally
-                    cy={20 + (calculations.actualPeepholeTop + peepholeDiameter/2) * scale}
-                    r={(peepholeDiameter / 2) * scale}
+                    cx={20 + peephole.coordinates.fromLeft * scale}
+                    cy={20 + peephole.coordinates.centerY * scale}
+                    r={(peephole.diameter / 2) * scale}
                     fill="#000"
                     stroke="#666"
                     strokeWidth="1.5"
                   />
                   {/* Peephole label */}
                   <text
-                    x={20 + (doorWidth / 2 + peepholeDiameter/2 + 2) * scale}
-                    y={20 + (calculations.actualPeepholeTop + peepholeDiameter/2) * scale}
+                    x={20 + (peephole.coordinates.fromLeft + peephole.diameter / 2 + 2) * scale}
+                    y={20 + peephole.coordinates.centerY * scale}
                     fontSize="10"
                     fill="#666"
                     dominantBaseline="middle"
                   >
-                    Peephole
+                    {peephole.label}
                   </text>
                 </g>
-              )}
+              ))}
 
-              {/* Error indicator when peephole can't be placed in optimal zone */}
-              {showPeephole && autoCenterPeephole && calculations.peepholeOptimalZoneError && (
-                <g>
+              {/* Error indicator when a peephole can't be placed in its zone */}
+              {calculations.peepholes.filter(peephole => peephole.error).map(peephole => (
+                <g key={peephole.label}>
                   <rect
                     x={25}
-                    y={20 + (doorHeight - 162.5) * scale - 20}
+                    y={20 + (doorHeight - peephole.zone.ideal) * scale - 20}
                     width={scaledDoorWidth - 10}
                     height={40}
                     fill="#FF4444"
@@ -1021,31 +1411,111 @@ const DoorPanelCalculator = () => {
                   />
                   <text
                     x={20 + scaledDoorWidth / 2}
-                    y={20 + (doorHeight - 162.5) * scale}
+                    y={20 + (doorHeight - peephole.zone.ideal) * scale}
                     fontSize="12"
                     fill="#CC0000"
                     fontWeight="bold"
                     textAnchor="middle"
                   >
-                    ⚠️ Cannot Place Peephole
+                    ⚠️ Cannot Place {peephole.label}
                   </text>
                 </g>
+              ))}
+
+              {/* Toolpath preview: tool width band with the center line on top */}
+              {toolpaths && calculations.fits && (
+                <g>
+                  {toolpaths.profiles.map(profile => {
+                    const path = outlineSvgPath(profile.outline, toPixels, scale);
+                    return (
+                      <g key={profile.panel}>
+                        <path
+                          d={path}
+                          fill="none"
+                          stroke="#1E90FF"
+                          strokeOpacity="0.35"
+                          strokeWidth={Math.max(1, gcodeOptions.toolDiameter * scale)}
+                          strokeLinejoin="round"
+                        />
+                        <path d={path} fill="none" stroke="#0000CD" strokeWidth="1" strokeDasharray="4,2" />
+                      </g>
+                    );
+                  })}
+                  {toolpaths.drills.map((drill, index) => (
+                    <g key={index}>
+                      <circle
+                        cx={20 + drill.x * scale}
+                        cy={20 + drill.y * scale}
+                        r={(drill.diameter / 2) * scale}
+                        fill="none"
+                        stroke="#0000CD"
+                        strokeWidth="1.5"
+                        strokeDasharray="3,2"
+                      />
+                      <line x1={20 + drill.x * scale - 6} y1={20 + drill.y * scale} x2={20 + drill.x * scale + 6} y2={20 + drill.y * scale} stroke="#0000CD" strokeWidth="1" />
+                      <line x1={20 + drill.x * scale} y1={20 + drill.y * scale - 6} x2={20 + drill.x * scale} y2={20 + drill.y * scale + 6} stroke="#0000CD" strokeWidth="1" />
+                    </g>
+                  ))}
+                </g>
               )}
 
-              {/* Door handle */}
-              <circle
-                cx={20 + scaledDoorWidth - 15}
-                cy={20 + scaledDoorHeight / 2}
-                r="5"
-                fill="#FFD700"
-                stroke="#DAA520"
-                strokeWidth="2"
+              {/* Swing: lines from the lock side meet at the hinge side, dashed when the door swings away from the viewer */}
+              <polyline
+                points={[
+                  [calculations.handing.hingeSide === 'left' ? 20 + scaledDoorWidth : 20, 20],
+                  [calculations.handing.hingeSide === 'left' ? 20 : 20 + scaledDoorWidth, 20 + scaledDoorHeight / 2],
+                  [calculations.handing.hingeSide === 'left' ? 20 + scaledDoorWidth : 20, 20 + scaledDoorHeight]
+                ].map(point => point.join(',')).join(' ')}
+                fill="none"
+                stroke="#1F2937"
+                strokeWidth="1"
+                strokeDasharray={calculations.handing.towardViewer ? undefined : '8,6'}
+                opacity="0.5"
               />
-              
-              {/* Door hinges */}
-              <rect x="22" y={20 + 30} width="8" height="15" fill="#C0C0C0" stroke="#A0A0A0" strokeWidth="1" />
-              <rect x="22" y={20 + scaledDoorHeight - 45} width="8" height="15" fill="#C0C0C0" stroke="#A0A0A0" strokeWidth="1" />
+              <text x="20" y="14" fontSize="11" fill="#374151">
+                {calculations.handing.code}, {calculations.handing.viewSide} view
+              </text>
+
+              {/* Door hardware: footprint and clearance zone, red when a panel edge is under it */}
+              {checkedHardware.map(item => {
+                const blocked = Boolean(item.railClash) || item.conflicts.some(conflict => conflict && conflict.type !== 'inside-safe');
+                const colors = hardwareColors[item.type];
+                return (
+                  <g key={item.id}>
+                    {item.clearance > 0 && (
+                      <rect
+                        x={20 + (item.left - item.clearance) * scale}
+                        y={20 + (item.top - item.clearance) * scale}
+                        width={(item.width + 2 * item.clearance) * scale}
+                        height={(item.height + 2 * item.clearance) * scale}
+                        fill="none"
+                        stroke={blocked ? '#DC2626' : '#9CA3AF'}
+                        strokeWidth="1"
+                        strokeDasharray="3,2"
+                      />
+                    )}
+                    <rect
+                      x={20 + item.left * scale}
+                      y={20 + item.top * scale}
+                      width={item.width * scale}
+                      height={item.height * scale}
+                      fill={colors.fill}
+                      opacity={item.type === 'kick-plate' ? 0.6 : 1}
+                      stroke={blocked ? '#DC2626' : colors.stroke}
+                      strokeWidth={blocked ? 2 : 1}
+                      rx={item.edge === 'lock' ? 3 : 0}
+                    >
+                      <title>{item.label}</title>
+                    </rect>
+                  </g>
+                );
+              })}
             </svg>
+            {/* The other face as seen from its own side, so mirrored */}
+            {otherFaceCalculations && (
+              <FaceView calculations={otherFaceCalculations} doorWidth={doorWidth} doorHeight={doorHeight} />
+            )}
+            {assemblyLayout && <AssemblyView assembly={assemblyLayout} />}
           </div>
           
           <div className="mt-6 grid grid-cols-2 gap-4 text-sm">
@@ -1053,22 +1523,37 @@ const DoorPanelCalculator = () => {
               <h3 className="font-medium mb-2">Legend</h3>
               <div className="space-y-1 text-gray-600">
                 <p>🟫 Door frame</p>
-                <p>⬜ Decorative panels</p>
+                <p>⬜ Decorative panels (inner line: raised)</p>
+                <p>🟦 Glass: clear, frosted or leaded</p>
+                <p>☰ Louvers and ▥ open grilles</p>
                 <p>- - - Available area</p>
-                <p>🟡 Door handle</p>
+                <p>🟡 Lockset and deadbolt</p>
                 <p>⬜ Hinges</p>
+                <p>- - - Hardware clearance (red: a panel edge is under it)</p>
+                <p>◁ Swing lines meet at the hinge side (dashed: opens away from you)</p>
               </div>
             </div>
             <div>
               <h3 className="font-medium mb-2">Design Notes</h3>
               <div className="space-y-1 text-gray-600 text-xs">
-                <p>• All panels same width</p>
+                <p>• Columns split each row across the width</p>
                 <p>• Heights follow proportion ratios</p>
                 <p>• Golden ratio creates harmony</p>
                 <p>• Traditional door aesthetics</p>
               </div>
             </div>
           </div>
+
+          <ExportPanel
+            calculations={calculations}
+            layoutConfig={layoutConfig}
+            displayUnit={displayUnit}
+            roundingStep={roundingStep}
+            gcodeOptions={gcodeOptions}
+            onGcodeOptionsChange={setGcodeOptions}
+            showToolpathPreview={showToolpathPreview}
+            onShowToolpathPreviewChange={setShowToolpathPreview}
+          />
         </div>
       </div>
     </div>
@@ -0,0 +1,185 @@
+import React, { useState } from 'react';
+import { UNITS, fromUnit, toUnit } from '../lib/units';
+import { buildLayoutDxf, DXF_LAYERS } from '../lib/export/dxf';
+import { buildLayoutGcode, GCODE_UNITS, TOOL_OFFSETS } from '../lib/export/gcode';
+import { downloadTextFile } from '../lib/download';
+import LengthInput from './LengthInput';
+
+const inputClass = 'w-full p-2 border rounded focus:ring-2 focus:ring-blue-500 text-sm';
+
+const ExportPanel = ({
+  calculations,
+  layoutConfig,
+  displayUnit,
+  roundingStep,
+  gcodeOptions,
+  onGcodeOptionsChange,
+  showToolpathPreview,
+  onShowToolpathPreviewChange
+}) => {
+  const [exportUnit, setExportUnit] = useState(displayUnit);
+  const baseFilename = `door-${Math.round(layoutConfig.doorWidth)}x${Math.round(layoutConfig.doorHeight)}`;
+
+  const exportDxf = () => {
+    downloadTextFile(`${baseFilename}.dxf`, buildLayoutDxf(calculations, layoutConfig, { unit: exportUnit }), 'application/dxf');
+  };
+
+  const exportGcode = () => {
+    const { gcode } = buildLayoutGcode(calculations, layoutConfig, gcodeOptions);
+    downloadTextFile(`${baseFilename}.nc`, gcode);
+  };
+
+  const setOption = (key, value) => onGcodeOptionsChange({ ...gcodeOptions, [key]: value });
+
+  // Tooling needs finer steps than the layout itself
+  const toolStep = displayUnit === 'in' ? 1 / 64 : roundingStep / 10;
+
+  const lengthField = (key, label) => (
+    <div>
+      <label className="block text-xs font-medium mb-1">{label} ({UNITS[displayUnit].label})</label>
+      <LengthInput
+        value={gcodeOptions[key]}
+        unit={displayUnit}
+        step={toolStep}
+        onChange={(value) => setOption(key, value)}
+        className={inputClass}
+      />
+    </div>
+  );
+
+  // Feeds are stored in cm/min and edited in the G-code unit per minute
+  const feedField = (key, label) => (
+    <div>
+      <label className="block text-xs font-medium mb-1">{label} ({gcodeOptions.unit}/min)</label>
+      <input
+        type="number"
+        value={Math.round(toUnit(gcodeOptions[key], gcodeOptions.unit) * 10) / 10}
+        onChange={(e) => setOption(key, fromUnit(Number(e.target.value), gcodeOptions.unit))}
+        className={inputClass}
+      />
+    </div>
+  );
+
+  return (
+    <div className="mt-6 bg-white p-4 rounded border border-gray-300 space-y-4">
+      <div>
+        <h3 className="font-medium mb-3">Export for CAD / CNC</h3>
+        <div className="flex items-end gap-4">
+          <div>
+            <label className="block text-sm font-medium mb-2">Units</label>
+            <select
+              value={exportUnit}
+              onChange={(e) => setExportUnit(e.target.value)}
+              className="p-2 border rounded focus:ring-2 focus:ring-blue-500 text-sm"
+            >
+              {Object.values(UNITS).map(unit => (
+                <option key={unit.key} value={unit.key}>{unit.name}</option>
+              ))}
+            </select>
+          </div>
+          <button
+            type="button"
+            onClick={exportDxf}
+            disabled={!calculations.fits}
+            className="px-4 py-2 bg-blue-600 text-white rounded hover:bg-blue-700 disabled:bg-gray-400 disabled:cursor-not-allowed text-sm"
+          >
+            Download DXF
+          </button>
+        </div>
+        <p className="text-xs text-gray-600 mt-2">
+          Real-size drawing, origin at the bottom-left corner of the door, on layers {Object.keys(DXF_LAYERS).join(', ')}.
+        </p>
+      </div>
+
+      <div className="border-t pt-4">
+        <h3 className="font-medium mb-3">G-code Toolpaths</h3>
+        <div className="grid grid-cols-3 gap-3">
+          {lengthField('toolDiameter', 'Tool diameter')}
+          {lengthField('depth', 'Depth of cut')}
+          {lengthField('stepDown', 'Step-down')}
+          {feedField('feedRate', 'Feed rate')}
+          {feedField('plungeRate', 'Plunge rate')}
+          {lengthField('safeHeight', 'Safe height')}
+          <div>
+            <label className="block text-xs font-medium mb-1">Spindle (rpm)</label>
+            <input
+              type="number"
+              value={gcodeOptions.spindleSpeed}
+              onChange={(e) => setOption('spindleSpeed', Number(e.target.value))}
+              className={inputClass}
+            />
+          </div>
+          <div>
+            <label className="block text-xs font-medium mb-1">Tool path</label>
+            <select
+              value={gcodeOptions.offset}
+              onChange={(e) => setOption('offset', e.target.value)}
+              className={inputClass}
+            >
+              {Object.entries(TOOL_OFFSETS).map(([key, label]) => (
+                <option key={key} value={key}>{label}</option>
+              ))}
+            </select>
+          </div>
+          <div>
+            <label className="block text-xs font-medium mb-1">Program units</label>
+            <select
+              value={gcodeOptions.unit}
+              onChange={(e) => setOption('unit', e.target.value)}
+              className={inputClass}
+            >
+              {GCODE_UNITS.map(unit => (
+                <option key={unit} value={unit}>{UNITS[unit].name}</option>
+              ))}
+            </select>
+          </div>
+        </div>
+
+        <div className="mt-3 space-y-2">
+          <div className="flex items-center">
+            <input
+              type="checkbox"
+              id="drillPeephole"
+              checked={gcodeOptions.drillPeephole}
+              onChange={(e) => setOption('drillPeephole', e.target.checked)}
+              disabled={!layoutConfig.showPeephole}
+              className="mr-2"
+            />
+            <label htmlFor="drillPeephole" className="text-sm">
+              Add a peck-drilling cycle at the peephole
+            </label>
+          </div>
+          {gcodeOptions.drillPeephole && layoutConfig.showPeephole && (
+            <div className="grid grid-cols-3 gap-3 ml-6">
+              {lengthField('drillDepth', 'Drill depth')}
+              {lengthField('peckDepth', 'Peck depth')}
+            </div>
+          )}
+          <div className="flex items-center">
+            <input
+              type="checkbox"
+              id="showToolpathPreview"
+              checked={showToolpathPreview}
+              onChange={(e) => onShowToolpathPreviewChange(e.target.checked)}
+              className="mr-2"
+            />
+            <label htmlFor="showToolpathPreview" className="text-sm">
+              Show toolpath preview on the drawing
+            </label>
+          </div>
+        </div>
+
+        <button
+          type="button"
+          onClick={exportGcode}
+          disabled={!calculations.fits}
+          className="mt-3 px-4 py-2 bg-blue-600 text-white rounded hover:bg-blue-700 disabled:bg-gray-400 disabled:cursor-not-allowed text-sm"
+        >
+          Download G-code
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default ExportPanel;
@@ -0,0 +1,139 @@
+import React from 'react';
+import { formatLength, getUnit } from '../lib/units';
+import LengthInput from './LengthInput';
+
+const inputClass = 'w-full p-2 border rounded focus:ring-2 focus:ring-blue-500 text-sm disabled:bg-gray-200 disabled:cursor-not-allowed';
+
+// More peepholes and other circular cutouts (door viewers, camera lenses),
+// each with its own diameter and position, placed by hand or within a zone of
+// the height standard. Every one is checked against every panel.
+const ExtraPeepholesInput = ({ layoutConfig, calculations, onChange, displayUnit, roundingStep }) => {
+  const { extraPeepholes = [], doorWidth } = layoutConfig;
+  const fmt = (cm) => formatLength(cm, displayUnit, { step: roundingStep });
+  const unitLabel = getUnit(displayUnit).label;
+  const placed = calculations.peepholes.filter(peephole => peephole.source === 'extra');
+  const zones = calculations.peepholeZones;
+
+  const update = (index, changes) => onChange(extraPeepholes.map((extra, i) => (i === index ? { ...extra, ...changes } : extra)));
+  const add = () => onChange([...extraPeepholes, {
+    label: '',
+    top: layoutConfig.peepholeTop,
+    diameter: layoutConfig.peepholeDiameter,
+    left: null,
+    auto: false,
+    zone: 0
+  }]);
+  const remove = (index) => onChange(extraPeepholes.filter((_, i) => i !== index));
+
+  return (
+    <div className="space-y-3">
+      {extraPeepholes.map((extra, index) => {
+        const result = placed[index];
+        const problems = result ? result.conflicts.filter(conflict => conflict && conflict.type !== 'inside-safe') : [];
+        return (
+          <div key={index} className="border rounded p-3 space-y-2 bg-white">
+            <div className="flex items-center gap-2">
+              <input
+                type="text"
+                value={extra.label}
+                placeholder={result ? result.label : 'Label'}
+                onChange={(e) => update(index, { label: e.target.value })}
+                className={inputClass}
+              />
+              <button type="button" onClick={() => remove(index)} className="text-xs text-red-700 hover:underline">
+                Remove
+              </button>
+            </div>
+            <div className="grid grid-cols-3 gap-3">
+              <div>
+                <label className="block text-xs font-medium mb-1">From top ({unitLabel})</label>
+                <LengthInput
+                  value={extra.auto && result && result.top !== null ? result.top : extra.top}
+                  unit={displayUnit}
+                  step={roundingStep}
+                  onChange={(value) => update(index, { top: value })}
+                  disabled={extra.auto}
+                  className={inputClass}
+                />
+              </div>
+              <div>
+                <label className="block text-xs font-medium mb-1">Diameter ({unitLabel})</label>
+                <LengthInput
+                  value={extra.diameter}
+                  unit={displayUnit}
+                  step={roundingStep}
+                  onChange={(value) => update(index, { diameter: value })}
+                  className={inputClass}
+                />
+              </div>
+              <div>
+                <label className="block text-xs font-medium mb-1">From left{calculations.handing.mirrored ? ', exterior' : ''} ({unitLabel})</label>
+                <LengthInput
+                  value={extra.left ?? doorWidth / 2}
+                  unit={displayUnit}
+                  step={roundingStep}
+                  onChange={(value) => update(index, { left: value })}
+                  className={inputClass}
+                />
+                <div className="flex justify-between text-xs mt-1">
+                  <span className="text-gray-500">{extra.left === null ? 'Centered' : 'Custom'}</span>
+                  {extra.left !== null && (
+                    <button type="button" onClick={() => update(index, { left: null })} className="text-blue-700 hover:underline">
+                      Center
+                    </button>
+                  )}
+                </div>
+              </div>
+            </div>
+            <div className="flex items-center gap-3 text-xs">
+              <label className="flex items-center">
+                <input
+                  type="checkbox"
+                  checked={extra.auto}
+                  onChange={(e) => update(index, { auto: e.target.checked })}
+                  className="mr-2"
+                />
+                Place automatically
+              </label>
+              {extra.auto && zones.length > 1 && (
+                <select
+                  value={extra.zone}
+                  onChange={(e) => update(index, { zone: Number(e.target.value) })}
+                  className="p-1 border rounded"
+                >
+                  {zones.map((zone, zoneIndex) => (
+                    <option key={zone.label} value={zoneIndex}>{zone.label}</option>
+                  ))}
+                </select>
+              )}
+            </div>
+            {result && (
+              <div className="text-xs space-y-1">
+                {result.error && <p className="text-red-800">⚠️ ERROR: {result.error.message}</p>}
+                {result.coordinates && (
+                  <p className="text-gray-700">
+                    Center {fmt(result.coordinates.fromBottom)} from bottom, {fmt(result.coordinates.fromLeft)} from left
+                  </p>
+                )}
+                {problems.map((conflict, i) => <p key={i} className="text-orange-700">⚠ {conflict.message}</p>)}
+                {result.gapStatus && (
+                  <p className={result.gapStatus.type === 'gap-safe' ? 'text-green-700' : 'text-yellow-800'}>{result.gapStatus.message}</p>
+                )}
+                {result.zoneStatus && !result.zoneStatus.inZone && <p className="text-gray-600">{result.zoneStatus.message}</p>}
+              </div>
+            )}
+          </div>
+        );
+      })}
+      <button
+        type="button"
+        onClick={add}
+        className="px-3 py-1 bg-blue-600 text-white rounded hover:bg-blue-700 text-sm"
+      >
+        Add peephole or cutout
+      </button>
+    </div>
+  );
+};
+
+export default ExtraPeepholesInput;
@@ -0,0 +1,92 @@
+import React from 'react';
+import PanelInfill from './PanelInfill';
+
+const panelColors = ['#F5DEB3', '#DEB887', '#D2B48C', '#CDAA3D', '#DAA520'];
+const panelStrokes = ['#D2691E', '#CD853F', '#A0522D', '#B8860B', '#B8860B'];
+
+const isProblem = (conflict) => conflict && conflict.type !== 'inside-safe';
+
+// A compact drawing of one face of the door, as seen from its own side: the
+// panels, the cutouts and hardware that go through the door, and the swing.
+// Anything that runs into a panel edge on this face is outlined in red.
+const FaceView = ({ calculations, doorWidth, doorHeight, width = 180 }) => {
+  const scale = width / doorWidth;
+  const height = doorHeight * scale;
+  const { handing } = calculations;
+  const hingeX = handing.hingeSide === 'left' ? 10 : 10 + width;
+  const lockX = handing.hingeSide === 'left' ? 10 + width : 10;
+
+  return (
+    <svg width={width + 20} height={height + 36} className="border border-gray-300 bg-white rounded shadow">
+      <text x="10" y="14" fontSize="11" fill="#374151">
+        {handing.viewSide === 'interior' ? 'Interior' : 'Exterior'} face ({handing.code})
+      </text>
+      <g transform="translate(0, 16)">
+        <rect x="10" y="10" width={width} height={height} fill="#8B4513" stroke="#654321" strokeWidth="2" />
+        {calculations.fits && calculations.panelPositions.map((position, index) => (
+          <g key={index}>
+            <PanelInfill
+              panel={position}
+              scale={scale}
+              origin={10}
+              infill={calculations.infills[index]}
+              fill={panelColors[index % panelColors.length]}
+              stroke={panelStrokes[index % panelStrokes.length]}
+              strokeWidth="1.5"
+              clipId={`face-infill-${handing.viewSide}-${index}`}
+            />
+            <text
+              x={10 + (position.left + position.width / 2) * scale}
+              y={10 + (position.top + position.height / 2) * scale}
+              textAnchor="middle"
+              dominantBaseline="middle"
+              fontSize="10"
+              fill="#8B4513"
+              fontWeight="bold"
+            >
+              {index + 1}
+            </text>
+          </g>
+        ))}
+        {calculations.peepholes.filter(peephole => !peephole.error && peephole.coordinates).map(peephole => (
+          <circle
+            key={peephole.label}
+            cx={10 + peephole.coordinates.fromLeft * scale}
+            cy={10 + peephole.coordinates.centerY * scale}
+            r={Math.max(1.5, (peephole.diameter / 2) * scale)}
+            fill="#000"
+            stroke={peephole.conflicts.some(isProblem) ? '#DC2626' : '#666'}
+            strokeWidth={peephole.conflicts.some(isProblem) ? 2 : 1}
+          >
+            <title>{peephole.label}</title>
+          </circle>
+        ))}
+        {calculations.hardware.map(item => (
+          <rect
+            key={item.id}
+            x={10 + item.left * scale}
+            y={10 + item.top * scale}
+            width={item.width * scale}
+            height={item.height * scale}
+            fill="#D1D5DB"
+            opacity={item.type === 'kick-plate' ? 0.6 : 1}
+            stroke={item.conflicts.some(isProblem) || item.railClash ? '#DC2626' : '#6B7280'}
+            strokeWidth="1"
+          >
+            <title>{item.label}</title>
+          </rect>
+        ))}
+        <polyline
+          points={`${lockX},10 ${hingeX},${10 + height / 2} ${lockX},${10 + height}`}
+          fill="none"
+          stroke="#1F2937"
+          strokeWidth="1"
+          strokeDasharray={handing.towardViewer ? undefined : '6,4'}
+          opacity="0.5"
+        />
+      </g>
+    </svg>
+  );
+};
+
+export default FaceView;
@@ -0,0 +1,107 @@
+import React from 'react';
+import { resolveFrameWidths } from '../lib/layoutEngine';
+import { getProportionFamily, ratioFamilies } from '../lib/proportionRegistry';
+import { formatLength, getUnit } from '../lib/units';
+import LengthInput from './LengthInput';
+
+const inputClass = 'w-full p-2 border rounded focus:ring-2 focus:ring-blue-500 text-sm';
+
+const sideFields = [
+  { key: 'topRailWidth', side: 'top', label: 'Top rail' },
+  { key: 'bottomRailWidth', side: 'bottom', label: 'Bottom rail' },
+  { key: 'leftStileWidth', side: 'left', label: 'Left stile' },
+  { key: 'rightStileWidth', side: 'right', label: 'Right stile' }
+];
+
+// Per-member widths for the stiles, rails and every gap. Members left unset
+// follow the edge distance / panel gap. With auto spacing the entered widths
+// only set the proportions between members; the solved widths are shown
+// beside them.
+const FrameWidthsInput = ({ layoutConfig, calculations, onChange, displayUnit, roundingStep }) => {
+  const entered = resolveFrameWidths(layoutConfig);
+  const fmt = (cm) => formatLength(cm, displayUnit, { step: roundingStep });
+  const unitLabel = getUnit(displayUnit).label;
+  const { autoCalculateSpacing, midRailWidths = [] } = layoutConfig;
+
+  const setMidRail = (index, value) => {
+    const next = Array.from({ length: entered.gaps.length }, (_, i) => (i === index ? value : midRailWidths[i] ?? null));
+    onChange('midRailWidths', next);
+  };
+
+  const isSet = (value) => value !== null && value !== undefined;
+
+  const field = ({ id, label, value, isCustom, solved, onValueChange, onReset }) => (
+    <div key={id}>
+      <label className="block text-sm font-medium mb-1">{label} ({unitLabel})</label>
+      <LengthInput
+        value={value}
+        unit={displayUnit}
+        step={roundingStep}
+        onChange={onValueChange}
+        className={inputClass}
+      />
+      <div className="flex justify-between text-xs mt-1">
+        <span className="text-gray-500">
+          {autoCalculateSpacing ? `Solved: ${fmt(solved)}` : isCustom ? 'Custom' : 'Follows default'}
+        </span>
+        {isCustom && (
+          <button type="button" onClick={onReset} className="text-blue-700 hover:underline">
+            Reset
+          </button>
+        )}
+      </div>
+    </div>
+  );
+
+  return (
+    <div className="space-y-3">
+      <div className="grid grid-cols-2 gap-4">
+        {sideFields.map(({ key, side, label }) => field({
+          id: key,
+          label,
+          value: entered.frame[side],
+          isCustom: isSet(layoutConfig[key]),
+          solved: calculations.frame[side],
+          onValueChange: (value) => onChange(key, value),
+          onReset: () => onChange(key, null)
+        }))}
+      </div>
+
+      {entered.gaps.length > 0 && (
+        <div className="grid grid-cols-2 gap-4">
+          {entered.gaps.map((gap, index) => field({
+            id: `gap-${index}`,
+            label: `Gap ${index + 1}/${index + 2}`,
+            value: gap,
+            isCustom: isSet(midRailWidths[index]),
+            solved: calculations.gaps[index],
+            onValueChange: (value) => setMidRail(index, value),
+            onReset: () => setMidRail(index, null)
+          }))}
+        </div>
+      )}
+
+      <div className="flex items-center gap-2 text-sm">
+        <span>Bottom rail = top rail ×</span>
+        <select
+          value=""
+          onChange={(e) => e.target.value && onChange('bottomRailWidth', entered.frame.top * getProportionFamily(e.target.value).ratio)}
+          className="p-1 border rounded text-sm"
+        >
+          <option value="">choose ratio…</option>
+          {ratioFamilies().map(ratio => (
+            <option key={ratio.key} value={ratio.key}>{ratio.name} (≈{ratio.ratio.toFixed(3)})</option>
+          ))}
+        </select>
+      </div>
+
+      <p className="text-xs text-gray-600">
+        {autoCalculateSpacing
+          ? 'Auto spacing scales every member together, keeping the proportions entered here relative to the top rail. Unset gaps stay at top rail ÷ ratio.'
+          : 'Unset members follow the edge distance and panel gap above.'}
+      </p>
+    </div>
+  );
+};
+
+export default FrameWidthsInput;
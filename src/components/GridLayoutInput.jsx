@@ -0,0 +1,105 @@
+import React from 'react';
+import { describeProportion, resolveFrameWidths, resolveRowColumns } from '../lib/layoutEngine';
+import { sequenceFamilies } from '../lib/proportionRegistry';
+import { formatLength, getUnit } from '../lib/units';
+import LengthInput from './LengthInput';
+
+const inputClass = 'w-full p-2 border rounded focus:ring-2 focus:ring-blue-500 text-sm';
+
+// Columns per row, the mullion between columns and the width proportions
+// across each row. Rows are the panels stacked by Panel Count.
+const GridLayoutInput = ({ layoutConfig, calculations, onChange, displayUnit, roundingStep }) => {
+  const { columnCount, rowColumns = [], mullionWidth, columnProportionType, autoCalculateSpacing } = layoutConfig;
+  const columnsPerRow = resolveRowColumns(layoutConfig);
+  const hasColumns = columnsPerRow.some(columns => columns > 1);
+  const unitLabel = getUnit(displayUnit).label;
+
+  const setRowColumns = (row, value) => {
+    const next = columnsPerRow.map((columns, i) => (i === row ? value : rowColumns[i] ?? null));
+    onChange('rowColumns', next);
+  };
+
+  return (
+    <div className="space-y-3">
+      <div className="grid grid-cols-3 gap-4">
+        <div>
+          <label className="block text-sm font-medium mb-2">Columns</label>
+          <input
+            type="number"
+            min="1"
+            max="10"
+            value={columnCount}
+            onChange={(e) => onChange('columnCount', Math.max(1, Number(e.target.value)))}
+            className={inputClass}
+          />
+        </div>
+        <div>
+          <label className="block text-sm font-medium mb-2">Mullion ({unitLabel})</label>
+          <LengthInput
+            value={autoCalculateSpacing ? calculations.mullion : resolveFrameWidths(layoutConfig).mullion}
+            unit={displayUnit}
+            step={roundingStep}
+            onChange={(value) => onChange('mullionWidth', value)}
+            disabled={!hasColumns}
+            className={`${inputClass} disabled:bg-gray-200 disabled:cursor-not-allowed`}
+          />
+          <span className="text-xs text-gray-500">
+            {mullionWidth === null || mullionWidth === undefined ? 'Follows panel gap' : 'Custom'}
+          </span>
+        </div>
+        <div>
+          <label className="block text-sm font-medium mb-2">Column widths</label>
+          <select
+            value={columnProportionType}
+            onChange={(e) => onChange('columnProportionType', e.target.value)}
+            disabled={!hasColumns}
+            className={`${inputClass} disabled:bg-gray-200 disabled:cursor-not-allowed`}
+            title={describeProportion(columnProportionType)}
+          >
+            {sequenceFamilies().map(family => (
+              <option key={family.key} value={family.key}>{family.name}</option>
+            ))}
+          </select>
+        </div>
+      </div>
+
+      {columnsPerRow.length > 1 && (
+        <div>
+          <p className="text-sm font-medium mb-2">Columns per row</p>
+          <div className="grid grid-cols-4 gap-2">
+            {columnsPerRow.map((columns, row) => (
+              <label key={row} className="text-xs">
+                Row {row + 1}
+                <input
+                  type="number"
+                  min="1"
+                  max="10"
+                  value={columns}
+                  onChange={(e) => setRowColumns(row, Math.max(1, Number(e.target.value)))}
+                  className={`${inputClass} ${rowColumns[row] !== null && rowColumns[row] !== undefined ? 'border-blue-500' : ''}`}
+                />
+              </label>
+            ))}
+          </div>
+          {rowColumns.some(columns => columns !== null && columns !== undefined) && (
+            <button
+              type="button"
+              onClick={() => onChange('rowColumns', [])}
+              className="text-xs text-blue-700 hover:underline mt-1"
+            >
+              Use {columnCount} column{columnCount > 1 ? 's' : ''} in every row
+            </button>
+          )}
+        </div>
+      )}
+
+      {hasColumns && (
+        <p className="text-xs text-gray-600">
+          Row widths: {calculations.rows.map(row => formatLength(row.width, displayUnit, { step: roundingStep })).join(' / ')}, split {describeProportion(columnProportionType).toLowerCase()}.
+        </p>
+      )}
+    </div>
+  );
+};
+
+export default GridLayoutInput;
@@ -0,0 +1,43 @@
+import React from 'react';
+import { HANDINGS, SWINGS, VIEW_SIDES } from '../lib/handing';
+
+const inputClass = 'w-full p-2 border rounded focus:ring-2 focus:ring-blue-500 text-sm';
+
+// Door hand, swing and the face the layout is shown from, with the handing
+// spelled out as it goes on the order
+const HandingInput = ({ layoutConfig, handing, onChange }) => {
+  const select = (key, label, options) => (
+    <div>
+      <label className="block text-xs font-medium mb-1">{label}</label>
+      <select value={layoutConfig[key]} onChange={(e) => onChange(key, e.target.value)} className={inputClass}>
+        {Object.entries(options).map(([value, option]) => (
+          <option key={value} value={value}>{option.name}</option>
+        ))}
+      </select>
+    </div>
+  );
+
+  return (
+    <div className="space-y-2">
+      <div className="grid grid-cols-3 gap-3">
+        {select('handing', 'Hand', HANDINGS)}
+        {select('swing', 'Swing', SWINGS)}
+        {select('viewSide', 'View from', VIEW_SIDES)}
+      </div>
+      <p className="text-sm">
+        <strong>{handing.code}</strong>: {handing.description}
+      </p>
+      <p className="text-xs text-gray-600">
+        Hand is read standing on the side the door swings away from. Showing the {handing.viewSide}: hinges on
+        the {handing.hingeSide}, the door swings {handing.towardViewer ? 'toward' : 'away from'} you.
+      </p>
+      {handing.mirrored && (
+        <p className="text-xs text-gray-600">
+          Stile widths, columns and positions from the left are entered as seen from the exterior and mirrored here.
+        </p>
+      )}
+    </div>
+  );
+};
+
+export default HandingInput;
@@ -0,0 +1,177 @@
+import React, { useState } from 'react';
+import { DOOR_MATERIALS, HARDWARE_TYPES } from '../lib/hardware';
+import { formatLength, getUnit } from '../lib/units';
+import LengthInput from './LengthInput';
+
+const inputClass = 'w-full p-2 border rounded focus:ring-2 focus:ring-blue-500 text-sm';
+
+const sizeFields = {
+  lockset: ['backset', 'trim', 'mortise'],
+  deadbolt: ['backset', 'trim', 'mortise'],
+  hinge: ['width', 'height'],
+  'mail-slot': ['width', 'height'],
+  'kick-plate': ['height', 'inset']
+};
+
+const fieldLabels = {
+  backset: 'Backset',
+  trim: 'Rose / trim Ø',
+  mortise: 'Mortise height',
+  width: 'Width',
+  height: 'Height',
+  inset: 'Side inset',
+  clearance: 'Clearance'
+};
+
+// Lockset, deadbolt, mail slot and kick plate with their positions and
+// clearance zones, each checked against every panel, plus the hinges planned
+// from the door's thickness and material
+const HardwareInput = ({ items, hardware, hinges, hingeSettings, peepholes, onChange, onHingeChange, displayUnit, roundingStep }) => {
+  const [newType, setNewType] = useState('deadbolt');
+  const fmt = (cm) => formatLength(cm, displayUnit, { step: roundingStep });
+  const unitLabel = getUnit(displayUnit).label;
+
+  const update = (index, changes) => onChange(items.map((item, i) => (i === index ? { ...item, ...changes } : item)));
+  const remove = (index) => onChange(items.filter((_, i) => i !== index));
+  const value = (item, key) => item[key] ?? HARDWARE_TYPES[item.type].defaults[key];
+  const plannedHinges = hardware.slice(items.length);
+  const hingeProblems = plannedHinges.flatMap(hinge => [
+    ...(hinge.railClash ? [hinge.railClash.message] : []),
+    ...hinge.conflicts
+      .map((conflict, panel) => conflict && conflict.type !== 'inside-safe' && `${hinge.label}, panel ${panel + 1}: ${conflict.message}`)
+      .filter(Boolean)
+  ]);
+
+  return (
+    <div className="space-y-3">
+      <div className="border rounded p-3 space-y-2 bg-white">
+        <p className="text-sm font-medium">Hinges</p>
+        <div className="grid grid-cols-3 gap-3">
+          <div>
+            <label className="block text-xs font-medium mb-1">Door thickness ({unitLabel})</label>
+            <LengthInput
+              value={hingeSettings.doorThickness}
+              unit={displayUnit}
+              step={roundingStep}
+              onChange={(cm) => onHingeChange('doorThickness', cm)}
+              className={inputClass}
+            />
+          </div>
+          <div>
+            <label className="block text-xs font-medium mb-1">Material</label>
+            <select
+              value={hingeSettings.doorMaterial}
+              onChange={(e) => onHingeChange('doorMaterial', e.target.value)}
+              className={inputClass}
+            >
+              {Object.entries(DOOR_MATERIALS).map(([key, material]) => (
+                <option key={key} value={key}>{material.name}</option>
+              ))}
+            </select>
+          </div>
+          <div>
+            <label className="block text-xs font-medium mb-1">Hinge count</label>
+            <select
+              value={hingeSettings.hingeCount ?? 'auto'}
+              onChange={(e) => onHingeChange('hingeCount', e.target.value === 'auto' ? null : Number(e.target.value))}
+              className={inputClass}
+            >
+              <option value="auto">Automatic</option>
+              {[0, 1, 2, 3, 4, 5, 6].map(count => <option key={count} value={count}>{count}</option>)}
+            </select>
+          </div>
+        </div>
+        <p className="text-xs text-gray-700">
+          {hinges.count} × {hinges.size.name} hinges, estimated door weight {Math.round(hinges.weight)} kg
+        </p>
+        <ul className="text-xs text-gray-600">
+          {hinges.reasons.map(reason => <li key={reason}>• {reason}</li>)}
+        </ul>
+        {plannedHinges.length > 0 && (
+          <p className="text-xs text-gray-600">
+            Centers from bottom: {plannedHinges.map(hinge => fmt(hinge.centerHeight)).join(', ')}
+          </p>
+        )}
+        {hingeProblems.length === 0 ? (
+          plannedHinges.length > 0 && <p className="text-xs text-green-700">✓ Clear of the panels and rail joints</p>
+        ) : (
+          hingeProblems.map(problem => <p key={problem} className="text-xs text-orange-800">⚠ {problem}</p>)
+        )}
+      </div>
+
+      {items.map((item, index) => {
+        const resolved = hardware[index];
+        const problems = resolved.conflicts
+          .map((conflict, panel) => conflict && conflict.type !== 'inside-safe' && { panel: panel + 1, ...conflict })
+          .filter(Boolean);
+        return (
+          <div key={index} className={`border rounded p-3 space-y-2 ${problems.length > 0 || resolved.railClash ? 'bg-orange-50 border-orange-300' : 'bg-white'}`}>
+            <div className="flex justify-between items-center">
+              <p className="text-sm font-medium">{resolved.label}</p>
+              <button type="button" onClick={() => remove(index)} className="text-xs text-red-700 hover:underline">
+                Remove
+              </button>
+            </div>
+            <div className="grid grid-cols-3 gap-3">
+              {item.type !== 'kick-plate' && (
+                <div>
+                  <label className="block text-xs font-medium mb-1">Center from bottom ({unitLabel})</label>
+                  <LengthInput
+                    value={resolved.centerHeight}
+                    unit={displayUnit}
+                    step={roundingStep}
+                    onChange={(cm) => update(index, { centerHeight: cm, fromTop: null })}
+                    className={inputClass}
+                  />
+                </div>
+              )}
+              {[...sizeFields[item.type], 'clearance'].map(key => (
+                <div key={key}>
+                  <label className="block text-xs font-medium mb-1">{fieldLabels[key]} ({unitLabel})</label>
+                  <LengthInput
+                    value={value(item, key)}
+                    unit={displayUnit}
+                    step={roundingStep}
+                    onChange={(cm) => update(index, { [key]: cm })}
+                    className={inputClass}
+                  />
+                </div>
+              ))}
+            </div>
+            {resolved.railClash && <p className="text-xs text-orange-800">⚠ {resolved.railClash.message}</p>}
+            {problems.length === 0 ? (
+              <p className="text-xs text-green-700">✓ Clear of every panel edge</p>
+            ) : (
+              problems.map(problem => (
+                <p key={problem.panel} className="text-xs text-orange-800">⚠ Panel {problem.panel}: {problem.message}</p>
+              ))
+            )}
+          </div>
+        );
+      })}
+
+      {peepholes.map(peephole => (
+        <p key={peephole.label} className="text-xs text-gray-600">
+          Door viewer: {peephole.label} at {peephole.coordinates ? fmt(peephole.coordinates.fromBottom) : '—'} from bottom, checked in the peephole section
+        </p>
+      ))}
+
+      <div className="flex gap-2">
+        <select value={newType} onChange={(e) => setNewType(e.target.value)} className="p-2 border rounded text-sm">
+          {Object.entries(HARDWARE_TYPES).map(([key, type]) => (
+            <option key={key} value={key}>{type.name}</option>
+          ))}
+        </select>
+        <button
+          type="button"
+          onClick={() => onChange([...items, { type: newType }])}
+          className="px-3 py-1 bg-blue-600 text-white rounded hover:bg-blue-700 text-sm"
+        >
+          Add hardware
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default HardwareInput;
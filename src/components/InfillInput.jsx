@@ -0,0 +1,104 @@
+import React from 'react';
+import { INFILL_TYPES } from '../lib/infill';
+import { formatLength, getUnit } from '../lib/units';
+import LengthInput from './LengthInput';
+
+const inputClass = 'w-full p-2 border rounded focus:ring-2 focus:ring-blue-500 text-sm';
+
+// Infill warnings of one face, by panel number on that face
+const infillProblems = (infills) => infills.flatMap((infill, index) => (
+  infill.warnings.map(warning => `Panel ${index + 1}: ${warning.message}`)
+));
+
+// The infill of every panel: one type for the door with per-panel
+// overrides, numbered as seen from the exterior, plus the safety glazing
+// height and louver pitch the checks use
+const InfillInput = ({ layoutConfig, calculations, onChange, displayUnit, roundingStep }) => {
+  const fmt = (cm) => formatLength(cm, displayUnit, { step: roundingStep });
+  const unitLabel = getUnit(displayUnit).label;
+  const { panelInfill, panelInfills } = layoutConfig;
+  const exteriorPanels = calculations.faces ? calculations.faces.exterior.panelPositions : calculations.panelPositions;
+
+  const setPanel = (index, type) => {
+    const next = [...panelInfills];
+    while (next.length <= index) next.push(null);
+    next[index] = type || null;
+    onChange('panelInfills', next);
+  };
+
+  const faces = calculations.faces
+    ? Object.values(calculations.faces).map(face => ({ side: face.side, infills: face.infills }))
+    : [{ side: null, infills: calculations.infills }];
+  const details = calculations.infills
+    .map((infill, index) => (
+      infill.louver ? `Panel ${index + 1}: ${infill.louver.slats} slats at ${fmt(infill.louver.pitch)}`
+        : infill.grille ? `Panel ${index + 1}: ${infill.grille.bars} bars ${fmt(infill.grille.spacing)} apart`
+          : null
+    ))
+    .filter(Boolean);
+
+  return (
+    <div className="space-y-3">
+      <div className="grid grid-cols-3 gap-3">
+        <div>
+          <label className="block text-xs font-medium mb-1">All panels</label>
+          <select value={panelInfill} onChange={(e) => onChange('panelInfill', e.target.value)} className={inputClass}>
+            {Object.entries(INFILL_TYPES).map(([key, infill]) => (
+              <option key={key} value={key}>{infill.name}</option>
+            ))}
+          </select>
+        </div>
+        <div>
+          <label className="block text-xs font-medium mb-1">Safety glass below ({unitLabel})</label>
+          <LengthInput
+            value={layoutConfig.safetyGlazingHeight}
+            unit={displayUnit}
+            step={roundingStep}
+            onChange={(cm) => onChange('safetyGlazingHeight', cm)}
+            className={inputClass}
+          />
+        </div>
+        <div>
+          <label className="block text-xs font-medium mb-1">Louver pitch ({unitLabel})</label>
+          <LengthInput
+            value={layoutConfig.louverPitch}
+            unit={displayUnit}
+            step={roundingStep}
+            onChange={(cm) => onChange('louverPitch', cm)}
+            className={inputClass}
+          />
+        </div>
+      </div>
+
+      <div className="grid grid-cols-3 gap-3">
+        {exteriorPanels.map((panel, index) => (
+          <div key={index}>
+            <label className="block text-xs font-medium mb-1">Panel {index + 1}</label>
+            <select value={panelInfills[index] || ''} onChange={(e) => setPanel(index, e.target.value)} className={inputClass}>
+              <option value="">Same as all ({INFILL_TYPES[panelInfill].name.toLowerCase()})</option>
+              {Object.entries(INFILL_TYPES).map(([key, infill]) => (
+                <option key={key} value={key}>{infill.name}</option>
+              ))}
+            </select>
+          </div>
+        ))}
+      </div>
+      {layoutConfig.viewSide === 'interior' && (
+        <p className="text-xs text-gray-600">Panels are numbered as seen from the exterior.</p>
+      )}
+
+      {details.map(detail => <p key={detail} className="text-xs text-gray-700">{detail}</p>)}
+      {faces.map(face => {
+        const problems = infillProblems(face.infills);
+        return problems.length > 0 && (
+          <div key={face.side || 'door'} className="text-xs">
+            {face.side && <p className="font-medium capitalize">{face.side} face</p>}
+            {problems.map(problem => <p key={problem} className="text-orange-800">⚠ {problem}</p>)}
+          </div>
+        );
+      })}
+    </div>
+  );
+};
+
+export default InfillInput;
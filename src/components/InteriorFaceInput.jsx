@@ -0,0 +1,162 @@
+import React from 'react';
+import { CUSTOM_PROPORTION, describeProportion, FACE_KEYS, formatRatioSequence, parseRatioSequence } from '../lib/layoutEngine';
+import { INFILL_TYPES } from '../lib/infill';
+import { sequenceFamilies } from '../lib/proportionRegistry';
+import { getUnit } from '../lib/units';
+import LengthInput from './LengthInput';
+
+const inputClass = 'w-full p-2 border rounded focus:ring-2 focus:ring-blue-500 text-sm';
+
+// Problems on one face with the cutouts and hardware that go through the door
+const faceProblems = (calculations, side) => {
+  const onFace = (item) => (item.otherFace && item.otherFace.side === side ? item.otherFace.conflicts : item.conflicts);
+  return [...calculations.peepholes, ...calculations.hardware].flatMap(item => onFace(item)
+    .map((conflict, panel) => conflict && conflict.type !== 'inside-safe' && `${item.label}, panel ${panel + 1}: ${conflict.message}`)
+    .filter(Boolean));
+};
+
+// A separate panel design for the interior face. Starts as a copy of the
+// exterior design; the peepholes and hardware are shared and checked against
+// both faces.
+const InteriorFaceInput = ({ layoutConfig, calculations, onChange, displayUnit, roundingStep }) => {
+  const face = layoutConfig.interiorFace;
+  const unitLabel = getUnit(displayUnit).label;
+  const setting = (key) => face[key] ?? layoutConfig[key];
+  const update = (key, value) => onChange({ ...face, [key]: value });
+
+  const enable = (enabled) => onChange(enabled
+    ? Object.fromEntries(FACE_KEYS.map(key => [key, layoutConfig[key]]))
+    : null);
+
+  return (
+    <div className="space-y-3">
+      <label className="flex items-center text-sm">
+        <input type="checkbox" checked={Boolean(face)} onChange={(e) => enable(e.target.checked)} className="mr-2" />
+        Different design on the interior face
+      </label>
+
+      {face && (
+        <>
+          <div className="grid grid-cols-3 gap-3">
+            <div>
+              <label className="block text-xs font-medium mb-1">Panels (rows)</label>
+              <input
+                type="number"
+                min="1"
+                max="10"
+                value={setting('panelCount')}
+                onChange={(e) => update('panelCount', Math.max(1, Number(e.target.value)))}
+                className={inputClass}
+              />
+            </div>
+            <div>
+              <label className="block text-xs font-medium mb-1">Height proportions</label>
+              <select
+                value={setting('proportionType')}
+                onChange={(e) => update('proportionType', e.target.value)}
+                className={inputClass}
+                title={describeProportion(setting('proportionType'))}
+              >
+                {sequenceFamilies().map(family => (
+                  <option key={family.key} value={family.key}>{family.name}</option>
+                ))}
+                <option value={CUSTOM_PROPORTION}>Custom</option>
+              </select>
+            </div>
+            <div>
+              <label className="block text-xs font-medium mb-1">Columns</label>
+              <input
+                type="number"
+                min="1"
+                max="10"
+                value={setting('columnCount')}
+                onChange={(e) => update('columnCount', Math.max(1, Number(e.target.value)))}
+                className={inputClass}
+              />
+            </div>
+            <div>
+              <label className="block text-xs font-medium mb-1">Edge distance ({unitLabel})</label>
+              <LengthInput
+                value={setting('edgeDistance')}
+                unit={displayUnit}
+                step={roundingStep}
+                onChange={(value) => update('edgeDistance', value)}
+                className={inputClass}
+              />
+            </div>
+            <div>
+              <label className="block text-xs font-medium mb-1">Panel gap ({unitLabel})</label>
+              <LengthInput
+                value={setting('panelGap')}
+                unit={displayUnit}
+                step={roundingStep}
+                onChange={(value) => update('panelGap', value)}
+                className={inputClass}
+              />
+            </div>
+            <div>
+              <label className="block text-xs font-medium mb-1">Column widths</label>
+              <select
+                value={setting('columnProportionType')}
+                onChange={(e) => update('columnProportionType', e.target.value)}
+                className={inputClass}
+              >
+                {sequenceFamilies().map(family => (
+                  <option key={family.key} value={family.key}>{family.name}</option>
+                ))}
+              </select>
+            </div>
+            <div>
+              <label className="block text-xs font-medium mb-1">Infill</label>
+              <select
+                value={setting('panelInfill')}
+                onChange={(e) => update('panelInfill', e.target.value)}
+                className={inputClass}
+              >
+                {Object.entries(INFILL_TYPES).map(([key, infill]) => (
+                  <option key={key} value={key}>{infill.name}</option>
+                ))}
+              </select>
+            </div>
+          </div>
+
+          {setting('proportionType') === CUSTOM_PROPORTION && (
+            <div>
+              <label className="block text-xs font-medium mb-1">Ratios, top row first</label>
+              <input
+                type="text"
+                defaultValue={formatRatioSequence(setting('customRatios'))}
+                onBlur={(e) => {
+                  const { ratios } = parseRatioSequence(e.target.value);
+                  if (ratios) update('customRatios', ratios);
+                }}
+                className={inputClass}
+              />
+            </div>
+          )}
+
+          <p className="text-xs text-gray-600">
+            Stile and rail widths, column counts per row, per-panel infills and shapes, and snapping are copied
+            from the exterior design when this is turned on. Left-right settings are as seen from the exterior.
+          </p>
+        </>
+      )}
+
+      {calculations.faces && ['exterior', 'interior'].map(side => {
+        const problems = faceProblems(calculations, side);
+        return (
+          <div key={side} className="text-xs">
+            <p className="font-medium capitalize">{side} face</p>
+            {problems.length === 0 ? (
+              <p className="text-green-700">✓ Peepholes and hardware clear of every panel</p>
+            ) : (
+              problems.map((problem, index) => <p key={index} className="text-orange-800">⚠ {problem}</p>)
+            )}
+          </div>
+        );
+      })}
+    </div>
+  );
+};
+
+export default InteriorFaceInput;
@@ -0,0 +1,144 @@
+import React, { useState } from 'react';
+import { DEFAULT_CONSTRAINTS, describeCandidate, optimizeLayout } from '../lib/optimizer';
+import { formatLength, getUnit } from '../lib/units';
+import LengthInput from './LengthInput';
+
+const inputClass = 'w-full p-2 border rounded focus:ring-2 focus:ring-blue-500 text-sm';
+
+const lengthFields = [
+  { key: 'minPanelHeight', label: 'Min panel height' },
+  { key: 'edgeMin', label: 'Edge from' },
+  { key: 'edgeMax', label: 'Edge to' },
+  { key: 'gapMin', label: 'Gap from' },
+  { key: 'gapMax', label: 'Gap to' }
+];
+
+// Search panel count, proportions and spacing against constraints and apply
+// any of the ranked results with one click
+const LayoutOptimizer = ({ layoutConfig, onApply, displayUnit, roundingStep }) => {
+  const [constraints, setConstraints] = useState(DEFAULT_CONSTRAINTS);
+  const [search, setSearch] = useState(null);
+  const fmt = (cm) => formatLength(cm, displayUnit, { step: roundingStep });
+  const unitLabel = getUnit(displayUnit).label;
+
+  const setConstraint = (key, value) => setConstraints({ ...constraints, [key]: value });
+
+  return (
+    <div className="space-y-3">
+      <div className="grid grid-cols-3 gap-3">
+        <div>
+          <label className="block text-xs font-medium mb-1">Panels from</label>
+          <input
+            type="number"
+            min="1"
+            max="50"
+            value={constraints.minPanelCount}
+            onChange={(e) => setConstraint('minPanelCount', Math.max(1, Number(e.target.value)))}
+            className={inputClass}
+          />
+        </div>
+        <div>
+          <label className="block text-xs font-medium mb-1">Panels to</label>
+          <input
+            type="number"
+            min="1"
+            max="50"
+            value={constraints.maxPanelCount}
+            onChange={(e) => setConstraint('maxPanelCount', Math.max(1, Number(e.target.value)))}
+            className={inputClass}
+          />
+        </div>
+        {lengthFields.map(({ key, label }) => (
+          <div key={key}>
+            <label className="block text-xs font-medium mb-1">{label} ({unitLabel})</label>
+            <LengthInput
+              value={constraints[key]}
+              unit={displayUnit}
+              step={roundingStep}
+              onChange={(value) => setConstraint(key, value)}
+              className={inputClass}
+            />
+          </div>
+        ))}
+      </div>
+
+      <label className="flex items-center text-sm">
+        <input
+          type="checkbox"
+          checked={constraints.peepholeInGap}
+          onChange={(e) => setConstraint('peepholeInGap', e.target.checked)}
+          disabled={!layoutConfig.showPeephole}
+          className="mr-2"
+        />
+        Peephole must land in a gap
+        {!layoutConfig.showPeephole && <span className="text-xs text-gray-500 ml-2">(turn on the peephole first)</span>}
+      </label>
+
+      <button
+        type="button"
+        onClick={() => setSearch(optimizeLayout(layoutConfig, constraints))}
+        className="px-4 py-2 bg-blue-600 text-white rounded hover:bg-blue-700 text-sm"
+      >
+        Find layouts
+      </button>
+
+      {search && (
+        <div>
+          <p className="text-xs text-gray-600 mb-2">
+            Checked {search.checked} combinations; {search.results.length === 0 ? 'none meet' : `best ${search.results.length} meeting`} the constraints.
+            {search.results.length === 0 && Object.keys(search.rejected).length > 0 && (
+              <> Most common problems: {Object.entries(search.rejected)
+                .sort((a, b) => b[1] - a[1])
+                .slice(0, 3)
+                .map(([reason, count]) => `${reason} (${count})`)
+                .join(', ')}.</>
+            )}
+          </p>
+          {search.results.length > 0 && (
+            <table className="w-full text-xs">
+              <thead>
+                <tr className="text-left text-gray-600">
+                  <th className="py-1">Score</th>
+                  <th className="py-1">Layout</th>
+                  <th className="py-1 text-right">Shortest panel</th>
+                  <th className="py-1"></th>
+                </tr>
+              </thead>
+              <tbody>
+                {search.results.map((result, index) => (
+                  <tr key={index} className="border-t align-top">
+                    <td
+                      className="py-1 font-medium"
+                      title={`Ratio ${Math.round(result.breakdown.ratio * 100)}, similarity ${Math.round(result.breakdown.similarity * 100)}, margin ${Math.round(result.breakdown.margin * 100)}`}
+                    >
+                      {result.score}
+                    </td>
+                    <td className="py-1">
+                      {describeCandidate(result.changes, displayUnit)}
+                      <div className="text-gray-500">
+                        ratio {result.layout.actualRatio.toFixed(3)}
+                        {result.layout.peepholeGapStatus && ', peephole in gap'}
+                      </div>
+                    </td>
+                    <td className="py-1 text-right">{fmt(Math.min(...result.layout.panelHeights))}</td>
+                    <td className="py-1 text-right">
+                      <button
+                        type="button"
+                        onClick={() => onApply(result.changes)}
+                        className="px-2 py-1 bg-green-600 text-white rounded hover:bg-green-700"
+                      >
+                        Apply
+                      </button>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default LayoutOptimizer;
@@ -0,0 +1,29 @@
+import React, { useState } from 'react';
+import { formatLength, parseLength } from '../lib/units';
+
+// Text input for a length stored in centimeters but typed and shown in the
+// selected unit (fractions such as 35 3/4 are accepted for inches).
+const LengthInput = ({ value, unit, step, onChange, disabled = false, className = '' }) => {
+  const [draft, setDraft] = useState(null);
+  const display = formatLength(value, unit, { step, suffix: false });
+  const isInvalid = draft !== null && !Number.isFinite(parseLength(draft, unit));
+
+  return (
+    <input
+      type="text"
+      inputMode="decimal"
+      value={draft !== null ? draft : display}
+      onFocus={() => setDraft(display)}
+      onChange={(e) => {
+        setDraft(e.target.value);
+        const cm = parseLength(e.target.value, unit);
+        if (Number.isFinite(cm)) onChange(cm);
+      }}
+      onBlur={() => setDraft(null)}
+      disabled={disabled}
+      className={`${className} ${isInvalid ? 'border-red-500' : ''}`}
+    />
+  );
+};
+
+export default LengthInput;
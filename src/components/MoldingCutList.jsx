@@ -0,0 +1,200 @@
+import React, { useMemo } from 'react';
+import { buildMoldingCutList, createMoldingProfile, moldingCutListRows, profileForPanel } from '../lib/moldingCutList';
+import { formatLength, formatRunLength, getUnit } from '../lib/units';
+import { toCsv } from '../lib/csv';
+import { downloadTextFile } from '../lib/download';
+import { printTables } from '../lib/print';
+import LengthInput from './LengthInput';
+
+const inputClass = 'w-full p-2 border rounded focus:ring-2 focus:ring-blue-500 text-sm';
+
+const MoldingCutList = ({ calculations, options, onOptionsChange, displayUnit, roundingStep, doorWidth, doorHeight }) => {
+  const cutList = useMemo(() => buildMoldingCutList(calculations, options), [calculations, options]);
+  const fmt = (cm) => formatLength(cm, displayUnit, { step: roundingStep });
+  const run = (cm) => formatRunLength(cm, displayUnit);
+  const unitLabel = getUnit(displayUnit).label;
+
+  const setOption = (key, value) => onOptionsChange({ ...options, [key]: value });
+
+  const updateProfile = (id, changes) => setOption('profiles', options.profiles.map(profile => (
+    profile.id === id ? { ...profile, ...changes } : profile
+  )));
+
+  const removeProfile = (id) => {
+    const panelProfiles = Object.fromEntries(Object.entries(options.panelProfiles).filter(([, profileId]) => profileId !== id));
+    onOptionsChange({ ...options, profiles: options.profiles.filter(profile => profile.id !== id), panelProfiles });
+  };
+
+  const title = `Molding cut list: door ${fmt(doorWidth)} × ${fmt(doorHeight)}, ${calculations.handing.code}`;
+  const rows = () => moldingCutListRows(cutList, fmt, run);
+
+  const exportCsv = () => {
+    downloadTextFile('molding-cut-list.csv', toCsv([[title], [], ...rows()]), 'text/csv');
+  };
+
+  const print = () => {
+    const allRows = rows();
+    const splitAt = allRows.findIndex(row => row.length === 0);
+    printTables(title, [
+      { heading: 'Cut list', rows: allRows.slice(0, splitAt) },
+      { heading: `Bill of materials (${options.wasteAllowance}% waste allowance)`, rows: allRows.slice(splitAt + 1) }
+    ], [
+      `Handing: ${calculations.handing.description}.`,
+      `Miter angle ${options.miterAngle}°. Long point = outside edge of the molding; curved pieces are measured along their edges.`
+    ]);
+  };
+
+  return (
+    <div className="space-y-4">
+      <div>
+        <p className="text-sm font-medium mb-2">Molding profiles</p>
+        <div className="space-y-2">
+          {options.profiles.map(profile => (
+            <div key={profile.id} className="grid grid-cols-5 gap-2 items-center">
+              <input
+                type="text"
+                value={profile.name}
+                onChange={(e) => updateProfile(profile.id, { name: e.target.value })}
+                className={`${inputClass} col-span-2`}
+                aria-label="Profile name"
+              />
+              <LengthInput
+                value={profile.width}
+                unit={displayUnit}
+                step={roundingStep}
+                onChange={(width) => updateProfile(profile.id, { width })}
+                className={`${inputClass} col-span-2`}
+              />
+              <button
+                type="button"
+                onClick={() => removeProfile(profile.id)}
+                disabled={options.profiles.length === 1}
+                className="text-xs text-red-700 hover:underline disabled:text-gray-400 disabled:no-underline"
+              >
+                Remove
+              </button>
+            </div>
+          ))}
+        </div>
+        <div className="flex justify-between items-center mt-2">
+          <span className="text-xs text-gray-500">Name and molding width ({unitLabel})</span>
+          <button
+            type="button"
+            onClick={() => setOption('profiles', [...options.profiles, createMoldingProfile(options.profiles)])}
+            className="text-xs text-blue-700 hover:underline"
+          >
+            + Add profile
+          </button>
+        </div>
+      </div>
+
+      <div className="grid grid-cols-2 gap-4">
+        <div>
+          <label className="block text-sm font-medium mb-2">Miter angle (°)</label>
+          <input
+            type="number"
+            min="1"
+            max="89"
+            value={options.miterAngle}
+            onChange={(e) => setOption('miterAngle', Number(e.target.value))}
+            className={inputClass}
+          />
+        </div>
+        <div>
+          <label className="block text-sm font-medium mb-2">Waste allowance (%)</label>
+          <input
+            type="number"
+            min="0"
+            value={options.wasteAllowance}
+            onChange={(e) => setOption('wasteAllowance', Number(e.target.value))}
+            className={inputClass}
+          />
+        </div>
+      </div>
+
+      {options.profiles.length > 1 && (
+        <div>
+          <p className="text-sm font-medium mb-2">Profile per panel</p>
+          <div className="grid grid-cols-2 gap-2">
+            {calculations.panelPositions.map((position, index) => (
+              <label key={index} className="flex items-center gap-2 text-sm">
+                <span className="w-16">Panel {index + 1}</span>
+                <select
+                  value={profileForPanel(options, index).id}
+                  onChange={(e) => setOption('panelProfiles', { ...options.panelProfiles, [index]: e.target.value })}
+                  className={inputClass}
+                >
+                  {options.profiles.map(profile => (
+                    <option key={profile.id} value={profile.id}>{profile.name}</option>
+                  ))}
+                </select>
+              </label>
+            ))}
+          </div>
+        </div>
+      )}
+
+      {cutList.warnings.map((warning, index) => (
+        <p key={index} className="text-xs px-3 py-2 rounded bg-yellow-100 text-yellow-800">⚠ {warning}</p>
+      ))}
+
+      <div className="overflow-x-auto">
+        <table className="w-full text-xs bg-white rounded">
+          <thead>
+            <tr className="text-left border-b">
+              <th className="p-2">Panel</th>
+              <th className="p-2">Piece</th>
+              <th className="p-2">Profile</th>
+              <th className="p-2">Qty</th>
+              <th className="p-2">Long point</th>
+              <th className="p-2">Short point</th>
+            </tr>
+          </thead>
+          <tbody>
+            {cutList.pieces.map((piece, index) => (
+              <tr key={index} className="border-b last:border-0">
+                <td className="p-2">{piece.panel}</td>
+                <td className="p-2">
+                  {piece.piece}
+                  {piece.radius !== null && <span className="text-gray-500"> (bent, radius {fmt(piece.radius)})</span>}
+                </td>
+                <td className="p-2">{piece.profileName}</td>
+                <td className="p-2">{piece.quantity}</td>
+                <td className="p-2">{fmt(piece.longPoint)}</td>
+                <td className="p-2">{fmt(piece.shortPoint)}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+
+      <div className="bg-white p-3 rounded text-sm">
+        <p className="font-medium mb-2">Bill of materials</p>
+        {cutList.totals.map(total => (
+          <p key={total.profileId} className="ml-4">
+            • {total.profileName}: {total.pieceCount} pieces, {run(total.netLength)} net, <strong>{run(total.orderLength)}</strong> to order (+{options.wasteAllowance}% waste)
+          </p>
+        ))}
+      </div>
+
+      <div className="flex gap-3">
+        <button
+          type="button"
+          onClick={exportCsv}
+          className="px-4 py-2 bg-blue-600 text-white rounded hover:bg-blue-700 text-sm"
+        >
+          Export CSV
+        </button>
+        <button
+          type="button"
+          onClick={print}
+          className="px-4 py-2 bg-white border border-blue-600 text-blue-700 rounded hover:bg-blue-50 text-sm"
+        >
+          Print
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default MoldingCutList;
@@ -0,0 +1,103 @@
+import React from 'react';
+import { panelOutline, outlineSvgPath } from '../lib/panelShapes';
+
+// Glass tints, and the colors of the opening behind a grille
+const glassFills = { clear: '#DBEAFE', frosted: '#E5E7EB', leaded: '#DBEAFE' };
+const grilleBack = '#374151';
+const grilleBar = '#9CA3AF';
+
+// One panel drawn by its infill and shape: wood in the panel's own color
+// (raised with a bevel line), glass tinted with a glint or lead cames,
+// louvers as slats and a grille as bars over the dark opening, all cut to an
+// arched top or rounded corners. `panel` is a panelPositions entry placed at
+// `origin` pixels with `scale` pixels per centimeter, `infill` its entry in
+// calculateLayout's `infills`; `clipId` must be unique in the page.
+const PanelInfill = ({ panel, scale, origin = 20, infill, fill, stroke, strokeWidth = 2, clipId }) => {
+  const x = origin + panel.left * scale;
+  const y = origin + panel.top * scale;
+  const width = panel.width * scale;
+  const height = panel.height * scale;
+  const toPixels = ([px, py]) => [origin + px * scale, origin + py * scale];
+  const path = panel.shape ? outlineSvgPath(panelOutline(panel), toPixels, scale) : null;
+  const shapeOf = (props) => (path ? <path d={path} {...props} /> : <rect x={x} y={y} width={width} height={height} {...props} />);
+  const outline = shapeOf({ fill: 'none', stroke, strokeWidth });
+  const clip = <clipPath id={clipId}>{shapeOf({})}</clipPath>;
+
+  if (infill.glass) {
+    // Diamond cames every `pitch` pixels, or one glint across the corner
+    const pitch = Math.max(8, Math.min(width, height) / 4);
+    const diagonals = [];
+    for (let offset = -height; offset < width; offset += pitch) {
+      diagonals.push(offset);
+    }
+    return (
+      <g>
+        {clip}
+        {shapeOf({ fill: glassFills[infill.glass], opacity: infill.glass === 'frosted' ? 1 : 0.8 })}
+        {infill.glass === 'leaded' && (
+          <g clipPath={`url(#${clipId})`} stroke="#4B5563" strokeWidth="1">
+            {diagonals.map(offset => (
+              <g key={offset}>
+                <line x1={x + offset} y1={y} x2={x + offset + height} y2={y + height} />
+                <line x1={x + offset + height} y1={y} x2={x + offset} y2={y + height} />
+              </g>
+            ))}
+          </g>
+        )}
+        {infill.glass === 'clear' && (
+          <g clipPath={`url(#${clipId})`} stroke="#FFFFFF" strokeWidth="2" opacity="0.9">
+            <line x1={x + width * 0.15} y1={y + height * 0.35} x2={x + width * 0.45} y2={y + height * 0.1} />
+            <line x1={x + width * 0.25} y1={y + height * 0.45} x2={x + width * 0.6} y2={y + height * 0.15} />
+          </g>
+        )}
+        {outline}
+      </g>
+    );
+  }
+
+  if (infill.louver) {
+    const pitch = height / infill.louver.slats;
+    return (
+      <g>
+        {clip}
+        {shapeOf({ fill: stroke, opacity: 0.5 })}
+        <g clipPath={`url(#${clipId})`}>
+          {Array.from({ length: infill.louver.slats }, (_, slat) => (
+            <rect key={slat} x={x} y={y + slat * pitch} width={width} height={pitch * 0.6} fill={fill} />
+          ))}
+        </g>
+        {outline}
+      </g>
+    );
+  }
+
+  if (infill.grille) {
+    const spacing = width / (infill.grille.bars + 1);
+    const barWidth = Math.max(1, Math.min(3, spacing / 4));
+    return (
+      <g>
+        {clip}
+        {shapeOf({ fill: grilleBack })}
+        <g clipPath={`url(#${clipId})`}>
+          {Array.from({ length: infill.grille.bars }, (_, bar) => (
+            <rect key={bar} x={x + (bar + 1) * spacing - barWidth / 2} y={y} width={barWidth} height={height} fill={grilleBar} />
+          ))}
+        </g>
+        {outline}
+      </g>
+    );
+  }
+
+  // Wood; a raised panel shows where the field meets the bevel
+  const field = infill.type === 'raised' && panelOutline(panel, -Math.min(panel.width, panel.height) * 0.12);
+  return (
+    <g>
+      {shapeOf({ fill, stroke, strokeWidth })}
+      {field && (
+        <path d={outlineSvgPath(field, toPixels, scale)} fill="none" stroke={stroke} strokeWidth="1" opacity="0.6" />
+      )}
+    </g>
+  );
+};
+
+export default PanelInfill;
@@ -0,0 +1,72 @@
+import React from 'react';
+import { PANEL_SHAPES, panelArea } from '../lib/panelShapes';
+import { formatArea, getUnit } from '../lib/units';
+import LengthInput from './LengthInput';
+
+const inputClass = 'w-full p-2 border rounded focus:ring-2 focus:ring-blue-500 text-sm';
+
+// The shape of every panel, numbered as seen from the exterior: an arched or
+// cathedral top set by its rise or its radius, and rounded corners. Lengths
+// left unset show what the layout settled on.
+const PanelShapeInput = ({ layoutConfig, calculations, onChange, displayUnit, roundingStep }) => {
+  const unitLabel = getUnit(displayUnit).label;
+  const { panelShapes } = layoutConfig;
+  const exteriorPanels = calculations.faces ? calculations.faces.exterior.panelPositions : calculations.panelPositions;
+
+  const update = (index, changes) => {
+    const next = [...panelShapes];
+    while (next.length <= index) next.push(null);
+    const spec = { ...(next[index] || { shape: 'rectangle' }), ...changes };
+    const plain = spec.shape === 'rectangle' && !spec.cornerRadius;
+    next[index] = plain ? null : spec;
+    onChange(next);
+  };
+
+  const lengthField = (label, value, onValue) => (
+    <div>
+      <label className="block text-xs font-medium mb-1">{label} ({unitLabel})</label>
+      <LengthInput value={value} unit={displayUnit} step={roundingStep} onChange={onValue} className={inputClass} />
+    </div>
+  );
+
+  return (
+    <div className="space-y-3">
+      {exteriorPanels.map((panel, index) => {
+        const spec = panelShapes[index] || {};
+        const shape = panel.shape;
+        const type = PANEL_SHAPES[spec.shape || 'rectangle'];
+        return (
+          <div key={index} className="border rounded p-3 space-y-2 bg-white">
+            <div className="grid grid-cols-3 gap-3">
+              <div>
+                <label className="block text-xs font-medium mb-1">Panel {index + 1}</label>
+                <select value={spec.shape || 'rectangle'} onChange={(e) => update(index, { shape: e.target.value })} className={inputClass}>
+                  {Object.entries(PANEL_SHAPES).map(([key, option]) => (
+                    <option key={key} value={key}>{option.name}</option>
+                  ))}
+                </select>
+              </div>
+              {lengthField('Corner radius', spec.cornerRadius || 0, (cm) => update(index, { cornerRadius: cm }))}
+              {spec.shape === 'cathedral' && lengthField('Shoulders', shape ? shape.shoulder : 0, (cm) => update(index, { shoulder: cm }))}
+            </div>
+            {type.arched && (
+              <div className="grid grid-cols-3 gap-3">
+                {lengthField('Rise', shape ? shape.rise : 0, (cm) => update(index, { rise: cm, radius: null }))}
+                {lengthField('Radius', shape ? shape.radius : 0, (cm) => update(index, { radius: cm, rise: null }))}
+              </div>
+            )}
+            {shape && <p className="text-xs text-gray-600">Area {formatArea(panelArea(panel), displayUnit)}</p>}
+            {shape && shape.warnings.map(warning => (
+              <p key={warning} className="text-xs text-orange-800">⚠ {warning}</p>
+            ))}
+          </div>
+        );
+      })}
+      {layoutConfig.viewSide === 'interior' && (
+        <p className="text-xs text-gray-600">Panels are numbered as seen from the exterior.</p>
+      )}
+    </div>
+  );
+};
+
+export default PanelShapeInput;
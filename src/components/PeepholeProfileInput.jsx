@@ -0,0 +1,68 @@
+import React from 'react';
+import { PEEPHOLE_PROFILES } from '../lib/peepholeProfiles';
+import { formatLength, getUnit } from '../lib/units';
+import LengthInput from './LengthInput';
+
+const inputClass = 'w-full p-2 border rounded focus:ring-2 focus:ring-blue-500 text-sm';
+
+// Pick the standard that sets the peephole height zones, or enter a custom
+// zone, and show where each zone lies
+const PeepholeProfileInput = ({ layoutConfig, calculations, onChange, displayUnit, roundingStep }) => {
+  const { peepholeProfile, peepholeZoneMin, peepholeZoneMax } = layoutConfig;
+  const fmt = (cm) => formatLength(cm, displayUnit, { step: roundingStep });
+  const unitLabel = getUnit(displayUnit).label;
+
+  return (
+    <div className="space-y-2">
+      <div>
+        <label className="block text-sm font-medium mb-2">Height standard</label>
+        <select
+          value={peepholeProfile}
+          onChange={(e) => onChange('peepholeProfile', e.target.value)}
+          className={inputClass}
+        >
+          {Object.entries(PEEPHOLE_PROFILES).map(([key, profile]) => (
+            <option key={key} value={key}>{profile.name}</option>
+          ))}
+        </select>
+        <p className="text-xs text-gray-600 mt-1">{PEEPHOLE_PROFILES[peepholeProfile].description}</p>
+      </div>
+
+      {peepholeProfile === 'custom' && (
+        <div className="grid grid-cols-2 gap-4">
+          <div>
+            <label className="block text-xs font-medium mb-1">Zone from ({unitLabel} from bottom)</label>
+            <LengthInput
+              value={peepholeZoneMin}
+              unit={displayUnit}
+              step={roundingStep}
+              onChange={(value) => onChange('peepholeZoneMin', value)}
+              className={inputClass}
+            />
+          </div>
+          <div>
+            <label className="block text-xs font-medium mb-1">Zone to ({unitLabel} from bottom)</label>
+            <LengthInput
+              value={peepholeZoneMax}
+              unit={displayUnit}
+              step={roundingStep}
+              onChange={(value) => onChange('peepholeZoneMax', value)}
+              className={inputClass}
+            />
+          </div>
+        </div>
+      )}
+
+      <ul className="text-xs text-gray-700">
+        {calculations.peepholeZones.map((zone, index) => (
+          <li key={zone.label}>
+            • {zone.label}: {fmt(zone.min)} to {fmt(zone.max)} from bottom, ideally {fmt(zone.ideal)}
+            {index > 0 && ' (second peephole, placed automatically)'}
+          </li>
+        ))}
+      </ul>
+    </div>
+  );
+};
+
+export default PeepholeProfileInput;
@@ -0,0 +1,188 @@
+import React, { useState } from 'react';
+import { CUSTOM_PROPORTION, DEFAULT_CONFIG } from '../lib/layoutEngine';
+import { getProportionFamily } from '../lib/proportionRegistry';
+import { formatLength, getUnit } from '../lib/units';
+import LengthInput from './LengthInput';
+
+const inputClass = 'w-full p-2 border rounded focus:ring-2 focus:ring-blue-500 text-sm';
+
+const proportionName = (type) => (type === CUSTOM_PROPORTION ? 'Custom' : getProportionFamily(type)?.name || type);
+
+// The doors of a whole house: each named door keeps its own design, loaded
+// into the calculator to edit and saved back. Chosen mid rails are aligned
+// across every door, counted from the floor, and the table sums up all doors
+// as aligned.
+const ProjectPanel = ({ project, projectLayout, editing, layoutConfig, onChange, onEdit, displayUnit, roundingStep }) => {
+  const [doorName, setDoorName] = useState('');
+  const fmt = (cm) => formatLength(cm, displayUnit, { step: roundingStep });
+  const unitLabel = getUnit(displayUnit).label;
+
+  const update = (changes) => onChange({ ...project, ...changes });
+  const updateDoors = (doors) => update({ doors });
+  const nextName = `Door ${project.doors.length + 1}`;
+  const addDoor = () => {
+    const name = doorName.trim() || nextName;
+    updateDoors([...project.doors.filter(door => door.name !== name), { name, config: layoutConfig }]);
+    setDoorName('');
+    onEdit(null);
+  };
+  const saveDoor = () => updateDoors(project.doors.map((door, index) => (index === editing ? { ...door, config: layoutConfig } : door)));
+  const removeDoor = (index) => {
+    updateDoors(project.doors.filter((_, i) => i !== index));
+    if (editing === index) onEdit(null);
+  };
+  const updateRail = (index, changes) => update({
+    alignedRails: project.alignedRails.map((entry, i) => (i === index ? { ...entry, ...changes } : entry))
+  });
+  const addRail = () => update({
+    alignedRails: [...project.alignedRails, { rail: project.alignedRails.length + 1, height: null }]
+  });
+  const removeRail = (index) => update({ alignedRails: project.alignedRails.filter((_, i) => i !== index) });
+  const targetFor = (rail) => projectLayout && projectLayout.targets.find(target => target.rail === Number(rail));
+
+  return (
+    <div className="space-y-3">
+      <div>
+        <label className="block text-xs font-medium mb-1">Project name</label>
+        <input type="text" value={project.name} onChange={(e) => update({ name: e.target.value })} className={inputClass} />
+      </div>
+
+      <div className="flex gap-2 items-end">
+        <div className="flex-1">
+          <label className="block text-xs font-medium mb-1">Add this door as</label>
+          <input type="text" value={doorName} placeholder={nextName} onChange={(e) => setDoorName(e.target.value)} className={inputClass} />
+        </div>
+        <button type="button" onClick={addDoor} className="px-3 py-2 text-sm border rounded bg-white hover:bg-gray-100">
+          Add door
+        </button>
+      </div>
+      {editing !== null && project.doors[editing] && (
+        <div className="flex items-center justify-between text-sm bg-blue-50 border border-blue-200 rounded p-2">
+          <span>Editing <strong>{project.doors[editing].name}</strong></span>
+          <span className="flex gap-3 text-xs">
+            <button type="button" onClick={saveDoor} className="text-blue-700 hover:underline">Save changes</button>
+            <button type="button" onClick={() => onEdit(null)} className="text-gray-700 hover:underline">Stop editing</button>
+          </span>
+        </div>
+      )}
+
+      <div className="space-y-2">
+        <p className="text-sm font-medium">Aligned mid rails</p>
+        {project.alignedRails.map((entry, index) => {
+          const target = targetFor(entry.rail);
+          return (
+            <div key={index} className="grid grid-cols-3 gap-3 items-end">
+              <div>
+                <label className="block text-xs font-medium mb-1">Rail from the floor</label>
+                <input
+                  type="number"
+                  min="1"
+                  value={entry.rail}
+                  onChange={(e) => updateRail(index, { rail: Math.max(1, Number(e.target.value)) })}
+                  className={inputClass}
+                />
+              </div>
+              <div>
+                <label className="block text-xs font-medium mb-1">Center height ({unitLabel})</label>
+                <LengthInput
+                  value={entry.height ?? (target ? target.height : 0)}
+                  unit={displayUnit}
+                  step={roundingStep}
+                  onChange={(cm) => updateRail(index, { height: cm })}
+                  className={inputClass}
+                />
+              </div>
+              <div className="flex gap-3 text-xs pb-2">
+                {entry.height !== null && (
+                  <button type="button" onClick={() => updateRail(index, { height: null })} className="text-blue-700 hover:underline">
+                    Average
+                  </button>
+                )}
+                <button type="button" onClick={() => removeRail(index)} className="text-red-700 hover:underline">Remove</button>
+              </div>
+            </div>
+          );
+        })}
+        <div className="flex items-end gap-3">
+          <button type="button" onClick={addRail} className="text-xs text-blue-700 hover:underline pb-2">Align a mid rail</button>
+          <div className="w-40 ml-auto">
+            <label className="block text-xs font-medium mb-1">Narrowest top/bottom rail ({unitLabel})</label>
+            <LengthInput
+              value={project.minRailWidth}
+              unit={displayUnit}
+              step={roundingStep}
+              onChange={(cm) => update({ minRailWidth: cm })}
+              className={inputClass}
+            />
+          </div>
+        </div>
+        <p className="text-xs text-gray-600">
+          Rails are counted from the floor, 1 being the lowest, and aligned on their centers. An empty height takes the
+          average of the doors. Each door keeps its row proportions and moves its top and bottom rails to meet the
+          targets.
+        </p>
+      </div>
+
+      {projectLayout && (
+        <div className="overflow-x-auto">
+          <table className="w-full text-xs bg-white border">
+            <thead className="bg-gray-100">
+              <tr>
+                <th className="p-1 text-left">Door</th>
+                <th className="p-1 text-left">Size</th>
+                <th className="p-1 text-left">Panels</th>
+                <th className="p-1 text-left">Mid rails from floor</th>
+                <th className="p-1 text-left">Top / bottom rail</th>
+                <th className="p-1" />
+              </tr>
+            </thead>
+            <tbody>
+              {projectLayout.doors.map((door, index) => {
+                const config = { ...DEFAULT_CONFIG, ...project.doors[index].config };
+                const aligned = new Set(door.changes ? door.alignment.map(entry => entry.rail) : []);
+                const { frame } = door.layout;
+                return (
+                  <tr key={door.name} className={`border-t align-top ${index === editing ? 'bg-blue-50' : ''}`}>
+                    <td className="p-1 font-medium">{door.name}</td>
+                    <td className="p-1">{fmt(config.doorWidth)} × {fmt(config.doorHeight)}</td>
+                    <td className="p-1">
+                      {door.layout.panelPositions.length}, {proportionName(config.proportionType)}
+                    </td>
+                    <td className="p-1">
+                      {door.rails.length === 0 ? '—' : door.rails.map((rail, i) => (
+                        <span key={rail.rail} className={aligned.has(rail.rail) ? 'font-semibold' : ''}>
+                          {i > 0 && ', '}{fmt(rail.center)}
+                        </span>
+                      ))}
+                    </td>
+                    <td className="p-1">
+                      {door.changes
+                        ? `${fmt(door.changes.topRail.from)} → ${fmt(frame.top)} / ${fmt(door.changes.bottomRail.from)} → ${fmt(frame.bottom)}`
+                        : `${fmt(frame.top)} / ${fmt(frame.bottom)}`}
+                      {!door.layout.fits && <p className="text-red-700">Panels do not fit</p>}
+                      {door.warnings.map(warning => <p key={warning} className="text-orange-800">⚠ {warning}</p>)}
+                    </td>
+                    <td className="p-1 whitespace-nowrap">
+                      <button type="button" onClick={() => onEdit(index, project.doors[index].config)} className="text-blue-700 hover:underline mr-2">Edit</button>
+                      {door.changes && (
+                        <button type="button" onClick={() => onEdit(index, door.config)} className="text-blue-700 hover:underline mr-2" title="Edit the door with its aligned rails">
+                          Edit aligned
+                        </button>
+                      )}
+                      <button type="button" onClick={() => removeDoor(index)} className="text-red-700 hover:underline">Remove</button>
+                    </td>
+                  </tr>
+                );
+              })}
+            </tbody>
+          </table>
+          <p className="text-xs text-gray-600 mt-1">
+            Aligned rails are in bold. Interior face designs keep their own rails.
+          </p>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default ProjectPanel;
@@ -0,0 +1,132 @@
+import React, { useMemo } from 'react';
+import { buildRailAndStileParts, railAndStileRows } from '../lib/railAndStile';
+import { formatLength, getUnit } from '../lib/units';
+import { toCsv } from '../lib/csv';
+import { downloadTextFile } from '../lib/download';
+import { printTables } from '../lib/print';
+import LengthInput from './LengthInput';
+
+const inputClass = 'w-full p-2 border rounded focus:ring-2 focus:ring-blue-500 text-sm';
+
+const lengthFields = [
+  { key: 'stockThickness', label: 'Frame stock thickness' },
+  { key: 'panelThickness', label: 'Panel thickness' },
+  { key: 'tenonLength', label: 'Tenon length' },
+  { key: 'grooveDepth', label: 'Groove depth' },
+  { key: 'panelClearance', label: 'Clearance in groove' }
+];
+
+const RailAndStileParts = ({ calculations, layoutConfig, options, onOptionsChange, displayUnit, roundingStep }) => {
+  const result = useMemo(() => (
+    buildRailAndStileParts(calculations, layoutConfig, options)
+  ), [calculations, layoutConfig, options]);
+  const fmt = (cm) => formatLength(cm, displayUnit, { step: roundingStep });
+  // Joinery details are finer than the layout rounding
+  const detailStep = Math.min(...getUnit(displayUnit).steps.map(step => step.value));
+  const fmtDetail = (cm) => formatLength(cm, displayUnit, { step: detailStep });
+  const unitLabel = getUnit(displayUnit).label;
+
+  const setOption = (key, value) => onOptionsChange({ ...options, [key]: value });
+
+  const { handing } = calculations;
+  const title = `Rail-and-stile parts: door ${fmt(layoutConfig.doorWidth)} × ${fmt(layoutConfig.doorHeight)}, ${handing.code}`;
+  const notes = [
+    `Handing: ${handing.description}. Left and right stiles as seen from the ${handing.viewSide}.`,
+    `Rails: ${fmt(result.shoulderLength)} between shoulders plus a ${fmtDetail(options.tenonLength)} tenon at each end.`,
+    `Panels include ${fmtDetail(options.grooveDepth - options.panelClearance)} per side in the groove and ${options.woodMovement}% movement allowance across the grain.`
+  ];
+
+  const exportCsv = () => {
+    downloadTextFile('rail-and-stile-parts.csv', toCsv([[title], [], ...railAndStileRows(result, fmt)]), 'text/csv');
+  };
+
+  const print = () => {
+    printTables(title, [{ heading: 'Parts list', rows: railAndStileRows(result, fmt) }], notes);
+  };
+
+  return (
+    <div className="space-y-4">
+      <div className="grid grid-cols-2 gap-4">
+        {lengthFields.map(field => (
+          <div key={field.key}>
+            <label className="block text-sm font-medium mb-2">{field.label} ({unitLabel})</label>
+            <LengthInput
+              value={options[field.key]}
+              unit={displayUnit}
+              step={detailStep}
+              onChange={(value) => setOption(field.key, value)}
+              className={inputClass}
+            />
+          </div>
+        ))}
+        <div>
+          <label className="block text-sm font-medium mb-2">Wood movement (% of width)</label>
+          <input
+            type="number"
+            min="0"
+            step="0.1"
+            value={options.woodMovement}
+            onChange={(e) => setOption('woodMovement', Number(e.target.value))}
+            className={inputClass}
+          />
+        </div>
+      </div>
+
+      {result.warnings.map((warning, index) => (
+        <p key={index} className="text-xs px-3 py-2 rounded bg-yellow-100 text-yellow-800">⚠ {warning}</p>
+      ))}
+
+      <div className="overflow-x-auto">
+        <table className="w-full text-xs bg-white rounded">
+          <thead>
+            <tr className="text-left border-b">
+              <th className="p-2">Part</th>
+              <th className="p-2">Qty</th>
+              <th className="p-2">Length</th>
+              <th className="p-2">Width</th>
+              <th className="p-2">Thick</th>
+              <th className="p-2">Position</th>
+            </tr>
+          </thead>
+          <tbody>
+            {result.parts.map((part, index) => (
+              <tr key={index} className="border-b last:border-0">
+                <td className="p-2">{part.name}</td>
+                <td className="p-2">{part.quantity}</td>
+                <td className="p-2">{fmt(part.length)}</td>
+                <td className="p-2">{fmt(part.width)}</td>
+                <td className="p-2">{fmtDetail(part.thickness)}</td>
+                <td className="p-2">{part.positions.join(', ')}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+
+      <div className="bg-white p-3 rounded text-sm">
+        {notes.map((note, index) => (
+          <p key={index} className="ml-4">• {note}</p>
+        ))}
+      </div>
+
+      <div className="flex gap-3">
+        <button
+          type="button"
+          onClick={exportCsv}
+          className="px-4 py-2 bg-blue-600 text-white rounded hover:bg-blue-700 text-sm"
+        >
+          Export CSV
+        </button>
+        <button
+          type="button"
+          onClick={print}
+          className="px-4 py-2 bg-white border border-blue-600 text-blue-700 rounded hover:bg-blue-50 text-sm"
+        >
+          Print
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default RailAndStileParts;
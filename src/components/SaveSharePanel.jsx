@@ -0,0 +1,176 @@
+import React, { useState } from 'react';
+import { readDesignFile, shareLink, writeDesign, writeProject } from '../lib/designFile';
+import { downloadTextFile } from '../lib/download';
+
+const inputClass = 'w-full p-2 border rounded focus:ring-2 focus:ring-blue-500 text-sm';
+const buttonClass = 'px-3 py-2 text-sm border rounded bg-white hover:bg-gray-100 disabled:bg-gray-200 disabled:cursor-not-allowed';
+
+// A name safe to use in a file name
+const fileSlug = (name) => name.trim().toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+
+// What to say about the share link the calculator was opened with, if any
+const startupMessage = ({ shared, error }) => {
+  if (error) return { error: `Shared link: ${error}` };
+  if (shared) return { text: `Opened the shared design${shared.name ? ` "${shared.name}"` : ''}`, warnings: shared.warnings };
+  return null;
+};
+
+// Named designs kept in this browser, a link that opens the current design
+// anywhere, and design and project files to download and open again. Designs
+// keep their `shopSettings` too (see DEFAULT_SHOP_SETTINGS). `startup` is
+// what the calculator opened with (see loadStartupWork).
+const SaveSharePanel = ({ layoutConfig, shopSettings, savedDesigns, onSave, onDelete, onLoad, project, onLoadProject, startup }) => {
+  const [name, setName] = useState(() => (startup.shared && startup.shared.name) || '');
+  const [link, setLink] = useState(null);
+  const [message, setMessage] = useState(() => startupMessage(startup));
+  const trimmedName = name.trim();
+  const savedNames = savedDesigns.map(design => design.name);
+  const unreadable = savedDesigns.filter(design => design.error);
+  const baseFilename = fileSlug(trimmedName) || `door-${Math.round(layoutConfig.doorWidth)}x${Math.round(layoutConfig.doorHeight)}`;
+
+  const save = () => {
+    onSave(trimmedName);
+    setMessage({ text: `Saved "${trimmedName}" in this browser` });
+  };
+
+  const copyLink = () => {
+    const url = shareLink(window.location.href, layoutConfig, trimmedName || null, shopSettings);
+    setLink(url);
+    const clipboard = navigator.clipboard;
+    if (clipboard) {
+      clipboard.writeText(url).then(
+        () => setMessage({ text: 'Link copied to the clipboard' }),
+        () => setMessage({ text: 'Copy the link below' })
+      );
+    } else {
+      setMessage({ text: 'Copy the link below' });
+    }
+  };
+
+  const exportDesign = () => downloadTextFile(
+    `${baseFilename}.door.json`,
+    JSON.stringify(writeDesign(layoutConfig, trimmedName || null, shopSettings), null, 2),
+    'application/json'
+  );
+
+  const exportProject = () => downloadTextFile(
+    `${fileSlug(project.name) || 'project'}.project.json`,
+    JSON.stringify(writeProject(project), null, 2),
+    'application/json'
+  );
+
+  const importFile = async (file) => {
+    if (!file) return;
+    try {
+      const read = readDesignFile(await file.text());
+      if (read.kind === 'project') {
+        onLoadProject(read.project);
+        setMessage({ text: `Opened the project "${read.project.name}" with ${read.project.doors.length} doors`, warnings: read.warnings });
+      } else {
+        onLoad(read.config, read.shop);
+        if (read.name) setName(read.name);
+        setMessage({ text: `Opened ${read.name ? `"${read.name}"` : file.name}`, warnings: read.warnings });
+      }
+    } catch (error) {
+      setMessage({ error: `${file.name}: ${error.message}` });
+    }
+  };
+
+  return (
+    <div className="space-y-3">
+      <div className="flex gap-2 items-end">
+        <div className="flex-1">
+          <label className="block text-xs font-medium mb-1">Design name</label>
+          <input
+            type="text"
+            value={name}
+            onChange={(e) => setName(e.target.value)}
+            placeholder="e.g. Front door, Smith house"
+            className={inputClass}
+          />
+        </div>
+        <button type="button" onClick={save} disabled={!trimmedName} className={buttonClass}>
+          {savedNames.includes(trimmedName) ? 'Replace' : 'Save'}
+        </button>
+      </div>
+
+      {savedDesigns.length > 0 && (
+        <ul className="text-sm bg-white border rounded divide-y">
+          {savedDesigns.map((design, index) => (
+            <li key={`${index}-${design.name}`} className="flex items-center justify-between p-2">
+              <span className={design.error ? 'text-gray-500' : ''}>
+                {design.name ?? 'Unnamed design'}
+                {design.savedAt && <span className="text-xs text-gray-500"> · {new Date(design.savedAt).toLocaleDateString()}</span>}
+              </span>
+              <span className="flex gap-3 text-xs">
+                {design.error ? (
+                  <span className="text-red-700" title={design.error}>Cannot be opened</span>
+                ) : (
+                  <button
+                    type="button"
+                    onClick={() => {
+                      onLoad(design.config, design.shop);
+                      setName(design.name);
+                      setMessage({ text: `Opened "${design.name}"` });
+                    }}
+                    className="text-blue-700 hover:underline"
+                  >
+                    Open
+                  </button>
+                )}
+                <button type="button" onClick={() => onDelete(design.name)} className="text-red-700 hover:underline">Delete</button>
+              </span>
+            </li>
+          ))}
+        </ul>
+      )}
+      {unreadable.length > 0 && (
+        <div className="text-xs text-orange-800 space-y-1">
+          {unreadable.map((design, index) => (
+            <p key={index}>⚠ Saved design {design.name ? `"${design.name}"` : 'without a name'} could not be opened: {design.error}</p>
+          ))}
+          <p>They are kept as they were in case a later version of the calculator can open them.</p>
+        </div>
+      )}
+
+      <div className="flex flex-wrap gap-2">
+        <button type="button" onClick={copyLink} className={buttonClass}>Copy share link</button>
+        <button type="button" onClick={exportDesign} className={buttonClass}>Download design</button>
+        <button type="button" onClick={exportProject} disabled={project.doors.length === 0} className={buttonClass}>
+          Download project
+        </button>
+        <label className={`${buttonClass} cursor-pointer`}>
+          Open file…
+          <input
+            type="file"
+            accept=".json,application/json"
+            onChange={(e) => {
+              importFile(e.target.files[0]);
+              e.target.value = '';
+            }}
+            className="hidden"
+          />
+        </label>
+      </div>
+
+      {link && (
+        <input type="text" readOnly value={link} onFocus={(e) => e.target.select()} className={`${inputClass} font-mono text-xs`} />
+      )}
+      {message && (
+        <div className="text-xs space-y-1">
+          {message.error
+            ? <p className="text-red-700">{message.error}</p>
+            : <p className="text-green-700">{message.text}</p>}
+          {(message.warnings || []).map(warning => <p key={warning} className="text-orange-800">⚠ {warning}</p>)}
+        </div>
+      )}
+      <p className="text-xs text-gray-600">
+        Your current design and project are kept in this browser between visits. Design files and links hold every
+        door setting, with the rounding, molding, rail-and-stile and G-code settings, and open in later versions of
+        the calculator. Project files hold the door settings only.
+      </p>
+    </div>
+  );
+};
+
+export default SaveSharePanel;
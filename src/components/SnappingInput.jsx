@@ -0,0 +1,119 @@
+import React, { useState } from 'react';
+import { SNAP_GRIDS, SNAP_MODES } from '../lib/snapping';
+import { formatLength, getUnit, parseLength } from '../lib/units';
+
+const inputClass = 'w-full p-2 border rounded focus:ring-2 focus:ring-blue-500 text-sm';
+
+// Stock sizes typed in the display unit, separated by semicolons
+const parseStockList = (text, unit) => {
+  const items = text.split(';').map(item => item.trim()).filter(item => item !== '');
+  const sizes = items.map(item => parseLength(item, unit));
+  const bad = items.find((item, i) => !(sizes[i] > 0));
+  return bad !== undefined ? { sizes: null, error: `"${bad}" is not a length` } : { sizes, error: null };
+};
+
+// Snap the frame, gaps and panel sizes to the Modulor, a grid or stock sizes,
+// and show how far each snapped length moved from its ideal value
+const SnappingInput = ({ layoutConfig, calculations, onChange, displayUnit, roundingStep }) => {
+  const { snapMode, snapGrid, snapStock = [] } = layoutConfig;
+  const fmt = (cm) => formatLength(cm, displayUnit, { step: roundingStep });
+  const unitLabel = getUnit(displayUnit).label;
+  const [stockText, setStockText] = useState(() => snapStock.map(cm => formatLength(cm, displayUnit, { suffix: false })).join('; '));
+  const stock = parseStockList(stockText, displayUnit);
+  const report = calculations.snapping;
+
+  const changeStock = (text) => {
+    setStockText(text);
+    const parsed = parseStockList(text, displayUnit);
+    if (!parsed.error) onChange('snapStock', parsed.sizes);
+  };
+
+  return (
+    <div className="space-y-3">
+      <div className="grid grid-cols-2 gap-4">
+        <div>
+          <label className="block text-sm font-medium mb-2">Snap to</label>
+          <select
+            value={snapMode}
+            onChange={(e) => onChange('snapMode', e.target.value)}
+            className={inputClass}
+          >
+            {Object.entries(SNAP_MODES).map(([key, mode]) => (
+              <option key={key} value={key}>{mode.name}</option>
+            ))}
+          </select>
+        </div>
+        {snapMode === 'grid' && (
+          <div>
+            <label className="block text-sm font-medium mb-2">Grid step</label>
+            <select
+              value={snapGrid}
+              onChange={(e) => onChange('snapGrid', Number(e.target.value))}
+              className={inputClass}
+            >
+              {SNAP_GRIDS.map(grid => (
+                <option key={grid.label} value={grid.value}>{grid.label}</option>
+              ))}
+            </select>
+          </div>
+        )}
+      </div>
+
+      {snapMode !== 'none' && SNAP_MODES[snapMode].description && (
+        <p className="text-xs text-gray-600">{SNAP_MODES[snapMode].description}</p>
+      )}
+
+      {snapMode === 'stock' && (
+        <div>
+          <label className="block text-sm font-medium mb-1">Stock sizes ({unitLabel}, separated by ;)</label>
+          <input
+            type="text"
+            value={stockText}
+            onChange={(e) => changeStock(e.target.value)}
+            placeholder="e.g. 4.5; 7; 12; 30; 60"
+            className={`${inputClass} ${stock.error ? 'border-red-500' : ''}`}
+          />
+          {stock.error && <p className="text-xs text-red-600 mt-1">{stock.error}</p>}
+          {!stock.error && snapStock.length === 0 && (
+            <p className="text-xs text-gray-600 mt-1">Enter at least one size to start snapping.</p>
+          )}
+        </div>
+      )}
+
+      {report && (
+        <div>
+          <table className="w-full text-xs">
+            <thead>
+              <tr className="text-left text-gray-600">
+                <th className="py-1">Member</th>
+                <th className="py-1 text-right">Ideal</th>
+                <th className="py-1 text-right">Snapped</th>
+                <th className="py-1 text-right">Deviation</th>
+              </tr>
+            </thead>
+            <tbody>
+              {report.values.map(entry => (
+                <tr key={entry.label} className="border-t">
+                  <td className="py-1">{entry.label}</td>
+                  <td className="py-1 text-right">{fmt(entry.ideal)}</td>
+                  <td className="py-1 text-right">
+                    {fmt(entry.value)}{entry.onSeries ? '' : ' *'}
+                  </td>
+                  <td className={`py-1 text-right ${Math.abs(entry.percent) > 5 ? 'text-orange-700' : ''}`}>
+                    {entry.deviation >= 0 ? '+' : '−'}{fmt(Math.abs(entry.deviation))} ({entry.percent >= 0 ? '+' : '−'}{Math.abs(entry.percent).toFixed(1)}%)
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+          <p className="text-xs text-gray-600 mt-2">
+            Largest deviation {fmt(report.maxDeviation)}.
+            {report.values.some(entry => !entry.onSeries) && ' * Panel sizes off the series took up the difference so the door still closes exactly.'}
+          </p>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default SnappingInput;
@@ -0,0 +1,326 @@
+import React, { useEffect, useMemo, useRef, useState } from 'react';
+import { axisPoints, runSweep, SWEEP_AXES, SWEEP_METRICS } from '../lib/sweep';
+import { formatLength } from '../lib/units';
+import LengthInput from './LengthInput';
+
+const inputClass = 'w-full p-2 border rounded focus:ring-2 focus:ring-blue-500 text-sm';
+
+const X_AXES = ['panelGap', 'edgeDistance', 'doorWidth', 'doorHeight', 'peepholeTop', 'panelCount'];
+const Y_AXES = ['layout', 'proportionType', 'panelCount', 'spacingRatioType', 'panelGap', 'edgeDistance'];
+
+const CHART_WIDTH = 420;
+const LABEL_WIDTH = 130;
+const LINE_COLORS = ['#2563eb', '#16a34a', '#d97706', '#dc2626', '#7c3aed', '#0891b2', '#db2777', '#65a30d'];
+
+const axisDefaults = (key) => {
+  const { from, to, steps } = SWEEP_AXES[key];
+  return { from, to, steps };
+};
+
+// Does a grid point describe the current config?
+const isCurrent = (changes, config) => Object.entries(changes).every(([key, value]) => (
+  typeof value === 'number' ? Math.abs(config[key] - value) < 1e-6 : config[key] === value
+));
+
+// Settings for one axis: a length range with steps, or a whole-number range
+const AxisSettings = ({ axisKey, settings, onChange, displayUnit, roundingStep }) => {
+  const axis = SWEEP_AXES[axisKey];
+  if (axis.type === 'choice' && axisKey !== 'layout') return null;
+  const isLength = axis.type === 'length';
+  const numberInput = (field) => (
+    <input
+      type="number"
+      min="1"
+      max="50"
+      value={settings[field]}
+      onChange={(e) => onChange({ ...settings, [field]: Math.max(1, Number(e.target.value)) })}
+      className={inputClass}
+    />
+  );
+
+  return (
+    <div className="grid grid-cols-3 gap-2 mt-1">
+      {['from', 'to'].map(field => (
+        <label key={field} className="text-xs">
+          {field === 'from' ? (isLength ? 'From' : 'Panels from') : (isLength ? 'To' : 'Panels to')}
+          {isLength ? (
+            <LengthInput
+              value={settings[field]}
+              unit={displayUnit}
+              step={roundingStep}
+              onChange={(value) => onChange({ ...settings, [field]: value })}
+              className={inputClass}
+            />
+          ) : numberInput(field)}
+        </label>
+      ))}
+      {isLength && (
+        <label className="text-xs">
+          Steps
+          {numberInput('steps')}
+        </label>
+      )}
+    </div>
+  );
+};
+
+// Heatmap of one metric over two swept parameters, plus the panel heights
+// along the hovered row. The sweep runs in a Web Worker and restarts
+// (cancelling the previous run) whenever the design or the grid changes.
+const SweepExplorer = ({ layoutConfig, onApply, displayUnit, roundingStep }) => {
+  const [isOpen, setIsOpen] = useState(false);
+  const [xKey, setXKey] = useState('panelGap');
+  const [xSettings, setXSettings] = useState(axisDefaults('panelGap'));
+  const [yKey, setYKey] = useState('layout');
+  const [ySettings, setYSettings] = useState(axisDefaults('layout'));
+  const [metric, setMetric] = useState('ratioError');
+  const [status, setStatus] = useState({ running: false, done: 0, total: 0 });
+  const [result, setResult] = useState(null);
+  const [hoverRow, setHoverRow] = useState(null);
+  const workerRef = useRef(null);
+  const jobId = useRef(0);
+  const cancelRef = useRef(() => {});
+
+  const fmt = (cm) => formatLength(cm, displayUnit, { step: roundingStep });
+
+  const job = useMemo(() => ({
+    config: layoutConfig,
+    x: axisPoints(xKey, xSettings, displayUnit),
+    y: axisPoints(yKey, ySettings, displayUnit)
+  }), [layoutConfig, xKey, xSettings, yKey, ySettings, displayUnit]);
+
+  useEffect(() => {
+    if (!isOpen || typeof Worker === 'undefined') return undefined;
+    const worker = new Worker(new URL('../lib/sweep.worker.js', import.meta.url), { type: 'module' });
+    workerRef.current = worker;
+    return () => {
+      worker.terminate();
+      workerRef.current = null;
+    };
+  }, [isOpen]);
+
+  useEffect(() => {
+    if (!isOpen) return undefined;
+    const id = ++jobId.current;
+    const total = job.x.length * job.y.length;
+    setStatus({ running: true, done: 0, total });
+
+    const handle = (message) => {
+      if (message.id !== jobId.current) return;
+      if (message.type === 'progress') {
+        setStatus({ running: true, done: message.done, total });
+      } else {
+        setResult({ job, cells: message.cells });
+        setStatus({ running: false, done: total, total });
+      }
+    };
+
+    const worker = workerRef.current;
+    if (worker) {
+      worker.onmessage = ({ data }) => handle(data);
+      // A sweep that throws, or results that cannot be read back, end the run
+      // with the error instead of leaving it running
+      const fail = (error) => {
+        if (id !== jobId.current) return;
+        setStatus(current => ({ ...current, running: false, error }));
+      };
+      worker.onerror = (event) => {
+        event.preventDefault();
+        fail(`The sweep failed: ${event.message || 'unknown error'}`);
+      };
+      worker.onmessageerror = () => fail('The sweep results could not be read');
+      worker.postMessage({ type: 'run', id, job });
+      cancelRef.current = () => worker.postMessage({ type: 'cancel' });
+    } else {
+      // No Worker support: run on the main thread, still a chunk at a time
+      const run = runSweep(job, {
+        onProgress: (done) => handle({ id, type: 'progress', done }),
+        onDone: (cells) => handle({ id, type: 'done', cells })
+      });
+      cancelRef.current = run.cancel;
+    }
+    return () => cancelRef.current();
+  }, [isOpen, job]);
+
+  const cancel = () => {
+    cancelRef.current();
+    jobId.current += 1;
+    setStatus({ ...status, running: false });
+  };
+
+  const changeAxis = (setKey, setSettings) => (key) => {
+    setKey(key);
+    setSettings(axisDefaults(key));
+    setResult(null);
+  };
+
+  const metricInfo = SWEEP_METRICS[metric];
+  const formatMetric = (value) => (metricInfo.length ? fmt(value) : metricInfo.format(value));
+
+  const renderHeatmap = () => {
+    const { cells, job: { x, y } } = result;
+    const values = cells.flat().filter(cell => cell.fits).map(cell => cell[metric]);
+    const min = Math.min(...values);
+    const max = Math.max(...values);
+    const cellWidth = (CHART_WIDTH - LABEL_WIDTH) / x.length;
+    const cellHeight = Math.max(8, Math.min(18, 360 / y.length));
+    const height = y.length * cellHeight + 30;
+    const labelEvery = Math.ceil(x.length / 6);
+
+    const color = (value) => {
+      const t = max - min < 1e-9 ? 0.5 : (value - min) / (max - min);
+      // Metrics without a better end get a light-to-dark blue scale
+      if (metricInfo.better === 'none') return `hsl(210, 70%, ${Math.round(85 - t * 50)}%)`;
+      const goodness = metricInfo.better === 'low' ? 1 - t : t;
+      return `hsl(${Math.round(goodness * 120)}, 70%, 50%)`;
+    };
+
+    return (
+      <svg width={CHART_WIDTH} height={height} className="border bg-white" onMouseLeave={() => setHoverRow(null)}>
+        {y.map((point, row) => (
+          <g key={row} onMouseEnter={() => setHoverRow(row)}>
+            <text x={LABEL_WIDTH - 4} y={row * cellHeight + cellHeight * 0.75} textAnchor="end" fontSize={Math.min(10, cellHeight - 1)} fill="#374151">
+              {point.label}
+            </text>
+            {x.map((xPoint, column) => {
+              const cell = cells[row][column];
+              const changes = { ...xPoint.changes, ...point.changes };
+              return (
+                <rect
+                  key={column}
+                  x={LABEL_WIDTH + column * cellWidth}
+                  y={row * cellHeight}
+                  width={cellWidth}
+                  height={cellHeight}
+                  fill={cell.fits ? color(cell[metric]) : '#e5e7eb'}
+                  fillOpacity={cell.peepholeOk ? 1 : 0.35}
+                  stroke={isCurrent(changes, layoutConfig) ? '#111827' : 'white'}
+                  strokeWidth={isCurrent(changes, layoutConfig) ? 2 : 0.5}
+                  className="cursor-pointer"
+                  onClick={() => onApply(changes)}
+                >
+                  <title>
+                    {`${xPoint.label}, ${point.label}: ${cell.fits ? formatMetric(cell[metric]) : 'does not fit'}${cell.peepholeOk ? '' : ' (peephole conflict)'}`}
+                  </title>
+                </rect>
+              );
+            })}
+          </g>
+        ))}
+        {x.map((point, column) => column % labelEvery === 0 && (
+          <text
+            key={column}
+            x={LABEL_WIDTH + (column + 0.5) * cellWidth}
+            y={y.length * cellHeight + 14}
+            textAnchor="middle"
+            fontSize="9"
+            fill="#374151"
+          >
+            {point.label}
+          </text>
+        ))}
+        <text x={LABEL_WIDTH + (CHART_WIDTH - LABEL_WIDTH) / 2} y={height - 3} textAnchor="middle" fontSize="10" fill="#6b7280">
+          {SWEEP_AXES[xKey].label}
+        </text>
+      </svg>
+    );
+  };
+
+  // Panel heights across the x axis for one row of the grid
+  const renderHeightChart = (row) => {
+    const { cells, job: { x, y } } = result;
+    const rowCells = cells[row];
+    const maxHeight = Math.max(1, ...rowCells.filter(cell => cell.fits).flatMap(cell => cell.panelHeights));
+    const height = 140;
+    const plotX = (column) => 30 + (column + 0.5) * (CHART_WIDTH - 30) / x.length;
+    const plotY = (value) => height - 15 - value / maxHeight * (height - 25);
+    const panelCount = Math.max(...rowCells.map(cell => cell.panelHeights.length));
+
+    return (
+      <div>
+        <p className="text-xs text-gray-600 mb-1">Panel heights along {SWEEP_AXES[xKey].label.toLowerCase()} for {y[row].label}</p>
+        <svg width={CHART_WIDTH} height={height} className="border bg-white">
+          <text x="4" y="12" fontSize="9" fill="#6b7280">{fmt(maxHeight)}</text>
+          <line x1="30" y1={height - 15} x2={CHART_WIDTH} y2={height - 15} stroke="#d1d5db" />
+          {Array.from({ length: panelCount }, (_, panel) => (
+            <polyline
+              key={panel}
+              fill="none"
+              stroke={LINE_COLORS[panel % LINE_COLORS.length]}
+              strokeWidth="1.5"
+              points={rowCells
+                .map((cell, column) => (cell.fits && panel < cell.panelHeights.length ? `${plotX(column)},${plotY(cell.panelHeights[panel])}` : null))
+                .filter(Boolean)
+                .join(' ')}
+            />
+          ))}
+        </svg>
+      </div>
+    );
+  };
+
+  return (
+    <div>
+      <label className="flex items-center text-sm mb-3">
+        <input type="checkbox" checked={isOpen} onChange={(e) => setIsOpen(e.target.checked)} className="mr-2" />
+        Explore a range of inputs
+      </label>
+
+      {isOpen && (
+        <div className="space-y-3">
+          <div className="grid grid-cols-3 gap-3">
+            <div>
+              <label className="block text-xs font-medium mb-1">Across (x)</label>
+              <select value={xKey} onChange={(e) => changeAxis(setXKey, setXSettings)(e.target.value)} className={inputClass}>
+                {X_AXES.filter(key => key !== yKey).map(key => <option key={key} value={key}>{SWEEP_AXES[key].label}</option>)}
+              </select>
+            </div>
+            <div>
+              <label className="block text-xs font-medium mb-1">Down (y)</label>
+              <select value={yKey} onChange={(e) => changeAxis(setYKey, setYSettings)(e.target.value)} className={inputClass}>
+                {Y_AXES.filter(key => key !== xKey).map(key => <option key={key} value={key}>{SWEEP_AXES[key].label}</option>)}
+              </select>
+            </div>
+            <div>
+              <label className="block text-xs font-medium mb-1">Color by</label>
+              <select value={metric} onChange={(e) => setMetric(e.target.value)} className={inputClass}>
+                {Object.entries(SWEEP_METRICS).map(([key, info]) => <option key={key} value={key}>{info.label}</option>)}
+              </select>
+            </div>
+          </div>
+
+          <AxisSettings axisKey={xKey} settings={xSettings} onChange={setXSettings} displayUnit={displayUnit} roundingStep={roundingStep} />
+          <AxisSettings axisKey={yKey} settings={ySettings} onChange={setYSettings} displayUnit={displayUnit} roundingStep={roundingStep} />
+
+          {layoutConfig.autoCalculateSpacing && ['panelGap', 'edgeDistance'].some(key => key === xKey || key === yKey) && (
+            <p className="text-xs text-orange-700">Auto spacing is on, so edge distance and gap are solved and sweeping them changes nothing.</p>
+          )}
+
+          {status.running && (
+            <div className="flex items-center gap-2 text-xs">
+              <div className="flex-1 h-2 bg-gray-200 rounded">
+                <div className="h-2 bg-blue-600 rounded" style={{ width: `${status.total ? status.done / status.total * 100 : 0}%` }} />
+              </div>
+              <span>{status.done} / {status.total}</span>
+              <button type="button" onClick={cancel} className="text-red-600 hover:underline">Cancel</button>
+            </div>
+          )}
+
+          {status.error && <p className="text-xs text-red-700">⚠ {status.error}</p>}
+
+          {result && (
+            <div className="space-y-2">
+              {renderHeatmap()}
+              <p className="text-xs text-gray-600">
+                {metricInfo.better === 'none' ? 'Darker is higher.' : 'Green is better.'} Gray cells don&apos;t fit; faded cells have a peephole conflict; the outlined cell is the current design. Click a cell to apply it.
+              </p>
+              {renderHeightChart(hoverRow !== null && hoverRow < result.job.y.length ? hoverRow : 0)}
+            </div>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default SweepExplorer;
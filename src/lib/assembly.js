@@ -0,0 +1,281 @@
+// Door assemblies: a pair of doors, or a door with sidelights and a transom,
+// designed as one unit.
+//
+// The pieces stand side by side, left to right as seen from the exterior:
+// leaves that open and fixed sidelights, with a mullion post between
+// neighbours and only a small meeting gap between the two leaves of a pair.
+// The leaves of a pair are hinged on their outer edges and meet on their
+// meeting stiles. A transom can span the whole width above them, on a
+// transom bar.
+//
+// The active leaf is the door the rest of the app designs: it is doorWidth
+// wide and carries the peepholes and hardware. Every other piece takes its
+// rails, mid rails and row heights from the active leaf, so the panel lines
+// run straight across the composition, and the transom gets one panel above
+// each column of the pieces below. Lengths are in centimeters.
+
+import { calculateLayout, CUSTOM_PROPORTION, DEFAULT_CONFIG, exteriorGeometry } from './layoutEngine.js';
+import { checkInfills } from './infill.js';
+import { formatLength } from './units.js';
+
+export const PIECE_TYPES = {
+  leaf: { name: 'Leaf' },
+  sidelight: { name: 'Sidelight', fixed: true }
+};
+
+// What config.assembly starts from when assembly mode is turned on
+export const DEFAULT_ASSEMBLY = {
+  // Left to right as seen from the exterior: { type, width, columnCount,
+  // panelInfill }; a null width follows doorWidth for leaves and a third of
+  // it for sidelights
+  pieces: [{ type: 'leaf', width: null }],
+  // Post between neighbouring pieces, except the two leaves of a pair
+  mullion: 10,
+  // Stile width of each leaf at the meeting edge of a pair; null keeps the
+  // leaf's own stile
+  meetingStile: null,
+  meetingGap: 0.3,
+  // 0 for no transom
+  transomHeight: 0,
+  transomBar: 10,
+  transomInfill: 'glass-clear'
+};
+
+const SIDELIGHT_SHARE = 1 / 3;
+
+const isSet = (value) => value !== null && value !== undefined && value !== '' && Number.isFinite(Number(value));
+
+// The leaves of a pair: each leaf next to a leaf that is not already paired
+const findPairs = (pieces) => {
+  const partners = pieces.map(() => null);
+  pieces.forEach((piece, index) => {
+    const next = pieces[index + 1];
+    if (piece.type === 'leaf' && next && next.type === 'leaf' && partners[index] === null) {
+      partners[index] = index + 1;
+      partners[index + 1] = index;
+    }
+  });
+  return partners;
+};
+
+/**
+ * Lay out every piece of a door assembly.
+ *
+ * @param {object} config A layout config with `assembly` set (see
+ *   DEFAULT_ASSEMBLY); the rest describes the active leaf.
+ * @returns {{ width: number, height: number, primary: number,
+ *   pieces: object[], joints: object[], transom: object|null,
+ *   rails: { name: string, top: number, bottom: number }[],
+ *   warnings: string[] }} Overall size; every piece with its `label`,
+ *   `handing`, position (`left`, `top`, as seen from the config's viewSide),
+ *   size, `config` and calculateLayout result in `layout`; the mullions and
+ *   meeting gaps between pieces; the transom with its panels; and the rails
+ *   shared by all pieces, measured from the top of the assembly.
+ */
+export const calculateAssembly = (config = {}) => {
+  const base = { ...DEFAULT_CONFIG, ...config, assembly: null };
+  const assembly = { ...DEFAULT_ASSEMBLY, ...config.assembly };
+  const { doorWidth, doorHeight, handing, swing, viewSide, displayUnit } = base;
+  const fmt = (cm) => formatLength(cm, displayUnit);
+  const pieces = assembly.pieces || [];
+  pieces.forEach(piece => {
+    if (!PIECE_TYPES[piece.type]) throw new Error(`Unknown assembly piece "${piece.type}"`);
+  });
+  if (!pieces.some(piece => piece.type === 'leaf')) throw new Error('An assembly needs at least one leaf');
+
+  // A pair is hinged on its outer edges: the left leaf (seen from outside)
+  // has its hinges on the left, which is a left hand inswing or a right
+  // hand outswing. The active leaf is the one with the door's handing.
+  const partners = findPairs(pieces);
+  const outerHand = (side) => ((side === 'left') === (swing === 'inswing') ? 'left' : 'right');
+  const handings = pieces.map((piece, index) => {
+    if (piece.type !== 'leaf') return null;
+    if (partners[index] === null) return handing;
+    return outerHand(partners[index] > index ? 'left' : 'right');
+  });
+  const active = handings.findIndex(hand => hand === handing);
+
+  const widths = pieces.map((piece, index) => {
+    if (index === active) return doorWidth;
+    if (isSet(piece.width)) return Number(piece.width);
+    return piece.type === 'leaf' ? doorWidth : doorWidth * SIDELIGHT_SHARE;
+  });
+
+  // The stile at the meeting edge of a pair, as seen from the exterior
+  const meetingSide = (index) => (partners[index] === null ? null : partners[index] > index ? 'right' : 'left');
+  const withMeetingStile = (index, stiles) => {
+    const side = meetingSide(index);
+    if (!side || !isSet(assembly.meetingStile)) return stiles;
+    return { ...stiles, [side]: Number(assembly.meetingStile) };
+  };
+
+  const activeStiles = withMeetingStile(active, { left: base.leftStileWidth, right: base.rightStileWidth });
+  const activeConfig = { ...base, handing: handings[active], leftStileWidth: activeStiles.left, rightStileWidth: activeStiles.right };
+  const activeLayout = calculateLayout(activeConfig);
+
+  // The active leaf's exterior face sets the frame for everything else
+  const exterior = exteriorGeometry(activeLayout);
+  const exteriorFrame = exterior.frame;
+  const shared = {
+    topRailWidth: exteriorFrame.top,
+    bottomRailWidth: exteriorFrame.bottom,
+    midRailWidths: exterior.gaps,
+    mullionWidth: exterior.mullion,
+    autoCalculateSpacing: false,
+    snapMode: 'none',
+    ...(exterior.panelHeights.some(height => height > 0)
+      ? { proportionType: CUSTOM_PROPORTION, customRatios: exterior.panelHeights }
+      : {})
+  };
+  // Sidelights get the active leaf's outer stile where it has a meeting stile
+  const outerSide = { left: 'right', right: 'left' }[meetingSide(active)];
+  const sidelightStiles = outerSide
+    ? { left: exteriorFrame[outerSide], right: exteriorFrame[outerSide] }
+    : { left: exteriorFrame.left, right: exteriorFrame.right };
+  const nothingThrough = { showPeephole: false, extraPeepholes: [], hardware: [] };
+
+  const pieceConfig = (piece, index) => {
+    if (index === active) return activeConfig;
+    const width = widths[index];
+    if (piece.type === 'sidelight') {
+      return {
+        ...base,
+        ...shared,
+        ...nothingThrough,
+        doorWidth: width,
+        leftStileWidth: sidelightStiles.left,
+        rightStileWidth: sidelightStiles.right,
+        columnCount: isSet(piece.columnCount) ? Number(piece.columnCount) : 1,
+        rowColumns: [],
+        panelInfill: piece.panelInfill || base.panelInfill,
+        panelInfills: [],
+        panelShapes: [],
+        interiorFace: null,
+        hingeCount: 0
+      };
+    }
+    // The other leaf of a pair mirrors the active one, meeting stile and all
+    const stiles = partners[index] === active
+      ? { left: exteriorFrame.right, right: exteriorFrame.left }
+      : withMeetingStile(index, sidelightStiles);
+    return {
+      ...base,
+      ...shared,
+      ...nothingThrough,
+      doorWidth: width,
+      handing: handings[index],
+      leftStileWidth: stiles.left,
+      rightStileWidth: stiles.right,
+      ...(isSet(piece.columnCount) ? { columnCount: Number(piece.columnCount), rowColumns: [] } : {}),
+      ...(piece.panelInfill ? { panelInfill: piece.panelInfill, panelInfills: [] } : {})
+    };
+  };
+
+  // Left to right as seen from the exterior, then turned to the view
+  const transomHeight = Math.max(0, Number(assembly.transomHeight) || 0);
+  const top = transomHeight > 0 ? transomHeight + Number(assembly.transomBar) : 0;
+  let x = 0;
+  const placed = [];
+  const joints = [];
+  pieces.forEach((piece, index) => {
+    if (index > 0) {
+      const meeting = partners[index] === index - 1;
+      const width = meeting ? Number(assembly.meetingGap) : Number(assembly.mullion);
+      joints.push({ type: meeting ? 'meeting' : 'mullion', x, width });
+      x += width;
+    }
+    placed.push({ x, width: widths[index] });
+    x += widths[index];
+  });
+  const totalWidth = x;
+  const totalHeight = top + doorHeight;
+  const mirrored = viewSide === 'interior';
+  const viewLeft = (left, width) => (mirrored ? totalWidth - left - width : left);
+
+  const counts = {};
+  const sameType = (type) => pieces.filter(piece => piece.type === type).length;
+  const warnings = [];
+  const laidOut = pieces.map((piece, index) => {
+    counts[piece.type] = (counts[piece.type] || 0) + 1;
+    const label = `${PIECE_TYPES[piece.type].name}${sameType(piece.type) > 1 ? ` ${counts[piece.type]}` : ''}`;
+    const pieceConfigured = pieceConfig(piece, index);
+    const layout = index === active ? activeLayout : calculateLayout(pieceConfigured);
+    if (!layout.fits || layout.rows.some(row => row.width <= 0)) {
+      warnings.push(`${label} is too narrow for its stiles at ${fmt(widths[index])}`);
+    }
+    return {
+      index,
+      type: piece.type,
+      label,
+      active: index === active,
+      handing: layout.handing,
+      left: viewLeft(placed[index].x, widths[index]),
+      top,
+      width: widths[index],
+      height: doorHeight,
+      config: pieceConfigured,
+      layout
+    };
+  });
+
+  // The frame members every piece shares, measured from the top of the
+  // assembly
+  const rows = exterior.rows;
+  const rails = [
+    { name: 'top rail', top, bottom: top + exteriorFrame.top },
+    ...rows.slice(1).map((row, i) => ({ name: rows.length > 2 ? `mid rail ${i + 1}` : 'mid rail', top: top + rows[i].bottom, bottom: top + row.top })),
+    { name: 'bottom rail', top: top + doorHeight - exteriorFrame.bottom, bottom: top + doorHeight }
+  ];
+
+  // One transom panel above each column of the pieces' top rows, between
+  // rails as wide as the door's top rail
+  let transom = null;
+  if (transomHeight > 0) {
+    const rail = exteriorFrame.top;
+    const height = transomHeight - 2 * rail;
+    if (height <= 0) warnings.push(`The ${fmt(transomHeight)} transom is too short for its ${fmt(rail)} rails`);
+    const panelPositions = height <= 0 ? [] : [...laidOut]
+      .sort((a, b) => a.left - b.left)
+      .flatMap(piece => piece.layout.panelPositions
+        .filter(panel => panel.row === 0)
+        .map(panel => ({
+          row: 0,
+          column: 0,
+          top: rail,
+          bottom: rail + height,
+          height,
+          left: piece.left + panel.left,
+          right: piece.left + panel.right,
+          width: panel.width,
+          infill: assembly.transomInfill,
+          shape: null
+        })))
+      .map((panel, column) => ({ ...panel, column }));
+    transom = {
+      left: 0,
+      top: 0,
+      width: totalWidth,
+      height: transomHeight,
+      bar: Number(assembly.transomBar),
+      frame: { top: rail, bottom: rail },
+      panelPositions,
+      infills: checkInfills(panelPositions, {
+        doorHeight: totalHeight,
+        safetyGlazingHeight: base.safetyGlazingHeight,
+        louverPitch: base.louverPitch,
+        displayUnit
+      })
+    };
+  }
+
+  return {
+    width: totalWidth,
+    height: totalHeight,
+    primary: active,
+    pieces: laidOut,
+    joints: joints.map(({ type, x: jointX, width }) => ({ type, left: viewLeft(jointX, width), top, width, height: doorHeight })),
+    transom,
+    rails,
+    warnings
+  };
+};
@@ -0,0 +1,417 @@
+// Design files: a door design, or a whole project, as versioned JSON. The
+// same format is kept in localStorage, packed into share links and
+// downloaded as a file.
+//
+// A design file also keeps the shop settings used with the design (see
+// DEFAULT_SHOP_SETTINGS). They do not change the layout, so they sit beside
+// the layout config rather than in it, and project files leave them out.
+//
+// Every file carries the schema version it was written with. Reading runs
+// the migrations from that version up to DESIGN_VERSION in turn, so files
+// saved before a setting was renamed or reshaped still open, and settings
+// added since fall back to DEFAULT_CONFIG. When a config key changes
+// meaning, bump DESIGN_VERSION and add the migration from the old version.
+//
+// Files and links can come from anyone, so every setting is checked against
+// its default's type and the limits in SETTING_RULES; what does not fit is
+// left out with a warning rather than reaching the layout.
+
+import { calculateAssembly, PIECE_TYPES } from './assembly.js';
+import { DEFAULT_GCODE_OPTIONS } from './export/gcode.js';
+import { HARDWARE_TYPES } from './hardware.js';
+import { calculateLayout, DEFAULT_CONFIG, FACE_KEYS } from './layoutEngine.js';
+import { DEFAULT_MOLDING_OPTIONS } from './moldingCutList.js';
+import { DEFAULT_PROJECT } from './project.js';
+import { DEFAULT_JOINERY_OPTIONS } from './railAndStile.js';
+
+export const DESIGN_FORMAT = 'door-panel-design';
+export const PROJECT_FORMAT = 'door-panel-project';
+export const DESIGN_VERSION = 1;
+
+// How a design is rounded and built: the rounding step (null follows the
+// display unit's default) and balanced rounding, and the applied molding,
+// rail-and-stile and G-code settings
+export const DEFAULT_SHOP_SETTINGS = {
+  roundingStep: null,
+  balanceRounding: true,
+  moldingMode: false,
+  moldingOptions: DEFAULT_MOLDING_OPTIONS,
+  constructionMode: false,
+  joineryOptions: DEFAULT_JOINERY_OPTIONS,
+  gcodeOptions: DEFAULT_GCODE_OPTIONS
+};
+
+// Shop settings that are a group of options, each checked like a setting
+const SHOP_OPTION_GROUPS = ['moldingOptions', 'joineryOptions', 'gcodeOptions'];
+
+// Version n -> n + 1 for one layout config. Version 1 is the first schema,
+// so there are none yet; a version without a migration is rejected.
+const MIGRATIONS = {};
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+// What a setting must look like, from its default: settings that default to
+// null take a number or an object
+const expectedType = (fallback) => {
+  if (Array.isArray(fallback)) return { name: 'a list', accepts: Array.isArray };
+  if (isPlainObject(fallback)) return { name: 'a group of settings', accepts: isPlainObject };
+  if (fallback === null) return { name: 'a number or settings', accepts: (value) => value === null || Number.isFinite(value) || isPlainObject(value) };
+  if (typeof fallback === 'number') return { name: 'a number', accepts: Number.isFinite };
+  return { name: `a ${typeof fallback}`, accepts: (value) => typeof value === typeof fallback };
+};
+
+// Limits for settings read from a file or a link, in line with what the
+// inputs allow: lengths in cm, and counts that keep the layout quick
+const MAX_LENGTH = 1000;
+const MAX_ROWS = 50;
+const MAX_COLUMNS = 10;
+const MAX_ITEMS = 20;
+
+const length = { min: 0, max: MAX_LENGTH };
+const optionalLength = { ...length, nullable: true };
+const positiveLength = { above: 0, max: MAX_LENGTH };
+const columns = { integer: true, min: 1, max: MAX_COLUMNS };
+const text = { string: true };
+
+// Ranges and list entries, beyond the type taken from the default. A list
+// entry that breaks its rule is dropped, or emptied when entries are
+// numbered by panel or row (those take null to follow the default).
+const SETTING_RULES = {
+  doorWidth: positiveLength,
+  doorHeight: positiveLength,
+  edgeDistance: length,
+  panelGap: length,
+  leftStileWidth: optionalLength,
+  rightStileWidth: optionalLength,
+  topRailWidth: optionalLength,
+  bottomRailWidth: optionalLength,
+  midRailWidths: { list: optionalLength, maxItems: MAX_ROWS },
+  panelCount: { integer: true, min: 1, max: MAX_ROWS },
+  customRatios: { list: { above: 0, max: 1e6 }, minItems: 1, maxItems: MAX_ROWS },
+  columnCount: columns,
+  rowColumns: { list: { ...columns, nullable: true }, maxItems: MAX_ROWS },
+  mullionWidth: optionalLength,
+  panelInfills: { list: { ...text, nullable: true }, maxItems: MAX_ROWS * MAX_COLUMNS },
+  panelShapes: {
+    list: { fields: { shape: text, rise: optionalLength, radius: optionalLength, cornerRadius: optionalLength, shoulder: optionalLength }, nullable: true },
+    maxItems: MAX_ROWS * MAX_COLUMNS
+  },
+  safetyGlazingHeight: length,
+  louverPitch: positiveLength,
+  peepholeTop: length,
+  peepholeDiameter: positiveLength,
+  minEdgeDistance: length,
+  peepholeLeft: optionalLength,
+  extraPeepholes: {
+    list: { fields: { label: text, top: optionalLength, diameter: { ...positiveLength, nullable: true }, left: optionalLength, zone: { integer: true, min: 0, max: MAX_ITEMS, nullable: true } } },
+    maxItems: MAX_ITEMS
+  },
+  hardware: {
+    list: {
+      fields: {
+        type: { oneOf: Object.keys(HARDWARE_TYPES), required: true },
+        label: text,
+        ...Object.fromEntries(['centerHeight', 'fromTop', 'fromLeft', 'backset', 'trim', 'mortise', 'width', 'height', 'inset', 'clearance'].map(key => [key, optionalLength]))
+      }
+    },
+    maxItems: MAX_ITEMS
+  },
+  doorThickness: positiveLength,
+  hingeCount: { integer: true, min: 1, max: 10, nullable: true },
+  interiorFace: { face: true, nullable: true },
+  assembly: {
+    fields: {
+      pieces: {
+        list: { fields: { type: { oneOf: Object.keys(PIECE_TYPES), required: true }, width: optionalLength, columnCount: { ...columns, nullable: true }, panelInfill: { ...text, nullable: true } } },
+        minItems: 1,
+        maxItems: MAX_COLUMNS
+      },
+      mullion: length,
+      meetingStile: optionalLength,
+      meetingGap: length,
+      transomHeight: length,
+      transomBar: length,
+      transomInfill: text
+    },
+    nullable: true
+  },
+  peepholeZoneMin: length,
+  peepholeZoneMax: length,
+  snapGrid: positiveLength,
+  snapStock: { list: positiveLength, maxItems: MAX_ROWS }
+};
+
+const FACE_DEFAULTS = Object.fromEntries(FACE_KEYS.map(key => [key, DEFAULT_CONFIG[key]]));
+
+// A rule in words, for the warnings
+const describeRule = (rule) => {
+  let name;
+  if (rule.face) name = 'a group of settings';
+  else if (rule.fields) {
+    const required = Object.entries(rule.fields).filter(([, fieldRule]) => fieldRule.required);
+    name = ['a group of settings', ...required.map(([field, fieldRule]) => `"${field}" ${describeRule(fieldRule)}`)].join(' with ');
+  }
+  else if (rule.list) name = `a list of ${rule.minItems ? `${rule.minItems} to ` : 'up to '}${rule.maxItems} entries`;
+  else if (rule.oneOf) name = `one of ${rule.oneOf.join(', ')}`;
+  else if (rule.string) name = 'text';
+  else {
+    const range = rule.above !== undefined ? `above ${rule.above} and up to ${rule.max}` : `from ${rule.min} to ${rule.max}`;
+    name = `${rule.integer ? 'a whole number' : 'a number'} ${range}`;
+  }
+  return rule.nullable ? `${name}, or empty` : name;
+};
+
+// `value` as the rule allows it, with bad entries and fields left out and
+// warned about through `warn`, or undefined when the value itself breaks
+// the rule
+const checkRule = (value, rule, where, warn) => {
+  if (value === null) return rule.nullable ? value : undefined;
+  if (rule.face) {
+    return isPlainObject(value) ? checkSettings(value, FACE_DEFAULTS, (message) => warn(`in the interior face, ${message}`), SETTING_RULES) : undefined;
+  }
+  if (rule.fields) {
+    if (!isPlainObject(value)) return undefined;
+    const checked = { ...value };
+    for (const [field, fieldRule] of Object.entries(rule.fields)) {
+      if (value[field] === undefined && !fieldRule.required) continue;
+      const fieldValue = value[field] === undefined ? undefined : checkRule(value[field], fieldRule, `"${field}" in ${where}`, warn);
+      if (fieldValue !== undefined) {
+        checked[field] = fieldValue;
+      } else if (fieldRule.required) {
+        return undefined;
+      } else {
+        warn(`ignored "${field}" in ${where}, which should be ${describeRule(fieldRule)}`);
+        delete checked[field];
+      }
+    }
+    return checked;
+  }
+  if (rule.list) {
+    if (!Array.isArray(value) || value.length > rule.maxItems) return undefined;
+    const entries = value.flatMap((entry, index) => {
+      const entryWhere = `entry ${index + 1} of ${where}`;
+      const checked = checkRule(entry, rule.list, entryWhere, warn);
+      if (checked !== undefined) return [checked];
+      warn(`ignored ${entryWhere}, which should be ${describeRule(rule.list)}`);
+      return rule.list.nullable ? [null] : [];
+    });
+    return entries.length < (rule.minItems || 0) ? undefined : entries;
+  }
+  if (rule.oneOf) return rule.oneOf.includes(value) ? value : undefined;
+  if (rule.string) return typeof value === 'string' ? value : undefined;
+  const inRange = Number.isFinite(value)
+    && (!rule.integer || Number.isInteger(value))
+    && (rule.above === undefined || value > rule.above)
+    && (rule.min === undefined || value >= rule.min)
+    && value <= rule.max;
+  return inRange ? value : undefined;
+};
+
+// The settings whose key and type match `defaults` and that keep to their
+// `rules` (see SETTING_RULES); the rest are left out with a warning through
+// `warn`
+const checkSettings = (settings, defaults, warn, rules = {}) => {
+  const checked = {};
+  Object.entries(settings).forEach(([key, value]) => {
+    if (!(key in defaults)) {
+      warn(`ignored the unknown setting "${key}"`);
+      return;
+    }
+    const type = expectedType(defaults[key]);
+    if (!type.accepts(value)) {
+      warn(`ignored "${key}", which should be ${type.name}`);
+      return;
+    }
+    const rule = rules[key];
+    const ruled = rule ? checkRule(value, rule, `"${key}"`, warn) : value;
+    if (ruled === undefined) {
+      warn(`ignored "${key}", which should be ${describeRule(rule)}`);
+      return;
+    }
+    checked[key] = ruled;
+  });
+  return checked;
+};
+
+// Collects warnings as `${label}: message`
+const warner = (label, warnings) => (message) => warnings.push(`${label}: ${message}`);
+
+// Bring one config up to DESIGN_VERSION and check every setting against the
+// defaults
+const readConfig = (config, version, label) => {
+  if (!isPlainObject(config)) throw new Error(`${label} has no door settings`);
+  let migrated = config;
+  for (let from = version; from < DESIGN_VERSION; from += 1) {
+    migrated = MIGRATIONS[from](migrated);
+  }
+
+  const warnings = [];
+  const full = { ...DEFAULT_CONFIG, ...checkSettings(migrated, DEFAULT_CONFIG, warner(label, warnings), SETTING_RULES) };
+  try {
+    calculateLayout(full);
+    if (full.assembly) calculateAssembly(full);
+  } catch (error) {
+    throw new Error(`${label} cannot be laid out: ${error.message}`);
+  }
+  return { config: full, warnings };
+};
+
+// Check a design's shop settings against the defaults, one group of options
+// at a time; a file without them gets the defaults
+const readShop = (shop, label) => {
+  const warnings = [];
+  if (shop === undefined) return { shop: DEFAULT_SHOP_SETTINGS, warnings };
+  if (!isPlainObject(shop)) return { shop: DEFAULT_SHOP_SETTINGS, warnings: [`${label}: ignored the shop settings, which are not a group of settings`] };
+
+  const checked = { ...DEFAULT_SHOP_SETTINGS, ...checkSettings(shop, DEFAULT_SHOP_SETTINGS, warner(label, warnings)) };
+  SHOP_OPTION_GROUPS.forEach(group => {
+    checked[group] = { ...DEFAULT_SHOP_SETTINGS[group], ...checkSettings(checked[group], DEFAULT_SHOP_SETTINGS[group], warner(`${label} (${group})`, warnings)) };
+  });
+  const { profiles } = checked.moldingOptions;
+  const isProfile = (profile) => isPlainObject(profile) && typeof profile.id === 'string' && typeof profile.name === 'string' && Number.isFinite(profile.width);
+  if (profiles.length === 0 || !profiles.every(isProfile)) {
+    warnings.push(`${label}: ignored the molding profiles, which should each have an id, a name and a width`);
+    checked.moldingOptions = { ...checked.moldingOptions, profiles: DEFAULT_MOLDING_OPTIONS.profiles };
+  }
+  return { shop: checked, warnings };
+};
+
+const fileVersion = (data) => {
+  const version = Number(data.version);
+  if (!Number.isInteger(version)) throw new Error('The file has no valid schema version');
+  if (version > DESIGN_VERSION) {
+    throw new Error(`The file was saved by a newer version of the calculator (schema ${version}, this one reads up to ${DESIGN_VERSION})`);
+  }
+  if (version !== DESIGN_VERSION && !MIGRATIONS[version]) throw new Error(`Schema version ${version} is not a version of this file format`);
+  return version;
+};
+
+/**
+ * Wrap a layout config as a design file.
+ *
+ * @param {object} config A layout config; every setting is written, so the
+ *   design keeps its look when defaults change.
+ * @param {string} [name]
+ * @param {object} [shop] Shop settings, see DEFAULT_SHOP_SETTINGS.
+ * @returns {{ format: string, version: number, name: string|null, config: object, shop: object }}
+ */
+export const writeDesign = (config, name = null, shop = {}) => ({
+  format: DESIGN_FORMAT,
+  version: DESIGN_VERSION,
+  name,
+  config: { ...DEFAULT_CONFIG, ...config },
+  shop: { ...DEFAULT_SHOP_SETTINGS, ...shop }
+});
+
+/**
+ * Wrap a project (see DEFAULT_PROJECT) as a project file.
+ */
+export const writeProject = (project) => ({
+  format: PROJECT_FORMAT,
+  version: DESIGN_VERSION,
+  project: {
+    ...DEFAULT_PROJECT,
+    ...project,
+    doors: (project.doors || []).map(door => ({ name: door.name, config: { ...DEFAULT_CONFIG, ...door.config } }))
+  }
+});
+
+/**
+ * Read a design or project file, migrated to the current schema.
+ *
+ * @param {object|string} data The parsed file or its JSON text. A bare layout
+ *   config is read as a design too.
+ * @returns {{ kind: 'design', name: string|null, config: object, shop: object, warnings: string[] }
+ *   | { kind: 'project', project: object, warnings: string[] }}
+ * @throws {Error} When the data is not a design, was written by a newer
+ *   schema, or cannot be laid out.
+ */
+export const readDesignFile = (data) => {
+  let parsed = data;
+  if (typeof data === 'string') {
+    try {
+      parsed = JSON.parse(data);
+    } catch {
+      throw new Error('The file is not valid JSON');
+    }
+  }
+  if (!isPlainObject(parsed)) throw new Error('The file is not a door design');
+
+  if (parsed.format === PROJECT_FORMAT) {
+    const version = fileVersion(parsed);
+    const project = isPlainObject(parsed.project) ? parsed.project : {};
+    const doors = (Array.isArray(project.doors) ? project.doors : []).map((door, index) => {
+      const name = door && typeof door.name === 'string' ? door.name : `Door ${index + 1}`;
+      return { name, ...readConfig(door && door.config, version, name) };
+    });
+    return {
+      kind: 'project',
+      project: {
+        ...DEFAULT_PROJECT,
+        name: typeof project.name === 'string' ? project.name : DEFAULT_PROJECT.name,
+        doors: doors.map(({ name, config }) => ({ name, config })),
+        alignedRails: Array.isArray(project.alignedRails) ? project.alignedRails : [],
+        minRailWidth: Number.isFinite(project.minRailWidth) ? project.minRailWidth : DEFAULT_PROJECT.minRailWidth
+      },
+      warnings: doors.flatMap(door => door.warnings)
+    };
+  }
+
+  if (parsed.format === DESIGN_FORMAT) {
+    const name = typeof parsed.name === 'string' ? parsed.name : null;
+    const label = name || 'The design';
+    const { config, warnings } = readConfig(parsed.config, fileVersion(parsed), label);
+    const shop = readShop(parsed.shop, label);
+    return { kind: 'design', name, config, shop: shop.shop, warnings: [...warnings, ...shop.warnings] };
+  }
+  if (parsed.format !== undefined) throw new Error(`"${parsed.format}" is not a door design file`);
+
+  // A bare layout config, as calculateLayout takes it, is in the current schema
+  const { name, ...config } = parsed;
+  return {
+    kind: 'design',
+    name: typeof name === 'string' ? name : null,
+    ...readConfig(config, DESIGN_VERSION, 'The design'),
+    shop: DEFAULT_SHOP_SETTINGS
+  };
+};
+
+// Share links carry the design file as base64url text after #design=
+const SHARE_PREFIX = '#design=';
+
+const toBase64Url = (text) => {
+  const bytes = new TextEncoder().encode(text);
+  let binary = '';
+  bytes.forEach(byte => { binary += String.fromCharCode(byte); });
+  return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+};
+
+const fromBase64Url = (text) => {
+  const binary = atob(text.replace(/-/g, '+').replace(/_/g, '/'));
+  return new TextDecoder().decode(Uint8Array.from(binary, char => char.charCodeAt(0)));
+};
+
+/**
+ * A link to `baseUrl` that opens the design with its shop settings.
+ */
+export const shareLink = (baseUrl, config, name = null, shop = {}) => (
+  `${String(baseUrl).split('#')[0]}${SHARE_PREFIX}${toBase64Url(JSON.stringify(writeDesign(config, name, shop)))}`
+);
+
+/**
+ * The design in a share link's hash, or null when the hash holds none.
+ *
+ * @throws {Error} When the link holds a design that cannot be read.
+ */
+export const readShareHash = (hash) => {
+  if (!hash || !hash.startsWith(SHARE_PREFIX)) return null;
+  let data;
+  try {
+    data = JSON.parse(fromBase64Url(hash.slice(SHARE_PREFIX.length)));
+  } catch {
+    throw new Error('The link is damaged; ask for it to be sent again');
+  }
+  const design = readDesignFile(data);
+  if (design.kind !== 'design') throw new Error('The link does not hold a door design');
+  return design;
+};
@@ -0,0 +1,79 @@
+import { describe, expect, it } from 'vitest';
+import { DEFAULT_SHOP_SETTINGS, DESIGN_FORMAT, DESIGN_VERSION, readDesignFile, readShareHash, shareLink, writeDesign, writeProject } from './designFile.js';
+import { DEFAULT_CONFIG } from './layoutEngine.js';
+
+const design = (config) => ({ format: DESIGN_FORMAT, version: DESIGN_VERSION, config });
+
+describe('readDesignFile', () => {
+  it('reads back a written design with its shop settings', () => {
+    const config = { ...DEFAULT_CONFIG, doorWidth: 90, panelCount: 3, customRatios: [1, 2, 1], extraPeepholes: [{ label: 'Low', top: 120 }] };
+    const shop = { roundingStep: 0.5, moldingMode: true };
+    const read = readDesignFile(JSON.stringify(writeDesign(config, 'Front door', shop)));
+
+    expect(read).toMatchObject({ kind: 'design', name: 'Front door', warnings: [] });
+    expect(read.config).toEqual(config);
+    expect(read.shop).toEqual({ ...DEFAULT_SHOP_SETTINGS, ...shop });
+  });
+
+  it('reads back a written project', () => {
+    const project = { name: 'Hall', doors: [{ name: 'Left', config: { doorWidth: 80 } }, { name: 'Right', config: { doorWidth: 90 } }] };
+    const read = readDesignFile(writeProject(project));
+
+    expect(read.kind).toBe('project');
+    expect(read.project.doors.map(door => door.config.doorWidth)).toEqual([80, 90]);
+  });
+
+  it('rejects a file from a newer version', () => {
+    expect(() => readDesignFile({ ...design({}), version: DESIGN_VERSION + 1 })).toThrow(/newer version/);
+  });
+
+  it.each([
+    { version: 0 },
+    { version: -3 }
+  ])('rejects schema version $version, which has no migration', ({ version }) => {
+    expect(() => readDesignFile({ ...design({}), version })).toThrow(/not a version/);
+  });
+
+  it.each([
+    { setting: { panelCount: 20000 }, kept: { panelCount: 2 } },
+    { setting: { panelCount: 0 }, kept: { panelCount: 2 } },
+    { setting: { panelCount: -1 }, kept: { panelCount: 2 } },
+    { setting: { panelCount: 2.5 }, kept: { panelCount: 2 } },
+    { setting: { doorWidth: 1e9 }, kept: { doorWidth: 103 } },
+    { setting: { customRatios: ['x'] }, kept: { customRatios: [1, 3, 1, 1.5] } },
+    { setting: { customRatios: [2, 'x', 1] }, kept: { customRatios: [2, 1] } },
+    { setting: { extraPeepholes: [null, { top: 50 }] }, kept: { extraPeepholes: [{ top: 50 }] } },
+    { setting: { rowColumns: [1e6, 2] }, kept: { rowColumns: [null, 2] } },
+    { setting: { hardware: [{ type: 'bolt' }, { type: 'deadbolt' }] }, kept: { hardware: [{ type: 'deadbolt' }] } },
+    { setting: { interiorFace: { panelCount: 99, columnCount: 2 } }, kept: { interiorFace: { columnCount: 2 } } }
+  ])('leaves out $setting with a warning', ({ setting, kept }) => {
+    const read = readDesignFile(design({ ...setting, showPeephole: true, proportionType: 'custom' }));
+
+    expect(read.config).toMatchObject(kept);
+    expect(read.warnings.length).toBeGreaterThan(0);
+  });
+
+  it('names the setting and its limits in the warning', () => {
+    const { warnings } = readDesignFile(design({ panelCount: 20000 }));
+
+    expect(warnings).toEqual(['The design: ignored "panelCount", which should be a whole number from 1 to 50']);
+  });
+});
+
+describe('share links', () => {
+  it('open the shared design', () => {
+    const link = shareLink('https://example.com/door#old', { ...DEFAULT_CONFIG, doorHeight: 210 }, 'Shed');
+    const read = readShareHash(link.slice(link.indexOf('#')));
+
+    expect(link.startsWith('https://example.com/door#design=')).toBe(true);
+    expect(read).toMatchObject({ name: 'Shed', config: { doorHeight: 210 } });
+  });
+
+  it('reject a damaged link', () => {
+    expect(() => readShareHash('#design=!!!')).toThrow(/damaged/);
+  });
+
+  it('ignore a hash without a design', () => {
+    expect(readShareHash('#top')).toBeNull();
+  });
+});
@@ -0,0 +1,12 @@
+// Offer generated text (DXF, CSV, G-code, ...) to the user as a file download
+export const downloadTextFile = (filename, content, mimeType = 'text/plain') => {
+  const blob = new Blob([content], { type: `${mimeType};charset=utf-8` });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  document.body.removeChild(link);
+  URL.revokeObjectURL(url);
+};
@@ -0,0 +1,186 @@
+// DXF (R12 ASCII) export of a door layout for CAD and CNC router software.
+//
+// Coordinates are real lengths in the chosen unit with the origin at the
+// bottom-left corner of the door face being viewed and Y pointing up, as CAD
+// expects. R12 has no header variable for the drawing unit, so the unit is
+// named in a comment at the top of the file and on every dimension label.
+
+import { arcAngles, panelOutline } from '../panelShapes.js';
+import { formatLength, toUnit } from '../units.js';
+
+export const DXF_LAYERS = {
+  DOOR: { color: 7 },
+  PANELS: { color: 3 },
+  PEEPHOLE: { color: 1 },
+  DIMENSIONS: { color: 5 }
+};
+
+const pairs = (...groups) => groups.map(([code, value]) => `${code}\n${value}`).join('\n');
+
+const num = (value) => {
+  const rounded = Math.round(value * 1e6) / 1e6;
+  return Object.is(rounded, -0) ? '0' : String(rounded);
+};
+
+const line = (layer, x1, y1, x2, y2) => pairs(
+  [0, 'LINE'], [8, layer],
+  [10, num(x1)], [20, num(y1)], [30, 0],
+  [11, num(x2)], [21, num(y2)], [31, 0]
+);
+
+const circle = (layer, x, y, radius) => pairs(
+  [0, 'CIRCLE'], [8, layer],
+  [10, num(x)], [20, num(y)], [30, 0],
+  [40, num(radius)]
+);
+
+const text = (layer, x, y, height, value, { rotation = 0, centered = false } = {}) => {
+  const groups = [
+    [0, 'TEXT'], [8, layer],
+    [10, num(x)], [20, num(y)], [30, 0],
+    [40, num(height)], [1, value]
+  ];
+  if (rotation) groups.push([50, num(rotation)]);
+  if (centered) {
+    // Horizontal center, vertical middle; aligned by the second point
+    groups.push([72, 1], [73, 2], [11, num(x)], [21, num(y)], [31, 0]);
+  }
+  return pairs(...groups);
+};
+
+// Closed polyline; `points` are [x, y] or [x, y, bulge] for arc segments
+const polyline = (layer, points) => [
+  pairs([0, 'POLYLINE'], [8, layer], [66, 1], [10, 0], [20, 0], [30, 0], [70, 1]),
+  ...points.map(([x, y, bulge]) => pairs(
+    [0, 'VERTEX'], [8, layer],
+    [10, num(x)], [20, num(y)], [30, 0],
+    ...(bulge ? [[42, num(bulge)]] : [])
+  )),
+  pairs([0, 'SEQEND'], [8, layer])
+].join('\n');
+
+const rectangle = (layer, left, bottom, width, height) => polyline(layer, [
+  [left, bottom],
+  [left + width, bottom],
+  [left + width, bottom + height],
+  [left, bottom + height]
+]);
+
+// A simple linear dimension: extension ticks, a dimension line and its label
+const verticalDimension = (x, y1, y2, textHeight, label) => [
+  line('DIMENSIONS', x, y1, x, y2),
+  line('DIMENSIONS', x - textHeight / 2, y1, x + textHeight / 2, y1),
+  line('DIMENSIONS', x - textHeight / 2, y2, x + textHeight / 2, y2),
+  text('DIMENSIONS', x - textHeight, (y1 + y2) / 2, textHeight, label, { rotation: 90, centered: true })
+];
+
+const horizontalDimension = (y, x1, x2, textHeight, label) => [
+  line('DIMENSIONS', x1, y, x2, y),
+  line('DIMENSIONS', x1, y - textHeight / 2, x1, y + textHeight / 2),
+  line('DIMENSIONS', x2, y - textHeight / 2, x2, y + textHeight / 2),
+  text('DIMENSIONS', (x1 + x2) / 2, y - textHeight, textHeight, label, { centered: true })
+];
+
+const tables = () => pairs(
+  [0, 'SECTION'], [2, 'TABLES'],
+  [0, 'TABLE'], [2, 'LAYER'], [70, Object.keys(DXF_LAYERS).length]
+) + '\n' + Object.entries(DXF_LAYERS).map(([name, { color }]) => pairs(
+  [0, 'LAYER'], [2, name], [70, 0], [62, color], [6, 'CONTINUOUS']
+)).join('\n') + '\n' + pairs([0, 'ENDTAB'], [0, 'ENDSEC']);
+
+/**
+ * Build a DXF drawing of the door outline, every panel and every peephole.
+ *
+ * @param {object} layout Result of calculateLayout.
+ * @param {object} config The config the layout was calculated from.
+ * @param {{ unit?: string }} [options] Output unit: 'mm' (default), 'cm' or 'in'.
+ * @returns {string} DXF file contents.
+ */
+export const buildLayoutDxf = (layout, config, { unit = 'mm' } = {}) => {
+  const u = (cm) => toUnit(cm, unit);
+  const label = (cm) => formatLength(cm, unit);
+  const { doorWidth, doorHeight } = config;
+
+  const width = u(doorWidth);
+  const height = u(doorHeight);
+  // Convert a distance from the top of the door to a Y coordinate
+  const yFromTop = (cm) => u(doorHeight - cm);
+  const textHeight = Math.max(width, height) / 80;
+
+  const entities = [rectangle('DOOR', 0, 0, width, height)];
+
+  // Shaped panels as polylines with bulges: tan(sweep / 4), negative for a
+  // clockwise arc
+  layout.panelPositions.forEach(position => {
+    if (!position.shape) {
+      entities.push(rectangle('PANELS',
+        u(position.left),
+        yFromTop(position.bottom),
+        u(position.width),
+        u(position.height)
+      ));
+      return;
+    }
+    const { start, segments } = panelOutline(position);
+    let from = start;
+    entities.push(polyline('PANELS', segments.map(segment => {
+      const vertex = [u(from[0]), yFromTop(from[1])];
+      if (segment.arc) {
+        const { sweep } = arcAngles(from, segment);
+        vertex.push((segment.arc.clockwise ? -1 : 1) * Math.tan(sweep / 4));
+      }
+      from = segment.to;
+      return vertex;
+    })));
+  });
+
+  // Peepholes that could not be placed are left out
+  const peepholes = config.showPeephole ? layout.peepholes.filter(peephole => peephole.coordinates && !peephole.error) : [];
+  peepholes.forEach(({ coordinates: { fromLeft, fromBottom }, diameter }) => {
+    entities.push(circle('PEEPHOLE', u(fromLeft), u(fromBottom), u(diameter / 2)));
+  });
+
+  // Overall size
+  entities.push(...horizontalDimension(-textHeight * 3, 0, width, textHeight, label(doorWidth)));
+  entities.push(...verticalDimension(-textHeight * 3, 0, height, textHeight, label(doorHeight)));
+
+  // Row heights right of the door, panel widths under the top row
+  const panelDimensionX = width + textHeight * 3;
+  layout.rows.forEach(row => {
+    entities.push(...verticalDimension(panelDimensionX + textHeight * 2, yFromTop(row.bottom), yFromTop(row.top), textHeight, label(row.height)));
+  });
+  layout.panelPositions.filter(position => position.row === 0).forEach(position => {
+    entities.push(...horizontalDimension(
+      yFromTop(position.top) - textHeight * 2,
+      u(position.left),
+      u(position.right),
+      textHeight,
+      label(position.width)
+    ));
+  });
+
+  // The face shown and the handing, under the door
+  entities.push(text('DIMENSIONS', 0, -textHeight * 6, textHeight,
+    `${layout.handing.viewSide === 'interior' ? 'Interior' : 'Exterior'} face, ${layout.handing.description}`));
+
+  // Peephole heights alternate right and left of the cutouts
+  peepholes.forEach(({ coordinates: { fromLeft, fromBottom }, diameter }, index) => {
+    const offset = u(diameter) + textHeight * 2;
+    entities.push(...verticalDimension(u(fromLeft) + (index % 2 === 0 ? offset : -offset), 0, u(fromBottom), textHeight, label(fromBottom)));
+  });
+
+  return [
+    pairs([999, `Door panel layout, drawing units: ${unit}`]),
+    pairs(
+      [0, 'SECTION'], [2, 'HEADER'],
+      [9, '$ACADVER'], [1, 'AC1009'],
+      [9, '$EXTMIN'], [10, num(-textHeight * 6)], [20, num(-textHeight * 7)], [30, 0],
+      [9, '$EXTMAX'], [10, num(panelDimensionX + textHeight * 4)], [20, num(height)], [30, 0],
+      [0, 'ENDSEC']
+    ),
+    tables(),
+    pairs([0, 'SECTION'], [2, 'ENTITIES']),
+    ...entities,
+    pairs([0, 'ENDSEC'], [0, 'EOF'])
+  ].join('\n') + '\n';
+};
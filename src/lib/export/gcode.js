@@ -0,0 +1,165 @@
+// G-code generation for routing panel outlines (grooves or molding lines)
+// and drilling the peepholes.
+//
+// Options and toolpaths are in centimeters like the rest of the engine; the
+// program itself is written in millimeters (G21) or inches (G20) with the
+// origin at the bottom-left corner of the door face being viewed, Y up and
+// Z = 0 on the surface.
+
+import { panelOutline, reverseOutline } from '../panelShapes.js';
+import { toUnit } from '../units.js';
+
+export const GCODE_UNITS = ['mm', 'in'];
+
+export const TOOL_OFFSETS = {
+  on: 'On the line',
+  inside: 'Inside the line',
+  outside: 'Outside the line'
+};
+
+export const DEFAULT_GCODE_OPTIONS = {
+  unit: 'mm',
+  toolDiameter: 0.6,
+  depth: 0.6,
+  stepDown: 0.3,
+  feedRate: 150, // cm/min
+  plungeRate: 50, // cm/min
+  safeHeight: 0.5,
+  spindleSpeed: 18000,
+  offset: 'on',
+  drillPeephole: false,
+  drillDepth: 4.5,
+  peckDepth: 0.5
+};
+
+// Z levels for each pass, stepping down to the full depth
+const passDepths = (depth, stepDown) => {
+  const step = stepDown > 0 ? Math.min(stepDown, depth) : depth;
+  const depths = [];
+  for (let z = step; z < depth - 1e-9; z += step) depths.push(z);
+  depths.push(depth);
+  return depths;
+};
+
+/**
+ * Build the router toolpaths for the current layout.
+ *
+ * Each panel outline, arches and rounded corners included, is offset by the
+ * tool radius according to `options.offset`. Outlines are in door
+ * coordinates in centimeters measured from the left and from the top (the
+ * same space as panelPositions), so they can be drawn straight onto the
+ * visualization.
+ *
+ * @returns {{ profiles: { panel: number, outline: object }[],
+ *   drills: object[], warnings: string[] }} See panelShapes.js for outlines.
+ */
+export const buildToolpaths = (layout, config, options = DEFAULT_GCODE_OPTIONS) => {
+  const radius = options.toolDiameter / 2;
+  const grow = options.offset === 'outside' ? radius : options.offset === 'inside' ? -radius : 0;
+  const warnings = [];
+
+  const profiles = [];
+  layout.panelPositions.forEach((position, index) => {
+    const outline = panelOutline(position, grow);
+    if (!outline) {
+      warnings.push(`Panel ${index + 1} is smaller than the tool and was skipped`);
+      return;
+    }
+
+    // Outlines run clockwise as seen on the drawing. With the spindle turning
+    // clockwise (M3) that is a climb cut outside the line, so outside
+    // profiles are reversed to keep both offsets conventional; a groove on
+    // the line cuts both walls whichever way it runs
+    profiles.push({
+      panel: index + 1,
+      outline: options.offset === 'outside' ? reverseOutline(outline) : outline
+    });
+  });
+
+  const drills = [];
+  if (options.drillPeephole && config.showPeephole) {
+    layout.peepholes.filter(peephole => peephole.coordinates && !peephole.error).forEach(peephole => drills.push({
+      x: peephole.coordinates.fromLeft,
+      y: peephole.coordinates.fromTop,
+      diameter: peephole.diameter
+    }));
+  }
+
+  return { profiles, drills, warnings };
+};
+
+/**
+ * Generate a complete G-code program for the layout.
+ *
+ * @param {object} layout Result of calculateLayout.
+ * @param {object} config The config the layout was calculated from.
+ * @param {object} [options] See DEFAULT_GCODE_OPTIONS.
+ * @returns {{ gcode: string, toolpaths: object }}
+ */
+export const buildLayoutGcode = (layout, config, options = DEFAULT_GCODE_OPTIONS) => {
+  const opts = { ...DEFAULT_GCODE_OPTIONS, ...options };
+  const { unit } = opts;
+  const decimals = unit === 'in' ? 4 : 3;
+  const n = (cm) => {
+    const text = toUnit(cm, unit).toFixed(decimals);
+    return /^-0\.0+$/.test(text) ? text.slice(1) : text;
+  };
+  // Door coordinates (from top) to machine coordinates (Y up from the bottom)
+  const x = (cm) => n(cm);
+  const y = (fromTop) => n(config.doorHeight - fromTop);
+  const feed = (cmPerMinute) => toUnit(cmPerMinute, unit).toFixed(unit === 'in' ? 1 : 0);
+
+  const toolpaths = buildToolpaths(layout, config, opts);
+  const safe = `G0 Z${n(opts.safeHeight)}`;
+
+  const lines = [
+    '%',
+    `(Door panel layout ${n(config.doorWidth)} x ${n(config.doorHeight)} ${unit})`,
+    `(Tool: ${n(opts.toolDiameter)} ${unit} end mill, path ${TOOL_OFFSETS[opts.offset].toLowerCase()})`,
+    `(Depth ${n(opts.depth)} ${unit} in steps of ${n(opts.stepDown)} ${unit})`,
+    `(Origin: bottom-left corner of the door seen from the ${layout.handing.viewSide}, Z0 on the surface)`,
+    `(Handing: ${layout.handing.description})`,
+    ...toolpaths.warnings.map(warning => `(Warning: ${warning})`),
+    'G90 G17 G40 G49',
+    unit === 'in' ? 'G20' : 'G21',
+    safe,
+    `M3 S${opts.spindleSpeed}`
+  ];
+
+  // Arcs are G2 (clockwise) or G3 with the center relative to the arc's
+  // start; Y flips from the drawing to the machine
+  toolpaths.profiles.forEach(profile => {
+    const { start, segments } = profile.outline;
+    lines.push(`(Panel ${profile.panel})`);
+    lines.push(`G0 X${x(start[0])} Y${y(start[1])}`);
+    passDepths(opts.depth, opts.stepDown).forEach(depth => {
+      lines.push(`G1 Z-${n(depth)} F${feed(opts.plungeRate)}`);
+      let from = start;
+      segments.forEach(({ to: [px, py], arc }, i) => {
+        const rate = i === 0 ? ` F${feed(opts.feedRate)}` : '';
+        if (arc) {
+          const [centerX, centerY] = arc.center;
+          lines.push(`${arc.clockwise ? 'G2' : 'G3'} X${x(px)} Y${y(py)} I${n(centerX - from[0])} J${n(from[1] - centerY)}${rate}`);
+        } else {
+          lines.push(`G1 X${x(px)} Y${y(py)}${rate}`);
+        }
+        from = [px, py];
+      });
+    });
+    lines.push(safe);
+  });
+
+  if (toolpaths.drills.length > 0) {
+    lines.push('M5');
+    toolpaths.drills.forEach(drill => {
+      lines.push(`M0 (Change to a ${n(drill.diameter)} ${unit} drill for the peephole)`);
+      lines.push(`M3 S${opts.spindleSpeed}`);
+      lines.push(`G98 G83 X${x(drill.x)} Y${y(drill.y)} Z-${n(opts.drillDepth)} R${n(opts.safeHeight)} Q${n(opts.peckDepth)} F${feed(opts.plungeRate)}`);
+      lines.push('G80');
+    });
+  }
+
+  lines.push(safe, 'M5', 'G0 X0 Y0', 'M30', '%');
+
+  return { gcode: lines.join('\n') + '\n', toolpaths };
+};
@@ -0,0 +1,67 @@
+// Door handing and swing direction.
+//
+// Handing follows the usual trade convention: stand on the side the door
+// swings away from you (the push side); hinges on your left make a left-hand
+// door. With the swing, seen from outside, this gives the four codes:
+//
+//   LH   left hand, inswing     hinges on the left seen from outside
+//   RH   right hand, inswing    hinges on the right seen from outside
+//   LHR  left hand reverse      outswing, hinges on the right seen from outside
+//   RHR  right hand reverse     outswing, hinges on the left seen from outside
+//
+// The layout is designed on the exterior face: stile widths, column order and
+// positions from the left are as seen from outside. The interior view shows
+// the other face, so everything left-right is mirrored.
+
+export const HANDINGS = {
+  left: { name: 'Left hand', code: 'LH' },
+  right: { name: 'Right hand', code: 'RH' }
+};
+
+export const SWINGS = {
+  inswing: { name: 'Inswing', description: 'opens into the building' },
+  outswing: { name: 'Outswing', description: 'opens out of the building' }
+};
+
+export const VIEW_SIDES = {
+  exterior: { name: 'Exterior' },
+  interior: { name: 'Interior' }
+};
+
+const otherSide = (side) => (side === 'left' ? 'right' : 'left');
+
+/**
+ * Resolve a door's handing for the face being viewed.
+ *
+ * @param {{ handing: 'left'|'right', swing: 'inswing'|'outswing',
+ *   viewSide: 'exterior'|'interior' }} config
+ * @returns {{ code: string, name: string, description: string,
+ *   viewSide: string, hingeSide: 'left'|'right', lockSide: 'left'|'right',
+ *   mirrored: boolean, towardViewer: boolean }} Hinge and lock sides as
+ *   seen in the view; `mirrored` when the view is the interior face;
+ *   `towardViewer` when the door swings toward whoever looks at this face.
+ */
+export const resolveHanding = ({ handing = 'left', swing = 'inswing', viewSide = 'exterior' } = {}) => {
+  const hand = HANDINGS[handing];
+  if (!hand) throw new Error(`Unknown handing "${handing}"`);
+  if (!SWINGS[swing]) throw new Error(`Unknown swing "${swing}"`);
+  if (!VIEW_SIDES[viewSide]) throw new Error(`Unknown view side "${viewSide}"`);
+
+  const outswing = swing === 'outswing';
+  const mirrored = viewSide === 'interior';
+  // The push side is the exterior for an inswing door
+  const exteriorHingeSide = outswing ? otherSide(handing) : handing;
+  const hingeSide = mirrored ? otherSide(exteriorHingeSide) : exteriorHingeSide;
+  const code = `${hand.code}${outswing ? 'R' : ''}`;
+
+  return {
+    code,
+    name: `${hand.name}${outswing ? ' reverse' : ''}`,
+    description: `${code} (${hand.name.toLowerCase()}${outswing ? ' reverse' : ''}, ${SWINGS[swing].description}), hinges on the ${exteriorHingeSide} seen from outside`,
+    viewSide,
+    hingeSide,
+    lockSide: otherSide(hingeSide),
+    mirrored,
+    towardViewer: outswing !== mirrored
+  };
+};
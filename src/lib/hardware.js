@@ -0,0 +1,288 @@
+// Door hardware as obstacles on the door face.
+//
+// Hinges are planned from the door's size and estimated weight (planHinges);
+// everything else comes from the config's hardware list.
+//
+// Every item resolves to a footprint rectangle (measured from the top-left
+// corner of the door, like panelPositions) plus a clearance zone around it.
+// Lock-side items (lockset, deadbolt) are placed by their backset from the
+// lock edge, hinges sit on the hinge edge, and the rest are centered on the
+// door unless given a `fromLeft`. Heights are the center of the item from the
+// bottom of the door, or `fromTop` for the distance from the top. Lengths are
+// in centimeters.
+
+import { formatLength } from './units.js';
+
+const inches = (value) => value * 2.54;
+
+export const HARDWARE_TYPES = {
+  lockset: {
+    name: 'Lockset / handle',
+    edge: 'lock',
+    // Rose or escutcheon diameter and the height of the lock mortise
+    defaults: { centerHeight: inches(38), backset: inches(2.375), trim: 6.5, mortise: 20, clearance: 2.5 }
+  },
+  deadbolt: {
+    name: 'Deadbolt',
+    edge: 'lock',
+    defaults: { centerHeight: inches(44), backset: inches(2.375), trim: 6, mortise: 8, clearance: 2.5 }
+  },
+  hinge: {
+    name: 'Hinge',
+    edge: 'hinge',
+    // Width of the leaf and screws on the face
+    defaults: { fromTop: inches(7) + inches(2), width: 3.5, height: inches(4), clearance: 1 }
+  },
+  'mail-slot': {
+    name: 'Mail slot',
+    defaults: { centerHeight: 80, width: inches(12), height: inches(3), clearance: 2 }
+  },
+  'kick-plate': {
+    name: 'Kick plate',
+    // Full width less `inset` on each side, sitting on the bottom of the door
+    defaults: { height: inches(10), inset: inches(1), clearance: 0 }
+  }
+};
+
+// The default door has a lockset; its hinges are planned
+export const DEFAULT_HARDWARE = [{ type: 'lockset' }];
+
+// Densities (kg/m³) for the door weight estimate
+export const DOOR_MATERIALS = {
+  'hollow-core': { name: 'Hollow core', density: 200 },
+  pine: { name: 'Pine', density: 500 },
+  'solid-core': { name: 'Solid core', density: 600 },
+  oak: { name: 'Oak', density: 720 },
+  mdf: { name: 'MDF', density: 750 }
+};
+
+// Hinge size by door thickness, with the weight one hinge can carry (kg)
+const HINGE_SIZES = [
+  { maxThickness: 3.5, height: inches(3.5), name: '3½"', capacity: 20 },
+  { maxThickness: 4.5, height: inches(4), name: '4"', capacity: 30 },
+  { maxThickness: Infinity, height: inches(4.5), name: '4½"', capacity: 40 }
+];
+
+// Standard offsets: top of the top hinge from the top of the door, bottom of
+// the bottom hinge from the bottom
+export const HINGE_TOP_OFFSET = inches(7);
+export const HINGE_BOTTOM_OFFSET = inches(11);
+
+/**
+ * Plan the hinges for a door: size from the thickness, count from the height
+ * (two up to 2 m, three above, one more for every 30" beyond 90") and from
+ * the estimated weight, unless hingeCount fixes it. The top and bottom
+ * hinges sit at the standard offsets, any others evenly between them.
+ *
+ * @returns {{ count: number, size: object, weight: number, reasons: string[],
+ *   items: object[] }} `items` are hinge entries for resolveHardware.
+ */
+export const planHinges = ({ doorWidth, doorHeight, doorThickness, doorMaterial, hingeCount = null, displayUnit = 'cm' }) => {
+  const fmt = (cm) => formatLength(cm, displayUnit);
+  const material = DOOR_MATERIALS[doorMaterial];
+  if (!material) throw new Error(`Unknown door material "${doorMaterial}"`);
+  const size = HINGE_SIZES.find(candidate => doorThickness <= candidate.maxThickness);
+  const weight = doorWidth * doorHeight * doorThickness / 1e6 * material.density;
+
+  let byHeight = doorHeight > 200 ? 3 : 2;
+  if (doorHeight > inches(90)) byHeight += Math.ceil((doorHeight - inches(90)) / inches(30));
+  const byWeight = Math.max(2, Math.ceil(weight / size.capacity));
+
+  const reasons = [
+    `${size.name} hinges for a ${fmt(doorThickness)} thick door`,
+    doorHeight > 200 ? `${byHeight} hinges for a door over ${fmt(200)} tall` : `${byHeight} hinges for a door up to ${fmt(200)} tall`,
+    `${byWeight} hinges carry the estimated ${Math.round(weight)} kg (${size.capacity} kg each)`
+  ];
+  const isFixed = hingeCount !== null && hingeCount !== undefined && Number.isFinite(Number(hingeCount));
+  const count = isFixed ? Math.max(0, Math.round(Number(hingeCount))) : Math.max(byHeight, byWeight);
+  if (isFixed && count < Math.max(byHeight, byWeight)) {
+    reasons.push(`${count} hinges set by hand; the rules suggest ${Math.max(byHeight, byWeight)}`);
+  }
+
+  const first = HINGE_TOP_OFFSET + size.height / 2;
+  const last = doorHeight - HINGE_BOTTOM_OFFSET - size.height / 2;
+  const items = Array.from({ length: count }, (_, i) => ({
+    type: 'hinge',
+    label: `Hinge ${i + 1}`,
+    height: size.height,
+    fromTop: count === 1 ? first : first + (last - first) * i / (count - 1)
+  }));
+
+  return { count, size, weight, reasons, items };
+};
+
+const isSet = (value) => value !== null && value !== undefined && Number.isFinite(Number(value));
+
+/**
+ * Resolve hardware items to footprints on a door.
+ *
+ * @param {object[]} items Config entries: { type, label?, ...overrides of
+ *   the type's defaults, fromLeft? }.
+ * @param {{ doorWidth: number, doorHeight: number }} door
+ * @param {'left'|'right'} [lockEdge] The edge the lock sits on; hinges go
+ *   on the other one.
+ * @returns {object[]} { id, type, label, left, top, width, height, clearance }
+ */
+export const resolveHardware = (items = [], { doorWidth, doorHeight }, lockEdge = 'right') => {
+  const counts = {};
+  return items.map((item, index) => {
+    const type = HARDWARE_TYPES[item.type];
+    if (!type) throw new Error(`Unknown hardware type "${item.type}"`);
+    const spec = { ...type.defaults };
+    Object.entries(item).forEach(([key, value]) => {
+      if (value !== undefined) spec[key] = value;
+    });
+    counts[item.type] = (counts[item.type] || 0) + 1;
+    const label = item.label || `${type.name}${items.filter(other => other.type === item.type).length > 1 ? ` ${counts[item.type]}` : ''}`;
+
+    let width;
+    let height;
+    if (type.edge === 'lock') {
+      width = Number(spec.backset) + Number(spec.trim) / 2;
+      height = Math.max(Number(spec.trim), Number(spec.mortise));
+    } else if (item.type === 'kick-plate') {
+      width = doorWidth - 2 * Number(spec.inset);
+      height = Number(spec.height);
+    } else {
+      width = Number(spec.width);
+      height = Number(spec.height);
+    }
+
+    let center;
+    if (item.type === 'kick-plate') {
+      center = doorHeight - height / 2;
+    } else if (isSet(item.fromTop)) {
+      center = Number(item.fromTop);
+    } else if (isSet(spec.centerHeight)) {
+      center = doorHeight - Number(spec.centerHeight);
+    } else {
+      center = Number(spec.fromTop);
+    }
+
+    const edge = type.edge === 'lock' ? lockEdge : type.edge === 'hinge' ? (lockEdge === 'right' ? 'left' : 'right') : null;
+    let left;
+    if (edge) {
+      left = edge === 'left' ? 0 : doorWidth - width;
+    } else {
+      left = (isSet(spec.fromLeft) ? Number(spec.fromLeft) : doorWidth / 2) - width / 2;
+    }
+
+    return {
+      id: index,
+      type: item.type,
+      name: type.name,
+      label,
+      edge,
+      left,
+      top: center - height / 2,
+      width,
+      height,
+      centerHeight: doorHeight - center,
+      clearance: Number(spec.clearance) || 0
+    };
+  });
+};
+
+/**
+ * Hinges over the end of a rail, where screws would go into the rail's
+ * tenon and the stile joint.
+ *
+ * @param {object[]} hardware Resolved hardware.
+ * @param {{ name: string, top: number, bottom: number }[]} rails Rail spans
+ *   measured from the top of the door.
+ * @returns {object[]} The hardware, hinges with a `railClash` or null.
+ */
+export const checkHingeRails = (hardware, rails) => hardware.map(item => {
+  if (item.type !== 'hinge') return item;
+  const rail = rails.find(candidate => item.top < candidate.bottom && candidate.top < item.top + item.height);
+  return {
+    ...item,
+    railClash: rail ? { rail: rail.name, message: `${item.label} lands on the ${rail.name} joint; move it or the rail` } : null
+  };
+});
+
+// Gap between two rectangles, 0 when they touch or overlap
+const rectDistance = (a, b) => Math.hypot(
+  Math.max(0, a.left - (b.left + b.width), b.left - (a.left + a.width)),
+  Math.max(0, a.top - (b.top + b.height), b.top - (a.top + a.height))
+);
+
+const overlaps = (a, b) => (
+  a.left < b.left + b.width && b.left < a.left + a.width &&
+  a.top < b.top + b.height && b.top < a.top + a.height
+);
+
+const contains = (outer, inner) => (
+  inner.left >= outer.left && inner.left + inner.width <= outer.left + outer.width &&
+  inner.top >= outer.top && inner.top + inner.height <= outer.top + outer.height
+);
+
+/**
+ * Check every hardware item against every panel, the same way a peephole is
+ * checked: 'inside-safe', 'too-close-to-edge' or 'crosses-edge' per panel,
+ * or null when the panel is well clear.
+ *
+ * @param {object[]} hardware Result of resolveHardware.
+ * @param {object[]} panelPositions From calculateLayout.
+ * @param {object} [options]
+ * @param {number[]} [options.edgeBands] Width of applied molding along each
+ *   panel's edge; hardware over a band is reported as under the molding.
+ * @param {string} [options.displayUnit]
+ * @returns {object[]} The hardware items, each with `conflicts` per panel.
+ */
+export const checkHardware = (hardware, panelPositions, { edgeBands = [], displayUnit = 'cm' } = {}) => {
+  const fmt = (cm) => formatLength(cm, displayUnit);
+  return hardware.map(item => {
+    const conflicts = panelPositions.map((panel, index) => {
+      const band = edgeBands[index] || 0;
+      const rect = { left: panel.left, top: panel.top, width: panel.width, height: panel.height };
+
+      if (contains(rect, item)) {
+        const distance = Math.min(
+          item.left - rect.left,
+          rect.left + rect.width - (item.left + item.width),
+          item.top - rect.top,
+          rect.top + rect.height - (item.top + item.height)
+        );
+        if (distance < band) {
+          return {
+            type: 'crosses-edge',
+            distance,
+            message: `${item.label} sits under the panel molding (${fmt(band)} wide)`
+          };
+        }
+        if (distance - band < item.clearance) {
+          return {
+            type: 'too-close-to-edge',
+            distance: distance - band,
+            message: `${item.label} is ${fmt(distance - band)} from the panel ${band > 0 ? 'molding' : 'edge'} (keep ${fmt(item.clearance)} clear)`
+          };
+        }
+        return {
+          type: 'inside-safe',
+          distance: distance - band,
+          message: `${item.label} sits inside the panel, ${fmt(distance - band)} from its ${band > 0 ? 'molding' : 'edge'}`
+        };
+      }
+
+      if (overlaps(rect, item)) {
+        return {
+          type: 'crosses-edge',
+          distance: 0,
+          message: `A panel ${band > 0 ? 'edge and its molding run' : 'edge runs'} under the ${item.label.toLowerCase()}`
+        };
+      }
+
+      const distance = rectDistance(rect, item);
+      if (distance < item.clearance) {
+        return {
+          type: 'too-close-to-edge',
+          distance,
+          message: `${item.label} is ${fmt(distance)} from a panel edge (keep ${fmt(item.clearance)} clear)`
+        };
+      }
+      return null;
+    });
+    return { ...item, conflicts };
+  });
+};
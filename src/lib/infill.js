@@ -0,0 +1,116 @@
+// Panel infill: what fills each opening in the frame.
+//
+// Every panel is raised wood unless the config says otherwise. panelInfill
+// sets the type for the whole door and panelInfills overrides it per panel,
+// numbered in reading order as seen from the exterior (like the column
+// settings), so a panel keeps its infill whichever face is shown.
+//
+// Glass below the safety glazing height must be toughened or laminated;
+// louvers are split into slats at about louverPitch; an open grille gets bars
+// close enough that a child's head cannot pass. Lengths are in centimeters.
+
+import { formatLength } from './units.js';
+
+export const INFILL_TYPES = {
+  raised: { name: 'Raised wood', part: 'Raised panel', wood: true },
+  flat: { name: 'Flat wood', part: 'Flat panel', wood: true },
+  'glass-clear': { name: 'Clear glass', part: 'Clear glass pane', glass: 'clear' },
+  'glass-frosted': { name: 'Frosted glass', part: 'Frosted glass pane', glass: 'frosted' },
+  'glass-leaded': { name: 'Leaded glass', part: 'Leaded glass light', glass: 'leaded' },
+  louver: { name: 'Louvered', part: 'Louver insert' },
+  grille: { name: 'Open grille', part: 'Grille insert' }
+};
+
+// Longest louver slat that stays straight without a center support
+export const LOUVER_MAX_SPAN = 60;
+// Widest opening between grille bars (the 10 cm sphere rule for guarding)
+export const GRILLE_MAX_GAP = 10;
+
+export const getInfillType = (type) => {
+  const infill = INFILL_TYPES[type];
+  if (!infill) throw new Error(`Unknown panel infill "${type}"`);
+  return infill;
+};
+
+/**
+ * The infill type of every panel of one face.
+ *
+ * @param {{ panelInfill: string, panelInfills: (string|null)[] }} config
+ * @param {number[]} exteriorOrder Each panel's index in reading order as
+ *   seen from the exterior.
+ * @returns {string[]} An INFILL_TYPES key per panel.
+ */
+export const resolvePanelInfills = ({ panelInfill = 'raised', panelInfills = [] }, exteriorOrder) => exteriorOrder.map(index => {
+  const type = (panelInfills || [])[index] || panelInfill;
+  getInfillType(type);
+  return type;
+});
+
+// Conflicts that put a peephole or hardware through the panel itself; one
+// merely too close to a panel edge does not touch the infill
+const cutsIntoPanel = (conflict) => Boolean(conflict) && (conflict.type === 'inside-safe' || conflict.type === 'crosses-edge');
+
+/**
+ * Type-specific checks for every panel: safety glazing, louver slats and
+ * grille bars, and cutouts or hardware that would have to go through
+ * something other than wood.
+ *
+ * @param {object[]} panelPositions With the `infill` of each panel.
+ * @param {object} options
+ * @param {number} options.doorHeight
+ * @param {number} options.safetyGlazingHeight Glass with any part lower
+ *   than this above the floor must be safety glass.
+ * @param {number} options.louverPitch Target distance between slats.
+ * @param {{ label: string, conflicts: (object|null)[] }[]} [options.obstacles]
+ *   Peepholes and hardware with their conflicts per panel on this face.
+ * @param {string} [options.displayUnit]
+ * @returns {{ type: string, name: string, glass: string|null,
+ *   louver: { slats: number, pitch: number }|null,
+ *   grille: { bars: number, spacing: number }|null,
+ *   warnings: { type: string, message: string }[] }[]} One entry per panel.
+ */
+export const checkInfills = (panelPositions, { doorHeight, safetyGlazingHeight, louverPitch, obstacles = [], displayUnit = 'cm' }) => {
+  const fmt = (cm) => formatLength(cm, displayUnit);
+  return panelPositions.map((panel, index) => {
+    const infill = getInfillType(panel.infill);
+    const warnings = [];
+    let louver = null;
+    let grille = null;
+
+    if (infill.glass && doorHeight - panel.bottom < safetyGlazingHeight) {
+      warnings.push({
+        type: 'safety-glazing',
+        message: infill.glass === 'leaded'
+          ? `Leaded glass within ${fmt(safetyGlazingHeight)} of the floor needs a toughened or laminated pane behind it`
+          : `Glass within ${fmt(safetyGlazingHeight)} of the floor must be toughened or laminated safety glass`
+      });
+    }
+
+    if (panel.infill === 'louver') {
+      const slats = Math.max(1, Math.round(panel.height / louverPitch));
+      louver = { slats, pitch: panel.height / slats };
+      if (slats < 3) {
+        warnings.push({ type: 'louver-short', message: `Only ${slats} louver slat${slats > 1 ? 's' : ''} fit the ${fmt(panel.height)} panel height` });
+      }
+      if (panel.width > LOUVER_MAX_SPAN) {
+        warnings.push({ type: 'louver-span', message: `Slats spanning ${fmt(panel.width)} sag; over ${fmt(LOUVER_MAX_SPAN)} they need a center support` });
+      }
+    }
+
+    if (panel.infill === 'grille') {
+      const bars = Math.max(0, Math.ceil(panel.width / GRILLE_MAX_GAP) - 1);
+      grille = { bars, spacing: panel.width / (bars + 1) };
+    }
+
+    if (!infill.wood) {
+      obstacles.filter(obstacle => cutsIntoPanel(obstacle.conflicts[index])).forEach(obstacle => {
+        warnings.push({
+          type: 'infill-obstacle',
+          message: `${obstacle.label} would cut into the ${infill.part.toLowerCase()}; it needs solid wood`
+        });
+      });
+    }
+
+    return { type: panel.infill, name: infill.name, glass: infill.glass || null, louver, grille, warnings };
+  });
+};
@@ -0,0 +1,938 @@
+// Headless door panel layout engine.
+//
+// Everything the Door Panel Calculator shows is derived from `calculateLayout`,
+// so the web UI, scripts and other tools all get identical numbers for the same
+// configuration. All lengths are in centimeters; `displayUnit` only affects
+// the wording of the human-readable messages.
+
+import { formatLength } from './units.js';
+import { getProportionFamily, PHI } from './proportionRegistry.js';
+import { createSnapper, snapReport, snapSegments } from './snapping.js';
+import { resolvePeepholeZones } from './peepholeProfiles.js';
+import { resolveHanding } from './handing.js';
+import { checkHardware, checkHingeRails, DEFAULT_HARDWARE, planHinges, resolveHardware } from './hardware.js';
+import { checkInfills, resolvePanelInfills } from './infill.js';
+import { distanceToOutline, isInsideOutline, panelArea, resolvePanelShape } from './panelShapes.js';
+
+export { PHI };
+
+// Proportion type that reads its ratios from config.customRatios. Every other
+// proportion type and spacing ratio is a family in the proportion registry.
+export const CUSTOM_PROPORTION = 'custom';
+
+/**
+ * Parse a ratio string such as "1 : 3 : 1 : 1.5" (commas also separate).
+ *
+ * @param {string} text
+ * @returns {{ ratios: number[]|null, error: string|null }}
+ */
+export const parseRatioSequence = (text) => {
+  const items = String(text ?? '').split(/[:,]/).map(item => item.trim());
+  if (items.every(item => item === '')) {
+    return { ratios: null, error: 'Enter at least one ratio, e.g. 1 : 3 : 1' };
+  }
+  if (items.some(item => item === '')) {
+    return { ratios: null, error: 'Every position needs a ratio; remove the extra separator' };
+  }
+  const ratios = items.map(Number);
+  const bad = items.find((item, i) => !Number.isFinite(ratios[i]));
+  if (bad !== undefined) {
+    return { ratios: null, error: `"${bad}" is not a number` };
+  }
+  if (ratios.some(ratio => ratio <= 0)) {
+    return { ratios: null, error: 'Ratios must be greater than zero' };
+  }
+  return { ratios, error: null };
+};
+
+export const formatRatioSequence = (ratios) => ratios.map(ratio => String(Number(ratio.toFixed(4)))).join(' : ');
+
+export const DEFAULT_CONFIG = {
+  doorWidth: 103,
+  doorHeight: 203,
+  edgeDistance: 15,
+  panelGap: 10,
+  // Individual frame members; null (or a missing mid-rail entry) follows
+  // edgeDistance / panelGap
+  leftStileWidth: null,
+  rightStileWidth: null,
+  topRailWidth: null,
+  bottomRailWidth: null,
+  midRailWidths: [],
+  // panelCount is the number of rows; each row is split into columns
+  panelCount: 2,
+  proportionType: 'golden',
+  // Ratios for the 'custom' proportion type, top row first
+  customRatios: [1, 3, 1, 1.5],
+  columnCount: 1,
+  // Row index -> column count; rows without an entry use columnCount
+  rowColumns: [],
+  // Vertical bar between columns; null follows panelGap
+  mullionWidth: null,
+  columnProportionType: 'equal',
+  // What fills the panels (see infill.js): one type for the door, and
+  // per-panel overrides numbered as seen from the exterior; null follows
+  // panelInfill
+  panelInfill: 'raised',
+  panelInfills: [],
+  // Arched, cathedral or rounded-corner panels (see panelShapes.js), numbered
+  // like panelInfills: [{ shape, rise, radius, cornerRadius, shoulder }];
+  // null or a missing entry is a plain rectangle
+  panelShapes: [],
+  // Glass lower than this above the floor must be safety glass
+  safetyGlazingHeight: 150,
+  louverPitch: 5,
+  showPeephole: false,
+  peepholeTop: 45,
+  peepholeDiameter: 6,
+  minEdgeDistance: 2,
+  // Main peephole center from the left edge; null centers it on the door
+  peepholeLeft: null,
+  autoCenterPeephole: false,
+  preferGapPlacement: false,
+  // Further circular cutouts: [{ label, top, diameter, left, auto, zone }].
+  // Missing diameter / top follow the main peephole, a null left centers the
+  // cutout, and auto places it within the profile zone with index `zone`
+  extraPeepholes: [],
+  // Door hardware checked against the panels (see hardware.js): [{ type,
+  // ...overrides }] with types lockset, deadbolt, hinge, mail-slot and
+  // kick-plate. The door viewer is the peephole.
+  hardware: DEFAULT_HARDWARE,
+  // Hinges are planned from the door's size and estimated weight; hingeCount
+  // null picks the count by the usual rules, a number fixes it
+  doorThickness: 4.4,
+  doorMaterial: 'oak',
+  hingeCount: null,
+  // Handing (see handing.js): 'left' or 'right' hand, 'inswing' or
+  // 'outswing', and the face the layout is shown from. Left-right settings
+  // (stiles, columns, positions from the left) are as seen from the
+  // exterior; the interior view mirrors them.
+  handing: 'left',
+  swing: 'inswing',
+  viewSide: 'exterior',
+  // A separate design for the interior face: an object with any of
+  // FACE_KEYS; the rest follow the exterior. null puts the exterior design
+  // on both faces. Peepholes and hardware go through the door and are shared.
+  interiorFace: null,
+  // A pair of doors or a door with sidelights and a transom (see
+  // assembly.js); null designs a single leaf
+  assembly: null,
+  // Height zones for the peephole center (see peepholeProfiles.js); the
+  // 'custom' profile uses peepholeZoneMin / peepholeZoneMax
+  peepholeProfile: 'standard',
+  peepholeZoneMin: 145,
+  peepholeZoneMax: 180,
+  autoCalculateSpacing: false,
+  spacingRatioType: 'golden',
+  // Snap lengths to preferred sizes: 'none', 'modulor-red', 'modulor-blue',
+  // 'modulor', 'grid' (multiples of snapGrid) or 'stock' (snapStock sizes)
+  snapMode: 'none',
+  snapGrid: 0.5,
+  snapStock: [],
+  displayUnit: 'cm'
+};
+
+// The settings that make up the design of one face of the door
+export const FACE_KEYS = [
+  'edgeDistance',
+  'panelGap',
+  'leftStileWidth',
+  'rightStileWidth',
+  'topRailWidth',
+  'bottomRailWidth',
+  'midRailWidths',
+  'panelCount',
+  'proportionType',
+  'customRatios',
+  'columnCount',
+  'rowColumns',
+  'mullionWidth',
+  'columnProportionType',
+  'panelInfill',
+  'panelInfills',
+  'panelShapes',
+  'autoCalculateSpacing',
+  'spacingRatioType',
+  'snapMode',
+  'snapGrid',
+  'snapStock'
+];
+
+// The config for laying out one face: the exterior design, or the interior
+// face's own settings over it
+export const resolveFaceConfig = (config, side) => {
+  const { interiorFace } = { ...DEFAULT_CONFIG, ...config };
+  if (side !== 'interior' || !interiorFace) return config;
+  const settings = Object.fromEntries(FACE_KEYS.filter(key => interiorFace[key] !== undefined).map(key => [key, interiorFace[key]]));
+  return { ...config, ...settings };
+};
+
+// The geometry of a calculateLayout result's exterior face, with the stiles
+// as seen from the exterior whichever face was viewed
+export const exteriorGeometry = (layout) => {
+  const face = layout.faces ? layout.faces.exterior : layout;
+  const { frame } = face;
+  return layout.handing.mirrored && !layout.faces
+    ? { ...face, frame: { ...frame, left: frame.right, right: frame.left } }
+    : face;
+};
+
+// Define proportion ratios for different arrangements. The 'custom' type
+// uses customRatios, repeating them when there are more panels than ratios;
+// every other type is generated by its registered family.
+export const getProportionRatios = (count, type, customRatios = DEFAULT_CONFIG.customRatios) => {
+  if (count < 1) return [1];
+
+  if (type === CUSTOM_PROPORTION) {
+    const ratios = customRatios && customRatios.length > 0 ? customRatios : [1];
+    return Array.from({ length: count }, (_, i) => ratios[i % ratios.length]);
+  }
+
+  const family = getProportionFamily(type);
+  return family && family.sequence ? family.sequence(count) : Array(count).fill(1);
+};
+
+// One-line description of a proportion type for lists and tooltips
+export const describeProportion = (type) => (
+  type === CUSTOM_PROPORTION ? 'Your own ratios, e.g. 1 : 3 : 1 : 1.5' : getProportionFamily(type)?.summary || ''
+);
+
+const isSet = (value) => value !== null && value !== undefined && value !== '' && Number.isFinite(Number(value));
+
+// Resolve the width of every frame member: the four sides of the door and
+// the gap (mid rail) between each pair of panels
+export const resolveFrameWidths = (config = {}) => {
+  const {
+    edgeDistance,
+    panelGap,
+    panelCount,
+    leftStileWidth,
+    rightStileWidth,
+    topRailWidth,
+    bottomRailWidth,
+    midRailWidths,
+    mullionWidth
+  } = { ...DEFAULT_CONFIG, ...config };
+  const side = (value) => (isSet(value) ? Number(value) : edgeDistance);
+  const gapList = midRailWidths || [];
+
+  return {
+    frame: {
+      top: side(topRailWidth),
+      bottom: side(bottomRailWidth),
+      left: side(leftStileWidth),
+      right: side(rightStileWidth)
+    },
+    gaps: Array.from({ length: Math.max(0, panelCount - 1) }, (_, i) => (
+      isSet(gapList[i]) ? Number(gapList[i]) : panelGap
+    )),
+    mullion: isSet(mullionWidth) ? Number(mullionWidth) : panelGap
+  };
+};
+
+// Number of columns in every row
+export const resolveRowColumns = (config = {}) => {
+  const { panelCount, columnCount, rowColumns } = { ...DEFAULT_CONFIG, ...config };
+  const overrides = rowColumns || [];
+  return Array.from({ length: panelCount }, (_, row) => {
+    const count = isSet(overrides[row]) ? Number(overrides[row]) : columnCount;
+    return Math.max(1, Math.floor(count) || 1);
+  });
+};
+
+// Calculate spacing where panel AREA : negative space AREA = targetRatio : 1
+// We want: totalPanelArea / negativeSpaceArea = targetRatio
+//
+// Every frame member keeps a fixed proportion to the top rail e: the stiles
+// are mL·e and mR·e, the bottom rail mB·e, gap i is mG_i·e and the mullions
+// are mM·e. By default the stiles and bottom rail equal the top rail and each
+// gap and mullion is e/ratio (so gaps relate to edges by the chosen ratio).
+//
+// Row r takes share s_r of the panel height and has c_r columns, so it loses
+// (c_r - 1) mullions of its width. Averaged over the height that is
+// μ = Σ s_r(c_r - 1) mullions (`mullionShare`, 0 for a single column):
+// Panel width = W - (mL + mR + μ·mM)e = W - a·e
+// Panel height total = H - (1 + mB + ΣmG_i)e = H - k·e
+//
+// Negative space area = Total area - Panel area
+// Since Panel = ratio×Negative and Panel+Negative=WH:
+//   Panel area = ratio/(1+ratio) × WH
+//
+//   (W - a·e)(H - k·e) = ratio/(1+ratio) × WH
+//   WH - kWe - aHe + ake² = ratio×WH/(1+ratio)
+//   ake² - (kW + aH)e + WH/(1+ratio) = 0
+export const solveAutoSpacing = ({ doorWidth, doorHeight, panelCount, targetRatio, proportions = {}, mullionShare = 0 }) => {
+  const gapCount = Math.max(0, panelCount - 1);
+  const { left = 1, right = 1, bottom = 1, mullion = 1 / targetRatio } = proportions;
+  const gapProportions = Array.from({ length: gapCount }, (_, i) => (
+    proportions.gaps && isSet(proportions.gaps[i]) ? proportions.gaps[i] : 1 / targetRatio
+  ));
+
+  const widthFactor = left + right + mullionShare * mullion;
+  const k = 1 + bottom + gapProportions.reduce((sum, m) => sum + m, 0);
+
+  const a = widthFactor * k;
+  const b = -(k * doorWidth + widthFactor * doorHeight);
+  const c = doorWidth * doorHeight / (1 + targetRatio);
+
+  // Quadratic formula: e = [-b ± sqrt(b² - 4ac)] / 2a
+  const discriminant = b * b - 4 * a * c;
+
+  let edgeDistance;
+  if (discriminant >= 0) {
+    const e1 = (-b + Math.sqrt(discriminant)) / (2 * a);
+    const e2 = (-b - Math.sqrt(discriminant)) / (2 * a);
+
+    // Choose the smaller positive solution
+    edgeDistance = Math.min(Math.abs(e1), Math.abs(e2));
+
+    // Sanity check: ensure it's positive and reasonable
+    if (edgeDistance < 1 || edgeDistance > doorHeight / 3) {
+      // If unreasonable, use a conservative fallback that guarantees fit
+      edgeDistance = doorHeight * 0.05;
+    }
+  } else {
+    // No mathematical solution exists - use conservative fallback
+    edgeDistance = doorHeight * 0.05;
+  }
+
+  const gaps = gapProportions.map(m => m * edgeDistance);
+  return {
+    edgeDistance,
+    panelGap: gaps.length > 0 ? gaps[0] : edgeDistance / targetRatio,
+    frame: {
+      top: edgeDistance,
+      bottom: bottom * edgeDistance,
+      left: left * edgeDistance,
+      right: right * edgeDistance
+    },
+    gaps,
+    mullion: mullion * edgeDistance
+  };
+};
+
+const closestTo = (candidates) => candidates.reduce((prev, curr) =>
+  curr.score < prev.score ? curr : prev
+);
+
+// Distance from a point to a panel (0 when the point is inside it). Shaped
+// panels are measured to their true outline.
+const distanceToPanel = (x, y, panel) => {
+  if (panel.shape) return isInsideOutline(x, y, panel) ? 0 : distanceToOutline(x, y, panel);
+  return Math.hypot(
+    Math.max(panel.left - x, 0, x - panel.right),
+    Math.max(panel.top - y, 0, y - panel.bottom)
+  );
+};
+
+const isInsidePanel = (x, y, panel) => (
+  panel.shape
+    ? isInsideOutline(x, y, panel)
+    : x >= panel.left && x <= panel.right && y >= panel.top && y <= panel.bottom
+);
+
+// Distance from a point inside a panel to the panel's nearest edge
+const distanceToPanelEdge = (x, y, panel) => (
+  panel.shape
+    ? distanceToOutline(x, y, panel)
+    : Math.min(x - panel.left, panel.right - x, y - panel.top, panel.bottom - y)
+);
+
+// Clearance between the edge of a circle and the panels around it: inside a
+// panel this is the distance to that panel's nearest edge, otherwise the
+// distance to the nearest panel
+const peepholeClearance = (x, y, radius, panelPositions) => {
+  const panel = panelPositions.find(candidate => isInsidePanel(x, y, candidate));
+  if (panel) return { inGap: false, clearance: distanceToPanelEdge(x, y, panel) - radius };
+  const nearest = Math.min(...panelPositions.map(candidate => distanceToPanel(x, y, candidate)));
+  return { inGap: true, clearance: nearest - radius };
+};
+
+// Whether a peephole with `clearance` keeps the minimum edge distance, with a
+// small tolerance so a peephole that exactly fits is not lost to rounding.
+// Placing and checking a peephole both go through this, so a position the
+// placement picks is never reported as too close.
+const keepsEdgeDistance = (clearance, minEdgeDistance) => clearance >= minEdgeDistance - 1e-9;
+
+// Find the best peephole position (centered in a gap or a panel) inside a
+// height zone from the peephole profile. Candidates are the middle of every
+// gap between rows and the middle of every row, which lands in a panel or in
+// a mullion depending on where the peephole sits horizontally. A candidate
+// must also clear the panels of `otherFaces` ({ panelPositions, peepholeX }),
+// the other side of the door. Returns null when nothing fits.
+const findAutoPeepholePosition = ({ zone, doorHeight, rows, panelPositions, peepholeX, otherFaces = [], peepholeDiameter, minEdgeDistance, preferGapPlacement }) => {
+  const idealHeight = doorHeight - zone.ideal;
+  const peepholeRadius = peepholeDiameter / 2;
+
+  // Define optimal zone boundaries
+  const optimalZoneTop = doorHeight - zone.max; // Top of optimal zone
+  const optimalZoneBottom = doorHeight - zone.min; // Bottom of optimal zone
+
+  const centers = [
+    ...rows.slice(1).map((row, i) => (rows[i].bottom + row.top) / 2),
+    ...rows.map(row => (row.top + row.bottom) / 2)
+  ];
+
+  const gapCandidates = [];
+  const panelCandidates = [];
+  centers.forEach(center => {
+    // ONLY within optimal zone, with the minimum edge distance all around
+    if (center < optimalZoneTop || center > optimalZoneBottom) return;
+    const { inGap, clearance: faceClearance } = peepholeClearance(peepholeX, center, peepholeRadius, panelPositions);
+    const clearance = Math.min(faceClearance, ...otherFaces.map(face => (
+      peepholeClearance(face.peepholeX, center, peepholeRadius, face.panelPositions).clearance
+    )));
+    if (!keepsEdgeDistance(clearance, minEdgeDistance)) return;
+    const candidate = { position: center - peepholeRadius, score: Math.abs(center - idealHeight), inGap };
+    (inGap ? gapCandidates : panelCandidates).push(candidate);
+  });
+
+  if (gapCandidates.length === 0 && panelCandidates.length === 0) return null;
+
+  // Prioritize based on preference: the preferred kind wins whenever it has a
+  // candidate, the other kind is only a fallback
+  const [preferred, fallback] = preferGapPlacement
+    ? [gapCandidates, panelCandidates]
+    : [panelCandidates, gapCandidates];
+  return closestTo(preferred.length > 0 ? preferred : fallback);
+};
+
+// Evaluate a peephole against every panel and gap
+const evaluatePeephole = ({ doorWidth, doorHeight, frame, panelPositions, peepholeX, peepholeTop, peepholeDiameter, minEdgeDistance, displayUnit }) => {
+  const fmt = (cm) => formatLength(cm, displayUnit);
+  let peepholeGapStatus = null;
+
+  const peepholeRadius = peepholeDiameter / 2;
+  const peepholeCenter = peepholeTop + peepholeRadius;
+
+  // Coordinates relative to door (from bottom-left)
+  const peepholeCoordinates = {
+    fromLeft: peepholeX,
+    fromBottom: doorHeight - peepholeCenter,
+    fromTop: peepholeCenter,
+    centerY: peepholeCenter
+  };
+
+  const peepholeConflicts = panelPositions.map(panel => {
+    // Check if peephole is inside this panel
+    if (isInsidePanel(peepholeX, peepholeCenter, panel)) {
+      const minDist = distanceToPanelEdge(peepholeX, peepholeCenter, panel) - peepholeRadius;
+
+      if (!keepsEdgeDistance(minDist, minEdgeDistance)) {
+        return {
+          type: 'too-close-to-edge',
+          distance: minDist,
+          message: `Peephole edge is ${fmt(minDist)} from panel edge (minimum ${fmt(minEdgeDistance)} recommended)`
+        };
+      }
+      return {
+        type: 'inside-safe',
+        distance: minDist,
+        message: `Safely positioned ${fmt(minDist)} from nearest panel edge`
+      };
+    }
+
+    // Check if peephole crosses panel boundary
+    const minDist = distanceToPanel(peepholeX, peepholeCenter, panel);
+    if (minDist < peepholeRadius) {
+      return {
+        type: 'crosses-edge',
+        distance: minDist,
+        message: `Peephole crosses panel boundary - ${fmt(minDist)} from edge`
+      };
+    }
+    return null;
+  });
+
+  // Check if peephole is in a gap between panels or in a mullion
+  const insideFrame = peepholeX > frame.left && peepholeX < doorWidth - frame.right &&
+    peepholeCenter > frame.top && peepholeCenter < doorHeight - frame.bottom;
+  if (insideFrame && panelPositions.length > 0) {
+    const { inGap, clearance: minDist } = peepholeClearance(peepholeX, peepholeCenter, peepholeRadius, panelPositions);
+
+    if (inGap && !keepsEdgeDistance(minDist, minEdgeDistance)) {
+      peepholeGapStatus = {
+        type: 'gap-too-close',
+        distance: minDist,
+        message: `Peephole in gap is ${fmt(minDist)} from panel edge (minimum ${fmt(minEdgeDistance)} recommended)`
+      };
+    } else if (inGap) {
+      peepholeGapStatus = {
+        type: 'gap-safe',
+        distance: minDist,
+        message: `Safely positioned in gap, ${fmt(minDist)} from nearest panel edge`
+      };
+    }
+  }
+
+  return { peepholeConflicts, peepholeGapStatus, peepholeCoordinates };
+};
+
+const zoneRange = (zone, displayUnit) => (
+  `${formatLength(zone.min, displayUnit)} to ${formatLength(zone.max, displayUnit)} from bottom`
+);
+
+const zoneError = (zone, displayUnit) => ({
+  message: `Cannot place peephole within ${zone.name} (${zoneRange(zone, displayUnit)}). Adjust panel configuration, peephole diameter, or minimum edge distance.`
+});
+
+// Whether a manually placed peephole's center lies inside its zone
+const evaluatePeepholeZone = (zone, fromBottom, displayUnit) => {
+  if (fromBottom >= zone.min - 1e-9 && fromBottom <= zone.max + 1e-9) {
+    return { inZone: true, message: `Peephole center is within the ${zone.name} (${zoneRange(zone, displayUnit)})` };
+  }
+  const [offset, side] = fromBottom > zone.max ? [fromBottom - zone.max, 'above'] : [zone.min - fromBottom, 'below'];
+  return {
+    inZone: false,
+    message: `Peephole center is ${formatLength(offset, displayUnit)} ${side} the ${zone.name} (${zoneRange(zone, displayUnit)})`
+  };
+};
+
+// Panel geometry of one face of the door: frame members, rows and panels,
+// snapping and the area figures. `mirrored` lays the face out as seen from
+// the interior.
+const layoutPanels = (config, mirrored) => {
+  const {
+    doorWidth,
+    doorHeight,
+    panelGap,
+    panelCount,
+    proportionType,
+    customRatios,
+    autoCalculateSpacing,
+    spacingRatioType,
+    leftStileWidth: exteriorLeftStileWidth,
+    rightStileWidth: exteriorRightStileWidth,
+    bottomRailWidth,
+    midRailWidths,
+    mullionWidth,
+    columnProportionType,
+    panelShapes,
+    snapMode,
+    snapGrid,
+    snapStock,
+    displayUnit
+  } = { ...DEFAULT_CONFIG, ...config };
+
+  const phi = PHI;
+  const spacingFamily = getProportionFamily(spacingRatioType);
+  if (autoCalculateSpacing && !(spacingFamily && spacingFamily.ratio)) {
+    throw new Error(`Unknown spacing ratio "${spacingRatioType}"`);
+  }
+  const targetRatio = autoCalculateSpacing ? spacingFamily.ratio : phi;
+
+  // Laid out as seen from the face; seen from the interior the stiles swap
+  // and the columns reverse
+  const [leftStileWidth, rightStileWidth] = mirrored
+    ? [exteriorRightStileWidth, exteriorLeftStileWidth]
+    : [exteriorLeftStileWidth, exteriorRightStileWidth];
+
+  // Frame member widths as entered, or solved for the target ratio with the
+  // entered members kept in proportion to the top rail
+  let { frame, gaps, mullion } = resolveFrameWidths({ ...config, leftStileWidth, rightStileWidth });
+
+  const heightRatios = getProportionRatios(panelCount, proportionType, customRatios);
+  const totalRatio = heightRatios.reduce((sum, ratio) => sum + ratio, 0);
+  const normalizedRatios = heightRatios.map(ratio => ratio / totalRatio);
+  const columnsPerRow = resolveRowColumns(config);
+
+  if (autoCalculateSpacing) {
+    const gapList = midRailWidths || [];
+    const relative = (value, entered) => (entered && frame.top > 0 ? value / frame.top : undefined);
+    const spacing = solveAutoSpacing({
+      doorWidth,
+      doorHeight,
+      panelCount,
+      targetRatio,
+      proportions: {
+        left: relative(frame.left, isSet(leftStileWidth)),
+        right: relative(frame.right, isSet(rightStileWidth)),
+        bottom: relative(frame.bottom, isSet(bottomRailWidth)),
+        gaps: gaps.map((gap, i) => relative(gap, isSet(gapList[i]))),
+        mullion: relative(mullion, isSet(mullionWidth))
+      },
+      mullionShare: normalizedRatios.reduce((sum, share, row) => sum + share * (columnsPerRow[row] - 1), 0)
+    });
+    ({ frame, gaps, mullion } = spacing);
+  }
+
+  // Optional snapping to preferred sizes. Frame members snap on their own;
+  // panel sizes snap below and share out the rest so the door still closes.
+  const snapper = createSnapper({ snapMode, snapGrid, snapStock });
+  const ideal = { frame, gaps, mullion };
+  if (snapper) {
+    frame = Object.fromEntries(Object.entries(frame).map(([side, width]) => [side, snapper.snap(width)]));
+    gaps = gaps.map(snapper.snap);
+    mullion = snapper.snap(mullion);
+  }
+
+  const calculatedEdgeDistance = frame.top;
+  // Kept for callers that only know about a single edge and gap
+  const calculatedPanelGap = gaps.length > 0 ? gaps[0] : (autoCalculateSpacing ? frame.top / targetRatio : panelGap);
+
+  const availableWidth = doorWidth - frame.left - frame.right;
+  const availableHeight = doorHeight - frame.top - frame.bottom;
+  const totalGaps = gaps.reduce((sum, gap) => sum + gap, 0);
+  const availableHeightForPanels = Math.max(0, availableHeight - totalGaps);
+
+  // Calculate individual row heights
+  const idealHeightForPanels = Math.max(0, doorHeight - ideal.frame.top - ideal.frame.bottom - ideal.gaps.reduce((sum, gap) => sum + gap, 0));
+  const idealHeights = normalizedRatios.map(ratio => ratio * idealHeightForPanels);
+  const panelHeights = snapper
+    ? snapSegments(idealHeights, availableHeightForPanels, snapper)
+    : normalizedRatios.map(ratio => ratio * availableHeightForPanels);
+  const idealWidths = [];
+
+  // Lay out the grid: rows top to bottom, each split into columns left to
+  // right. panelPositions lists every panel (cell) in that reading order.
+  let currentY = frame.top;
+  const rows = [];
+  const panelPositions = [];
+  panelHeights.forEach((height, row) => {
+    const columns = columnsPerRow[row];
+    const rowWidth = availableWidth - (columns - 1) * mullion;
+    const exteriorRatios = getProportionRatios(columns, columnProportionType);
+    const columnRatios = mirrored ? [...exteriorRatios].reverse() : exteriorRatios;
+    const totalColumnRatio = columnRatios.reduce((sum, ratio) => sum + ratio, 0);
+    const top = currentY;
+    const bottom = currentY + height;
+
+    const idealRowWidth = doorWidth - ideal.frame.left - ideal.frame.right - (columns - 1) * ideal.mullion;
+    const rowIdealWidths = columnRatios.map(ratio => ratio / totalColumnRatio * idealRowWidth);
+    const widths = snapper && columns > 1
+      ? snapSegments(rowIdealWidths, rowWidth, snapper)
+      : columnRatios.map(ratio => ratio / totalColumnRatio * rowWidth);
+    idealWidths.push(...rowIdealWidths);
+
+    let currentX = frame.left;
+    widths.forEach((rawWidth, column) => {
+      const width = Math.max(0, rawWidth);
+      panelPositions.push({ row, column, top, bottom, height, left: currentX, right: currentX + width, width });
+      currentX += width + mullion;
+    });
+
+    rows.push({ top, bottom, height, columns, width: rowWidth });
+    currentY = bottom + (gaps[row] || 0);
+  });
+  // Infill and shape are set per panel numbered as seen from the exterior
+  const rowStarts = rows.map((row, index) => rows.slice(0, index).reduce((sum, previous) => sum + previous.columns, 0));
+  const exteriorOrder = panelPositions.map(panel => (
+    rowStarts[panel.row] + (mirrored ? rows[panel.row].columns - 1 - panel.column : panel.column)
+  ));
+  const infills = resolvePanelInfills(config, exteriorOrder);
+  panelPositions.forEach((panel, index) => {
+    panel.infill = infills[index];
+    panel.shape = resolvePanelShape((panelShapes || [])[exteriorOrder[index]], panel, displayUnit);
+  });
+  const panelWidth = panelPositions.length > 0 ? panelPositions[0].width : 0;
+  const isGrid = rows.some(row => row.columns > 1);
+
+  const snapping = snapper ? snapReport(snapper, [
+    { label: 'Top rail', ideal: ideal.frame.top, value: frame.top },
+    { label: 'Bottom rail', ideal: ideal.frame.bottom, value: frame.bottom },
+    { label: 'Left stile', ideal: ideal.frame.left, value: frame.left },
+    { label: 'Right stile', ideal: ideal.frame.right, value: frame.right },
+    ...gaps.map((gap, i) => ({ label: `Gap ${i + 1}/${i + 2}`, ideal: ideal.gaps[i], value: gap })),
+    ...(isGrid ? [{ label: 'Mullion', ideal: ideal.mullion, value: mullion }] : []),
+    ...panelHeights.map((height, row) => ({ label: `${isGrid ? 'Row' : 'Panel'} ${row + 1} height`, ideal: idealHeights[row], value: height })),
+    ...panelPositions.flatMap((position, index) => (rows[position.row].columns > 1
+      ? [{ label: `Panel ${index + 1} width`, ideal: idealWidths[index], value: position.width }]
+      : []))
+  ]) : null;
+
+  const totalUsedHeight = panelHeights.reduce((sum, h) => sum + h, 0) + totalGaps;
+  // When auto-calculate is on, panels always fit by design. Only check fit for manual mode.
+  // Add small epsilon for floating point tolerance
+  const fits = autoCalculateSpacing ? true : (
+    totalUsedHeight <= availableHeight + 0.01 && rows.every(row => row.width > 0)
+  );
+
+  // Calculate areas for verification
+  const totalDoorArea = doorWidth * doorHeight;
+  const totalPanelArea = panelPositions.reduce((sum, panel) => sum + panelArea(panel), 0);
+
+  // Negative space = total door area - panel area
+  const negativeSpaceArea = totalDoorArea - totalPanelArea;
+
+  // Calculate the ratio: should match targetRatio when auto-calculate is enabled
+  const actualRatio = totalPanelArea / negativeSpaceArea;
+  const ratioError = Math.abs(actualRatio - targetRatio) / targetRatio * 100; // Error percentage
+
+  // Break down negative space
+  const edgeArea = totalDoorArea - Math.max(0, availableWidth) * Math.max(0, availableHeight);
+  // Gaps between rows plus the mullions between columns
+  const gapArea = totalGaps * Math.max(0, availableWidth) +
+    rows.reduce((sum, row) => sum + (row.columns - 1) * mullion * row.height, 0);
+  const remainingNegativeSpace = negativeSpaceArea - edgeArea - gapArea;
+
+  return {
+    phi,
+    availableWidth,
+    availableHeight,
+    availableHeightForPanels,
+    panelWidth,
+    panelHeights,
+    heightRatios,
+    totalUsedHeight,
+    fits,
+    totalGaps,
+    panelPositions,
+    rows,
+    calculatedEdgeDistance,
+    calculatedPanelGap,
+    frame,
+    gaps,
+    mullion,
+    snapping,
+    // Verification data
+    totalDoorArea,
+    totalPanelArea,
+    negativeSpaceArea,
+    actualRatio,
+    ratioError,
+    edgeArea,
+    gapArea,
+    remainingNegativeSpace,
+    targetRatio
+  };
+};
+
+/**
+ * Compute the full panel layout for a door.
+ *
+ * @param {object} config Plain configuration object; any key missing from it
+ *   falls back to DEFAULT_CONFIG.
+ * @returns {object} Panel sizes and positions of the face being viewed, the
+ *   placement and conflicts of every peephole (`peepholes`, with the main one
+ *   also in the peephole* fields), the hardware with its conflicts, the
+ *   infill checks of every panel (`infills`), the handing, and the area/ratio
+ *   verification figures. Left-right positions are as seen from the config's
+ *   viewSide. With a separate interior face, `faces` holds the geometry of
+ *   both faces and every peephole and hardware item has its conflicts with
+ *   the other face in `otherFace`.
+ */
+export const calculateLayout = (config = {}) => {
+  const {
+    doorWidth,
+    doorHeight,
+    showPeephole,
+    peepholeTop,
+    peepholeDiameter,
+    peepholeLeft,
+    minEdgeDistance,
+    autoCenterPeephole,
+    preferGapPlacement,
+    extraPeepholes,
+    hardware: hardwareItems,
+    doorThickness,
+    doorMaterial,
+    hingeCount,
+    handing,
+    swing,
+    viewSide,
+    interiorFace,
+    safetyGlazingHeight,
+    louverPitch,
+    peepholeProfile,
+    peepholeZoneMin,
+    peepholeZoneMax,
+    displayUnit
+  } = { ...DEFAULT_CONFIG, ...config };
+
+  // Everything is laid out as seen from the viewed face; the interior view
+  // mirrors positions from the left
+  const doorHanding = resolveHanding({ handing, swing, viewSide });
+  const { mirrored } = doorHanding;
+  const viewX = (x) => (mirrored ? doorWidth - x : x);
+
+  // The face being viewed and, when the interior has its own design, the
+  // other face as seen from its own side. toFace takes an x position on the
+  // viewed face to the same spot on that face.
+  const layout = layoutPanels(resolveFaceConfig(config, viewSide), mirrored);
+  const { panelPositions, frame } = layout;
+  const otherSide = mirrored ? 'exterior' : 'interior';
+  const otherLayout = interiorFace ? layoutPanels(resolveFaceConfig(config, otherSide), !mirrored) : null;
+  const otherFace = otherLayout && { side: otherSide, ...otherLayout, toFace: (x) => doorWidth - x };
+  const faces = [{ side: viewSide, ...layout, toFace: (x) => x }, ...(otherFace ? [otherFace] : [])];
+
+  // Every circular cutout: the main peephole, one for each further zone of
+  // the profile (such as a low viewer for wheelchair users) and any extra
+  // ones. Each is placed and evaluated against every panel on its own.
+  const peepholeZones = resolvePeepholeZones({ peepholeProfile, peepholeZoneMin, peepholeZoneMax });
+  const [primaryZone, ...secondaryZones] = peepholeZones;
+  const horizontal = (left) => (isSet(left) ? viewX(Number(left)) : doorWidth / 2);
+  const peepholeSpecs = !showPeephole ? [] : [
+    { source: 'main', zone: primaryZone, x: horizontal(peepholeLeft), top: peepholeTop, diameter: peepholeDiameter, auto: autoCenterPeephole },
+    ...secondaryZones.map(zone => ({ source: 'zone', zone, x: horizontal(peepholeLeft), top: null, diameter: peepholeDiameter, auto: true })),
+    ...(extraPeepholes || []).map(extra => ({
+      source: 'extra',
+      label: extra.label,
+      zone: peepholeZones[extra.zone] || primaryZone,
+      x: horizontal(extra.left),
+      top: isSet(extra.top) ? Number(extra.top) : peepholeTop,
+      diameter: isSet(extra.diameter) ? Number(extra.diameter) : peepholeDiameter,
+      auto: Boolean(extra.auto)
+    }))
+  ];
+
+  // Auto-placed cutouts are centered in a gap or panel within their zone.
+  // Only the main peephole insists on that; the others may otherwise sit at
+  // the zone's ideal height when that clears the panel edges. With two face
+  // designs the exterior face picks the candidates and both must be clear,
+  // so a cutout lands in the same place whichever face is shown.
+  const placementFace = faces.find(face => face.side === 'exterior') || faces[0];
+  const alsoClearFaces = faces.filter(face => face !== placementFace);
+  const placePeephole = (spec) => {
+    const radius = spec.diameter / 2;
+    const placed = (position) => ({
+      position,
+      inGap: peepholeClearance(spec.x, position + radius, radius, panelPositions).inGap
+    });
+    const best = findAutoPeepholePosition({
+      zone: spec.zone,
+      doorHeight,
+      rows: placementFace.rows,
+      panelPositions: placementFace.panelPositions,
+      peepholeX: placementFace.toFace(spec.x),
+      otherFaces: alsoClearFaces.map(face => ({ panelPositions: face.panelPositions, peepholeX: face.toFace(spec.x) })),
+      peepholeDiameter: spec.diameter,
+      minEdgeDistance,
+      preferGapPlacement
+    });
+    if (best) return placed(best.position);
+    if (spec.source === 'main') return null;
+    const center = doorHeight - spec.zone.ideal;
+    const clearance = Math.min(...faces.map(face => (
+      peepholeClearance(face.toFace(spec.x), center, radius, face.panelPositions).clearance
+    )));
+    return keepsEdgeDistance(clearance, minEdgeDistance) ? placed(center - radius) : null;
+  };
+
+  const peepholes = peepholeSpecs.map((spec, index) => {
+    const label = spec.label || (peepholeSpecs.length === 1 ? 'Peephole' : `Peephole ${index + 1}`) +
+      (spec.source === 'zone' ? ` (${spec.zone.label})` : '');
+    let top = spec.top;
+    let inGap = false;
+    let error = null;
+    if (spec.auto) {
+      const best = placePeephole(spec);
+      if (best) {
+        top = best.position;
+        inGap = best.inGap;
+      } else {
+        error = zoneError(spec.zone, displayUnit);
+      }
+    }
+    const peephole = { label, source: spec.source, zone: spec.zone, diameter: spec.diameter, auto: spec.auto, top, inGap, error };
+    // A cutout that could not be auto-placed and has no manual position is not evaluated
+    if (top === null) return { ...peephole, conflicts: [], gapStatus: null, coordinates: null, zoneStatus: null, otherFace: null };
+
+    const { peepholeConflicts, peepholeGapStatus, peepholeCoordinates } = evaluatePeephole({
+      doorWidth,
+      doorHeight,
+      frame,
+      panelPositions,
+      peepholeX: spec.x,
+      peepholeTop: top,
+      peepholeDiameter: spec.diameter,
+      minEdgeDistance,
+      displayUnit
+    });
+    // The cutout goes through the door, so the other face is checked too
+    const backCheck = otherFace && evaluatePeephole({
+      doorWidth,
+      doorHeight,
+      frame: otherFace.frame,
+      panelPositions: otherFace.panelPositions,
+      peepholeX: otherFace.toFace(spec.x),
+      peepholeTop: top,
+      peepholeDiameter: spec.diameter,
+      minEdgeDistance,
+      displayUnit
+    });
+    return {
+      ...peephole,
+      conflicts: peepholeConflicts,
+      gapStatus: peepholeGapStatus,
+      coordinates: peepholeCoordinates,
+      zoneStatus: evaluatePeepholeZone(spec.zone, peepholeCoordinates.fromBottom, displayUnit),
+      otherFace: backCheck ? { side: otherFace.side, conflicts: backCheck.peepholeConflicts, gapStatus: backCheck.peepholeGapStatus } : null
+    };
+  });
+
+  // Each panel checked against every cutout
+  const panelPeepholeConflicts = panelPositions.map((panel, index) => peepholes
+    .filter(peephole => peephole.conflicts[index])
+    .map(peephole => ({ peephole: peephole.label, ...peephole.conflicts[index] })));
+  const otherPanelPeepholeConflicts = otherFace && otherFace.panelPositions.map((panel, index) => peepholes
+    .filter(peephole => peephole.otherFace && peephole.otherFace.conflicts[index])
+    .map(peephole => ({ peephole: peephole.label, ...peephole.otherFace.conflicts[index] })));
+
+  // The main peephole, as before multiple peepholes
+  const mainPeephole = peepholes[0];
+  const actualPeepholeTop = mainPeephole ? mainPeephole.top : peepholeTop;
+  const peepholeInGap = mainPeephole ? mainPeephole.inGap : false;
+  const peepholeOptimalZoneError = mainPeephole ? mainPeephole.error : null;
+  const peepholeConflicts = mainPeephole ? mainPeephole.conflicts : [];
+  const peepholeGapStatus = mainPeephole ? mainPeephole.gapStatus : null;
+  const peepholeCoordinates = mainPeephole ? mainPeephole.coordinates : null;
+  const peepholeZoneStatus = mainPeephole ? mainPeephole.zoneStatus : null;
+
+  // Hardware obstacles, including the planned hinges, checked against every
+  // panel of both faces like the peepholes; hinges also against the rail
+  // joints
+  const hinges = planHinges({ doorWidth, doorHeight, doorThickness, doorMaterial, hingeCount, displayUnit });
+  const rails = faces.flatMap(face => {
+    const prefix = faces.length > 1 ? `${face.side} ` : '';
+    return [
+      { name: `${prefix}top rail`, top: 0, bottom: face.frame.top },
+      ...face.rows.slice(1).map((row, i) => ({ name: `${prefix}${face.rows.length > 2 ? `mid rail ${i + 1}` : 'mid rail'}`, top: face.rows[i].bottom, bottom: row.top })),
+      { name: `${prefix}bottom rail`, top: doorHeight - face.frame.bottom, bottom: doorHeight }
+    ];
+  });
+  // Off-center hardware is placed from the left as seen from the exterior
+  const viewedItems = [...(hardwareItems || []), ...hinges.items].map(item => (
+    isSet(item.fromLeft) ? { ...item, fromLeft: viewX(Number(item.fromLeft)) } : item
+  ));
+  const checkedHardware = checkHardware(
+    checkHingeRails(resolveHardware(viewedItems, { doorWidth, doorHeight }, doorHanding.lockSide), rails),
+    panelPositions,
+    { displayUnit }
+  );
+  const hardware = !otherFace ? checkedHardware.map(item => ({ ...item, otherFace: null })) : checkHardware(
+    checkedHardware.map(item => ({ ...item, left: doorWidth - item.left - item.width })),
+    otherFace.panelPositions,
+    { displayUnit }
+  ).map((item, index) => ({ ...checkedHardware[index], otherFace: { side: otherFace.side, conflicts: item.conflicts } }));
+
+  // Glazing, louver and grille checks per panel, with the cutouts and
+  // hardware that land on each face
+  const throughDoor = [...peepholes, ...hardware];
+  const faceInfills = (face, obstacles) => checkInfills(face.panelPositions, { doorHeight, safetyGlazingHeight, louverPitch, obstacles, displayUnit });
+  const infills = faceInfills(layout, throughDoor);
+  const otherInfills = otherFace && faceInfills(otherFace, throughDoor
+    .filter(item => item.otherFace)
+    .map(item => ({ label: item.label, conflicts: item.otherFace.conflicts })));
+
+  return {
+    ...layout,
+    peepholeConflicts,
+    peepholeGapStatus,
+    peepholeOptimalZoneError,
+    peepholeZones,
+    peepholeZoneStatus,
+    peepholes,
+    panelPeepholeConflicts,
+    hardware,
+    hinges,
+    infills,
+    handing: doorHanding,
+    faces: otherFace ? {
+      [viewSide]: { side: viewSide, ...layout, panelPeepholeConflicts, infills },
+      [otherSide]: { side: otherSide, ...otherLayout, panelPeepholeConflicts: otherPanelPeepholeConflicts, infills: otherInfills }
+    } : null,
+    peepholeCoordinates,
+    actualPeepholeTop,
+    peepholeInGap
+  };
+};
@@ -0,0 +1,71 @@
+import { describe, expect, it } from 'vitest';
+import { calculateLayout } from './layoutEngine.js';
+
+// A 90 × 210 cm door with four rows, 15 cm edges and 10 cm gaps, laid out by
+// every proportion type with manual and auto spacing, with and without an
+// auto-centered peephole. The numbers are those of the calculator before
+// the layout engine was split out of the web UI.
+const BASE = { doorWidth: 90, doorHeight: 210, panelCount: 4, edgeDistance: 15, panelGap: 10, spacingRatioType: 'golden' };
+
+const CASES = [
+  { proportionType: 'equal', autoCalculateSpacing: false, edge: 15, gap: 10, panelHeights: [37.5, 37.5, 37.5, 37.5], peephole: null },
+  { proportionType: 'equal', autoCalculateSpacing: false, edge: 15, gap: 10, panelHeights: [37.5, 37.5, 37.5, 37.5], peephole: { top: 30.75, status: 'inside-safe' } },
+  { proportionType: 'equal', autoCalculateSpacing: true, edge: 10.527879, gap: 6.506587, panelHeights: [42.35612, 42.35612, 42.35612, 42.35612], peephole: null },
+  { proportionType: 'equal', autoCalculateSpacing: true, edge: 10.527879, gap: 6.506587, panelHeights: [42.35612, 42.35612, 42.35612, 42.35612], peephole: { top: 28.705939, status: 'inside-safe' } },
+  { proportionType: 'golden', autoCalculateSpacing: false, edge: 15, gap: 10, panelHeights: [15.835921, 25.623059, 41.45898, 67.082039], peephole: null },
+  { proportionType: 'golden', autoCalculateSpacing: false, edge: 15, gap: 10, panelHeights: [15.835921, 25.623059, 41.45898, 67.082039], peephole: { top: 50.647451, status: 'inside-safe' } },
+  { proportionType: 'golden', autoCalculateSpacing: true, edge: 10.527879, gap: 6.506587, panelHeights: [17.886618, 28.941156, 46.827775, 75.768931], peephole: null },
+  { proportionType: 'golden', autoCalculateSpacing: true, edge: 10.527879, gap: 6.506587, panelHeights: [17.886618, 28.941156, 46.827775, 75.768931], peephole: { top: 46.391663, status: 'inside-safe' } },
+  { proportionType: 'reverse', autoCalculateSpacing: false, edge: 15, gap: 10, panelHeights: [67.082039, 41.45898, 25.623059, 15.835921], peephole: null },
+  { proportionType: 'reverse', autoCalculateSpacing: false, edge: 15, gap: 10, panelHeights: [67.082039, 41.45898, 25.623059, 15.835921], peephole: { top: 45.54102, status: 'inside-safe' } },
+  { proportionType: 'reverse', autoCalculateSpacing: true, edge: 10.527879, gap: 6.506587, panelHeights: [75.768931, 46.827775, 28.941156, 17.886618], peephole: null },
+  { proportionType: 'reverse', autoCalculateSpacing: true, edge: 10.527879, gap: 6.506587, panelHeights: [75.768931, 46.827775, 28.941156, 17.886618], peephole: { top: 45.412345, status: 'inside-safe' } },
+  { proportionType: 'classic', autoCalculateSpacing: false, edge: 15, gap: 10, panelHeights: [25, 50, 50, 25], peephole: null },
+  { proportionType: 'classic', autoCalculateSpacing: false, edge: 15, gap: 10, panelHeights: [25, 50, 50, 25], peephole: { top: 42, status: 'gap-safe' } },
+  { proportionType: 'classic', autoCalculateSpacing: true, edge: 10.527879, gap: 6.506587, panelHeights: [28.237413, 56.474827, 56.474827, 28.237413], peephole: null },
+  { proportionType: 'classic', autoCalculateSpacing: true, edge: 10.527879, gap: 6.506587, panelHeights: [28.237413, 56.474827, 56.474827, 28.237413], peephole: { top: 45, status: 'too-close-to-edge' } },
+  { proportionType: 'fibonacci', autoCalculateSpacing: false, edge: 15, gap: 10, panelHeights: [21.428571, 21.428571, 42.857143, 64.285714], peephole: null },
+  { proportionType: 'fibonacci', autoCalculateSpacing: false, edge: 15, gap: 10, panelHeights: [21.428571, 21.428571, 42.857143, 64.285714], peephole: { top: 54.142857, status: 'inside-safe' } },
+  { proportionType: 'fibonacci', autoCalculateSpacing: true, edge: 10.527879, gap: 6.506587, panelHeights: [24.203497, 24.203497, 48.406994, 72.610492], peephole: null },
+  { proportionType: 'fibonacci', autoCalculateSpacing: true, edge: 10.527879, gap: 6.506587, panelHeights: [24.203497, 24.203497, 48.406994, 72.610492], peephole: { top: 50.339712, status: 'inside-safe' } },
+];
+
+// Where the peephole ended up: in a gap, or in or across a panel
+const peepholeStatus = (layout) => (
+  layout.peepholeGapStatus ? layout.peepholeGapStatus.type : layout.peepholeConflicts.find(Boolean)?.type ?? null
+);
+
+describe('calculateLayout', () => {
+  it.each(CASES)(
+    '$proportionType, auto spacing $autoCalculateSpacing, peephole $peephole',
+    ({ proportionType, autoCalculateSpacing, edge, gap, panelHeights, peephole }) => {
+      const layout = calculateLayout({ ...BASE, proportionType, autoCalculateSpacing, showPeephole: Boolean(peephole), autoCenterPeephole: Boolean(peephole) });
+
+      expect(layout.fits).toBe(true);
+      expect(layout.calculatedEdgeDistance).toBeCloseTo(edge, 5);
+      expect(layout.calculatedPanelGap).toBeCloseTo(gap, 5);
+      expect(layout.panelHeights).toHaveLength(panelHeights.length);
+      layout.panelHeights.forEach((height, index) => expect(height).toBeCloseTo(panelHeights[index], 5));
+      if (peephole) {
+        expect(layout.actualPeepholeTop).toBeCloseTo(peephole.top, 5);
+        expect(peepholeStatus(layout)).toBe(peephole.status);
+      }
+    }
+  );
+
+  it('reports a peephole that exactly fits a gap as safe', () => {
+    // A 6 cm peephole in a 10 cm gap leaves exactly the 2 cm minimum
+    const layout = calculateLayout({
+      doorWidth: 103,
+      doorHeight: 203,
+      panelCount: 5,
+      proportionType: 'fibonacci',
+      showPeephole: true,
+      autoCenterPeephole: true,
+      preferGapPlacement: true
+    });
+
+    expect(layout.actualPeepholeTop).toBeCloseTo(28.083333, 5);
+    expect(layout.peepholeGapStatus.type).toBe('gap-safe');
+  });
+});
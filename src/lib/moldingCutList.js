@@ -0,0 +1,160 @@
+// Cut list and bill of materials for panels built from applied molding.
+//
+// Each panel outline is the outside edge of a mitered molding frame, so the
+// long point of every piece equals the panel side it sits on and the short
+// point loses the molding width at both mitered ends. Arched, cathedral and
+// rounded-corner panels follow their outline instead: the straight runs are
+// mitered where they meet at a corner and butt against the curves, and every
+// curve is a bent piece measured along its outside (long point) and inside
+// (short point) edge. Lengths are in centimeters.
+
+import { arcAngles, panelOutline } from './panelShapes.js';
+
+export const DEFAULT_MOLDING_OPTIONS = {
+  profiles: [{ id: 'profile-1', name: 'Ogee', width: 2.5 }],
+  // Panel index -> profile id; panels without an entry use the first profile
+  panelProfiles: {},
+  miterAngle: 45,
+  wasteAllowance: 10
+};
+
+export const createMoldingProfile = (existing = []) => {
+  const next = existing.reduce((max, profile) => Math.max(max, Number(String(profile.id).replace('profile-', '')) || 0), 0) + 1;
+  return { id: `profile-${next}`, name: `Profile ${existing.length + 1}`, width: 2.5 };
+};
+
+export const profileForPanel = (options, panelIndex) => (
+  options.profiles.find(profile => profile.id === options.panelProfiles[panelIndex]) || options.profiles[0]
+);
+
+// Length lost at one mitered end: the molding width projected along the piece
+const miterSetback = (width, miterAngle) => width / Math.tan(miterAngle * Math.PI / 180);
+
+// Name of a straight run of a shaped outline
+const runName = ([fromX, fromY], [toX], position) => {
+  if (Math.abs(fromX - toX) < 1e-9) return 'Side';
+  if (Math.abs(fromY - position.bottom) < 1e-9) return 'Bottom';
+  return position.shape.shape === 'cathedral' ? 'Shoulder' : 'Top';
+};
+
+// One piece per outline segment of a shaped panel, with equal pieces merged
+const shapedPieces = (position, profile, setback) => {
+  const { start, segments } = panelOutline(position);
+  const pieces = [];
+  let from = start;
+  segments.forEach((segment, index) => {
+    const before = segments[(index + segments.length - 1) % segments.length];
+    const after = segments[(index + 1) % segments.length];
+    let piece;
+    if (segment.arc) {
+      const { sweep } = arcAngles(from, segment);
+      const { radius } = segment.arc;
+      piece = {
+        piece: Math.abs(radius - position.shape.radius) < 1e-9 ? 'Arched top' : 'Corner',
+        longPoint: radius * sweep,
+        shortPoint: Math.max(0, radius - profile.width) * sweep,
+        radius
+      };
+    } else {
+      const longPoint = Math.hypot(segment.to[0] - from[0], segment.to[1] - from[1]);
+      const miters = (before.arc ? 0 : 1) + (after.arc ? 0 : 1);
+      piece = { piece: runName(from, segment.to, position), longPoint, shortPoint: longPoint - miters * setback, radius: null };
+    }
+    from = segment.to;
+    const same = pieces.find(other => other.piece === piece.piece && Math.abs(other.longPoint - piece.longPoint) < 1e-6);
+    if (same) same.quantity += 1;
+    else pieces.push({ ...piece, quantity: 1 });
+  });
+  return pieces;
+};
+
+/**
+ * Build the cut list for every panel plus per-profile totals.
+ *
+ * @param {object} layout Result of calculateLayout.
+ * @param {object} options See DEFAULT_MOLDING_OPTIONS.
+ * @returns {{ pieces: object[], totals: object[], warnings: string[] }}
+ *   `pieces` has one row per panel side pair (quantity 2), or for a shaped
+ *   panel one per run or curve of its outline; curved pieces have their
+ *   outside `radius` and no `miterAngle`. `totals` has the net and order
+ *   lengths per profile including the waste allowance.
+ */
+export const buildMoldingCutList = (layout, options = DEFAULT_MOLDING_OPTIONS) => {
+  const pieces = [];
+  const warnings = [];
+
+  layout.panelPositions.forEach((position, index) => {
+    const profile = profileForPanel(options, index);
+    if (!profile) return;
+    const setback = miterSetback(profile.width, options.miterAngle);
+
+    const sides = position.shape
+      ? shapedPieces(position, profile, setback)
+      : [
+        { piece: 'Top & bottom', longPoint: position.width, shortPoint: position.width - 2 * setback, radius: null, quantity: 2 },
+        { piece: 'Left & right', longPoint: position.height, shortPoint: position.height - 2 * setback, radius: null, quantity: 2 }
+      ];
+
+    sides.forEach(({ piece, longPoint, shortPoint, radius, quantity }) => {
+      if (shortPoint <= 0) {
+        warnings.push(`Panel ${index + 1}: ${profile.name} molding is too wide for the ${piece.toLowerCase()} pieces`);
+      }
+      pieces.push({
+        panel: index + 1,
+        piece,
+        profileId: profile.id,
+        profileName: profile.name,
+        moldingWidth: profile.width,
+        quantity,
+        longPoint,
+        shortPoint: Math.max(0, shortPoint),
+        miterAngle: radius === null ? options.miterAngle : null,
+        radius
+      });
+    });
+
+    const curves = [...new Set(sides.filter(side => side.radius !== null).map(side => (side.piece === 'Corner' ? 'rounded corners' : 'arched top')))];
+    if (curves.length > 0) {
+      warnings.push(`Panel ${index + 1}: bent or curved ${profile.name} molding is needed for the ${curves.join(' and ')}`);
+    }
+  });
+
+  const totals = options.profiles.map(profile => {
+    const profilePieces = pieces.filter(piece => piece.profileId === profile.id);
+    // Stock is consumed up to the long point of each piece
+    const netLength = profilePieces.reduce((sum, piece) => sum + piece.longPoint * piece.quantity, 0);
+    return {
+      profileId: profile.id,
+      profileName: profile.name,
+      moldingWidth: profile.width,
+      pieceCount: profilePieces.reduce((sum, piece) => sum + piece.quantity, 0),
+      netLength,
+      orderLength: netLength * (1 + options.wasteAllowance / 100)
+    };
+  }).filter(total => total.pieceCount > 0);
+
+  return { pieces, totals, warnings };
+};
+
+// Rows for a CSV export, lengths already formatted by the caller
+export const moldingCutListRows = (cutList, formatLength, formatRunLength) => [
+  ['Panel', 'Piece', 'Profile', 'Molding width', 'Qty', 'Long point', 'Short point', 'Miter'],
+  ...cutList.pieces.map(piece => [
+    piece.panel,
+    piece.piece,
+    piece.profileName,
+    formatLength(piece.moldingWidth),
+    piece.quantity,
+    formatLength(piece.longPoint),
+    formatLength(piece.shortPoint),
+    piece.radius === null ? `${piece.miterAngle}°` : `bent, radius ${formatLength(piece.radius)}`
+  ]),
+  [],
+  ['Profile', 'Pieces', 'Net length', 'Order length (incl. waste)'],
+  ...cutList.totals.map(total => [
+    total.profileName,
+    total.pieceCount,
+    formatRunLength(total.netLength),
+    formatRunLength(total.orderLength)
+  ])
+];
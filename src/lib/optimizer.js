@@ -0,0 +1,157 @@
+// Layout optimizer.
+//
+// Searches panel count, proportion type and spacing (auto spacing with every
+// registered ratio, or a grid of edge distances and gaps) for layouts that
+// meet a set of constraints, and ranks the ones that do. Everything else in
+// the config, such as door size and peephole settings, is kept as it is.
+// Lengths are in centimeters.
+
+import { calculateLayout, DEFAULT_CONFIG } from './layoutEngine.js';
+import { getProportionFamily, ratioFamilies, sequenceFamilies } from './proportionRegistry.js';
+import { formatLength } from './units.js';
+
+export const DEFAULT_CONSTRAINTS = {
+  minPanelCount: 1,
+  maxPanelCount: 5,
+  minPanelHeight: 10,
+  edgeMin: 5,
+  edgeMax: 20,
+  gapMin: 3,
+  gapMax: 15,
+  // Only with a peephole: it must sit in a gap (or mullion) with safe clearance
+  peepholeInGap: false
+};
+
+// Manual spacing tries this many evenly spaced values across each range
+const RANGE_STEPS = 5;
+
+// Scores weigh how close the panels come to the target ratio, how little of
+// the current design changes, and how much room the panels have
+const WEIGHTS = { ratio: 0.5, similarity: 0.3, margin: 0.2 };
+
+const rangeValues = (min, max, current) => {
+  const values = Array.from({ length: RANGE_STEPS }, (_, i) => (
+    Math.round((min + (max - min) * i / (RANGE_STEPS - 1)) * 2) / 2
+  ));
+  if (current >= min && current <= max) values.push(current);
+  return [...new Set(values)].filter(value => value >= min && value <= max);
+};
+
+// The fields a candidate changes; applying a result sets exactly these
+const candidateChanges = (config, constraints) => {
+  const counts = [];
+  for (let count = constraints.minPanelCount; count <= constraints.maxPanelCount; count++) counts.push(count);
+
+  const spacings = [
+    ...ratioFamilies().map(family => ({ autoCalculateSpacing: true, spacingRatioType: family.key })),
+    ...rangeValues(constraints.edgeMin, constraints.edgeMax, config.edgeDistance).flatMap(edgeDistance => (
+      rangeValues(constraints.gapMin, constraints.gapMax, config.panelGap).map(panelGap => ({
+        autoCalculateSpacing: false,
+        edgeDistance,
+        panelGap
+      }))
+    ))
+  ];
+
+  return counts.flatMap(panelCount => sequenceFamilies().flatMap(family => spacings.map(spacing => ({
+    panelCount,
+    proportionType: family.key,
+    ...spacing
+  }))));
+};
+
+// Why a layout breaks the constraints, or null when it meets them all
+const violation = (layout, config, constraints) => {
+  if (!layout.fits || layout.rows.some(row => row.width <= 0)) return 'does not fit';
+  if (layout.panelHeights.some(height => height < constraints.minPanelHeight - 1e-9)) return 'panel too short';
+
+  const members = [layout.frame.top, layout.frame.bottom, layout.frame.left, layout.frame.right];
+  if (members.some(width => width < constraints.edgeMin - 1e-9 || width > constraints.edgeMax + 1e-9)) return 'edge out of range';
+  if (layout.gaps.some(gap => gap < constraints.gapMin - 1e-9 || gap > constraints.gapMax + 1e-9)) return 'gap out of range';
+
+  if (config.showPeephole) {
+    for (const peephole of layout.peepholes) {
+      if (peephole.error) return 'no peephole position';
+      if (peephole.conflicts.some(conflict => conflict && conflict.type !== 'inside-safe')) return 'peephole conflict';
+      if (peephole.gapStatus && peephole.gapStatus.type !== 'gap-safe') return 'peephole too close in gap';
+    }
+    if (constraints.peepholeInGap && !layout.peepholeGapStatus) return 'peephole not in a gap';
+  }
+  return null;
+};
+
+const scoreLayout = (layout, changes, config, constraints) => {
+  // Manual spacing is measured against the golden ratio, like the verification panel
+  const ratio = Math.max(0, 1 - layout.ratioError / 50);
+
+  const changed = [
+    changes.panelCount !== config.panelCount,
+    changes.proportionType !== config.proportionType,
+    changes.autoCalculateSpacing !== config.autoCalculateSpacing ||
+      (changes.autoCalculateSpacing && changes.spacingRatioType !== config.spacingRatioType),
+    !changes.autoCalculateSpacing && (changes.edgeDistance !== config.edgeDistance || changes.panelGap !== config.panelGap)
+  ].filter(Boolean).length;
+  const similarity = 1 - changed / 4;
+
+  // Full marks once the shortest panel is twice the minimum
+  const shortest = Math.min(...layout.panelHeights);
+  const margin = constraints.minPanelHeight > 0
+    ? Math.min(1, Math.max(0, shortest / constraints.minPanelHeight - 1))
+    : 1;
+
+  const breakdown = { ratio, similarity, margin };
+  const score = Math.round(100 * Object.entries(WEIGHTS).reduce((sum, [key, weight]) => sum + weight * breakdown[key], 0));
+  return { score, breakdown, changed };
+};
+
+// Layouts that come out the same (e.g. any proportion type with one panel)
+// are listed once
+const layoutKey = (layout) => [
+  ...layout.panelPositions.map(position => `${position.top.toFixed(3)}:${position.height.toFixed(3)}:${position.width.toFixed(3)}`),
+  ...Object.values(layout.frame).map(width => width.toFixed(3))
+].join('|');
+
+export const describeCandidate = (changes, unit = 'cm') => {
+  const family = getProportionFamily(changes.proportionType);
+  const spacing = changes.autoCalculateSpacing
+    ? `auto spacing, ${getProportionFamily(changes.spacingRatioType).name}`
+    : `edge ${formatLength(changes.edgeDistance, unit)}, gap ${formatLength(changes.panelGap, unit)}`;
+  return `${changes.panelCount} × ${family ? family.name : changes.proportionType}, ${spacing}`;
+};
+
+/**
+ * Search for layouts that meet `constraints`, best first.
+ *
+ * @param {object} config Current layout config; door size, peephole and frame
+ *   overrides are kept, the searched fields are replaced per candidate.
+ * @param {object} [constraints] See DEFAULT_CONSTRAINTS.
+ * @param {{ limit?: number }} [options]
+ * @returns {{ results: object[], checked: number, rejected: object }} Each
+ *   result has the `changes` to apply, its `layout`, a 0–100 `score` and the
+ *   score `breakdown`. `rejected` counts candidates per failed constraint.
+ */
+export const optimizeLayout = (config, constraints = DEFAULT_CONSTRAINTS, { limit = 20 } = {}) => {
+  const base = { ...DEFAULT_CONFIG, ...config };
+  const limits = { ...DEFAULT_CONSTRAINTS, ...constraints };
+  const seen = new Set();
+  const rejected = {};
+  const results = [];
+
+  const candidates = candidateChanges(base, limits);
+  candidates.forEach(changes => {
+    const candidateConfig = { ...base, ...changes };
+    const layout = calculateLayout(candidateConfig);
+    const reason = violation(layout, base, limits);
+    if (reason) {
+      rejected[reason] = (rejected[reason] || 0) + 1;
+      return;
+    }
+    const key = layoutKey(layout);
+    if (seen.has(key)) return;
+    seen.add(key);
+    results.push({ changes, layout, ...scoreLayout(layout, changes, base, limits) });
+  });
+
+  results.sort((a, b) => b.score - a.score || a.changed - b.changed || a.layout.ratioError - b.layout.ratioError);
+  return { results: results.slice(0, limit), checked: candidates.length, rejected };
+};
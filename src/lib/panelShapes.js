@@ -0,0 +1,323 @@
+// Panel shapes: arched and cathedral tops and rounded inside corners.
+//
+// A shaped panel keeps the rectangle the layout gives it as its bounding box.
+// An arched top rises by `rise` from the sides to the apex at the panel's
+// top; a cathedral top does the same across the middle, between flat
+// shoulders of width `shoulder` at each side. Give the arc's `radius`
+// instead of its rise when the arch is drawn with a trammel. `cornerRadius`
+// rounds all four inside corners of a rectangle and the bottom corners of an
+// arched panel.
+//
+// Outlines are a start point and a closed run of segments, each a straight
+// line or an arc, in door coordinates (from the left and from the top, like
+// panelPositions), running clockwise as seen on the drawing. Lengths are in
+// centimeters.
+
+import { formatLength } from './units.js';
+
+export const PANEL_SHAPES = {
+  rectangle: { name: 'Rectangle' },
+  arch: { name: 'Arched top', arched: true },
+  cathedral: { name: 'Cathedral top', arched: true }
+};
+
+// Rise of an arch without a rise or radius, as a share of its span
+const DEFAULT_RISE = 0.2;
+// Cathedral shoulders without a width, as a share of the panel width
+const DEFAULT_SHOULDER = 1 / 6;
+
+const isSet = (value) => value !== null && value !== undefined && value !== '' && Number.isFinite(Number(value));
+
+// Area between a chord and its arc
+const segmentArea = (radius, rise) => (
+  radius * radius * Math.acos((radius - rise) / radius) - (radius - rise) * Math.sqrt(Math.max(0, 2 * radius * rise - rise * rise))
+);
+
+/**
+ * Resolve a panel's shape settings against its size.
+ *
+ * @param {{ shape?: string, rise?: number, radius?: number,
+ *   cornerRadius?: number, shoulder?: number }|null} spec
+ * @param {{ width: number, height: number }} panel
+ * @param {string} [displayUnit]
+ * @returns {object|null} null for a plain rectangle, otherwise the shape with
+ *   every length settled (`rise` and `radius` both set for an arch) and
+ *   `warnings` for settings that had to be cut back to fit the panel.
+ */
+export const resolvePanelShape = (spec, { width, height }, displayUnit = 'cm') => {
+  if (!spec) return null;
+  const shape = spec.shape || 'rectangle';
+  const type = PANEL_SHAPES[shape];
+  if (!type) throw new Error(`Unknown panel shape "${shape}"`);
+  const fmt = (cm) => formatLength(cm, displayUnit);
+  const warnings = [];
+
+  if (!type.arched) {
+    const cornerRadius = Math.max(0, Number(spec.cornerRadius) || 0);
+    if (cornerRadius === 0) return null;
+    const limit = Math.min(width, height) / 2;
+    if (cornerRadius > limit) warnings.push(`Corner radius cut back to ${fmt(limit)}, half the panel's smaller side`);
+    return { shape, rise: 0, radius: null, shoulder: 0, cornerRadius: Math.min(cornerRadius, limit), warnings };
+  }
+
+  let shoulder = 0;
+  if (shape === 'cathedral') {
+    shoulder = isSet(spec.shoulder) ? Math.max(0, Number(spec.shoulder)) : width * DEFAULT_SHOULDER;
+    // Leave at least a third of the width for the arch
+    const limit = width / 3;
+    if (shoulder > limit) {
+      warnings.push(`Shoulders cut back to ${fmt(limit)} to leave room for the arch`);
+      shoulder = limit;
+    }
+  }
+  const span = width - 2 * shoulder;
+
+  let rise;
+  if (isSet(spec.radius)) {
+    let radius = Number(spec.radius);
+    if (radius < span / 2) {
+      warnings.push(`Arc radius is less than half the ${fmt(span)} span; drawn as a half circle`);
+      radius = span / 2;
+    }
+    rise = radius - Math.sqrt(radius * radius - span * span / 4);
+  } else {
+    rise = isSet(spec.rise) ? Math.max(0, Number(spec.rise)) : span * DEFAULT_RISE;
+  }
+  if (rise > span / 2) {
+    warnings.push(`Rise cut back to ${fmt(span / 2)}, a half circle over the ${fmt(span)} span`);
+    rise = span / 2;
+  }
+  let cornerRadius = Math.max(0, Number(spec.cornerRadius) || 0);
+  if (rise > height - cornerRadius) {
+    warnings.push(`Rise cut back to fit the ${fmt(height)} panel height`);
+    rise = Math.max(0, height - cornerRadius);
+  }
+  const cornerLimit = Math.min(width / 2, height - rise);
+  if (cornerRadius > cornerLimit) {
+    warnings.push(`Corner radius cut back to ${fmt(cornerLimit)}`);
+    cornerRadius = cornerLimit;
+  }
+  if (rise <= 0) {
+    return cornerRadius > 0 ? { shape: 'rectangle', rise: 0, radius: null, shoulder: 0, cornerRadius, warnings } : null;
+  }
+  const radius = (span * span / 4 + rise * rise) / (2 * rise);
+  return { shape, rise, radius, shoulder, cornerRadius, warnings };
+};
+
+/**
+ * Area of a panel, with its arch and rounded corners.
+ *
+ * @param {{ width: number, height: number, shape?: object|null }} panel
+ * @returns {number}
+ */
+export const panelArea = (panel) => {
+  const { width, height, shape } = panel;
+  if (!shape) return width * height;
+  const corners = (shape.shape === 'rectangle' ? 4 : 2) * (1 - Math.PI / 4) * shape.cornerRadius * shape.cornerRadius;
+  if (shape.shape === 'rectangle') return width * height - corners;
+  return width * (height - shape.rise) + segmentArea(shape.radius, shape.rise) - corners;
+};
+
+const line = (to) => ({ to, arc: null });
+const arc = (to, center, radius, clockwise = true) => ({ to, arc: { center, radius, clockwise } });
+
+// Bottom edge with its corners, from the right side to the left side
+const bottomEdge = (left, right, bottom, corner) => (corner > 0
+  ? [
+    line([right, bottom - corner]),
+    arc([right - corner, bottom], [right - corner, bottom - corner], corner),
+    line([left + corner, bottom]),
+    arc([left, bottom - corner], [left + corner, bottom - corner], corner)
+  ]
+  : [line([right, bottom]), line([left, bottom])]);
+
+/**
+ * A panel's outline, grown by `grow` all round (negative shrinks it), for
+ * drawing, routing and exports. Arcs stay concentric with the panel's own.
+ *
+ * @param {object} panel A panelPositions entry.
+ * @param {number} [grow]
+ * @returns {{ start: number[], segments: object[] }|null} null when the
+ *   panel shrinks to nothing.
+ */
+export const panelOutline = (panel, grow = 0) => {
+  const left = panel.left - grow;
+  const right = panel.right + grow;
+  const top = panel.top - grow;
+  const bottom = panel.bottom + grow;
+  if (right - left <= 0 || bottom - top <= 0) return null;
+  const { shape } = panel;
+  const corner = shape && shape.cornerRadius > 0 ? Math.max(0, Math.min(shape.cornerRadius + grow, (right - left) / 2)) : 0;
+
+  if (!shape || shape.shape === 'rectangle') {
+    if (corner === 0) {
+      return { start: [left, top], segments: [line([right, top]), line([right, bottom]), line([left, bottom]), line([left, top])] };
+    }
+    return {
+      start: [left + corner, top],
+      segments: [
+        line([right - corner, top]),
+        arc([right, top + corner], [right - corner, top + corner], corner),
+        ...bottomEdge(left, right, bottom, corner),
+        line([left, top + corner]),
+        arc([left + corner, top], [left + corner, top + corner], corner)
+      ]
+    };
+  }
+
+  const centerX = (panel.left + panel.right) / 2;
+  const centerY = panel.top + shape.radius;
+  const radius = shape.radius + grow;
+  // Where the arch springs: the sides for an arched top, the shoulders for a
+  // cathedral top
+  const springY = shape.shape === 'cathedral' ? panel.top + shape.rise - grow : null;
+  const halfSpan = springY === null ? right - centerX : Math.sqrt(radius * radius - (centerY - springY) ** 2);
+  const archY = springY === null ? centerY - Math.sqrt(radius * radius - halfSpan * halfSpan) : springY;
+  if (!(radius > 0) || !Number.isFinite(archY) || archY >= bottom - corner) return null;
+
+  return {
+    start: [left, archY],
+    segments: [
+      ...(springY === null ? [] : [line([centerX - halfSpan, archY])]),
+      arc([centerX + halfSpan, archY], [centerX, centerY], radius),
+      ...(springY === null ? [] : [line([right, archY])]),
+      ...bottomEdge(left, right, bottom, corner),
+      line([left, archY])
+    ]
+  };
+};
+
+/**
+ * The same outline run the other way round.
+ *
+ * @param {{ start: number[], segments: object[] }} outline
+ * @returns {{ start: number[], segments: object[] }}
+ */
+export const reverseOutline = ({ start, segments }) => {
+  const points = [start, ...segments.map(segment => segment.to)];
+  return {
+    start,
+    segments: segments.map((segment, index) => segments[segments.length - 1 - index]).map((segment, index) => ({
+      to: points[points.length - 2 - index],
+      arc: segment.arc && { ...segment.arc, clockwise: !segment.arc.clockwise }
+    }))
+  };
+};
+
+// Start and end angles of an arc segment and its sweep in the direction of
+// travel. Y runs down, so clockwise on the drawing is increasing angle.
+export const arcAngles = (from, segment) => {
+  const [centerX, centerY] = segment.arc.center;
+  const start = Math.atan2(from[1] - centerY, from[0] - centerX);
+  const end = Math.atan2(segment.to[1] - centerY, segment.to[0] - centerX);
+  const turn = (angle) => ((angle % (2 * Math.PI)) + 2 * Math.PI) % (2 * Math.PI);
+  const sweep = segment.arc.clockwise ? turn(end - start) : turn(start - end);
+  return { start, end, sweep };
+};
+
+/**
+ * The outline as a polygon, with arcs split into short straight steps.
+ *
+ * @param {{ start: number[], segments: object[] }} outline
+ * @param {number} [maxStep] Largest angle of one step, in radians.
+ * @returns {number[][]} [x, y] points, the start not repeated at the end.
+ */
+export const outlinePoints = ({ start, segments }, maxStep = Math.PI / 90) => {
+  const points = [start];
+  segments.forEach((segment, index) => {
+    const from = points[points.length - 1];
+    if (segment.arc) {
+      const { start: angle, sweep } = arcAngles(from, segment);
+      const steps = Math.max(1, Math.ceil(sweep / maxStep));
+      const direction = segment.arc.clockwise ? 1 : -1;
+      const [centerX, centerY] = segment.arc.center;
+      for (let step = 1; step < steps; step += 1) {
+        const a = angle + direction * sweep * step / steps;
+        points.push([centerX + segment.arc.radius * Math.cos(a), centerY + segment.arc.radius * Math.sin(a)]);
+      }
+    }
+    if (index < segments.length - 1) points.push(segment.to);
+  });
+  return points;
+};
+
+/**
+ * An SVG path for the outline.
+ *
+ * @param {{ start: number[], segments: object[] }} outline
+ * @param {(point: number[]) => number[]} toPixels Door point to drawing point.
+ * @param {number} scale Pixels per centimeter, for the arc radii.
+ * @returns {string}
+ */
+export const outlineSvgPath = (outline, toPixels, scale) => {
+  const point = (p) => toPixels(p).map(value => Number(value.toFixed(2))).join(' ');
+  let from = outline.start;
+  const commands = [`M ${point(from)}`];
+  outline.segments.forEach(segment => {
+    if (segment.arc) {
+      const { sweep } = arcAngles(from, segment);
+      const radius = Number((segment.arc.radius * scale).toFixed(2));
+      commands.push(`A ${radius} ${radius} 0 ${sweep > Math.PI ? 1 : 0} ${segment.arc.clockwise ? 1 : 0} ${point(segment.to)}`);
+    } else {
+      commands.push(`L ${point(segment.to)}`);
+    }
+    from = segment.to;
+  });
+  return `${commands.join(' ')} Z`;
+};
+
+// Distance from a point to one segment of an outline
+const segmentDistance = (x, y, from, segment) => {
+  if (segment.arc) {
+    const [centerX, centerY] = segment.arc.center;
+    const { start, sweep } = arcAngles(from, segment);
+    const angle = Math.atan2(y - centerY, x - centerX);
+    const turn = (value) => ((value % (2 * Math.PI)) + 2 * Math.PI) % (2 * Math.PI);
+    const along = segment.arc.clockwise ? turn(angle - start) : turn(start - angle);
+    if (along <= sweep) return Math.abs(Math.hypot(x - centerX, y - centerY) - segment.arc.radius);
+    return Math.min(Math.hypot(x - from[0], y - from[1]), Math.hypot(x - segment.to[0], y - segment.to[1]));
+  }
+  const [x1, y1] = from;
+  const [x2, y2] = segment.to;
+  const length = (x2 - x1) ** 2 + (y2 - y1) ** 2;
+  const t = length === 0 ? 0 : Math.max(0, Math.min(1, ((x - x1) * (x2 - x1) + (y - y1) * (y2 - y1)) / length));
+  return Math.hypot(x - (x1 + t * (x2 - x1)), y - (y1 + t * (y2 - y1)));
+};
+
+/**
+ * Distance from a point to the nearest edge of a shaped panel, inside or
+ * outside it.
+ *
+ * @param {number} x
+ * @param {number} y
+ * @param {object} panel A panelPositions entry with a `shape`.
+ * @returns {number}
+ */
+export const distanceToOutline = (x, y, panel) => {
+  const outline = panelOutline(panel);
+  let from = outline.start;
+  return Math.min(...outline.segments.map(segment => {
+    const distance = segmentDistance(x, y, from, segment);
+    from = segment.to;
+    return distance;
+  }));
+};
+
+/**
+ * Whether a point lies within a shaped panel.
+ *
+ * @param {number} x
+ * @param {number} y
+ * @param {object} panel A panelPositions entry with a `shape`.
+ * @returns {boolean}
+ */
+export const isInsideOutline = (x, y, panel) => {
+  if (x < panel.left || x > panel.right || y < panel.top || y > panel.bottom) return false;
+  const points = outlinePoints(panelOutline(panel));
+  let inside = false;
+  points.forEach(([x1, y1], index) => {
+    const [x2, y2] = points[(index + 1) % points.length];
+    if ((y1 > y) !== (y2 > y) && x < x1 + (y - y1) * (x2 - x1) / (y2 - y1)) inside = !inside;
+  });
+  return inside || distanceToOutline(x, y, panel) < 1e-9;
+};
@@ -0,0 +1,56 @@
+// Peephole height profiles.
+//
+// A profile lists one or more zones for the center of a peephole, measured
+// from the bottom of the door in centimeters. The first zone is for the main
+// peephole; any further zone (such as a low viewer for wheelchair users) gets
+// a second peephole that is always placed automatically. `label` is shown on
+// the drawing, `name` in messages.
+
+const inches = (value) => value * 2.54;
+
+export const PEEPHOLE_PROFILES = {
+  standard: {
+    name: 'Standard',
+    description: 'The classic zone used by this calculator: 145 to 180 cm, ideally 162.5 cm',
+    zones: [{ label: 'Optimal Peephole Zone', name: 'optimal zone', min: 145, max: 180, ideal: 162.5 }]
+  },
+  'eu-residential': {
+    name: 'EU residential',
+    description: 'Typical European apartment and house doors: eye height of a standing adult, 150 to 165 cm',
+    zones: [{ label: 'EU Residential Zone', name: 'EU residential zone', min: 150, max: 165, ideal: 157.5 }]
+  },
+  'us-residential': {
+    name: 'US residential',
+    description: 'Typical US entry doors: 54" to 62" from the floor, ideally 58"',
+    zones: [{ label: 'US Residential Zone', name: 'US residential zone', min: inches(54), max: inches(62), ideal: inches(58) }]
+  },
+  accessibility: {
+    name: 'Accessibility',
+    description: 'A standing-height viewer plus a second low viewer at 105 to 110 cm for wheelchair users',
+    zones: [
+      { label: 'Standing Zone', name: 'standing zone', min: 145, max: 165, ideal: 155 },
+      { label: 'Seated Zone', name: 'seated (wheelchair) zone', min: 105, max: 110, ideal: 107.5 }
+    ]
+  },
+  custom: {
+    name: 'Custom',
+    description: 'Your own zone'
+  }
+};
+
+/**
+ * The zones of a config's peephole profile. The custom profile uses
+ * peepholeZoneMin/peepholeZoneMax with the ideal height halfway between.
+ *
+ * @returns {{ label: string, name: string, min: number, max: number, ideal: number }[]}
+ */
+export const resolvePeepholeZones = ({ peepholeProfile = 'standard', peepholeZoneMin, peepholeZoneMax } = {}) => {
+  if (peepholeProfile === 'custom') {
+    const min = Math.min(peepholeZoneMin, peepholeZoneMax);
+    const max = Math.max(peepholeZoneMin, peepholeZoneMax);
+    return [{ label: 'Custom Peephole Zone', name: 'custom zone', min, max, ideal: (min + max) / 2 }];
+  }
+  const profile = PEEPHOLE_PROFILES[peepholeProfile];
+  if (!profile) throw new Error(`Unknown peephole profile "${peepholeProfile}"`);
+  return profile.zones;
+};
@@ -0,0 +1,48 @@
+// Open a printable copy of a table in a new window and show the print dialog
+
+const escapeHtml = (value) => String(value === null || value === undefined ? '' : value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+// `sections` is a list of { heading, rows } where the first row is the header
+export const printTables = (title, sections, notes = []) => {
+  const body = sections.map(({ heading, rows }) => {
+    const [header, ...data] = rows;
+    return `
+      <h2>${escapeHtml(heading)}</h2>
+      <table>
+        <thead><tr>${header.map(cell => `<th>${escapeHtml(cell)}</th>`).join('')}</tr></thead>
+        <tbody>${data.map(row => `<tr>${row.map(cell => `<td>${escapeHtml(cell)}</td>`).join('')}</tr>`).join('')}</tbody>
+      </table>`;
+  }).join('');
+
+  const printWindow = window.open('', '_blank');
+  if (!printWindow) return false;
+  printWindow.document.write(`<!doctype html>
+<html>
+  <head>
+    <meta charset="UTF-8" />
+    <title>${escapeHtml(title)}</title>
+    <style>
+      body { font-family: system-ui, sans-serif; margin: 2rem; color: #111; }
+      h1 { font-size: 1.4rem; }
+      h2 { font-size: 1.1rem; margin-top: 1.5rem; }
+      table { border-collapse: collapse; width: 100%; font-size: 0.9rem; }
+      th, td { border: 1px solid #999; padding: 4px 8px; text-align: left; }
+      th { background: #eee; }
+      p { font-size: 0.9rem; }
+    </style>
+  </head>
+  <body>
+    <h1>${escapeHtml(title)}</h1>
+    ${notes.map(note => `<p>${escapeHtml(note)}</p>`).join('')}
+    ${body}
+  </body>
+</html>`);
+  printWindow.document.close();
+  printWindow.focus();
+  printWindow.print();
+  return true;
+};
@@ -0,0 +1,210 @@
+// Projects: the doors of a whole house designed together.
+//
+// A project holds named doors, each with its own layout config. Chosen mid
+// rails can be aligned across all of them, so the rail counted from the
+// floor sits at the same height in every door that has it. Each door keeps
+// its proportion system: its rows keep their height ratios and its mid rails
+// and stiles their widths, and the rail moves by changing the door's top and
+// bottom rails. One aligned rail is reached with the bottom rail alone; two
+// or more move both, as close to every target as the two can get. Heights
+// are in centimeters from the floor.
+
+import { calculateLayout, CUSTOM_PROPORTION, DEFAULT_CONFIG, exteriorGeometry } from './layoutEngine.js';
+import { formatLength } from './units.js';
+
+// What a new project starts from
+export const DEFAULT_PROJECT = {
+  name: 'Untitled project',
+  // [{ name, config }]
+  doors: [],
+  // Mid rails to align: [{ rail, height }] with rail 1 the lowest mid rail
+  // of each door; a null height takes the average of the doors' own rails
+  alignedRails: [],
+  // The narrowest top or bottom rail the solver may make
+  minRailWidth: 5
+};
+
+const isSet = (value) => value !== null && value !== undefined && value !== '' && Number.isFinite(Number(value));
+
+/**
+ * The mid rails of a laid-out door, lowest first, measured from the floor.
+ *
+ * @param {object} layout A calculateLayout result.
+ * @param {number} doorHeight
+ * @returns {{ rail: number, bottom: number, top: number, center: number }[]}
+ */
+export const railHeights = (layout, doorHeight) => {
+  const { rows } = exteriorGeometry(layout);
+  return rows.slice(1)
+    .map((row, i) => {
+      const bottom = doorHeight - row.top;
+      const top = doorHeight - rows[i].bottom;
+      return { bottom, top, center: (bottom + top) / 2 };
+    })
+    .reverse()
+    .map((rail, index) => ({ rail: index + 1, ...rail }));
+};
+
+// The targets: each aligned rail once, at its set height or the average of
+// the doors that have it
+const resolveTargets = (alignedRails, natural) => {
+  const seen = new Set();
+  return (alignedRails || [])
+    .filter(entry => isSet(entry.rail) && Number(entry.rail) >= 1 && !seen.has(Number(entry.rail)) && seen.add(Number(entry.rail)))
+    .map(entry => {
+      const rail = Number(entry.rail);
+      const centers = natural.map(rails => rails[rail - 1]).filter(Boolean).map(found => found.center);
+      const height = isSet(entry.height)
+        ? Number(entry.height)
+        : centers.reduce((sum, center) => sum + center, 0) / (centers.length || 1);
+      return { rail, height, doors: centers.length, auto: !isSet(entry.height) };
+    })
+    .filter(target => target.doors > 0)
+    .sort((a, b) => a.rail - b.rail);
+};
+
+// Solve one door's top rail t and bottom rail b. With the rows keeping
+// their ratios, a rail's center from the floor is linear in both:
+//   center = b·(1 − R) − R·t + R·(H − G) + (gaps below it) + gap / 2
+// where R is the share of the row heights below the rail and G the sum of
+// the mid rails.
+const solveRails = ({ frame, gaps, panelHeights }, doorHeight, targets) => {
+  const totalHeights = panelHeights.reduce((sum, height) => sum + height, 0);
+  const totalGaps = gaps.reduce((sum, gap) => sum + gap, 0);
+  const equations = targets.map(target => {
+    const gap = gaps.length - target.rail;
+    const below = panelHeights.slice(gap + 1).reduce((sum, height) => sum + height, 0) / totalHeights;
+    const gapsBelow = gaps.slice(gap + 1).reduce((sum, width) => sum + width, 0);
+    return {
+      t: -below,
+      b: 1 - below,
+      c: target.height - below * (doorHeight - totalGaps) - gapsBelow - gaps[gap] / 2
+    };
+  });
+
+  if (equations.length === 1) {
+    const [{ t, b, c }] = equations;
+    return { top: frame.top, bottom: (c - t * frame.top) / b };
+  }
+  // Least squares: the normal equations of [t b]·[top bottom] = c
+  const sum = (f) => equations.reduce((total, row) => total + f(row), 0);
+  const tt = sum(row => row.t * row.t);
+  const tb = sum(row => row.t * row.b);
+  const bb = sum(row => row.b * row.b);
+  const tc = sum(row => row.t * row.c);
+  const bc = sum(row => row.b * row.c);
+  const determinant = tt * bb - tb * tb;
+  if (Math.abs(determinant) < 1e-9) return null;
+  return {
+    top: (tc * bb - bc * tb) / determinant,
+    bottom: (tt * bc - tb * tc) / determinant
+  };
+};
+
+const solveDoor = (door, targets, minRailWidth) => {
+  const config = door.config || {};
+  const { doorHeight, displayUnit, snapMode } = { ...DEFAULT_CONFIG, ...config };
+  const fmt = (cm) => formatLength(cm, displayUnit);
+  const layout = calculateLayout(config);
+  const natural = railHeights(layout, doorHeight);
+  const applicable = targets.filter(target => target.rail <= natural.length);
+  const geometry = exteriorGeometry(layout);
+  const missing = targets.filter(target => target.rail > natural.length).map(target => target.rail);
+  const notes = missing.length > 0 ? [`Has no mid rail ${missing.join(' or ')} to align`] : [];
+  const unchanged = (warnings) => ({
+    name: door.name,
+    config,
+    layout,
+    rails: natural,
+    alignment: applicable.map(target => ({
+      rail: target.rail,
+      target: target.height,
+      height: natural[target.rail - 1].center,
+      deviation: natural[target.rail - 1].center - target.height
+    })),
+    changes: null,
+    warnings: [...notes, ...warnings]
+  });
+
+  if (applicable.length === 0) return unchanged([]);
+  if (!(geometry.panelHeights.reduce((sum, height) => sum + height, 0) > 0)) {
+    return unchanged(['Has no room for panels, so its rails were not aligned']);
+  }
+
+  const solved = solveRails(geometry, doorHeight, applicable);
+  const totalGaps = geometry.gaps.reduce((sum, gap) => sum + gap, 0);
+  if (!solved) return unchanged(['Its aligned rails cannot be placed independently, so they were not moved']);
+  if (solved.top < minRailWidth || solved.bottom < minRailWidth) {
+    return unchanged([
+      `Aligning would make its ${solved.top < solved.bottom ? 'top' : 'bottom'} rail ` +
+      `${fmt(Math.min(solved.top, solved.bottom))}, under the ${fmt(minRailWidth)} minimum`
+    ]);
+  }
+  if (doorHeight - solved.top - solved.bottom - totalGaps <= 0) {
+    return unchanged(['Aligning would leave no room for its panels']);
+  }
+
+  // Freeze every member so auto spacing and snapping keep the solved rails
+  const warnings = [...notes];
+  const snapped = snapMode !== 'none';
+  if (snapped) warnings.push('Snapping is off so the aligned rails stay where they were solved');
+  const solvedConfig = {
+    ...config,
+    autoCalculateSpacing: false,
+    snapMode: 'none',
+    topRailWidth: solved.top,
+    bottomRailWidth: solved.bottom,
+    leftStileWidth: geometry.frame.left,
+    rightStileWidth: geometry.frame.right,
+    midRailWidths: geometry.gaps,
+    mullionWidth: geometry.mullion,
+    ...(snapped ? { proportionType: CUSTOM_PROPORTION, customRatios: geometry.panelHeights } : {})
+  };
+  const solvedLayout = calculateLayout(solvedConfig);
+  const rails = railHeights(solvedLayout, doorHeight);
+  const alignment = applicable.map(target => ({
+    rail: target.rail,
+    target: target.height,
+    height: rails[target.rail - 1].center,
+    deviation: rails[target.rail - 1].center - target.height
+  }));
+  alignment
+    .filter(entry => Math.abs(entry.deviation) >= 0.05)
+    .forEach(entry => warnings.push(`Mid rail ${entry.rail} is ${fmt(Math.abs(entry.deviation))} ${entry.deviation > 0 ? 'above' : 'below'} its target`));
+  return {
+    name: door.name,
+    config: solvedConfig,
+    layout: solvedLayout,
+    rails,
+    alignment,
+    changes: {
+      topRail: { from: geometry.frame.top, to: solved.top },
+      bottomRail: { from: geometry.frame.bottom, to: solved.bottom }
+    },
+    warnings
+  };
+};
+
+/**
+ * Lay out every door of a project with its aligned rails.
+ *
+ * @param {object} project See DEFAULT_PROJECT.
+ * @returns {{ targets: { rail: number, height: number, doors: number, auto: boolean }[],
+ *   doors: object[] }} The height each aligned rail was solved for and how
+ *   many doors have it, and per door its `name`, the solved `config` and
+ *   `layout`, its mid rail heights from the floor in `rails`, each aligned
+ *   rail against its target in `alignment`, the top and bottom rail
+ *   `changes` (null when the door was left as designed) and `warnings`.
+ */
+export const solveProject = (project = {}) => {
+  const { doors, alignedRails, minRailWidth } = { ...DEFAULT_PROJECT, ...project };
+  const natural = doors.map(door => {
+    const config = door.config || {};
+    return railHeights(calculateLayout(config), { ...DEFAULT_CONFIG, ...config }.doorHeight);
+  });
+  const targets = resolveTargets(alignedRails, natural);
+  return {
+    targets,
+    doors: doors.map(door => solveDoor(door, targets, Number(minRailWidth) || 0))
+  };
+};
@@ -0,0 +1,53 @@
+import { describe, expect, it } from 'vitest';
+import { calculateLayout } from './layoutEngine.js';
+import { railHeights, solveProject } from './project.js';
+
+const doors = [
+  { name: 'Front', config: { doorWidth: 90, doorHeight: 210, panelCount: 3, proportionType: 'golden' } },
+  { name: 'Hall', config: { doorWidth: 80, doorHeight: 203, panelCount: 3, proportionType: 'equal' } }
+];
+
+describe('solveProject', () => {
+  it('puts a shared rail at the set height in both doors', () => {
+    const solved = solveProject({ doors, alignedRails: [{ rail: 1, height: 105 }] });
+
+    expect(solved.targets).toEqual([{ rail: 1, height: 105, doors: 2, auto: false }]);
+    solved.doors.forEach(door => {
+      expect(door.rails[0].center).toBeCloseTo(105, 6);
+      expect(railHeights(calculateLayout(door.config), door.config.doorHeight)[0].center).toBeCloseTo(105, 6);
+      expect(door.changes).not.toBeNull();
+      expect(door.warnings).toEqual([]);
+    });
+  });
+
+  it('moves the top and bottom rails to place two shared rails', () => {
+    const solved = solveProject({ doors, alignedRails: [{ rail: 1, height: 90 }, { rail: 2, height: 140 }] });
+
+    solved.doors.forEach(door => {
+      expect(door.rails.map(rail => rail.center)).toEqual([expect.closeTo(90, 6), expect.closeTo(140, 6)]);
+      expect(door.changes.topRail.to).not.toBeCloseTo(door.changes.topRail.from, 6);
+    });
+  });
+
+  it('keeps the rows of each door in their proportions', () => {
+    const solved = solveProject({ doors, alignedRails: [{ rail: 1, height: 105 }] });
+    const rowRatios = (layout) => layout.rows.map(row => row.height / layout.rows[0].height);
+
+    solved.doors.forEach((door, index) => {
+      const ratios = rowRatios(calculateLayout(doors[index].config));
+      rowRatios(door.layout).forEach((ratio, row) => expect(ratio).toBeCloseTo(ratios[row], 6));
+    });
+  });
+
+  it('aligns on the average of the doors when no height is set', () => {
+    const natural = doors.map(door => railHeights(calculateLayout(door.config), door.config.doorHeight)[0].center);
+    const average = (natural[0] + natural[1]) / 2;
+    const [front, hall] = solveProject({ doors, alignedRails: [{ rail: 1, height: null }] }).doors;
+
+    expect(hall.rails[0].center).toBeCloseTo(average, 6);
+    // The front door's rail would need a bottom rail under the minimum
+    expect(front.changes).toBeNull();
+    expect(front.rails[0].center).toBeCloseTo(natural[0], 6);
+    expect(front.warnings).toEqual([expect.stringMatching(/bottom rail .* under the 5.0 cm minimum/)]);
+  });
+});
@@ -0,0 +1,197 @@
+// Registry of proportion families.
+//
+// A family can provide a target ratio (used by auto spacing as the panel area
+// to negative space ratio), a sequence generator (used for panel heights and
+// column widths), or both. Every family has a display name, a description and
+// a usage note; `summary` is the one-line form shown in the proportion lists.
+// Tools can add their own families with registerProportionFamily.
+
+export const PHI = (1 + Math.sqrt(5)) / 2;
+
+// Real root of x³ = x + 1, the limit of the Padovan sequence
+export const PLASTIC = Math.cbrt((9 + Math.sqrt(69)) / 18) + Math.cbrt((9 - Math.sqrt(69)) / 18);
+
+// Third metallic mean, root of x² = 3x + 1
+export const BRONZE = (3 + Math.sqrt(13)) / 2;
+
+const families = new Map();
+
+/**
+ * Add a proportion family, or replace the one registered under `key`.
+ *
+ * @param {string} key Identifier used in configs (proportionType,
+ *   columnProportionType, spacingRatioType).
+ * @param {object} family
+ * @param {string} family.name Display name.
+ * @param {string} family.summary One-line description for proportion lists.
+ * @param {string} [family.description] Longer background text.
+ * @param {string} [family.usage] When to choose it.
+ * @param {number} [family.ratio] Target ratio for auto spacing.
+ * @param {(count: number) => number[]} [family.sequence] Relative sizes of
+ *   `count` panels, top (or left) first.
+ */
+export const registerProportionFamily = (key, family) => {
+  if (!family.name || !family.summary) {
+    throw new Error(`Proportion family "${key}" needs a name and a summary`);
+  }
+  if (family.ratio === undefined && !family.sequence) {
+    throw new Error(`Proportion family "${key}" needs a ratio, a sequence or both`);
+  }
+  if (family.ratio !== undefined && !(family.ratio > 0)) {
+    throw new Error(`Proportion family "${key}" has an invalid ratio`);
+  }
+  families.set(key, { key, description: '', usage: '', ...family });
+};
+
+export const getProportionFamily = (key) => families.get(key) || null;
+
+// Families usable as an auto-spacing target, in registration order
+export const ratioFamilies = () => [...families.values()].filter(family => family.ratio !== undefined);
+
+// Families usable as a panel height or column width sequence
+export const sequenceFamilies = () => [...families.values()].filter(family => family.sequence);
+
+// Geometric progression 1, r, r², ... (largest panel at the bottom)
+const powers = (ratio) => (count) => Array.from({ length: count }, (_, i) => Math.pow(ratio, i));
+
+// Integer sequence from a recurrence over the previous terms
+const recurrence = (seed, next) => (count) => {
+  const terms = [...seed];
+  while (terms.length < count) terms.push(next(terms));
+  return terms.slice(0, count);
+};
+
+registerProportionFamily('equal', {
+  name: 'Equal',
+  summary: 'All panels same height',
+  sequence: (count) => Array(count).fill(1)
+});
+
+registerProportionFamily('golden', {
+  name: 'Golden Ratio (φ)',
+  summary: 'Golden progression (1, φ, φ², φ³, ...)',
+  description: 'Most famous in architecture. Used in Greek temples, Renaissance art, and classical door designs. Creates the most aesthetically pleasing proportions.',
+  usage: 'Recommended for classical and high-end doors',
+  ratio: PHI,
+  sequence: powers(PHI)
+});
+
+registerProportionFamily('classic', {
+  name: 'Classic',
+  summary: 'Symmetric proportions (larger in middle)',
+  sequence: (count) => {
+    // Symmetric pattern: small edges, larger middle
+    if (count === 1) return [1];
+    if (count === 2) return [1, 2];
+    // For 3+: gradually increase to middle, then decrease
+    return Array.from({ length: count }, (_, i) => Math.min(i, count - 1 - i) + 1);
+  }
+});
+
+registerProportionFamily('reverse', {
+  name: 'Reverse',
+  summary: 'Reverse golden progression (largest at top)',
+  // φⁿ⁻¹, φⁿ⁻², ..., φ, 1
+  sequence: (count) => powers(PHI)(count).reverse()
+});
+
+registerProportionFamily('fibonacci', {
+  name: 'Fibonacci',
+  summary: 'Fibonacci sequence (1, 1, 2, 3, 5, 8, ...)',
+  sequence: recurrence([1, 1], (terms) => terms[terms.length - 1] + terms[terms.length - 2])
+});
+
+registerProportionFamily('sqrt2', {
+  name: '√2 Ratio',
+  summary: '√2 ≈ 1.414',
+  description: 'Used in ISO paper sizes (A4, etc.) and traditional Japanese architecture. Creates balanced, practical proportions.',
+  usage: 'Common in modern minimalist doors',
+  ratio: Math.sqrt(2)
+});
+
+registerProportionFamily('3:2', {
+  name: '3:2 Ratio',
+  summary: '3 : 2 = 1.5',
+  description: 'Classic photography ratio. Simple, harmonious proportions widely used in traditional craftsmanship and panel doors.',
+  usage: 'Very common in residential doors',
+  ratio: 1.5
+});
+
+registerProportionFamily('4:3', {
+  name: '4:3 Ratio',
+  summary: '4 : 3 ≈ 1.333',
+  description: 'Traditional screen format. Provides slightly squarer panels, creating a more conservative, stable appearance.',
+  usage: 'Traditional and conservative door styles',
+  ratio: 4 / 3
+});
+
+registerProportionFamily('silver', {
+  name: 'Silver Ratio (δₛ)',
+  summary: '1 + √2 ≈ 2.414',
+  description: 'Less known than golden ratio but equally elegant. Found in paper sizes and some Japanese temple proportions. Creates more dramatic proportions with larger panels.',
+  usage: 'For bold, dramatic door designs with prominent panels',
+  ratio: 1 + Math.sqrt(2)
+});
+
+registerProportionFamily('plastic', {
+  name: 'Plastic Number (ρ)',
+  summary: 'Plastic progression (1, ρ, ρ², ...), ρ ≈ 1.325',
+  description: 'The root of x³ = x + 1, used by Dom Hans van der Laan for his architectonic space. Steps are gentler than the golden ratio, so a series of panels reads as one family.',
+  usage: 'Quiet, modern doors with many similar panels',
+  ratio: PLASTIC,
+  sequence: powers(PLASTIC)
+});
+
+registerProportionFamily('bronze', {
+  name: 'Bronze Ratio (β₃)',
+  summary: 'Bronze progression (1, β, β², ...), β ≈ 3.303',
+  description: 'The third metallic mean after gold and silver, root of x² = 3x + 1. Each step more than triples the panel, giving strongly contrasting panel sizes.',
+  usage: 'Two- or three-panel doors with one dominant panel',
+  ratio: BRONZE,
+  sequence: powers(BRONZE)
+});
+
+registerProportionFamily('padovan', {
+  name: 'Padovan Sequence',
+  summary: 'Padovan sequence (1, 1, 1, 2, 2, 3, 4, 5, 7, ...)',
+  description: 'Each term is the sum of the two before the previous one. Consecutive terms approach the plastic number, which is its target ratio; the whole-number steps suit stock lengths.',
+  usage: 'Tall doors with many panels, growing slowly towards the bottom',
+  ratio: PLASTIC,
+  sequence: recurrence([1, 1, 1], (terms) => terms[terms.length - 2] + terms[terms.length - 3])
+});
+
+registerProportionFamily('octave', {
+  name: 'Octave (2:1)',
+  summary: 'Octave progression (1, 2, 4, 8, ...)',
+  description: 'The musical octave, a string halved. Renaissance architects such as Alberti and Palladio took room proportions from musical consonances.',
+  usage: 'Bold contrast between a short and a tall panel',
+  ratio: 2,
+  sequence: powers(2)
+});
+
+registerProportionFamily('fifth', {
+  name: 'Perfect Fifth (3:2)',
+  summary: 'Fifth progression (1, 3/2, 9/4, ...)',
+  description: 'The perfect fifth, the consonance next after the octave. The same value as the 3:2 ratio, stacked here as a series of fifths.',
+  usage: 'Classical doors in the Palladian tradition',
+  ratio: 3 / 2,
+  sequence: powers(3 / 2)
+});
+
+registerProportionFamily('fourth', {
+  name: 'Perfect Fourth (4:3)',
+  summary: 'Fourth progression (1, 4/3, 16/9, ...)',
+  description: 'The perfect fourth, the inversion of the fifth. A gentle musical step; the same value as the 4:3 ratio, stacked as a series of fourths.',
+  usage: 'Calm doors with gently graded panels',
+  ratio: 4 / 3,
+  sequence: powers(4 / 3)
+});
+
+registerProportionFamily('harmonic', {
+  name: 'Harmonic Series',
+  summary: 'Harmonic series (…, 1/3, 1/2, 1), largest at bottom',
+  description: 'Lengths of a vibrating string\'s overtones: 1, 1/2, 1/3, 1/4, ... The panels shrink quickly at first and then more and more slowly. As a target ratio it uses the first interval of the series, 2 : 1.',
+  usage: 'Doors with a large base panel and a stack of small ones above',
+  ratio: 2,
+  sequence: (count) => Array.from({ length: count }, (_, i) => 1 / (count - i))
+});
@@ -0,0 +1,180 @@
+// Rail-and-stile (frame-and-panel) construction.
+//
+// Turns a computed layout into physical parts: the frame widths become the
+// stiles and top/bottom rails, every gap between rows becomes a mid rail,
+// every mullion a short vertical member between two rails, and each panel a
+// blank of its infill (a raised or flat panel, a glass pane, a louver or
+// grille insert) that floats in grooves cut into the frame. Lengths are in
+// centimeters.
+
+import { getInfillType } from './infill.js';
+import { formatLength } from './units.js';
+
+export const DEFAULT_JOINERY_OPTIONS = {
+  stockThickness: 4.4,
+  panelThickness: 1.6,
+  tenonLength: 3.5,
+  grooveDepth: 1.0,
+  // Space left at the bottom of each groove around the panel
+  panelClearance: 0.15,
+  // Seasonal movement allowance across the panel grain, % of panel width
+  woodMovement: 0.6
+};
+
+// Merge parts that share a name and dimensions into one line with a quantity
+const groupParts = (parts) => {
+  const same = (a, b) => Math.abs(a - b) < 1e-6;
+  const grouped = [];
+  parts.forEach(part => {
+    const match = grouped.find(existing => (
+      existing.name === part.name &&
+      same(existing.length, part.length) &&
+      same(existing.width, part.width) &&
+      same(existing.thickness, part.thickness)
+    ));
+    if (match) {
+      match.quantity += part.quantity;
+      match.positions = [...new Set([...match.positions, ...part.positions])];
+    } else {
+      grouped.push(part);
+    }
+  });
+  return grouped;
+};
+
+/**
+ * Build the frame-and-panel parts list for a layout.
+ *
+ * Rails are cut to the shoulder length between the stiles plus a tenon at
+ * each end. Panel blanks gain the groove depth on every side, less the
+ * clearance at the bottom of the groove; wooden panels also lose the
+ * wood-movement allowance across the grain (the grain runs along the panel
+ * height).
+ *
+ * @param {object} layout Result of calculateLayout.
+ * @param {object} config The config the layout was calculated from.
+ * @param {object} [options] See DEFAULT_JOINERY_OPTIONS.
+ * @returns {{ parts: object[], warnings: string[], shoulderLength: number, railLength: number }}
+ */
+export const buildRailAndStileParts = (layout, config, options = DEFAULT_JOINERY_OPTIONS) => {
+  const opts = { ...DEFAULT_JOINERY_OPTIONS, ...options };
+  const { doorWidth, doorHeight, displayUnit = 'cm' } = config;
+  const { rows } = layout;
+  const warnings = [];
+
+  const { left: leftStile, right: rightStile } = layout.frame;
+  const shoulderLength = doorWidth - leftStile - rightStile;
+  const railLength = shoulderLength + 2 * opts.tenonLength;
+
+  const rails = [
+    { name: 'Top rail', width: rows[0].top, positions: ['Top'], grooves: 1 },
+    ...rows.slice(1).map((row, i) => ({
+      name: 'Mid rail',
+      width: row.top - rows[i].bottom,
+      positions: [`Rows ${i + 1}/${i + 2}`],
+      grooves: 2
+    })),
+    {
+      name: 'Bottom rail',
+      width: doorHeight - rows[rows.length - 1].bottom,
+      positions: ['Bottom'],
+      grooves: 1
+    }
+  ];
+
+  const stiles = [
+    { width: leftStile, position: 'Left' },
+    { width: rightStile, position: 'Right' }
+  ];
+
+  const parts = [
+    ...stiles.map(stile => ({
+      name: 'Stile',
+      role: 'stile',
+      quantity: 1,
+      length: doorHeight,
+      width: stile.width,
+      thickness: opts.stockThickness,
+      positions: [stile.position],
+      tenonLength: 0
+    })),
+    ...rails.map(rail => ({
+      name: rail.name,
+      role: 'rail',
+      quantity: 1,
+      length: railLength,
+      width: rail.width,
+      thickness: opts.stockThickness,
+      positions: rail.positions,
+      tenonLength: opts.tenonLength
+    })),
+    // Mullions are tenoned into the rails above and below their row
+    ...rows.flatMap((row, index) => Array.from({ length: row.columns - 1 }, () => ({
+      name: 'Mullion',
+      role: 'mullion',
+      quantity: 1,
+      length: row.height + 2 * opts.tenonLength,
+      width: layout.mullion,
+      thickness: opts.stockThickness,
+      positions: [`Row ${index + 1}`],
+      tenonLength: opts.tenonLength
+    }))),
+    ...layout.panelPositions.map((position, index) => {
+      const infill = getInfillType(position.infill || 'raised');
+      const movement = infill.wood ? position.width * opts.woodMovement / 100 : 0;
+      const seat = opts.grooveDepth - opts.panelClearance;
+      return {
+        name: infill.part,
+        role: 'panel',
+        quantity: 1,
+        length: position.height + 2 * seat,
+        width: position.width + 2 * seat - movement,
+        thickness: opts.panelThickness,
+        positions: [`Panel ${index + 1}`],
+        tenonLength: 0,
+        movement
+      };
+    })
+  ];
+
+  const fmt = (cm) => formatLength(cm, displayUnit);
+  if (shoulderLength <= 0) {
+    warnings.push('The stiles take up the full door width; there is no room for rails');
+  }
+  const narrowStile = Math.min(leftStile, rightStile);
+  if (opts.tenonLength >= narrowStile) {
+    warnings.push(`Tenons (${fmt(opts.tenonLength)}) would run through the ${fmt(narrowStile)} stile`);
+  }
+  if (opts.grooveDepth >= narrowStile / 2) {
+    warnings.push(`Groove depth ${fmt(opts.grooveDepth)} is more than half the stile width`);
+  }
+  if (opts.panelClearance >= opts.grooveDepth) {
+    warnings.push('Panel clearance is as deep as the groove; the panels would not be captured');
+  }
+  if (rows.some(row => row.columns > 1) && layout.mullion < 2 * opts.grooveDepth + 1) {
+    warnings.push(`Mullions at ${fmt(layout.mullion)} are too narrow for a groove on each edge`);
+  }
+  rails.forEach(rail => {
+    // Leave at least one groove depth of solid tenon beside each groove
+    if (rail.width < (rail.grooves + 1) * opts.grooveDepth) {
+      warnings.push(`${rail.name} (${rail.positions[0].toLowerCase()}) at ${fmt(rail.width)} is too narrow for its groove${rail.grooves > 1 ? 's' : ''} and a sound tenon`);
+    }
+  });
+
+  return { parts: groupParts(parts), warnings, shoulderLength, railLength };
+};
+
+// Rows for a CSV export, lengths already formatted by the caller
+export const railAndStileRows = (result, formatLength) => [
+  ['Part', 'Qty', 'Length', 'Width', 'Thickness', 'Tenon (each end)', 'Movement allowance', 'Position'],
+  ...result.parts.map(part => [
+    part.name,
+    part.quantity,
+    formatLength(part.length),
+    formatLength(part.width),
+    formatLength(part.thickness),
+    part.tenonLength ? formatLength(part.tenonLength) : '',
+    part.movement ? formatLength(part.movement) : '',
+    part.positions.join(', ')
+  ])
+];
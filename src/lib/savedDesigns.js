@@ -0,0 +1,98 @@
+// Named door designs and the work in progress, kept in the browser's
+// localStorage as design files (see designFile.js) so they survive reloads
+// and still open after the calculator gains new settings.
+
+import { readDesignFile, readShareHash, writeDesign, writeProject } from './designFile.js';
+
+const STORAGE_KEY = 'doorPanelCalculator.designs';
+const CURRENT_KEY = 'doorPanelCalculator.current';
+
+const storage = () => (typeof window !== 'undefined' && window.localStorage ? window.localStorage : null);
+
+const readJson = (key) => {
+  const raw = storage()?.getItem(key);
+  return raw ? JSON.parse(raw) : null;
+};
+
+const writeJson = (key, value) => {
+  try {
+    storage()?.setItem(key, JSON.stringify(value));
+  } catch {
+    // Private browsing or a full quota: the designs still last for this session
+  }
+};
+
+// Saved designs as [{ name, savedAt, config, shop, error, stored }], migrated to
+// the current schema. An entry that no longer reads keeps its `error` and
+// the `stored` entry as it was, with a null config, so it is written back
+// untouched and not lost.
+export const loadSavedDesigns = () => {
+  try {
+    const list = readJson(STORAGE_KEY);
+    if (!Array.isArray(list)) return [];
+    return list.map(entry => {
+      const name = entry && typeof entry.name === 'string' ? entry.name : null;
+      const savedAt = (entry && entry.savedAt) || null;
+      try {
+        if (name === null) throw new Error('It has no name');
+        const { config, shop } = readDesignFile(entry.design);
+        return { name, savedAt, config, shop, error: null, stored: null };
+      } catch (error) {
+        return { name, savedAt, config: null, shop: null, error: error.message, stored: entry };
+      }
+    });
+  } catch {
+    return [];
+  }
+};
+
+const writeDesigns = (designs) => {
+  writeJson(STORAGE_KEY, designs.map(({ name, savedAt, config, shop, stored }) => stored || { name, savedAt, design: writeDesign(config, name, shop) }));
+  return designs;
+};
+
+// Add a design with its shop settings, replacing any saved under the same name
+export const saveDesign = (designs, name, config, shop) => writeDesigns([
+  ...designs.filter(entry => entry.name !== name),
+  { name, savedAt: new Date().toISOString(), config, shop, error: null, stored: null }
+]);
+
+export const deleteDesign = (designs, name) => writeDesigns(designs.filter(entry => entry.name !== name));
+
+// The design being edited with its shop settings and the project, restored
+// on the next visit; null when nothing was kept or it no longer reads
+export const loadCurrentWork = () => {
+  try {
+    const current = readJson(CURRENT_KEY);
+    if (!current) return null;
+    const design = current.design ? readDesignFile(current.design) : null;
+    return {
+      config: design && design.config,
+      shop: design && design.shop,
+      project: current.project ? readDesignFile(current.project).project : null
+    };
+  } catch {
+    return null;
+  }
+};
+
+export const storeCurrentWork = (config, project, shop) => writeJson(CURRENT_KEY, {
+  design: writeDesign(config, null, shop),
+  project: writeProject(project)
+});
+
+// What the calculator opens with: the design in a share link's `hash`, or
+// else the work in progress. `shared` describes an opened link and `error`
+// a link that could not be read.
+export const loadStartupWork = (hash) => {
+  const current = loadCurrentWork() || { config: null, shop: null, project: null };
+  try {
+    const shared = readShareHash(hash);
+    if (shared) {
+      return { ...current, config: shared.config, shop: shared.shop, shared: { name: shared.name, warnings: shared.warnings }, error: null };
+    }
+    return { ...current, shared: null, error: null };
+  } catch (error) {
+    return { ...current, shared: null, error: error.message };
+  }
+};
@@ -0,0 +1,36 @@
+import { beforeEach, describe, expect, it } from 'vitest';
+import { DESIGN_FORMAT } from './designFile.js';
+import { deleteDesign, loadSavedDesigns, saveDesign } from './savedDesigns.js';
+
+const STORAGE_KEY = 'doorPanelCalculator.designs';
+
+let store;
+beforeEach(() => {
+  store = {};
+  globalThis.window = { localStorage: { getItem: (key) => store[key] ?? null, setItem: (key, value) => { store[key] = value; } } };
+});
+
+const future = { name: 'Future', savedAt: '2030-01-01', design: { format: DESIGN_FORMAT, version: 99, config: { doorWidth: 90 } } };
+
+describe('saved designs', () => {
+  it('keep an entry that no longer reads, with its error', () => {
+    store[STORAGE_KEY] = JSON.stringify([
+      { name: 'Good', savedAt: '2024-01-01', design: { format: DESIGN_FORMAT, version: 1, config: { doorWidth: 90 } } },
+      future
+    ]);
+    const [good, unreadable] = loadSavedDesigns();
+
+    expect(good).toMatchObject({ name: 'Good', config: { doorWidth: 90 }, error: null });
+    expect(unreadable).toMatchObject({ name: 'Future', config: null, stored: future });
+    expect(unreadable.error).toMatch(/newer version/);
+  });
+
+  it('write an unreadable entry back untouched on save and delete', () => {
+    store[STORAGE_KEY] = JSON.stringify([future]);
+    let designs = saveDesign(loadSavedDesigns(), 'New', { doorWidth: 80 });
+    designs = deleteDesign(designs, 'New');
+
+    expect(designs.map(entry => entry.name)).toEqual(['Future']);
+    expect(JSON.parse(store[STORAGE_KEY])).toEqual([future]);
+  });
+});
@@ -0,0 +1,40 @@
+// Named custom proportion sequences, kept in the browser's localStorage so
+// they survive reloads and show up next to the built-in proportion types.
+
+import { parseRatioSequence } from './layoutEngine.js';
+
+const STORAGE_KEY = 'doorPanelCalculator.proportionSequences';
+
+const storage = () => (typeof window !== 'undefined' && window.localStorage ? window.localStorage : null);
+
+// Saved sequences as [{ name, ratios }]; entries that no longer parse are dropped
+export const loadSavedSequences = () => {
+  try {
+    const raw = storage()?.getItem(STORAGE_KEY);
+    const list = raw ? JSON.parse(raw) : [];
+    if (!Array.isArray(list)) return [];
+    return list.filter(entry => (
+      entry && typeof entry.name === 'string' && Array.isArray(entry.ratios) &&
+      parseRatioSequence(entry.ratios.join(':')).error === null
+    ));
+  } catch {
+    return [];
+  }
+};
+
+const writeSequences = (sequences) => {
+  try {
+    storage()?.setItem(STORAGE_KEY, JSON.stringify(sequences));
+  } catch {
+    // Private browsing or a full quota: the sequences still last for this session
+  }
+  return sequences;
+};
+
+// Add a sequence, replacing any saved under the same name
+export const saveSequence = (sequences, name, ratios) => writeSequences([
+  ...sequences.filter(entry => entry.name !== name),
+  { name, ratios }
+]);
+
+export const deleteSequence = (sequences, name) => writeSequences(sequences.filter(entry => entry.name !== name));
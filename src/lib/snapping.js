@@ -0,0 +1,132 @@
+// Snapping computed lengths to preferred sizes.
+//
+// After the proportions are worked out, each frame member and gap can be
+// pulled onto a series of preferred sizes: Le Corbusier's Modulor, a fixed
+// grid, or a list of stock molding or sheet sizes. Panel heights (and column
+// widths within a row) snap too, then share out whatever is left over so the
+// door still closes exactly. Lengths are in centimeters.
+
+import { CM_PER_INCH } from './units.js';
+import { PHI } from './proportionRegistry.js';
+
+// The Modulor's red series grows by φ from 113 cm (navel height); the blue
+// series is double the red, from 226 cm (raised hand).
+export const MODULOR_RED = 113;
+export const MODULOR_BLUE = 226;
+
+export const SNAP_MODES = {
+  none: { name: 'Off' },
+  'modulor-red': { name: 'Modulor red series', description: '… 10.2, 16.5, 26.7, 43.2, 69.8, 113, 183 cm …' },
+  'modulor-blue': { name: 'Modulor blue series', description: '… 12.6, 20.4, 33, 53.4, 86.3, 140, 226 cm …' },
+  modulor: { name: 'Modulor red + blue', description: 'Both Modulor series together, for finer steps' },
+  grid: { name: 'Fixed grid', description: 'Multiples of one step' },
+  stock: { name: 'Stock sizes', description: 'Your molding or sheet sizes' }
+};
+
+// Grid steps offered in the app, in centimeters
+export const SNAP_GRIDS = [
+  { value: 0.5, label: '5 mm' },
+  { value: 1, label: '1 cm' },
+  { value: CM_PER_INCH / 8, label: '1/8"' },
+  { value: CM_PER_INCH / 4, label: '1/4"' }
+];
+
+// Series values between 1 mm and 10 m
+const goldenSeries = (base) => {
+  const values = [];
+  for (let n = -20; n <= 10; n++) {
+    const value = base * Math.pow(PHI, n);
+    if (value >= 0.1 && value <= 1000) values.push(value);
+  }
+  return values;
+};
+
+export const modulorSeries = (series) => {
+  if (series === 'red') return goldenSeries(MODULOR_RED);
+  if (series === 'blue') return goldenSeries(MODULOR_BLUE);
+  return [...goldenSeries(MODULOR_RED), ...goldenSeries(MODULOR_BLUE)].sort((a, b) => a - b);
+};
+
+const nearest = (values, target) => values.reduce((best, value) => (
+  Math.abs(value - target) < Math.abs(best - target) ? value : best
+));
+
+/**
+ * Build the snapping function for a config, or null when snapping is off.
+ *
+ * A zero length stays zero (a door without gaps keeps none); anything else
+ * snaps to the nearest positive size. `step` is set for grids so whatever is
+ * left over can be handed out in whole steps.
+ *
+ * @param {{ snapMode: string, snapGrid?: number, snapStock?: number[] }} options
+ * @returns {{ mode: string, step: number|null, snap: (cm: number) => number }|null}
+ */
+export const createSnapper = ({ snapMode, snapGrid, snapStock } = {}) => {
+  if (!snapMode || snapMode === 'none') return null;
+
+  if (snapMode === 'grid') {
+    if (!(snapGrid > 0)) return null;
+    return {
+      mode: snapMode,
+      step: snapGrid,
+      snap: (cm) => (cm > 0 ? Math.max(1, Math.round(cm / snapGrid)) * snapGrid : 0)
+    };
+  }
+
+  const values = snapMode === 'stock'
+    ? (snapStock || []).filter(value => value > 0)
+    : modulorSeries(snapMode === 'modulor-red' ? 'red' : snapMode === 'modulor-blue' ? 'blue' : 'both');
+  if (values.length === 0) return null;
+  return { mode: snapMode, step: null, snap: (cm) => (cm > 0 ? nearest(values, cm) : 0) };
+};
+
+const sum = (values) => values.reduce((total, value) => total + value, 0);
+
+/**
+ * Snap a run of lengths that must add up to `total` (the panels in a column,
+ * or the columns in a row). Each length snaps on its own; the difference to
+ * `total` is then made up. On a grid it goes in whole steps to the lengths
+ * furthest from their ideal, so they stay on the grid; otherwise all of it
+ * goes to the largest length, so every other one stays on the series.
+ */
+export const snapSegments = (ideals, total, snapper) => {
+  if (total <= 0) return ideals.map(() => 0);
+  const values = ideals.map(snapper.snap);
+
+  if (snapper.step) {
+    const steps = Math.round((total - sum(values)) / snapper.step);
+    const sign = Math.sign(steps);
+    for (let k = 0; k < Math.abs(steps); k++) {
+      let pick = -1;
+      values.forEach((value, i) => {
+        if (value + sign * snapper.step <= 0) return;
+        if (pick < 0 || sign * (ideals[i] - value) > sign * (ideals[pick] - values[pick])) pick = i;
+      });
+      if (pick < 0) break;
+      values[pick] += sign * snapper.step;
+    }
+  }
+
+  // Only the largest length takes the remainder (on a grid, only a total
+  // that is itself off the grid leaves one)
+  const largest = values.indexOf(Math.max(...values));
+  values[largest] += total - sum(values);
+  return values;
+};
+
+// Deviation of every snapped length from its ideal (proportional) value
+export const snapReport = (snapper, entries) => {
+  const values = entries.map(({ label, ideal, value }) => ({
+    label,
+    ideal,
+    value,
+    deviation: value - ideal,
+    percent: ideal > 0 ? (value - ideal) / ideal * 100 : 0,
+    onSeries: Math.abs(snapper.snap(value) - value) < 1e-6
+  }));
+  return {
+    mode: snapper.mode,
+    values,
+    maxDeviation: values.reduce((max, entry) => Math.max(max, Math.abs(entry.deviation)), 0)
+  };
+};
@@ -0,0 +1,36 @@
+import { describe, expect, it } from 'vitest';
+import { calculateLayout } from './layoutEngine.js';
+import { createSnapper, modulorSeries, snapSegments } from './snapping.js';
+
+const RED = modulorSeries('red');
+const onSeries = (value) => RED.some(entry => Math.abs(entry - value) < 1e-9);
+const sum = (values) => values.reduce((total, value) => total + value, 0);
+
+describe('snapSegments', () => {
+  it('keeps every length but the largest on the series', () => {
+    const snapper = createSnapper({ snapMode: 'modulor-red' });
+    const values = snapSegments([15.8, 25.6, 41.5, 67.1], 150, snapper);
+
+    expect(values.slice(0, 3).every(onSeries)).toBe(true);
+    expect(sum(values)).toBeCloseTo(150, 9);
+  });
+
+  it('hands out a grid remainder in whole steps', () => {
+    const snapper = createSnapper({ snapMode: 'grid', snapGrid: 1 });
+    const values = snapSegments([15.8, 25.6, 41.5, 67.1], 150, snapper);
+
+    values.forEach(value => expect(value).toBeCloseTo(Math.round(value), 9));
+    expect(sum(values)).toBeCloseTo(150, 9);
+  });
+});
+
+describe('calculateLayout with Modulor snapping', () => {
+  it('puts golden panels on series values and the door still closes', () => {
+    const layout = calculateLayout({ doorWidth: 90, doorHeight: 210, panelCount: 4, proportionType: 'golden', snapMode: 'modulor-red' });
+    const panels = layout.snapping.values.filter(entry => entry.label.startsWith('Panel'));
+
+    expect(panels.map(entry => entry.onSeries)).toEqual([true, true, true, false]);
+    expect(layout.panelHeights.slice(0, 3).every(onSeries)).toBe(true);
+    expect(layout.frame.top + layout.frame.bottom + sum(layout.gaps) + sum(layout.panelHeights)).toBeCloseTo(210, 9);
+  });
+});
@@ -0,0 +1,131 @@
+// Parameter sweeps: calculateLayout over a grid of two parameters.
+//
+// The grid is described by two axes, each a list of points with the config
+// changes that point stands for. runSweep evaluates the grid in small chunks
+// so it can report progress and be cancelled between chunks; the web app runs
+// it in a Web Worker (sweep.worker.js). Lengths are in centimeters.
+
+import { calculateLayout } from './layoutEngine.js';
+import { getProportionFamily, ratioFamilies, sequenceFamilies } from './proportionRegistry.js';
+import { formatLength } from './units.js';
+
+// Parameters that can be swept. Numeric axes take a from/to range and a
+// number of steps; the others list every choice.
+export const SWEEP_AXES = {
+  panelGap: { label: 'Panel gap', type: 'length', from: 2, to: 20, steps: 19 },
+  edgeDistance: { label: 'Edge distance', type: 'length', from: 5, to: 25, steps: 11 },
+  doorWidth: { label: 'Door width', type: 'length', from: 70, to: 110, steps: 9 },
+  doorHeight: { label: 'Door height', type: 'length', from: 190, to: 240, steps: 11 },
+  peepholeTop: { label: 'Peephole from top', type: 'length', from: 20, to: 60, steps: 9 },
+  panelCount: { label: 'Panel count', type: 'integer', from: 1, to: 6 },
+  proportionType: { label: 'Proportion type', type: 'choice' },
+  spacingRatioType: { label: 'Spacing ratio (auto spacing)', type: 'choice' },
+  layout: { label: 'Proportion type × panel count', type: 'choice', from: 1, to: 5 }
+};
+
+// What a heatmap cell can show. `better` says which end is colored green.
+export const SWEEP_METRICS = {
+  ratioError: { label: 'Ratio error', better: 'low', format: (value) => `${value.toFixed(1)}%` },
+  minPanelHeight: { label: 'Shortest panel', better: 'high', length: true },
+  maxPanelHeight: { label: 'Tallest panel', better: 'low', length: true },
+  actualRatio: { label: 'Panel : negative space', better: 'none', format: (value) => value.toFixed(3) }
+};
+
+const range = (from, to, steps) => (
+  steps <= 1 ? [from] : Array.from({ length: steps }, (_, i) => from + (to - from) * i / (steps - 1))
+);
+
+/**
+ * The points along one axis as [{ label, changes }].
+ *
+ * @param {string} key One of SWEEP_AXES.
+ * @param {{ from?: number, to?: number, steps?: number }} [settings]
+ *   Overrides for the axis defaults.
+ * @param {string} [unit] Display unit for the labels.
+ */
+export const axisPoints = (key, settings = {}, unit = 'cm') => {
+  const axis = { ...SWEEP_AXES[key], ...settings };
+  if (axis.type === 'length') {
+    return range(axis.from, axis.to, Math.max(1, Math.round(axis.steps))).map(value => ({
+      label: formatLength(value, unit),
+      changes: { [key]: value }
+    }));
+  }
+  const counts = range(Math.round(axis.from), Math.round(axis.to), Math.round(axis.to) - Math.round(axis.from) + 1);
+  if (key === 'panelCount') {
+    return counts.map(count => ({ label: String(count), changes: { panelCount: count } }));
+  }
+  if (key === 'proportionType') {
+    return sequenceFamilies().map(family => ({ label: family.name, changes: { proportionType: family.key } }));
+  }
+  if (key === 'spacingRatioType') {
+    return ratioFamilies().map(family => ({
+      label: family.name,
+      changes: { autoCalculateSpacing: true, spacingRatioType: family.key }
+    }));
+  }
+  return sequenceFamilies().flatMap(family => counts.map(count => ({
+    label: `${getProportionFamily(family.key).name} × ${count}`,
+    changes: { proportionType: family.key, panelCount: count }
+  })));
+};
+
+// The figures kept for each grid cell
+const measure = (layout, config) => ({
+  fits: layout.fits && layout.rows.every(row => row.width > 0),
+  ratioError: layout.ratioError,
+  actualRatio: layout.actualRatio,
+  minPanelHeight: Math.min(...layout.panelHeights),
+  maxPanelHeight: Math.max(...layout.panelHeights),
+  panelHeights: layout.panelHeights,
+  peepholeOk: !config.showPeephole || layout.peepholes.every(peephole => (
+    !peephole.error &&
+    peephole.conflicts.every(conflict => !conflict || conflict.type === 'inside-safe') &&
+    (!peephole.gapStatus || peephole.gapStatus.type === 'gap-safe')
+  ))
+});
+
+/**
+ * Evaluate every x × y point of a sweep, a chunk at a time.
+ *
+ * @param {{ config: object, x: object[], y: object[] }} job Base config and
+ *   the axis points from axisPoints.
+ * @param {object} handlers
+ * @param {(done: number, total: number) => void} [handlers.onProgress]
+ * @param {(cells: object[][]) => void} handlers.onDone Cells indexed [y][x].
+ * @param {number} [chunkSize] Cells per chunk.
+ * @returns {{ cancel: () => void }}
+ */
+export const runSweep = (job, { onProgress = () => {}, onDone }, chunkSize = 50) => {
+  const { config, x, y } = job;
+  const total = x.length * y.length;
+  const cells = y.map(() => []);
+  let done = 0;
+  let cancelled = false;
+  let timer = null;
+
+  const step = () => {
+    if (cancelled) return;
+    const end = Math.min(total, done + chunkSize);
+    for (; done < end; done++) {
+      const row = Math.floor(done / x.length);
+      const column = done % x.length;
+      const cellConfig = { ...config, ...x[column].changes, ...y[row].changes };
+      cells[row][column] = measure(calculateLayout(cellConfig), cellConfig);
+    }
+    onProgress(done, total);
+    if (done < total) {
+      timer = setTimeout(step, 0);
+    } else {
+      onDone(cells);
+    }
+  };
+
+  timer = setTimeout(step, 0);
+  return {
+    cancel: () => {
+      cancelled = true;
+      clearTimeout(timer);
+    }
+  };
+};
@@ -0,0 +1,25 @@
+// Web Worker that runs parameter sweeps off the main thread. Each message
+// starts a new sweep and cancels the one before it; { type: 'cancel' } only
+// cancels. Replies carry the job id so stale results can be ignored.
+//
+// Proportion families registered at runtime on the main thread are not
+// visible here; only the built-in registry is.
+
+import { runSweep } from './sweep.js';
+
+let current = null;
+
+self.onmessage = ({ data }) => {
+  if (current) current.cancel();
+  current = null;
+  if (data.type === 'cancel') return;
+
+  const { id, job } = data;
+  current = runSweep(job, {
+    onProgress: (done, total) => self.postMessage({ id, type: 'progress', done, total }),
+    onDone: (cells) => {
+      current = null;
+      self.postMessage({ id, type: 'done', cells });
+    }
+  });
+};
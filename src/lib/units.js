@@ -0,0 +1,261 @@
+// Unit systems and rounding for display and input.
+//
+// The layout engine always works in centimeters; conversion happens only at
+// the edges (form inputs, displayed values, exports).
+
+export const CM_PER_INCH = 2.54;
+
+// `steps` are the rounding policies offered for each unit, expressed in that
+// unit. The first one is the default.
+export const UNITS = {
+  cm: {
+    key: 'cm',
+    name: 'Centimeters',
+    label: 'cm',
+    perCm: 1,
+    steps: [
+      { value: 0.1, label: '0.1 cm' },
+      { value: 0.5, label: '0.5 cm' },
+      { value: 1, label: '1 cm' }
+    ]
+  },
+  mm: {
+    key: 'mm',
+    name: 'Millimeters',
+    label: 'mm',
+    perCm: 10,
+    steps: [
+      { value: 1, label: '1 mm' },
+      { value: 0.5, label: '0.5 mm' },
+      { value: 5, label: '5 mm' }
+    ]
+  },
+  in: {
+    key: 'in',
+    name: 'Inches',
+    label: 'in',
+    perCm: 1 / CM_PER_INCH,
+    steps: [
+      { value: 1 / 16, label: '1/16"' },
+      { value: 1 / 32, label: '1/32"' },
+      { value: 1 / 8, label: '1/8"' }
+    ]
+  }
+};
+
+export const getUnit = (unit) => UNITS[unit] || UNITS.cm;
+
+export const defaultStep = (unit) => getUnit(unit).steps[0].value;
+
+export const toUnit = (cm, unit) => cm * getUnit(unit).perCm;
+
+export const fromUnit = (value, unit) => value / getUnit(unit).perCm;
+
+const gcd = (a, b) => (b === 0 ? a : gcd(b, a % b));
+
+// Inch steps like 1/16 are shown as fractions, everything else as decimals
+const fractionDenominator = (step, unit) => {
+  if (unit !== 'in') return null;
+  const denominator = Math.round(1 / step);
+  return step < 1 && Math.abs(denominator * step - 1) < 1e-9 && (denominator & (denominator - 1)) === 0
+    ? denominator
+    : null;
+};
+
+const decimalsFor = (step) => {
+  let decimals = 0;
+  while (decimals < 6 && Math.abs(Math.round(step * 10 ** decimals) - step * 10 ** decimals) > 1e-9) {
+    decimals++;
+  }
+  return decimals;
+};
+
+export const roundToStep = (value, step) => Math.round(value / step) * step;
+
+const formatFraction = (value, denominator) => {
+  const sign = value < 0 ? '-' : '';
+  const total = Math.round(Math.abs(value) * denominator);
+  const whole = Math.floor(total / denominator);
+  const numerator = total % denominator;
+
+  if (numerator === 0) return `${sign}${whole}`;
+  const divisor = gcd(numerator, denominator);
+  const fraction = `${numerator / divisor}/${denominator / divisor}`;
+  return whole === 0 ? `${sign}${fraction}` : `${sign}${whole} ${fraction}`;
+};
+
+/**
+ * Format a length given in centimeters for display in `unit`.
+ *
+ * @param {number} cm
+ * @param {string} unit 'cm', 'mm' or 'in'
+ * @param {{ step?: number, suffix?: boolean }} [options] `step` is the
+ *   rounding step in the display unit (defaults to the unit's first policy).
+ */
+export const formatLength = (cm, unit = 'cm', { step = defaultStep(unit), suffix = true } = {}) => {
+  const value = toUnit(cm, unit);
+  const denominator = fractionDenominator(step, unit);
+  const text = denominator
+    ? formatFraction(roundToStep(value, step), denominator)
+    : roundToStep(value, step).toFixed(decimalsFor(step));
+
+  if (!suffix) return text;
+  return unit === 'in' ? `${text}"` : `${text} ${getUnit(unit).label}`;
+};
+
+export const formatArea = (cm2, unit = 'cm') => {
+  const perCm = getUnit(unit).perCm;
+  const value = cm2 * perCm * perCm;
+  return `${value.toFixed(unit === 'mm' ? 0 : 1)} ${getUnit(unit).label}²`;
+};
+
+// Long stock lengths (molding runs): meters for metric units, feet for inches
+export const formatRunLength = (cm, unit = 'cm') => (
+  unit === 'in'
+    ? `${(toUnit(cm, 'in') / 12).toFixed(1)} ft`
+    : `${(cm / 100).toFixed(2)} m`
+);
+
+const parseNumberOrFraction = (text) => {
+  // "35", "35.5", "3/4", "35 3/4", "35-3/4"
+  const match = text.match(/^(\d+(?:\.\d+)?)?(?:(?:\s+|-|^)(\d+)\/(\d+))?$/);
+  if (!match || (match[1] === undefined && match[2] === undefined)) return NaN;
+  const whole = match[1] !== undefined ? Number(match[1]) : 0;
+  const fraction = match[2] !== undefined ? Number(match[2]) / Number(match[3]) : 0;
+  return whole + fraction;
+};
+
+/**
+ * Parse a length typed in `unit` and return it in centimeters (NaN if the
+ * text is not a length). Inches accept fractions and feet, e.g. `35 3/4`,
+ * `35-3/4"` or `6' 8"`.
+ */
+export const parseLength = (text, unit = 'cm') => {
+  let input = String(text).trim().toLowerCase().replace(/,/g, '.');
+  const negative = input.startsWith('-');
+  if (negative) input = input.slice(1).trim();
+
+  let value;
+  if (unit === 'in') {
+    const feet = input.match(/^(\d+(?:\.\d+)?)\s*(?:'|ft)\s*(.*)$/);
+    const inchesText = (feet ? feet[2] : input).replace(/\s*(?:"|in)$/, '').trim();
+    const inches = inchesText === '' && feet ? 0 : parseNumberOrFraction(inchesText);
+    value = (feet ? Number(feet[1]) * 12 : 0) + inches;
+  } else {
+    const suffix = new RegExp(`\\s*${getUnit(unit).label}$`);
+    value = parseNumberOrFraction(input.replace(suffix, '').trim());
+  }
+
+  if (!Number.isFinite(value)) return NaN;
+  return fromUnit(negative ? -value : value, unit);
+};
+
+// Parse a rounding step such as "1/16", "0.5" or "1"
+export const parseStep = (text) => {
+  const match = String(text).trim().match(/^(\d+(?:\.\d+)?)(?:\/(\d+))?$/);
+  if (!match) return NaN;
+  const value = match[2] ? Number(match[1]) / Number(match[2]) : Number(match[1]);
+  return value > 0 ? value : NaN;
+};
+
+// Round exact values to whole steps so that they still add up to `totalTicks`
+// (largest remainder method). Values are already expressed in steps.
+const apportion = (exactTicks, totalTicks) => {
+  const floors = exactTicks.map(Math.floor);
+  let remaining = totalTicks - floors.reduce((sum, t) => sum + t, 0);
+  const byRemainder = exactTicks
+    .map((t, index) => ({ index, remainder: t - Math.floor(t) }))
+    .sort((a, b) => b.remainder - a.remainder);
+
+  const result = [...floors];
+  for (let i = 0; remaining !== 0 && byRemainder.length > 0; i = (i + 1) % byRemainder.length) {
+    const { index } = byRemainder[i];
+    if (remaining > 0) {
+      result[index]++;
+      remaining--;
+    } else if (result[index] > 0) {
+      result[index]--;
+      remaining++;
+    } else if (result.every(t => t <= 0)) {
+      break;
+    }
+  }
+  return result;
+};
+
+/**
+ * Convert a calculateLayout result to `unit`, rounded to `step`.
+ *
+ * Door dimensions, frame members, gaps and mullions are rounded to the
+ * nearest step; row heights and panel widths absorb the rounding difference
+ * so that the rounded parts still add up exactly to the rounded door height
+ * and, across every row, to the door width. All returned lengths are in the
+ * display unit.
+ */
+export const roundLayout = (layout, { doorWidth, doorHeight }, unit = 'cm', step = defaultStep(unit)) => {
+  const ticks = (cm) => toUnit(cm, unit) / step;
+  const fromTicks = (t) => t * step;
+
+  const { rows } = layout;
+  const doorTicks = Math.round(ticks(doorHeight));
+  const doorWidthTicks = Math.round(ticks(doorWidth));
+
+  // Vertical stack: top rail, row, gap, row, ..., bottom rail
+  const topEdge = Math.round(ticks(rows[0].top));
+  const bottomEdge = Math.round(ticks(doorHeight - rows[rows.length - 1].bottom));
+  const gaps = rows.slice(1).map((row, i) => Math.round(ticks(row.top - rows[i].bottom)));
+  const fixedTicks = topEdge + bottomEdge + gaps.reduce((sum, g) => sum + g, 0);
+  const heights = apportion(rows.map(row => ticks(row.height)), doorTicks - fixedTicks);
+
+  // Horizontal, per row: left stile, panel, mullion, panel, ..., right stile
+  const leftEdge = Math.round(ticks(layout.frame.left));
+  const rightEdge = Math.round(ticks(layout.frame.right));
+  const mullion = Math.round(ticks(layout.mullion));
+
+  const panelPositions = [];
+  let y = topEdge;
+  heights.forEach((height, rowIndex) => {
+    const cells = layout.panelPositions.filter(panel => panel.row === rowIndex);
+    const widths = apportion(
+      cells.map(panel => ticks(panel.width)),
+      doorWidthTicks - leftEdge - rightEdge - (cells.length - 1) * mullion
+    );
+    let x = leftEdge;
+    cells.forEach((panel, i) => {
+      panelPositions.push({
+        row: panel.row,
+        column: panel.column,
+        top: fromTicks(y),
+        bottom: fromTicks(y + height),
+        height: fromTicks(height),
+        left: fromTicks(x),
+        right: fromTicks(x + widths[i]),
+        width: fromTicks(widths[i])
+      });
+      x += widths[i] + mullion;
+    });
+    y += height + (gaps[rowIndex] || 0);
+  });
+
+  return {
+    unit,
+    step,
+    doorWidth: fromTicks(doorWidthTicks),
+    doorHeight: fromTicks(doorTicks),
+    edgeDistance: fromTicks(topEdge),
+    panelGap: gaps.length > 0 ? fromTicks(gaps[0]) : fromTicks(Math.round(ticks(layout.calculatedPanelGap))),
+    frame: {
+      top: fromTicks(topEdge),
+      bottom: fromTicks(bottomEdge),
+      left: fromTicks(leftEdge),
+      right: fromTicks(rightEdge)
+    },
+    gaps: gaps.map(fromTicks),
+    mullion: fromTicks(mullion),
+    panelWidth: panelPositions.length > 0 ? panelPositions[0].width : 0,
+    panelHeights: heights.map(fromTicks),
+    panelPositions,
+    // Sum of every rounded part, top to bottom
+    totalHeight: fromTicks(y + bottomEdge)
+  };
+};
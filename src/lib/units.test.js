@@ -0,0 +1,47 @@
+import { describe, expect, it } from 'vitest';
+import { calculateLayout } from './layoutEngine.js';
+import { roundLayout, toUnit } from './units.js';
+
+const sum = (values) => values.reduce((total, value) => total + value, 0);
+
+// Rounded lengths are whole steps; compare them in steps so the sums are exact
+const inSteps = (value, step) => Math.round(value / step);
+
+const roundedFor = ({ config, unit, step }) => {
+  const layout = calculateLayout(config);
+  return { layout, rounded: roundLayout(layout, config, unit, step) };
+};
+
+describe('roundLayout', () => {
+  it.each([
+    { name: 'cm to 0.1', unit: 'cm', step: 0.1, config: { doorWidth: 91.44, doorHeight: 203.27, panelCount: 4, columnCount: 2, proportionType: 'golden' } },
+    { name: 'cm to 1', unit: 'cm', step: 1, config: { doorWidth: 91.4, doorHeight: 203.2, panelCount: 4, panelGap: 8.55, edgeDistance: 12.6, columnCount: 2 } },
+    { name: '1/16"', unit: 'in', step: 1 / 16, config: { doorWidth: 91.44, doorHeight: 203.2, panelCount: 3, columnCount: 3, proportionType: 'fibonacci' } },
+    { name: '1/16" with a mullion', unit: 'in', step: 1 / 16, config: { doorWidth: 86.36, doorHeight: 213.36, panelCount: 5, columnCount: 2, mullionWidth: 7.3, proportionType: 'golden' } }
+  ])('adds rows and panels up to the rounded door ($name)', (testCase) => {
+    const { rounded } = roundedFor(testCase);
+    const { step } = testCase;
+    const ticks = (value) => inSteps(value, step);
+
+    const stack = ticks(rounded.frame.top) + ticks(rounded.frame.bottom) + sum(rounded.gaps.map(ticks)) + sum(rounded.panelHeights.map(ticks));
+    expect(stack).toBe(ticks(rounded.doorHeight));
+    expect(ticks(rounded.totalHeight)).toBe(ticks(rounded.doorHeight));
+    expect(rounded.doorHeight).toBeCloseTo(Math.round(toUnit(testCase.config.doorHeight, testCase.unit) / step) * step, 9);
+
+    rounded.panelHeights.forEach((_, row) => {
+      const cells = rounded.panelPositions.filter(panel => panel.row === row);
+      const across = ticks(rounded.frame.left) + ticks(rounded.frame.right) + (cells.length - 1) * ticks(rounded.mullion) + sum(cells.map(panel => ticks(panel.width)));
+      expect(across).toBe(ticks(rounded.doorWidth));
+    });
+  });
+
+  it('takes steps back off the rows when the rounded rails and gaps leave less than their whole steps', () => {
+    const testCase = { unit: 'cm', step: 1, config: { doorWidth: 91.4, doorHeight: 203.2, panelCount: 4, panelGap: 8.55, edgeDistance: 12.6, columnCount: 2 } };
+    const { layout, rounded } = roundedFor(testCase);
+    const floors = layout.rows.map(row => Math.floor(row.height));
+
+    expect(sum(rounded.panelHeights)).toBeLessThan(sum(floors));
+    expect(sum(rounded.panelHeights) + rounded.frame.top + rounded.frame.bottom + sum(rounded.gaps)).toBeCloseTo(203, 9);
+    rounded.panelHeights.forEach((height, row) => expect(Math.abs(height - layout.rows[row].height)).toBeLessThan(2));
+  });
+});